@@ -0,0 +1,170 @@
+import { Achievements } from './achievements.js';
+import { createButton } from './ui.js';
+
+const COLOR = '#ff9900';
+
+// Seconds an unlock toast stays up
+const TOAST_TIME = 4;
+
+// Achievement unlock toasts and the achievements screen (toggled with 'J'). Listens to the events
+// of every simulation it's given; replays don't unlock anything.
+export class AchievementsScreen {
+    constructor(game) {
+        this.game = game;
+        this.achievements = new Achievements();
+        this.active = false;
+        this.toasts = [];
+        
+        this.createUI();
+    }
+    
+    createUI() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'achievements-screen';
+        this.panel.style.position = 'absolute';
+        this.panel.style.top = '50%';
+        this.panel.style.left = '50%';
+        this.panel.style.transform = 'translate(-50%, -50%)';
+        this.panel.style.padding = '15px';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        this.panel.style.border = `2px solid ${COLOR}`;
+        this.panel.style.borderRadius = '10px';
+        this.panel.style.color = '#ffffff';
+        this.panel.style.fontFamily = 'Arial, sans-serif';
+        this.panel.style.fontSize = '13px';
+        this.panel.style.userSelect = 'none';
+        this.panel.style.maxHeight = '80%';
+        this.panel.style.overflowY = 'auto';
+        this.panel.style.display = 'none';
+        
+        this.title = document.createElement('div');
+        this.title.style.color = COLOR;
+        this.title.style.fontWeight = 'bold';
+        this.title.style.textShadow = `0 0 5px ${COLOR}`;
+        this.title.style.textAlign = 'center';
+        this.title.style.marginBottom = '10px';
+        this.panel.appendChild(this.title);
+        
+        this.list = document.createElement('div');
+        this.panel.appendChild(this.list);
+        
+        const footer = document.createElement('div');
+        footer.style.textAlign = 'center';
+        footer.style.marginTop = '10px';
+        footer.appendChild(createButton('Close', () => this.toggle(), COLOR));
+        this.panel.appendChild(footer);
+        document.body.appendChild(this.panel);
+        
+        // Unlock toasts stack up on the right, under the score
+        this.toastContainer = document.createElement('div');
+        this.toastContainer.style.position = 'absolute';
+        this.toastContainer.style.top = '110px';
+        this.toastContainer.style.right = '20px';
+        this.toastContainer.style.pointerEvents = 'none';
+        document.body.appendChild(this.toastContainer);
+    }
+    
+    toggle() {
+        this.active = !this.active;
+        this.panel.style.display = this.active ? 'block' : 'none';
+        
+        if (this.active) {
+            this.refresh();
+        }
+    }
+    
+    refresh() {
+        const definitions = this.achievements.definitions;
+        const unlockedCount = definitions.filter(definition => this.achievements.isUnlocked(definition.id)).length;
+        this.title.textContent = `ACHIEVEMENTS ${unlockedCount}/${definitions.length} [${this.game.getKeyHint('achievements')}]`;
+        
+        this.list.innerHTML = '';
+        for (const definition of definitions) {
+            const unlocked = this.achievements.isUnlocked(definition.id);
+            
+            const row = document.createElement('div');
+            row.style.padding = '4px 0';
+            row.style.opacity = unlocked ? '1' : '0.6';
+            
+            const name = document.createElement('div');
+            name.textContent = `${unlocked ? '★' : '☆'} ${definition.name}`;
+            name.style.fontWeight = 'bold';
+            name.style.color = unlocked ? COLOR : '#ffffff';
+            row.appendChild(name);
+            
+            // Counted achievements show how far along they are
+            const description = document.createElement('div');
+            description.style.color = '#aaaaaa';
+            description.textContent = !unlocked && !definition.value
+                ? `${definition.description} (${this.achievements.getProgress(definition.id)}/${definition.goal})`
+                : definition.description;
+            row.appendChild(description);
+            
+            this.list.appendChild(row);
+        }
+    }
+    
+    // Listen to the game events the achievements need on a new simulation's event bus
+    listen(events) {
+        const types = new Set(this.achievements.definitions.map(definition => definition.event));
+        for (const type of types) {
+            if (type in events.types) {
+                events.on(type, (payload) => this.handle(type, payload));
+            }
+        }
+    }
+    
+    // Pass a game event to the achievements and announce anything it unlocks
+    handle(event, data) {
+        if (this.game.replay.active) return;
+        
+        const unlocked = this.achievements.handle(event, data);
+        unlocked.forEach(definition => this.showToast(definition));
+        
+        if (unlocked.length > 0 && this.active) {
+            this.refresh();
+        }
+    }
+    
+    showToast(definition) {
+        const toast = document.createElement('div');
+        toast.style.marginBottom = '6px';
+        toast.style.padding = '8px 12px';
+        toast.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        toast.style.border = `2px solid ${COLOR}`;
+        toast.style.borderRadius = '8px';
+        toast.style.color = '#ffffff';
+        toast.style.fontFamily = 'Arial, sans-serif';
+        toast.style.fontSize = '13px';
+        toast.style.boxShadow = `0 0 10px ${COLOR}`;
+        
+        const heading = document.createElement('div');
+        heading.textContent = `ACHIEVEMENT UNLOCKED: ${definition.name}`;
+        heading.style.color = COLOR;
+        heading.style.fontWeight = 'bold';
+        toast.appendChild(heading);
+        
+        const description = document.createElement('div');
+        description.textContent = definition.description;
+        toast.appendChild(description);
+        
+        this.toastContainer.appendChild(toast);
+        this.toasts.push({ element: toast, timeLeft: TOAST_TIME });
+    }
+    
+    // Check the speed achievements against the speedometer, then fade out and remove expired toasts
+    update(deltaTime) {
+        const simulation = this.game.simulation;
+        this.handle('speed', { speed: simulation.car.getSpeed(), boosting: simulation.boost.state === 'boosting' });
+        
+        this.toasts = this.toasts.filter(toast => {
+            toast.timeLeft -= deltaTime;
+            if (toast.timeLeft <= 0) {
+                toast.element.remove();
+                return false;
+            }
+            toast.element.style.opacity = String(Math.min(1, toast.timeLeft * 2));
+            return true;
+        });
+    }
+}
@@ -0,0 +1,188 @@
+import { getDefaultStorage } from './storage.js';
+
+const STORAGE_KEY = 'vibecity-achievements';
+
+// Every achievement, declared by the game event that drives it:
+//   event      - the game event it listens to (see GAME_EVENTS), or 'speed' for the sampled speedometer
+//   filter     - optional test an event has to pass to count
+//   value      - optional measure of a single event; unlocks when one event reaches `goal`
+//   goal       - without `value`, the number of matching events needed (counted across sessions)
+export const ACHIEVEMENTS = [
+    {
+        id: 'frequent-flyer',
+        name: 'Frequent Flyer',
+        description: 'Hit all three launchpads in one flight chain',
+        event: 'car:launched',
+        value: (launch) => launch.flightChain,
+        goal: 3
+    },
+    {
+        id: 'lights-out',
+        name: 'Lights Out',
+        description: 'Knock over 20 streetlights',
+        event: 'object:knockedOver',
+        filter: (knockdown) => knockdown.object.type === 'streetlight',
+        goal: 20
+    },
+    {
+        id: 'wrecking-ball',
+        name: 'Wrecking Ball',
+        description: 'Knock over 100 objects',
+        event: 'object:knockedOver',
+        goal: 100
+    },
+    {
+        id: 'road-menace',
+        name: 'Road Menace',
+        description: 'Hit 25 pedestrians',
+        event: 'human:hit',
+        goal: 25
+    },
+    {
+        id: 'top-speed',
+        name: 'Redline',
+        description: 'Reach 60 mph boosted',
+        event: 'speed',
+        filter: (speed) => speed.boosting,
+        value: (speed) => speed.speed,
+        goal: 60
+    },
+    {
+        id: 'drift-king',
+        name: 'Drift King',
+        description: 'Drift for 5 seconds',
+        event: 'stunt:completed',
+        filter: (stunt) => stunt.type === 'drift',
+        value: (stunt) => stunt.duration,
+        goal: 5
+    },
+    {
+        id: 'barrel-roll',
+        name: 'Do a Barrel Roll',
+        description: 'Land a barrel roll',
+        event: 'stunt:completed',
+        filter: (stunt) => stunt.type === 'jump' && stunt.clean,
+        value: (stunt) => stunt.rolls,
+        goal: 1
+    },
+    {
+        id: 'backflip',
+        name: 'Head Over Heels',
+        description: 'Land a backflip',
+        event: 'stunt:completed',
+        filter: (stunt) => stunt.type === 'jump' && stunt.clean,
+        value: (stunt) => stunt.flips,
+        goal: 1
+    },
+    {
+        id: 'close-shave',
+        name: 'Close Shave',
+        description: 'Pull off 50 near misses',
+        event: 'stunt:completed',
+        filter: (stunt) => stunt.type === 'nearMiss',
+        goal: 50
+    },
+    {
+        id: 'chain-reaction',
+        name: 'Chain Reaction',
+        description: 'Bank a combo at x5 or more',
+        event: 'combo:ended',
+        filter: (combo) => combo.banked,
+        value: (combo) => combo.multiplier,
+        goal: 5
+    },
+    {
+        id: 'high-roller',
+        name: 'High Roller',
+        description: 'Bank 5,000 points in one combo',
+        event: 'combo:ended',
+        value: (combo) => combo.total,
+        goal: 5000
+    },
+    {
+        id: 'chequered-flag',
+        name: 'Chequered Flag',
+        description: 'Finish a race',
+        event: 'race:finished',
+        goal: 1
+    }
+];
+
+// Unlocked achievements and progress towards the counted ones, kept in localStorage (when there is one)
+export class Achievements {
+    constructor(storage = getDefaultStorage(), definitions = ACHIEVEMENTS) {
+        this.storage = storage;
+        this.definitions = definitions;
+        this.unlocked = {}; // Achievement id to the time it was unlocked
+        this.progress = {}; // Achievement id to the count so far
+        this.load();
+    }
+    
+    isUnlocked(id) {
+        return id in this.unlocked;
+    }
+    
+    // How far along a counted achievement is (0 for the single-event ones until they unlock)
+    getProgress(id) {
+        if (this.isUnlocked(id)) {
+            return this.definitions.find(definition => definition.id === id).goal;
+        }
+        return this.progress[id] ?? 0;
+    }
+    
+    // Check a game event against every achievement still locked. Returns the ones it unlocked.
+    handle(event, data = {}, date = new Date()) {
+        const unlocked = [];
+        let changed = false;
+        
+        for (const definition of this.definitions) {
+            if (definition.event !== event || this.isUnlocked(definition.id)) continue;
+            if (definition.filter && !definition.filter(data)) continue;
+            
+            let reached;
+            if (definition.value) {
+                reached = definition.value(data) >= definition.goal;
+            } else {
+                this.progress[definition.id] = this.getProgress(definition.id) + 1;
+                reached = this.progress[definition.id] >= definition.goal;
+                changed = true;
+            }
+            
+            if (reached) {
+                this.unlocked[definition.id] = date.toISOString();
+                delete this.progress[definition.id];
+                unlocked.push(definition);
+                changed = true;
+            }
+        }
+        
+        if (changed) {
+            this.save();
+        }
+        return unlocked;
+    }
+    
+    load() {
+        if (!this.storage) return;
+        
+        try {
+            const stored = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (!stored || typeof stored !== 'object') return;
+            
+            this.unlocked = stored.unlocked && typeof stored.unlocked === 'object' ? stored.unlocked : {};
+            this.progress = stored.progress && typeof stored.progress === 'object' ? stored.progress : {};
+        } catch (error) {
+            console.warn('Ignoring saved achievements:', error);
+        }
+    }
+    
+    save() {
+        if (!this.storage) return;
+        
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify({ unlocked: this.unlocked, progress: this.progress }));
+        } catch (error) {
+            console.warn('Could not save achievements:', error);
+        }
+    }
+}
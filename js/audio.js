@@ -0,0 +1,354 @@
+import { getDefaultStorage } from './storage.js';
+
+// Mixer channels and their default volumes (0-1). Music and SFX both feed the master channel.
+export const DEFAULT_VOLUMES = Object.freeze({ master: 0.8, music: 0.6, sfx: 0.8 });
+
+const STORAGE_KEY = 'vibecity-audio';
+
+// Engine note: a low idle that climbs with speed, and boost pushes it higher still
+const ENGINE_IDLE_FREQUENCY = 45;
+const ENGINE_TOP_FREQUENCY = 150;
+const ENGINE_BOOST_PITCH = 0.5; // Extra pitch (as a fraction) at the full boost multiplier
+
+// Collisions slower than this are too soft to hear; at IMPACT_FULL_SPEED the thud is at full volume
+const IMPACT_MIN_SPEED = 2;
+const IMPACT_FULL_SPEED = 40;
+
+// How quickly the engine and squeal follow the car (seconds to get most of the way there)
+const LOOP_SMOOTHING = 0.05;
+
+// Frequency of the engine note for a car going at `speed` (out of `maxSpeed`), with the boost's
+// current speed multiplier (1 when not boosting, up to `maxBoostMultiplier`)
+export function getEngineFrequency(speed, maxSpeed, boostMultiplier = 1, maxBoostMultiplier = 1.8) {
+    const rev = Math.min(1, Math.abs(speed) / maxSpeed);
+    const boost = maxBoostMultiplier > 1 ? Math.max(0, boostMultiplier - 1) / (maxBoostMultiplier - 1) : 0;
+    return (ENGINE_IDLE_FREQUENCY + (ENGINE_TOP_FREQUENCY - ENGINE_IDLE_FREQUENCY) * rev) * (1 + ENGINE_BOOST_PITCH * boost);
+}
+
+// Volume (0-1) of the thud for a collision at `speed`
+export function getImpactVolume(speed) {
+    const volume = (Math.abs(speed) - IMPACT_MIN_SPEED) / (IMPACT_FULL_SPEED - IMPACT_MIN_SPEED);
+    return Math.max(0, Math.min(1, volume));
+}
+
+// Mixer volumes and mutes (all sound, or just the music), kept in localStorage (when there is one)
+export class AudioSettings {
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+        this.volumes = { ...DEFAULT_VOLUMES };
+        this.muted = false;
+        this.musicMuted = false;
+        this.load();
+    }
+    
+    setVolume(channel, value) {
+        if (!(channel in DEFAULT_VOLUMES)) {
+            throw new Error(`Unknown mixer channel: ${channel}`);
+        }
+        this.volumes[channel] = Math.max(0, Math.min(1, Number(value) || 0));
+        this.save();
+    }
+    
+    setMuted(muted) {
+        this.muted = muted;
+        this.save();
+    }
+    
+    setMusicMuted(muted) {
+        this.musicMuted = muted;
+        this.save();
+    }
+    
+    load() {
+        if (!this.storage) return;
+        
+        try {
+            const stored = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (!stored || typeof stored !== 'object') return;
+            
+            // Keep the defaults for any channel that's missing or out of range
+            for (const channel of Object.keys(DEFAULT_VOLUMES)) {
+                const volume = stored.volumes?.[channel];
+                if (Number.isFinite(volume) && volume >= 0 && volume <= 1) {
+                    this.volumes[channel] = volume;
+                }
+            }
+            this.muted = stored.muted === true;
+            this.musicMuted = stored.musicMuted === true;
+        } catch (error) {
+            console.warn('Ignoring saved audio settings:', error);
+        }
+    }
+    
+    save() {
+        if (!this.storage) return;
+        
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify({ volumes: this.volumes, muted: this.muted, musicMuted: this.musicMuted }));
+        } catch (error) {
+            console.warn('Could not save audio settings:', error);
+        }
+    }
+}
+
+// Every sound in the game, synthesized with the Web Audio API - nothing is downloaded. Browsers
+// only allow audio after the player has clicked, pressed a key or touched the screen, so nothing
+// plays until start() has been called from one of those. Without Web Audio (or before start())
+// every method quietly does nothing.
+export class AudioEngine {
+    constructor(settings = new AudioSettings()) {
+        this.settings = settings;
+        this.context = null;
+        this.noiseBuffer = null;
+    }
+    
+    // Start on the first click, key press or touch
+    startOnFirstGesture() {
+        const start = () => {
+            this.start();
+            for (const type of ['pointerdown', 'keydown', 'touchstart']) {
+                window.removeEventListener(type, start);
+            }
+        };
+        for (const type of ['pointerdown', 'keydown', 'touchstart']) {
+            window.addEventListener(type, start);
+        }
+    }
+    
+    start() {
+        if (this.context) {
+            this.context.resume();
+            return;
+        }
+        
+        const AudioContextClass = globalThis.AudioContext ?? globalThis.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('Web Audio is not available, the game will be silent');
+            return;
+        }
+        
+        this.context = new AudioContextClass();
+        this.createMixer();
+        this.noiseBuffer = this.createNoiseBuffer(2);
+        this.createEngine();
+        this.createSqueal();
+    }
+    
+    createMixer() {
+        const context = this.context;
+        
+        // A compressor on the way out keeps a pile-up of sounds from clipping
+        this.compressor = context.createDynamicsCompressor();
+        this.compressor.connect(context.destination);
+        
+        this.master = context.createGain();
+        this.master.connect(this.compressor);
+        
+        this.music = context.createGain();
+        this.music.connect(this.master);
+        
+        this.sfx = context.createGain();
+        this.sfx.connect(this.master);
+        
+        this.applyVolumes();
+    }
+    
+    // Push the settings to the mixer (call after changing them)
+    applyVolumes() {
+        if (!this.context) return;
+        
+        const { volumes, muted, musicMuted } = this.settings;
+        const now = this.context.currentTime;
+        this.master.gain.setTargetAtTime(muted ? 0 : volumes.master, now, LOOP_SMOOTHING);
+        this.music.gain.setTargetAtTime(musicMuted ? 0 : volumes.music, now, LOOP_SMOOTHING);
+        this.sfx.gain.setTargetAtTime(volumes.sfx, now, LOOP_SMOOTHING);
+    }
+    
+    setVolume(channel, value) {
+        this.settings.setVolume(channel, value);
+        this.applyVolumes();
+    }
+    
+    toggleMute() {
+        this.settings.setMuted(!this.settings.muted);
+        this.applyVolumes();
+        return this.settings.muted;
+    }
+    
+    toggleMusic() {
+        this.settings.setMusicMuted(!this.settings.musicMuted);
+        this.applyVolumes();
+        return this.settings.musicMuted;
+    }
+    
+    // Channel that music should be connected to (null before start())
+    getMusicOutput() {
+        return this.music ?? null;
+    }
+    
+    createNoiseBuffer(seconds) {
+        const buffer = this.context.createBuffer(1, Math.floor(this.context.sampleRate * seconds), this.context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        return buffer;
+    }
+    
+    // A detuned sawtooth and a square an octave down through a low-pass filter that opens up with the revs
+    createEngine() {
+        const context = this.context;
+        
+        this.engineFilter = context.createBiquadFilter();
+        this.engineFilter.type = 'lowpass';
+        this.engineFilter.frequency.value = 400;
+        this.engineFilter.Q.value = 4;
+        
+        this.engineGain = context.createGain();
+        this.engineGain.gain.value = 0;
+        this.engineFilter.connect(this.engineGain);
+        this.engineGain.connect(this.sfx);
+        
+        this.engineOscillators = [
+            { type: 'sawtooth', ratio: 1, detune: 7 },
+            { type: 'sawtooth', ratio: 1, detune: -7 },
+            { type: 'square', ratio: 0.5, detune: 0 }
+        ].map(({ type, ratio, detune }) => {
+            const oscillator = context.createOscillator();
+            oscillator.type = type;
+            oscillator.detune.value = detune;
+            oscillator.frequency.value = ENGINE_IDLE_FREQUENCY * ratio;
+            oscillator.connect(this.engineFilter);
+            oscillator.start();
+            return { oscillator, ratio };
+        });
+    }
+    
+    // Looping noise through a narrow band-pass filter, faded in while the car drifts
+    createSqueal() {
+        const context = this.context;
+        
+        this.squealSource = context.createBufferSource();
+        this.squealSource.buffer = this.noiseBuffer;
+        this.squealSource.loop = true;
+        
+        this.squealFilter = context.createBiquadFilter();
+        this.squealFilter.type = 'bandpass';
+        this.squealFilter.frequency.value = 1800;
+        this.squealFilter.Q.value = 12;
+        
+        this.squealGain = context.createGain();
+        this.squealGain.gain.value = 0;
+        
+        this.squealSource.connect(this.squealFilter);
+        this.squealFilter.connect(this.squealGain);
+        this.squealGain.connect(this.sfx);
+        this.squealSource.start();
+    }
+    
+    // Follow the car with the engine note and tire squeal, once per frame. Pass no car to fade
+    // both out (while the game is paused or in the editor).
+    update(car, boost) {
+        if (!this.context) return;
+        
+        const now = this.context.currentTime;
+        if (!car) {
+            this.engineGain.gain.setTargetAtTime(0, now, LOOP_SMOOTHING);
+            this.squealGain.gain.setTargetAtTime(0, now, LOOP_SMOOTHING);
+            return;
+        }
+        
+        const rev = Math.min(1, car.getSpeed() / car.maxSpeed);
+        const frequency = getEngineFrequency(car.speed, car.maxSpeed, boost.currentMultiplier, boost.speedMultiplier);
+        for (const { oscillator, ratio } of this.engineOscillators) {
+            oscillator.frequency.setTargetAtTime(frequency * ratio, now, LOOP_SMOOTHING);
+        }
+        this.engineFilter.frequency.setTargetAtTime(300 + rev * 1500, now, LOOP_SMOOTHING);
+        this.engineGain.gain.setTargetAtTime(0.12 + rev * 0.1, now, LOOP_SMOOTHING);
+        
+        // Squeal louder and higher the faster the drift
+        const squeal = car.isDrifting && !car.isAirborne ? 0.1 + rev * 0.2 : 0;
+        this.squealGain.gain.setTargetAtTime(squeal, now, LOOP_SMOOTHING);
+        this.squealFilter.frequency.setTargetAtTime(1500 + rev * 800, now, LOOP_SMOOTHING);
+    }
+    
+    // A burst of noise shaped by a filter and a quick decay, for the one-shot effects
+    playNoise(filterType, frequency, volume, duration, startTime = this.context.currentTime) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        
+        const filter = this.context.createBiquadFilter();
+        filter.type = filterType;
+        filter.frequency.value = frequency;
+        
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(volume, startTime);
+        gain.gain.exponentialRampToValueAtTime(0.001, startTime + duration);
+        
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.sfx);
+        source.start(startTime, Math.random() * (this.noiseBuffer.duration - duration));
+        source.stop(startTime + duration);
+    }
+    
+    // An oscillator sliding from one pitch to another while it decays
+    playTone(type, fromFrequency, toFrequency, volume, duration, startTime = this.context.currentTime) {
+        const oscillator = this.context.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(fromFrequency, startTime);
+        oscillator.frequency.exponentialRampToValueAtTime(toFrequency, startTime + duration);
+        
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(volume, startTime);
+        gain.gain.exponentialRampToValueAtTime(0.001, startTime + duration);
+        
+        oscillator.connect(gain);
+        gain.connect(this.sfx);
+        oscillator.start(startTime);
+        oscillator.stop(startTime + duration);
+        return oscillator;
+    }
+    
+    // A low thump with a crunch on top, louder for harder hits
+    playImpact(speed) {
+        if (!this.context) return;
+        
+        const volume = getImpactVolume(speed);
+        if (volume <= 0) return;
+        
+        this.playTone('sine', 90, 35, volume * 0.9, 0.3);
+        this.playNoise('lowpass', 400 + volume * 800, volume * 0.6, 0.2);
+    }
+    
+    // A springy rising wobble for the launchpads
+    playBoing() {
+        if (!this.context) return;
+        
+        const now = this.context.currentTime;
+        const oscillator = this.playTone('triangle', 140, 520, 0.5, 0.6, now);
+        
+        // Wobble the pitch like a spring
+        const wobble = this.context.createOscillator();
+        const depth = this.context.createGain();
+        wobble.frequency.value = 16;
+        depth.gain.setValueAtTime(60, now);
+        depth.gain.exponentialRampToValueAtTime(1, now + 0.6);
+        wobble.connect(depth);
+        depth.connect(oscillator.frequency);
+        wobble.start(now);
+        wobble.stop(now + 0.6);
+    }
+    
+    // Breaking glass: a bright crash and a scatter of high tinkles
+    playShatter() {
+        if (!this.context) return;
+        
+        const now = this.context.currentTime;
+        this.playNoise('highpass', 3000, 0.5, 0.35, now);
+        for (let i = 0; i < 6; i++) {
+            const frequency = 2500 + Math.random() * 3500;
+            this.playTone('sine', frequency, frequency * 0.9, 0.12, 0.15, now + 0.03 + Math.random() * 0.3);
+        }
+    }
+}
@@ -0,0 +1,148 @@
+import { getDefaultStorage } from './storage.js';
+
+// Every action the player can bind, with its label for the controls screen and default keys.
+// Each action has up to two keys.
+export const ACTIONS = Object.freeze({
+    accelerate: { label: 'Accelerate', keys: ['w', 'ArrowUp'] },
+    brake: { label: 'Brake / Reverse', keys: ['s', 'ArrowDown'] },
+    steerLeft: { label: 'Steer Left', keys: ['a', 'ArrowLeft'] },
+    steerRight: { label: 'Steer Right', keys: ['d', 'ArrowRight'] },
+    boost: { label: 'Boost', keys: [' '] },
+    toggleNight: { label: 'Day / Night', keys: ['n'] },
+    pauseTime: { label: 'Pause Time of Day', keys: ['o'] },
+    timeBackward: { label: 'Time Backward', keys: ['['] },
+    timeForward: { label: 'Time Forward', keys: [']'] },
+    debug: { label: 'Debug Mode', keys: ['`', '~'] },
+    exportLayout: { label: 'Download Layout', keys: ['l'] },
+    editor: { label: 'Level Editor', keys: ['e'] },
+    replay: { label: 'Replay', keys: ['r'] },
+    race: { label: 'Race Menu', keys: ['t'] },
+    controls: { label: 'Controls', keys: ['k'] },
+    stats: { label: 'High Scores & Stats', keys: ['h'] },
+    achievements: { label: 'Achievements', keys: ['j'] },
+    mute: { label: 'Mute Sound', keys: ['m'] },
+    music: { label: 'Music On/Off', keys: ['u'] },
+    pause: { label: 'Pause', keys: ['Escape', 'p'] },
+    camera: { label: 'Camera Mode', keys: ['c'] },
+    photo: { label: 'Photo Mode', keys: ['v'] }
+});
+
+export const KEYS_PER_ACTION = 2;
+
+const STORAGE_KEY = 'vibecity-bindings';
+
+// Key names as shown on the controls screen and the HUD
+const KEY_LABELS = {
+    ' ': 'Space',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Esc'
+};
+
+// Letters arrive in upper case with Shift or Caps Lock held - treat both cases as the same key
+export function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+export function getKeyLabel(key) {
+    if (!key) return '-';
+    return KEY_LABELS[key] ?? (key.length === 1 ? key.toUpperCase() : key);
+}
+
+// Maps keys to actions. Changes are saved to localStorage (when there is one) so they survive reloads.
+export class KeyBindings {
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+        this.bindings = getDefaultBindings();
+        this.load();
+    }
+    
+    // Keys bound to an action, in slot order (empty slots are null)
+    getKeys(action) {
+        return this.bindings[action] ?? [];
+    }
+    
+    // The action bound to a key, or null
+    getAction(key) {
+        const normalized = normalizeKey(key);
+        for (const [action, keys] of Object.entries(this.bindings)) {
+            if (keys.includes(normalized)) return action;
+        }
+        return null;
+    }
+    
+    // Bind a key to one of an action's slots. A key can only do one thing, so if it was bound
+    // elsewhere that action gets this slot's old key instead (or loses the slot if it had none).
+    rebind(action, slot, key) {
+        if (!(action in ACTIONS)) {
+            throw new Error(`Unknown action: ${action}`);
+        }
+        if (!Number.isInteger(slot) || slot < 0 || slot >= KEYS_PER_ACTION) {
+            throw new Error(`Invalid key slot: ${slot}`);
+        }
+        
+        const normalized = normalizeKey(key);
+        const previousKey = this.bindings[action][slot];
+        
+        for (const keys of Object.values(this.bindings)) {
+            const index = keys.indexOf(normalized);
+            if (index !== -1) keys[index] = previousKey;
+        }
+        
+        this.bindings[action][slot] = normalized;
+        this.save();
+    }
+    
+    clear(action, slot) {
+        this.bindings[action][slot] = null;
+        this.save();
+    }
+    
+    resetToDefaults() {
+        this.bindings = getDefaultBindings();
+        this.save();
+    }
+    
+    load() {
+        if (!this.storage) return;
+        
+        try {
+            const stored = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (!stored) return;
+            
+            // Only take well-formed entries for actions that still exist, so older saves keep working
+            for (const action of Object.keys(ACTIONS)) {
+                const keys = stored[action];
+                if (Array.isArray(keys) && keys.every(key => key === null || typeof key === 'string')) {
+                    this.bindings[action] = padSlots(keys.map(key => key && normalizeKey(key)));
+                }
+            }
+        } catch (error) {
+            console.warn('Ignoring saved key bindings:', error);
+        }
+    }
+    
+    save() {
+        if (!this.storage) return;
+        
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('Could not save key bindings:', error);
+        }
+    }
+}
+
+function getDefaultBindings() {
+    const bindings = {};
+    for (const [action, { keys }] of Object.entries(ACTIONS)) {
+        bindings[action] = padSlots(keys);
+    }
+    return bindings;
+}
+
+function padSlots(keys) {
+    return Array.from({ length: KEYS_PER_ACTION }, (_, slot) => keys[slot] ?? null);
+}
@@ -0,0 +1,238 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+
+// Camera modes in the order the camera key cycles through them
+export const CAMERA_MODES = Object.freeze(['chase', 'hood', 'topDown', 'cinematic', 'orbit']);
+
+// Where the chase camera sits relative to the car, scaled by the camera distance setting (which
+// also sets the height of the top-down camera)
+const CHASE_OFFSET = new THREE.Vector3(0, 5, -10);
+const CAMERA_DISTANCES = { near: 0.7, normal: 1, far: 1.4 };
+
+// The chase camera pulls back and widens its view with speed, up to these amounts at full
+// speed (and a little more under boost)
+const CHASE_PULL_BACK = 0.35;
+const CHASE_FOV_WIDENING = 15;
+const MAX_SPEED_RATIO = 1.5;
+
+// Where the hood camera sits on the car
+const HOOD_OFFSET = new THREE.Vector3(0, 1.1, 1.5);
+
+const TOP_DOWN_HEIGHT = 60;
+
+// Trackside cameras stand at the street corners, hold a shot for at least MIN_SHOT seconds and
+// cut to the nearest camera once the car is out of range
+const TRACKSIDE_HEIGHT = 5;
+const TRACKSIDE_RANGE = 45;
+const MIN_SHOT = 2;
+
+// Turns the car's forward (+z) into the camera's (-z)
+const FACE_FORWARD = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI);
+
+// How far along the chase camera's pull-back and widening are (0 standing still, up to 1.5 boosting)
+export function getSpeedRatio(speed, maxSpeed) {
+    return Math.min(MAX_SPEED_RATIO, Math.abs(speed) / maxSpeed);
+}
+
+export function getChaseDistanceScale(speedRatio) {
+    return 1 + CHASE_PULL_BACK * speedRatio;
+}
+
+export function getChaseFov(baseFov, speedRatio) {
+    return baseFov + CHASE_FOV_WIDENING * speedRatio;
+}
+
+// One camera at a corner of every intersection (alternating corners, so they film from all sides)
+export function createTracksideCameras(city) {
+    const cameras = [];
+    const corner = city.roadWidth / 2 + 2;
+    
+    city.roads.vertical.forEach((vertical, i) => {
+        city.roads.horizontal.forEach((horizontal, j) => {
+            const sideX = i % 2 === 0 ? 1 : -1;
+            const sideZ = j % 2 === 0 ? 1 : -1;
+            cameras.push(new THREE.Vector3(
+                vertical.centerX + sideX * corner,
+                TRACKSIDE_HEIGHT,
+                horizontal.centerZ + sideZ * corner
+            ));
+        });
+    });
+    return cameras;
+}
+
+// The trackside camera to film from: stay on the current one while the car is in range (or the
+// shot is still short), otherwise cut to the nearest
+export function pickTracksideCamera(cameras, position, current = null, shotLength = Infinity) {
+    if (current && (shotLength < MIN_SHOT || current.distanceTo(position) < TRACKSIDE_RANGE)) {
+        return current;
+    }
+    
+    let nearest = null;
+    for (const camera of cameras) {
+        if (!nearest || camera.distanceToSquared(position) < nearest.distanceToSquared(position)) {
+            nearest = camera;
+        }
+    }
+    return nearest;
+}
+
+// Points the game camera at the car in the mode picked in the settings (cycled with 'C')
+export class CameraController {
+    constructor(game) {
+        this.game = game;
+        this.mode = null;
+        
+        // Trackside camera in use and how long it has been filming
+        this.tracksideCameras = [];
+        this.tracksideCamera = null;
+        this.shotLength = 0;
+        
+        // The free camera orbits the car and follows it around
+        this.orbitControls = new OrbitControls(game.camera, game.renderer.domElement);
+        this.orbitControls.enableDamping = true;
+        this.orbitControls.maxPolarAngle = Math.PI / 2 - 0.05; // Stay above the ground
+        this.orbitControls.enabled = false;
+        this.lastCarPosition = new THREE.Vector3();
+        
+        this.idealPosition = new THREE.Vector3();
+        this.lookTarget = new THREE.Vector3();
+    }
+    
+    setCity(city) {
+        this.tracksideCameras = createTracksideCameras(city);
+        this.tracksideCamera = null;
+    }
+    
+    cycleMode() {
+        const index = CAMERA_MODES.indexOf(this.game.settings.get('cameraMode'));
+        this.game.settings.set('cameraMode', CAMERA_MODES[(index + 1) % CAMERA_MODES.length]);
+    }
+    
+    // Orbit dragging only works in orbit mode, and never while the editor or photo mode has the mouse
+    updateOrbitControls() {
+        this.orbitControls.enabled = this.mode === 'orbit' && !this.game.editor.active && !this.game.photoMode.active;
+    }
+    
+    enterMode(mode) {
+        this.mode = mode;
+        this.tracksideCamera = null;
+        
+        if (mode === 'orbit') {
+            this.lastCarPosition.copy(this.game.car.mesh.position);
+            this.orbitControls.target.copy(this.lastCarPosition);
+        }
+        this.updateOrbitControls();
+    }
+    
+    update(deltaTime) {
+        const mode = this.game.settings.get('cameraMode');
+        if (mode !== this.mode) {
+            this.enterMode(mode);
+        }
+        this.updateOrbitControls();
+        
+        const camera = this.game.camera;
+        const baseFov = this.game.settings.get('fieldOfView');
+        let fov = baseFov;
+        
+        if (mode === 'chase') {
+            fov = this.updateChase(deltaTime, baseFov);
+        } else if (mode === 'hood') {
+            this.updateHood();
+        } else if (mode === 'topDown') {
+            this.updateTopDown(deltaTime);
+        } else if (mode === 'cinematic') {
+            fov = this.updateCinematic(deltaTime, baseFov);
+        } else {
+            this.updateOrbit();
+        }
+        
+        if (camera.fov !== fov) {
+            camera.fov = fov;
+            camera.updateProjectionMatrix();
+        }
+    }
+    
+    getDistanceScale() {
+        return CAMERA_DISTANCES[this.game.settings.get('cameraDistance')];
+    }
+    
+    // Behind the car, pulling back and widening the view as it picks up speed
+    updateChase(deltaTime, baseFov) {
+        // Follow the interpolated car mesh rather than the last simulation step
+        const car = this.game.car;
+        const carPosition = car.mesh.position;
+        const speedRatio = getSpeedRatio(car.getSpeed(), car.maxSpeed);
+        
+        // Position camera behind the car
+        this.idealPosition.copy(CHASE_OFFSET).multiplyScalar(this.getDistanceScale() * getChaseDistanceScale(speedRatio));
+        this.idealPosition.applyQuaternion(car.getRotationQuaternion());
+        this.idealPosition.add(carPosition);
+        
+        // Smooth camera movement using lerp (10% per 60 Hz frame, whatever the actual frame rate)
+        this.game.camera.position.lerp(this.idealPosition, 1 - Math.pow(0.9, deltaTime * 60));
+        
+        // Look at position slightly above the car
+        this.lookTarget.copy(carPosition);
+        this.lookTarget.y += 1.5;
+        this.game.camera.lookAt(this.lookTarget);
+        
+        return getChaseFov(baseFov, speedRatio);
+    }
+    
+    // On the bonnet, rolling and flipping with the car
+    updateHood() {
+        const camera = this.game.camera;
+        const mesh = this.game.car.mesh;
+        
+        camera.position.copy(HOOD_OFFSET).applyQuaternion(mesh.quaternion).add(mesh.position);
+        camera.quaternion.copy(mesh.quaternion).multiply(FACE_FORWARD);
+    }
+    
+    // High above the car with north up (the camera distance setting changes the height)
+    updateTopDown(deltaTime) {
+        const camera = this.game.camera;
+        const carPosition = this.game.car.mesh.position;
+        const height = TOP_DOWN_HEIGHT * this.getDistanceScale();
+        
+        // A slight tilt keeps "up" on the screen pointing north
+        this.idealPosition.set(carPosition.x, carPosition.y + height, carPosition.z - height * 0.05);
+        camera.position.lerp(this.idealPosition, 1 - Math.pow(0.8, deltaTime * 60));
+        camera.lookAt(carPosition);
+    }
+    
+    // Fixed cameras at the street corners, zooming in as the car drives away from them
+    updateCinematic(deltaTime, baseFov) {
+        const camera = this.game.camera;
+        const carPosition = this.game.car.mesh.position;
+        
+        this.shotLength += deltaTime;
+        const next = pickTracksideCamera(this.tracksideCameras, carPosition, this.tracksideCamera, this.shotLength);
+        if (next !== this.tracksideCamera) {
+            this.tracksideCamera = next;
+            this.shotLength = 0;
+        }
+        if (!this.tracksideCamera) return baseFov;
+        
+        camera.position.copy(this.tracksideCamera);
+        this.lookTarget.copy(carPosition);
+        this.lookTarget.y += 1;
+        camera.lookAt(this.lookTarget);
+        
+        // Keep the car about the same size in the frame
+        const distance = this.tracksideCamera.distanceTo(carPosition);
+        return THREE.MathUtils.clamp(THREE.MathUtils.radToDeg(2 * Math.atan(8 / distance)), 20, baseFov);
+    }
+    
+    // Drag to orbit and scroll to zoom around the car, which the camera keeps following
+    updateOrbit() {
+        const carPosition = this.game.car.mesh.position;
+        const moved = carPosition.clone().sub(this.lastCarPosition);
+        this.lastCarPosition.copy(carPosition);
+        
+        this.game.camera.position.add(moved);
+        this.orbitControls.target.add(moved);
+        this.orbitControls.update();
+    }
+}
@@ -19,6 +19,8 @@ export class Car {
         this.isAirborne = false;
         this.verticalVelocity = 0;
         this.gravity = 20; // Gravity acceleration
+        this.airRollSpeed = 6; // Fast enough for a full barrel roll off a launchpad
+        this.airPitchSpeed = 6; // Pulling back on the brake loops round into a backflip
         
         // Ramp handling
         this.onRamp = false;
@@ -35,6 +37,13 @@ export class Car {
         this.currentTurnAmount = 0;
         this.turnInertia = 0.15; // Controls how quickly turning responds to input changes
         
+        // Tire grip - 1 on a dry road, lower in the wet (set by the simulation from the weather).
+        // With less grip the car spins its wheels, brakes late, drifts sooner and slides wide:
+        // it keeps moving along travelDirection, which only slowly follows where it points.
+        this.grip = 1;
+        this.travelDirection = new THREE.Vector3(0, 0, 1);
+        this.slideRecovery = 2.4;
+        
         // Collision detection
         this.boundingRadius = 1.8;
         this.lastValidPosition = new THREE.Vector3(0, 0.5, 0);
@@ -344,6 +353,12 @@ export class Car {
         headlightLight.target.position.set(0, 0, 20);
         this.mesh.add(headlightLight);
         this.mesh.add(headlightLight.target);
+        this.headlightLight = headlightLight;
+    }
+    
+    // Headlights throw more light after dark (0 = full day, 1 = full night)
+    setHeadlightLevel(night) {
+        this.headlightLight.intensity = 0.5 + night * 1.5;
     }
     
     addPopupHeadlights() {
@@ -488,7 +503,8 @@ export class Car {
         };
     }
     
-    update(inputHandler, deltaTime, obstacles = []) {
+    // `controls` holds analog throttle/brake (0 to 1) and steer (-1 left to 1 right), see InputHandler.getControls
+    update(controls, deltaTime, obstacles = []) {
         // Store the current position as potentially the last valid position
         if (!this.colliding) {
             this.lastValidPosition.copy(this.position);
@@ -496,13 +512,23 @@ export class Car {
         
         // Apply acceleration/deceleration based on input (but not if airborne)
         if (!this.isAirborne) {
-            if (inputHandler.isKeyDown('ArrowUp') || inputHandler.isKeyDown('w')) {
-                // Accelerate forward
-                this.speed += this.acceleration * deltaTime;
-                this.speed = Math.min(this.speed, this.maxSpeed);
-            } else if (inputHandler.isKeyDown('ArrowDown') || inputHandler.isKeyDown('s')) {
+            // Partial throttle accelerates more gently and tops out at a lower speed
+            const throttleSpeed = this.maxSpeed * controls.throttle;
+            
+            if (controls.throttle > 0) {
+                if (this.speed < throttleSpeed) {
+                    // Accelerate forward
+                    this.speed += this.acceleration * this.grip * controls.throttle * deltaTime;
+                    this.speed = Math.min(this.speed, throttleSpeed);
+                } else {
+                    // Held at the limit: anything over top speed (left over from a boost, which
+                    // multiplies the speed every step) drops straight back, and easing off the
+                    // throttle coasts down to its lower limit
+                    this.speed = Math.max(throttleSpeed, Math.min(this.speed, this.maxSpeed) - this.deceleration * deltaTime);
+                }
+            } else if (controls.brake > 0 && controls.throttle === 0) {
                 // Brake/reverse
-                this.speed -= this.braking * deltaTime;
+                this.speed -= this.braking * this.grip * controls.brake * deltaTime;
                 this.speed = Math.max(this.speed, -this.maxSpeed / 2); // Reverse is half of forward speed
             } else {
                 // Decelerate when no input
@@ -524,24 +550,17 @@ export class Car {
                 this.speed = Math.min(this.speed, 0);
             }
             
-            // In air rotation control
-            if (inputHandler.isKeyDown('ArrowLeft') || inputHandler.isKeyDown('a')) {
-                // Roll left in air (fixing direction to match control input)
-                this.rotation.z -= 1.5 * deltaTime;
-            } else if (inputHandler.isKeyDown('ArrowRight') || inputHandler.isKeyDown('d')) {
-                // Roll right in air (fixing direction to match control input)
-                this.rotation.z += 1.5 * deltaTime;
-            }
+            // In air rotation control - roll with the steering (fixing direction to match control input)
+            this.rotation.z += this.airRollSpeed * controls.steer * deltaTime;
             
             // Pitch control (forward/backward tilting)
-            if (inputHandler.isKeyDown('ArrowUp') || inputHandler.isKeyDown('w')) {
-                // Pitch forward
-                this.rotation.x += 0.8 * deltaTime;
+            if (controls.throttle > 0) {
+                // Pitch forward, only far enough to level out a nose-up launch
+                this.rotation.x += 0.8 * controls.throttle * deltaTime;
                 this.rotation.x = Math.min(this.rotation.x, 0.5);
-            } else if (inputHandler.isKeyDown('ArrowDown') || inputHandler.isKeyDown('s')) {
-                // Pitch backward
-                this.rotation.x -= 0.8 * deltaTime;
-                this.rotation.x = Math.max(this.rotation.x, -0.5);
+            } else if (controls.brake > 0) {
+                // Pitch backward - held long enough, the car flips right over
+                this.rotation.x -= this.airPitchSpeed * controls.brake * deltaTime;
             }
         }
         
@@ -555,16 +574,13 @@ export class Car {
             const steeringIntensity = this.getSteeringIntensity();
             let targetTurnAmount = 0;
             
-            if (inputHandler.isKeyDown('ArrowLeft') || inputHandler.isKeyDown('a')) {
-                // Turn left
-                targetTurnAmount = 1;
-                isTurning = true;
-                turnDirection = 1; // Left
-            } else if (inputHandler.isKeyDown('ArrowRight') || inputHandler.isKeyDown('d')) {
-                // Turn right
-                targetTurnAmount = -1;
-                isTurning = true;
-                turnDirection = -1; // Right
+            if (controls.steer !== 0) {
+                // Turn left (positive) or right (negative) as far as the stick is pushed
+                targetTurnAmount = -controls.steer;
+                
+                // Only hard turns break traction
+                isTurning = Math.abs(controls.steer) > 0.5;
+                turnDirection = Math.sign(targetTurnAmount);
             }
             
             // Apply turn inertia for smoother turning
@@ -585,15 +601,23 @@ export class Car {
         }
         
         // Check if we should be drifting (only when not on a ramp)
-        this.isDrifting = isTurning && normalizedSpeed > this.driftThreshold && !this.isAirborne && !this.onRamp;
+        this.isDrifting = isTurning && normalizedSpeed > this.driftThreshold * this.grip && !this.isAirborne && !this.onRamp;
         
         // Create drift marks if drifting
         if (this.isDrifting) {
             this.createDriftMarks(deltaTime, turnDirection);
         }
         
-        // Update velocity and position based on speed and direction
-        this.velocity.copy(this.direction).multiplyScalar(this.speed);
+        // On a slippery road the car slides on the way it was going (unless it has spun right round)
+        const slide = 1 - this.grip;
+        if (slide > 0 && !this.isAirborne && this.travelDirection.dot(this.direction) > 0) {
+            this.travelDirection.lerp(this.direction, Math.min(1, this.slideRecovery * deltaTime / slide)).normalize();
+        } else {
+            this.travelDirection.copy(this.direction);
+        }
+        
+        // Update velocity and position based on speed and direction of travel
+        this.velocity.copy(this.travelDirection).multiplyScalar(this.speed);
         
         // Calculate new position
         const newPosition = this.position.clone().add(this.velocity.clone().multiplyScalar(deltaTime));
@@ -707,9 +731,9 @@ export class Car {
                 // Add landing effect - reduce speed
                 this.speed *= 0.7;
                 
-                // Reset rotation to level gradually
-                this.rotation.x *= 0.5;
-                this.rotation.z *= 0.5;
+                // Reset rotation to level gradually (the shortest way round after rolls and flips)
+                this.rotation.x = normalizeAngle(this.rotation.x) * 0.5;
+                this.rotation.z = normalizeAngle(this.rotation.z) * 0.5;
                 
                 // Create a landing effect - dust particles or something later
                 console.log("Car landed!");
@@ -1011,4 +1035,9 @@ export class Car {
     getBoundingRadius() {
         return this.boundingRadius;
     }
-} 
\ No newline at end of file
+} 
+
+// Wrap an angle into the range -PI to PI
+export function normalizeAngle(angle) {
+    return angle - Math.PI * 2 * Math.round(angle / (Math.PI * 2));
+}
@@ -1,8 +1,21 @@
 import * as THREE from 'three';
+import { SeededRandom } from './random.js';
+
+// Version of the JSON layout format read by City.fromLayout() and written by exportLayout()
+export const LAYOUT_VERSION = 1;
 
 export class City {
-    constructor(scene) {
+    constructor(scene, seed, layout = null) {
         this.scene = scene;
+        
+        // Seeded random generator - every generator below draws from this so that
+        // the same seed always produces the same city
+        this.random = new SeededRandom(seed);
+        this.seed = this.random.seed;
+        
+        // The layout this city was built from (null for generated cities), so it can be rebuilt exactly
+        this.layout = layout;
+        
         this.citySize = 3; // 3x3 grid
         this.blockSize = 50; // Size of each city block
         this.roadWidth = 10; // Width of roads
@@ -24,6 +37,23 @@ export class City {
         // Track open spaces
         this.openSpaces = [];
         
+        // Materials that light up after dark (see setNightLevel) and roads that shine in the rain (see setWetness)
+        this.windowMaterials = [];
+        this.streetlightGlowMaterials = [];
+        this.roadMaterials = [];
+        
+        // Track multi-part features (parks, stadiums, parking lots) and the spawn point
+        // so the generated city can be written back out with exportLayout()
+        this.features = [];
+        this.spawn = null;
+        
+        // Hand-authored layouts can override the grid dimensions
+        if (layout && layout.grid) {
+            this.citySize = layout.grid.citySize ?? this.citySize;
+            this.blockSize = layout.grid.blockSize ?? this.blockSize;
+            this.roadWidth = layout.grid.roadWidth ?? this.roadWidth;
+        }
+        
         // Color palette (80s synthwave palette)
         this.colors = {
             road: 0x222222,        // Dark gray
@@ -51,17 +81,301 @@ export class City {
         // Create the city
         this.createGround();
         
-        // Create open spaces instead of buildings in some areas
-        this.createOpenSpaces();
+        if (layout) {
+            // Build everything described by the layout instead of generating it
+            this.buildFromLayout(layout);
+        } else {
+            // Create open spaces instead of buildings in some areas
+            this.createOpenSpaces();
+            
+            // Create fewer buildings in designated areas
+            //this.createBuildings();
+            //this.createLandmarks();
+            this.createBoundary(); // Add a boundary around the map
+            //this.createRamps();    // Re-enable ramps for fun jumps
+            this.createPhysicsObjects();
+            //this.createAdditionalFeatures(); // Add more map features
+        }
         
-        // Create fewer buildings in designated areas
-        //this.createBuildings();
-        //this.createLandmarks();
-        this.createBoundary(); // Add a boundary around the map
-        //this.createRamps();    // Re-enable ramps for fun jumps
-        this.createPhysicsObjects();
+        // Pedestrians are always generated from the seed
         this.createHumans();
-        //this.createAdditionalFeatures(); // Add more map features
+    }
+    
+    // Create a city from a JSON layout (see LAYOUT_FORMAT.md)
+    static fromLayout(scene, layout) {
+        City.validateLayout(layout);
+        return new City(scene, layout.seed, layout);
+    }
+    
+    // Throw a descriptive error before anything is built if the layout can't be used
+    static validateLayout(layout) {
+        if (!layout || typeof layout !== 'object') {
+            throw new Error('Layout must be a JSON object');
+        }
+        
+        if (layout.version !== LAYOUT_VERSION) {
+            throw new Error(`Unsupported layout version ${layout.version} (expected ${LAYOUT_VERSION})`);
+        }
+        
+        for (const key of ['openSpaces', 'buildings', 'features', 'ramps', 'props']) {
+            if (layout[key] !== undefined && !Array.isArray(layout[key])) {
+                throw new Error(`Layout "${key}" must be an array`);
+            }
+            
+            for (const entry of layout[key] || []) {
+                if (typeof entry.x !== 'number' || typeof entry.z !== 'number') {
+                    throw new Error(`Every entry in layout "${key}" needs numeric x and z`);
+                }
+            }
+        }
+    }
+    
+    buildFromLayout(layout) {
+        // Open spaces only mark areas for pedestrians here - everything inside them is listed explicitly
+        this.openSpaces = (layout.openSpaces || []).map(space => ({
+            x: space.x,
+            z: space.z,
+            radius: space.radius ?? 40
+        }));
+        
+        this.createBoundary();
+        
+        (layout.buildings || []).forEach(building => this.addBuilding(building));
+        (layout.features || []).forEach(feature => this.addFeature(feature));
+        (layout.ramps || []).forEach(ramp => this.addRamp(ramp));
+        (layout.props || []).forEach(prop => this.addProp(prop));
+        
+        if (layout.spawn) {
+            this.spawn = {
+                x: layout.spawn.x,
+                y: layout.spawn.y ?? 0.5,
+                z: layout.spawn.z,
+                rotation: layout.spawn.rotation ?? 0
+            };
+        }
+    }
+    
+    addBuilding(building) {
+        switch (building.type) {
+            case 'building':
+                return this.createBuilding(
+                    building.x, building.z,
+                    building.width ?? 6, building.depth ?? 6, building.height ?? 10,
+                    building.rotation ?? 0,
+                    building.color ?? this.colors.buildingA
+                );
+            case 'skyscraper':
+                return this.createSkyscraper(building.x, building.z);
+            default:
+                console.warn(`Unknown building type in layout: ${building.type}`);
+                return null;
+        }
+    }
+    
+    addFeature(feature) {
+        // Build a multi-part feature; everything it creates is tagged with the feature
+        // entry so exportLayout() writes the feature once instead of all of its parts
+        const entry = { ...feature };
+        const counts = {
+            obstacles: this.obstacles.length,
+            ramps: this.ramps.length,
+            physicsObjects: this.physicsObjects.length
+        };
+        
+        switch (entry.type) {
+            case 'park':
+                this.createPark(entry.x, entry.z);
+                break;
+            case 'parkingLot':
+                this.createParkingLot(entry.x, entry.z, entry.width ?? 15, entry.depth ?? 25);
+                break;
+            case 'stadium':
+                this.createStadium(entry.x, entry.z);
+                break;
+            case 'parkWithLake':
+                this.createParkWithLake(entry.x, entry.z, entry.size ?? 35);
+                break;
+            default:
+                console.warn(`Unknown feature type in layout: ${entry.type}`);
+                return null;
+        }
+        
+        for (const key of Object.keys(counts)) {
+            this[key].slice(counts[key]).forEach(item => {
+                item.feature = entry;
+            });
+        }
+        
+        this.features.push(entry);
+        return entry;
+    }
+    
+    addRamp(ramp) {
+        switch (ramp.type) {
+            case 'ramp':
+                return this.createRamp(ramp.x, ramp.z, ramp.rotation ?? 0);
+            case 'launchpad':
+                return this.createLaunchpad(ramp.x, ramp.z);
+            default:
+                console.warn(`Unknown ramp type in layout: ${ramp.type}`);
+                return null;
+        }
+    }
+    
+    addProp(prop) {
+        switch (prop.type) {
+            case 'trashCan':
+                return this.createTrashCan(prop.x, prop.z);
+            case 'bench':
+                return this.createBench(prop.x, prop.z, prop.rotation ?? 0);
+            case 'streetlight':
+                return this.createStreetlight(prop.x, prop.z);
+            case 'barrel':
+                return this.createBarrel(prop.x, prop.z);
+            case 'crate':
+                return this.createCrate(prop.x, prop.z, prop.rotation);
+            case 'tree':
+                return this.createTree(prop.x, prop.z);
+            case 'fountain':
+                return this.createFountain(prop.x, prop.z);
+            case 'parkedCar':
+                return this.createParkedCar(prop.x, prop.z, prop.rotation ?? 0);
+            default:
+                console.warn(`Unknown prop type in layout: ${prop.type}`);
+                return null;
+        }
+    }
+    
+    // Ramps, launchpads and knockable props that can be placed individually (used by the level editor)
+    getEditableEntities() {
+        return [...this.ramps, ...this.physicsObjects].filter(entity => !entity.feature);
+    }
+    
+    moveEntity(entity, x, z) {
+        if (this.ramps.includes(entity)) {
+            entity.position.set(x, entity.position.y, z);
+            entity.base.position.set(x, entity.base.position.y, z);
+            if (entity.slope) {
+                entity.slope.position.set(x, entity.slope.position.y, z);
+            }
+        } else if (this.physicsObjects.includes(entity)) {
+            // Moving a prop also stands it back up where it was placed
+            entity.originalPosition.set(x, entity.originalPosition.y, z);
+            entity.position.copy(entity.originalPosition);
+            entity.rotation.copy(entity.originalRotation);
+            entity.velocity.set(0, 0, 0);
+            entity.angularVelocity.set(0, 0, 0);
+            entity.isKnockedOver = false;
+            entity.mesh.position.copy(entity.position);
+            entity.mesh.rotation.copy(entity.rotation);
+        }
+    }
+    
+    rotateEntity(entity, rotation) {
+        if (this.ramps.includes(entity)) {
+            // Launchpads work from any direction, so only directional ramps turn
+            if (entity.type !== 'ramp') return;
+            entity.rotation = rotation;
+            entity.base.rotation.y = rotation;
+            entity.slope.rotation.y = rotation;
+        } else if (this.physicsObjects.includes(entity)) {
+            entity.originalRotation.set(0, rotation, 0);
+            entity.rotation.copy(entity.originalRotation);
+            entity.mesh.rotation.copy(entity.rotation);
+        }
+    }
+    
+    removeEntity(entity) {
+        const rampIndex = this.ramps.indexOf(entity);
+        if (rampIndex > -1) {
+            this.ramps.splice(rampIndex, 1);
+            this.scene.remove(entity.base);
+            if (entity.slope) {
+                this.scene.remove(entity.slope);
+            }
+            return true;
+        }
+        
+        const objectIndex = this.physicsObjects.indexOf(entity);
+        if (objectIndex > -1) {
+            this.physicsObjects.splice(objectIndex, 1);
+            this.scene.remove(entity.mesh);
+            return true;
+        }
+        
+        return false;
+    }
+    
+    // Serialize the current city (generated or loaded) into the JSON layout format
+    exportLayout() {
+        const round = value => Math.round(value * 1000) / 1000;
+        const isStandalone = item => !item.feature;
+        
+        const buildings = [];
+        const props = [];
+        
+        for (const obstacle of this.obstacles.filter(isStandalone)) {
+            const { x, z } = obstacle.position;
+            
+            if (obstacle.type === 'building') {
+                const { width, height, depth } = obstacle.mesh.geometry.parameters;
+                buildings.push({
+                    type: 'building',
+                    x: round(x),
+                    z: round(z),
+                    width: round(width),
+                    depth: round(depth),
+                    height: round(height),
+                    rotation: round(obstacle.mesh.rotation.y),
+                    color: obstacle.mesh.material.color.getHex()
+                });
+            } else if (obstacle.type === 'skyscraper') {
+                buildings.push({ type: 'skyscraper', x: round(x), z: round(z) });
+            } else if (obstacle.type === 'tree' || obstacle.type === 'fountain') {
+                props.push({ type: obstacle.type, x: round(x), z: round(z) });
+            } else if (obstacle.type === 'parkedCar') {
+                props.push({ type: 'parkedCar', x: round(x), z: round(z), rotation: round(obstacle.mesh.rotation.y) });
+            }
+        }
+        
+        for (const obj of this.physicsObjects.filter(isStandalone)) {
+            props.push({
+                type: obj.type,
+                x: round(obj.originalPosition.x),
+                z: round(obj.originalPosition.z),
+                rotation: round(obj.originalRotation.y)
+            });
+        }
+        
+        const ramps = this.ramps.filter(isStandalone).map(ramp => {
+            if (ramp.type === 'launchpad') {
+                return { type: 'launchpad', x: round(ramp.position.x), z: round(ramp.position.z) };
+            }
+            return { type: 'ramp', x: round(ramp.position.x), z: round(ramp.position.z), rotation: round(ramp.rotation) };
+        });
+        
+        const spawn = this.getSpawnPosition();
+        
+        return {
+            version: LAYOUT_VERSION,
+            seed: this.seed,
+            grid: {
+                citySize: this.citySize,
+                blockSize: this.blockSize,
+                roadWidth: this.roadWidth
+            },
+            spawn: {
+                x: round(spawn.x),
+                y: round(spawn.y),
+                z: round(spawn.z),
+                rotation: round(spawn.rotation)
+            },
+            openSpaces: this.openSpaces.map(space => ({ x: round(space.x), z: round(space.z), radius: round(space.radius) })),
+            buildings: buildings,
+            features: this.features.map(feature => ({ ...feature })),
+            ramps: ramps,
+            props: props
+        };
     }
     
     // Create large open spaces for driving
@@ -90,14 +404,14 @@ export class City {
             const treeCount = Math.floor(space.radius / 40); // Much fewer trees (was 20)
             
             for (let i = 0; i < treeCount; i++) {
-                const angle = Math.random() * Math.PI * 2;
+                const angle = this.random.next() * Math.PI * 2;
                 // Position trees mostly at the edges
-                const distance = space.radius * 0.7 + Math.random() * (space.radius * 0.2);
+                const distance = space.radius * 0.7 + this.random.next() * (space.radius * 0.2);
                 const x = space.x + Math.cos(angle) * distance;
                 const z = space.z + Math.sin(angle) * distance;
                 
                 // Even lower chance of adding trees
-                if (Math.random() < 0.2) { // Reduced from 0.3
+                if (this.random.next() < 0.2) { // Reduced from 0.3
                     this.createTree(x, z);
                 }
             }
@@ -150,10 +464,10 @@ export class City {
                 // Only generate buildings if not in an open space
                 if (!inOpenSpace) {
                     // Randomly decide if this block will be a park
-                    const isPark = Math.random() < 0.2;
+                    const isPark = this.random.next() < 0.2;
                     
                     if (isPark) {
-                        this.createPark(blockX, blockZ);
+                        this.addFeature({ type: 'park', x: blockX, z: blockZ });
                     } else {
                         this.generateBuildingsForBlock(blockX, blockZ, row, col);
                     }
@@ -172,7 +486,7 @@ export class City {
         const maxBuildingsPerBlock = 5; // Maximum number of buildings per block
         
         // Determine number of buildings for this block (1-5)
-        const numBuildings = Math.floor(Math.random() * maxBuildingsPerBlock) + 1;
+        const numBuildings = Math.floor(this.random.next() * maxBuildingsPerBlock) + 1;
         
         // Available area within the block
         const availableWidth = this.blockSize - buildingSpacing * 2;
@@ -181,9 +495,9 @@ export class City {
         // Generate buildings
         for (let i = 0; i < numBuildings; i++) {
             // Generate random building dimensions
-            const buildingWidth = minBuildingSize + Math.random() * (maxBuildingSize - minBuildingSize);
-            const buildingDepth = minBuildingSize + Math.random() * (maxBuildingSize - minBuildingSize);
-            const buildingHeight = minBuildingHeight + Math.random() * (maxBuildingHeight - minBuildingHeight);
+            const buildingWidth = minBuildingSize + this.random.next() * (maxBuildingSize - minBuildingSize);
+            const buildingDepth = minBuildingSize + this.random.next() * (maxBuildingSize - minBuildingSize);
+            const buildingHeight = minBuildingHeight + this.random.next() * (maxBuildingHeight - minBuildingHeight);
             
             // Calculate position within the block
             let x, z;
@@ -194,49 +508,55 @@ export class City {
                 z = blockZ;
             } else {
                 // Otherwise, position it randomly within the block
-                x = blockX - (availableWidth / 2) + buildingWidth/2 + Math.random() * (availableWidth - buildingWidth);
-                z = blockZ - (availableDepth / 2) + buildingDepth/2 + Math.random() * (availableDepth - buildingDepth);
+                x = blockX - (availableWidth / 2) + buildingWidth/2 + this.random.next() * (availableWidth - buildingWidth);
+                z = blockZ - (availableDepth / 2) + buildingDepth/2 + this.random.next() * (availableDepth - buildingDepth);
             }
             
             // Random rotation (typically 0, 90, 180, or 270 degrees)
-            const rotation = Math.floor(Math.random() * 4) * (Math.PI / 2);
+            const rotation = Math.floor(this.random.next() * 4) * (Math.PI / 2);
             
             // Generate random color index
             const colorKeys = Object.keys(this.colors).filter(key => key.startsWith('building'));
-            const colorKey = colorKeys[Math.floor(Math.random() * colorKeys.length)];
+            const colorKey = colorKeys[Math.floor(this.random.next() * colorKeys.length)];
             const buildingColor = this.colors[colorKey];
             
-            // Create building geometry and material
-            const geometry = new THREE.BoxGeometry(buildingWidth, buildingHeight, buildingDepth);
-            const material = new THREE.MeshStandardMaterial({
-                color: buildingColor,
-                roughness: 0.7,
-                metalness: 0.2
-            });
-            
-            // Create the building mesh
-            const building = new THREE.Mesh(geometry, material);
-            building.position.set(x, buildingHeight / 2, z);
-            building.rotation.y = rotation;
-            building.castShadow = true;
-            building.receiveShadow = true;
-            
-            // Add windows
-            this.addWindowsToBuilding(building, buildingWidth, buildingHeight, buildingDepth);
-            
-            // Add building to the scene
-            this.scene.add(building);
-            
-            // Add building to obstacles for collision detection
-            this.obstacles.push({
-                position: new THREE.Vector3(x, buildingHeight / 2, z),
-                boundingRadius: Math.sqrt(Math.pow(buildingWidth / 2, 2) + Math.pow(buildingDepth / 2, 2)),
-                type: 'building',
-                mesh: building
-            });
+            this.createBuilding(x, z, buildingWidth, buildingDepth, buildingHeight, rotation, buildingColor);
         }
     }
     
+    createBuilding(x, z, buildingWidth, buildingDepth, buildingHeight, rotation, buildingColor) {
+        // Create building geometry and material
+        const geometry = new THREE.BoxGeometry(buildingWidth, buildingHeight, buildingDepth);
+        const material = new THREE.MeshStandardMaterial({
+            color: buildingColor,
+            roughness: 0.7,
+            metalness: 0.2
+        });
+        
+        // Create the building mesh
+        const building = new THREE.Mesh(geometry, material);
+        building.position.set(x, buildingHeight / 2, z);
+        building.rotation.y = rotation;
+        building.castShadow = true;
+        building.receiveShadow = true;
+        
+        // Add windows
+        this.addWindowsToBuilding(building, buildingWidth, buildingHeight, buildingDepth);
+        
+        // Add building to the scene
+        this.scene.add(building);
+        
+        // Add building to obstacles for collision detection
+        const obstacle = {
+            position: new THREE.Vector3(x, buildingHeight / 2, z),
+            boundingRadius: Math.sqrt(Math.pow(buildingWidth / 2, 2) + Math.pow(buildingDepth / 2, 2)),
+            type: 'building',
+            mesh: building
+        };
+        this.obstacles.push(obstacle);
+        return obstacle;
+    }
+    
     addWindowsToBuilding(building, width, height, depth) {
         // Window parameters
         const windowSize = 0.5;
@@ -250,6 +570,7 @@ export class City {
             transparent: true,
             opacity: 0.8
         });
+        this.windowMaterials.push(windowMaterial);
         
         // Calculate number of windows per floor and number of floors
         const windowsPerWidth = Math.floor((width - 1) / windowSpacing);
@@ -300,7 +621,7 @@ export class City {
                     }
                     
                     // Randomly skip some windows
-                    if (Math.random() > 0.2) {
+                    if (this.random.next() > 0.2) {
                         building.add(windowMesh);
                     }
                 }
@@ -346,18 +667,18 @@ export class City {
         // Create hills of various sizes in the open spaces
         for (const space of this.openSpaces) {
             // Create 3-5 hills in each open space
-            const hillCount = 3 + Math.floor(Math.random() * 3);
+            const hillCount = 3 + Math.floor(this.random.next() * 3);
             
             for (let i = 0; i < hillCount; i++) {
                 // Random position within the open space (but not at the very center)
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * space.radius * 0.6; // Not too close to the edge
+                const angle = this.random.next() * Math.PI * 2;
+                const distance = this.random.next() * space.radius * 0.6; // Not too close to the edge
                 const x = space.x + Math.cos(angle) * distance;
                 const z = space.z + Math.sin(angle) * distance;
                 
                 // Random hill size
-                const hillRadius = 10 + Math.random() * 15;
-                const hillHeight = 3 + Math.random() * 4;
+                const hillRadius = 10 + this.random.next() * 15;
+                const hillHeight = 3 + this.random.next() * 4;
                 
                 this.createHill(x, z, hillRadius, hillHeight);
             }
@@ -444,26 +765,26 @@ export class City {
         // Add regular humans around the city
         for (let i = 0; i < humanCount; i++) {
             // Choose a random road to place the human near
-            const isHorizontal = Math.random() > 0.5;
+            const isHorizontal = this.random.next() > 0.5;
             const roadArray = isHorizontal ? this.roads.horizontal : this.roads.vertical;
-            const roadIndex = Math.floor(Math.random() * roadArray.length);
+            const roadIndex = Math.floor(this.random.next() * roadArray.length);
             const road = roadArray[roadIndex];
             
             // Position on or near the road
             const roadPos = isHorizontal ? road.centerZ : road.centerX;
-            const offset = (Math.random() > 0.3) ? 
-                           (Math.random() * road.width / 2) :   // On the road (30% chance)
-                           (road.width / 2 + Math.random() * 2); // On the sidewalk (70% chance)
-            const sideOffset = (Math.random() > 0.5 ? 1 : -1) * offset;
+            const offset = (this.random.next() > 0.3) ? 
+                           (this.random.next() * road.width / 2) :   // On the road (30% chance)
+                           (road.width / 2 + this.random.next() * 2); // On the sidewalk (70% chance)
+            const sideOffset = (this.random.next() > 0.5 ? 1 : -1) * offset;
             
             // Calculate position
             let x, z;
             if (isHorizontal) {
-                x = (Math.random() * totalSize) - halfTotalSize;
+                x = (this.random.next() * totalSize) - halfTotalSize;
                 z = roadPos + sideOffset;
             } else {
                 x = roadPos + sideOffset;
-                z = (Math.random() * totalSize) - halfTotalSize;
+                z = (this.random.next() * totalSize) - halfTotalSize;
             }
             
             // Create human at this position
@@ -476,13 +797,13 @@ export class City {
             const spaceHumanCount = 10 + Math.floor(space.radius / 6); 
             
             for (let i = 0; i < spaceHumanCount; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * space.radius * 0.9;
+                const angle = this.random.next() * Math.PI * 2;
+                const distance = this.random.next() * space.radius * 0.9;
                 const x = space.x + Math.cos(angle) * distance;
                 const z = space.z + Math.sin(angle) * distance;
                 
                 // Create human with random walking direction
-                this.createHuman(x, z, Math.random() > 0.5);
+                this.createHuman(x, z, this.random.next() > 0.5);
             }
         }
     }
@@ -507,6 +828,7 @@ export class City {
                 roughness: 0.9,
                 metalness: 0.1
             });
+            this.roadMaterials.push(roadMaterial);
             const horizontalRoad = new THREE.Mesh(horizontalRoadGeometry, roadMaterial);
             horizontalRoad.position.set(0, 0.01, roadPosition); // Slightly above ground to prevent z-fighting
             horizontalRoad.rotation.x = -Math.PI / 2;
@@ -558,6 +880,7 @@ export class City {
                 roughness: 0.9,
                 metalness: 0.1
             });
+            this.roadMaterials.push(roadMaterial);
             const verticalRoad = new THREE.Mesh(verticalRoadGeometry, roadMaterial);
             verticalRoad.position.set(roadPosition, 0.01, 0); // Slightly above ground to prevent z-fighting
             verticalRoad.rotation.x = -Math.PI / 2;
@@ -595,6 +918,9 @@ export class City {
     }
     
     addRoadMarkings(totalSize, halfTotalSize) {
+        // Road markings are purely decorative and need a canvas, so skip them when running headless
+        if (typeof document === 'undefined') return;
+        
         // Create dashed line texture for road markings
         const canvas = document.createElement('canvas');
         canvas.width = 128;
@@ -731,6 +1057,7 @@ export class City {
             mesh: base // Reference the base for simplicity
         };
         this.obstacles.push(obstacle);
+        return obstacle;
     }
     
     createTree(x, z) {
@@ -768,6 +1095,7 @@ export class City {
             mesh: trunk // Just reference the trunk for simplicity
         };
         this.obstacles.push(obstacle);
+        return obstacle;
     }
     
     createLandmarks() {
@@ -840,6 +1168,7 @@ export class City {
             mesh: base // Reference the base for simplicity
         };
         this.obstacles.push(obstacle);
+        return obstacle;
     }
     
     createRamps() {
@@ -964,7 +1293,7 @@ export class City {
         base.add(glow);
         
         // Add to ramps array
-        this.ramps.push({
+        const ramp = {
             type: 'ramp',
             position: new THREE.Vector3(x, 0.5, z),
             rotation: rotation,
@@ -974,7 +1303,9 @@ export class City {
             jumpStrength: 18, // Increased jump strength for better jumps
             base: base,
             slope: slope
-        });
+        };
+        this.ramps.push(ramp);
+        return ramp;
     }
     
     createPhysicsObjects() {
@@ -985,24 +1316,24 @@ export class City {
         // Create trash cans near sidewalks
         for (let i = 0; i < 20; i++) {
             // Choose a random road
-            const isHorizontal = Math.random() > 0.5;
+            const isHorizontal = this.random.next() > 0.5;
             const roadArray = isHorizontal ? this.roads.horizontal : this.roads.vertical;
-            const roadIndex = Math.floor(Math.random() * roadArray.length);
+            const roadIndex = Math.floor(this.random.next() * roadArray.length);
             const road = roadArray[roadIndex];
             
             // Position slightly off the road on the sidewalk
             const roadPos = isHorizontal ? road.centerZ : road.centerX;
             const offset = (road.width / 2) + 1.5; // Place on sidewalk
-            const sideOffset = (Math.random() > 0.5 ? 1 : -1) * offset;
+            const sideOffset = (this.random.next() > 0.5 ? 1 : -1) * offset;
             
             // Calculate position
             let x, z;
             if (isHorizontal) {
-                x = (Math.random() * totalSize) - halfTotalSize;
+                x = (this.random.next() * totalSize) - halfTotalSize;
                 z = roadPos + sideOffset;
             } else {
                 x = roadPos + sideOffset;
-                z = (Math.random() * totalSize) - halfTotalSize;
+                z = (this.random.next() * totalSize) - halfTotalSize;
             }
             
             // Create a trash can
@@ -1012,26 +1343,26 @@ export class City {
         // Add benches and streetlights too
         for (let i = 0; i < 15; i++) {
             // Similar placement logic as trash cans
-            const isHorizontal = Math.random() > 0.5;
+            const isHorizontal = this.random.next() > 0.5;
             const roadArray = isHorizontal ? this.roads.horizontal : this.roads.vertical;
-            const roadIndex = Math.floor(Math.random() * roadArray.length);
+            const roadIndex = Math.floor(this.random.next() * roadArray.length);
             const road = roadArray[roadIndex];
             
             const roadPos = isHorizontal ? road.centerZ : road.centerX;
             const offset = (road.width / 2) + 1.5; // Place on sidewalk
-            const sideOffset = (Math.random() > 0.5 ? 1 : -1) * offset;
+            const sideOffset = (this.random.next() > 0.5 ? 1 : -1) * offset;
             
             let x, z;
             if (isHorizontal) {
-                x = (Math.random() * totalSize) - halfTotalSize;
+                x = (this.random.next() * totalSize) - halfTotalSize;
                 z = roadPos + sideOffset;
             } else {
                 x = roadPos + sideOffset;
-                z = (Math.random() * totalSize) - halfTotalSize;
+                z = (this.random.next() * totalSize) - halfTotalSize;
             }
             
             // Create a bench or streetlight
-            if (Math.random() > 0.5) {
+            if (this.random.next() > 0.5) {
                 const rotation = isHorizontal ? 0 : Math.PI / 2;
                 this.createBench(x, z, rotation);
             } else {
@@ -1050,18 +1381,18 @@ export class City {
             const objectCount = Math.floor(space.radius / 6); // Plenty of objects
             
             for (let i = 0; i < objectCount; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * space.radius * 0.8;
+                const angle = this.random.next() * Math.PI * 2;
+                const distance = this.random.next() * space.radius * 0.8;
                 const x = space.x + Math.cos(angle) * distance;
                 const z = space.z + Math.sin(angle) * distance;
                 
                 // Choose a random object type
-                const objectType = Math.random();
+                const objectType = this.random.next();
                 
                 if (objectType < 0.3) {
                     this.createTrashCan(x, z);
                 } else if (objectType < 0.5) {
-                    const rotation = Math.random() * Math.PI * 2;
+                    const rotation = this.random.next() * Math.PI * 2;
                     this.createBench(x, z, rotation);
                 } else if (objectType < 0.7) {
                     this.createStreetlight(x, z);
@@ -1133,7 +1464,7 @@ export class City {
         barrel.add(symbol);
         
         // Add to physics objects array
-        this.physicsObjects.push({
+        const physicsObject = {
             type: 'barrel',
             position: new THREE.Vector3(x, barrelHeight/2, z),
             rotation: new THREE.Euler(0, 0, 0),
@@ -1146,10 +1477,12 @@ export class City {
             height: barrelHeight,
             isKnockedOver: false,
             mesh: barrel
-        });
+        };
+        this.physicsObjects.push(physicsObject);
+        return physicsObject;
     }
     
-    createCrate(x, z) {
+    createCrate(x, z, rotation = this.random.next() * Math.PI * 0.25) {
         // Create a wooden crate
         const crateSize = 1.5;
         const crateGeometry = new THREE.BoxGeometry(crateSize, crateSize, crateSize);
@@ -1172,12 +1505,11 @@ export class City {
         const wireframe = new THREE.LineSegments(edges, edgeMaterial);
         crate.add(wireframe);
         
-        // Random rotation
-        const rotation = Math.random() * Math.PI * 0.25;
+        // Random rotation unless one was given
         crate.rotation.y = rotation;
         
         // Add to physics objects array
-        this.physicsObjects.push({
+        const physicsObject = {
             type: 'crate',
             position: new THREE.Vector3(x, crateSize/2, z),
             rotation: new THREE.Euler(0, rotation, 0),
@@ -1190,7 +1522,9 @@ export class City {
             height: crateSize,
             isKnockedOver: false,
             mesh: crate
-        });
+        };
+        this.physicsObjects.push(physicsObject);
+        return physicsObject;
     }
     
     createTrashCan(x, z) {
@@ -1225,7 +1559,7 @@ export class City {
         trashCan.add(lid);
         
         // Add to physics objects array
-        this.physicsObjects.push({
+        const physicsObject = {
             type: 'trashCan',
             position: new THREE.Vector3(x, trashCanHeight/2, z),
             rotation: new THREE.Euler(0, 0, 0),
@@ -1238,7 +1572,9 @@ export class City {
             height: trashCanHeight,
             isKnockedOver: false,
             mesh: trashCan
-        });
+        };
+        this.physicsObjects.push(physicsObject);
+        return physicsObject;
     }
     
     createHuman(x, z, walkHorizontal) {
@@ -1247,7 +1583,7 @@ export class City {
         
         // Choose a random color for clothing
         const colors = [0x2266DD, 0xDD2222, 0x22DD22, 0xDDDD22, 0xDD22DD, 0x22DDDD];
-        const clothingColor = colors[Math.floor(Math.random() * colors.length)];
+        const clothingColor = colors[Math.floor(this.random.next() * colors.length)];
         
         // Body
         const bodyGeometry = new THREE.CapsuleGeometry(0.3, 0.8, 4, 8);
@@ -1319,7 +1655,7 @@ export class City {
         humanGroup.position.set(x, 0, z); // Ensure Y is 0 to be on the ground
         
         // Set random rotation (facing direction)
-        const rotation = Math.random() * Math.PI * 2;
+        const rotation = this.random.next() * Math.PI * 2;
         humanGroup.rotation.y = rotation;
         
         // Add to scene
@@ -1332,11 +1668,11 @@ export class City {
             position: new THREE.Vector3(x, 0, z), // Set Y to 0 for ground level
             velocity: new THREE.Vector3(0, 0, 0),
             rotation: rotation,
-            walkSpeed: 2 + Math.random() * 2, // Random walking speed
+            walkSpeed: 2 + this.random.next() * 2, // Random walking speed
             walkHorizontal: walkHorizontal,
             state: 'walking', // walking, fleeing, dead
             runningFrom: null, // Will store the car position when fleeing
-            fleeSpeed: 5 + Math.random() * 3, // Faster than walking
+            fleeSpeed: 5 + this.random.next() * 3, // Faster than walking
             detectionRadius: 15, // How far they can "see" the car
             pointValue: 100,
             isDead: false,
@@ -1347,8 +1683,8 @@ export class City {
                 rightLeg: rightLeg
             },
             animationState: {
-                legForward: Math.random() < 0.5, // Randomly start with left or right leg forward
-                animSpeed: 2 + Math.random(), // Random animation speed for variety
+                legForward: this.random.next() < 0.5, // Randomly start with left or right leg forward
+                animSpeed: 2 + this.random.next(), // Random animation speed for variety
                 walkCycle: 0
             },
             boundingRadius: 0.4 // Collision radius
@@ -1362,6 +1698,11 @@ export class City {
     
     // Helper method to get a good spawn position on a road
     getSpawnPosition() {
+        // Layouts can place the spawn point explicitly
+        if (this.spawn) {
+            return { ...this.spawn };
+        }
+        
         // Choose a horizontal road in the middle of the city
         const horizontalRoadIndex = Math.floor(this.citySize / 2);
         const roadInfo = this.roads.horizontal[horizontalRoadIndex];
@@ -1375,6 +1716,13 @@ export class City {
         };
     }
     
+    // How far from the centre the car may drive along either axis before the boundary pushes it back
+    getBoundaryLimit() {
+        const totalSize = this.citySize * this.blockSize + (this.citySize + 1) * this.roadWidth;
+        const buffer = 10; // Keep the car a bit away from the edge
+        return totalSize / 2 - buffer;
+    }
+    
     // Method to get all obstacles for collision detection
     getObstacles() {
         return this.obstacles;
@@ -1472,12 +1820,12 @@ export class City {
                 }
                 
                 // Randomize building properties
-                const height = boundaryHeight + (Math.random() * 10 - 5); // Vary height
+                const height = boundaryHeight + (this.random.next() * 10 - 5); // Vary height
                 const width = (index % 2 === 0) ? segmentSize : boundary.width;
                 const depth = (index % 2 === 0) ? boundary.depth : segmentSize;
                 
                 // Create building with random material from the set
-                const material = materials[Math.floor(Math.random() * materials.length)];
+                const material = materials[Math.floor(this.random.next() * materials.length)];
                 const geometry = new THREE.BoxGeometry(width, height, depth);
                 const building = new THREE.Mesh(geometry, material);
                 
@@ -1577,18 +1925,18 @@ export class City {
         const halfTotalSize = totalSize / 2;
         
         // 1. Add parking lots
-        this.createParkingLot(-halfTotalSize + 20, 0, 15, 25);
-        this.createParkingLot(halfTotalSize - 20, halfTotalSize - 30, 15, 25);
+        this.addFeature({ type: 'parkingLot', x: -halfTotalSize + 20, z: 0, width: 15, depth: 25 });
+        this.addFeature({ type: 'parkingLot', x: halfTotalSize - 20, z: halfTotalSize - 30, width: 15, depth: 25 });
         
         // 2. Add some decorative elements (trees, benches, streetlights)
         // Add trees along some roads
         this.addStreetDecorations();
         
         // 3. Add a stadium
-        this.createStadium(halfTotalSize - 40, -halfTotalSize + 40);
+        this.addFeature({ type: 'stadium', x: halfTotalSize - 40, z: -halfTotalSize + 40 });
         
         // 4. Add a park with a lake
-        this.createParkWithLake(-halfTotalSize + 40, -halfTotalSize + 40, 35);
+        this.addFeature({ type: 'parkWithLake', x: -halfTotalSize + 40, z: -halfTotalSize + 40, size: 35 });
     }
     
     createParkingLot(x, z, width, depth) {
@@ -1610,6 +1958,39 @@ export class City {
         const rows = Math.floor(depth / spaceDepth) - 1;
         const spotsPerRow = Math.floor(width / spaceWidth) - 1;
         
+        // Painted parking spot lines
+        this.addParkingLotLines(x, z, width, depth);
+        
+        // Add a few cars in the parking lot
+        const carPositions = [];
+        for (let i = 0; i < 5; i++) {
+            const row = Math.floor(this.random.next() * rows);
+            const spot = Math.floor(this.random.next() * spotsPerRow);
+            
+            // Calculate car position
+            const carX = x - width/2 + spaceWidth/2 + spot * spaceWidth;
+            const carZ = z - depth/2 + spaceDepth/2 + row * spaceDepth;
+            
+            // Check if spot is already taken
+            let spotTaken = false;
+            for (const pos of carPositions) {
+                if (Math.abs(pos.x - carX) < 2 && Math.abs(pos.z - carZ) < 4) {
+                    spotTaken = true;
+                    break;
+                }
+            }
+            
+            if (!spotTaken) {
+                carPositions.push({ x: carX, z: carZ });
+                this.createParkedCar(carX, carZ, this.random.next() > 0.5 ? 0 : Math.PI/2);
+            }
+        }
+    }
+    
+    addParkingLotLines(x, z, width, depth) {
+        // The lines are drawn on a canvas, which isn't available when running headless
+        if (typeof document === 'undefined') return;
+        
         // Create a canvas for the parking lot texture
         const canvas = document.createElement('canvas');
         canvas.width = 512;
@@ -1641,31 +2022,6 @@ export class City {
         lines.rotation.x = -Math.PI / 2;
         lines.position.set(x, 0.03, z);
         this.scene.add(lines);
-        
-        // Add a few cars in the parking lot
-        const carPositions = [];
-        for (let i = 0; i < 5; i++) {
-            const row = Math.floor(Math.random() * rows);
-            const spot = Math.floor(Math.random() * spotsPerRow);
-            
-            // Calculate car position
-            const carX = x - width/2 + spaceWidth/2 + spot * spaceWidth;
-            const carZ = z - depth/2 + spaceDepth/2 + row * spaceDepth;
-            
-            // Check if spot is already taken
-            let spotTaken = false;
-            for (const pos of carPositions) {
-                if (Math.abs(pos.x - carX) < 2 && Math.abs(pos.z - carZ) < 4) {
-                    spotTaken = true;
-                    break;
-                }
-            }
-            
-            if (!spotTaken) {
-                carPositions.push({ x: carX, z: carZ });
-                this.createParkedCar(carX, carZ, Math.random() > 0.5 ? 0 : Math.PI/2);
-            }
-        }
     }
     
     createParkedCar(x, z, rotation) {
@@ -1676,7 +2032,7 @@ export class City {
         
         // Random color
         const colors = [0x0000FF, 0xFF0000, 0x00FF00, 0xFFFF00, 0x00FFFF, 0xFFFFFF, 0x888888];
-        const color = colors[Math.floor(Math.random() * colors.length)];
+        const color = colors[Math.floor(this.random.next() * colors.length)];
         
         // Car body
         const bodyGeometry = new THREE.BoxGeometry(carWidth, carHeight, carLength);
@@ -1700,6 +2056,7 @@ export class City {
             mesh: body
         };
         this.obstacles.push(obstacle);
+        return obstacle;
     }
     
     addStreetDecorations() {
@@ -1713,13 +2070,13 @@ export class City {
             
             // Add decorations along the length of the road (on the sidewalk)
             for (let x = -halfTotalSize + 10; x < halfTotalSize; x += 15) {
-                if (Math.random() < 0.3) {
+                if (this.random.next() < 0.3) {
                     // Add a tree
-                    const offset = (Math.random() > 0.5 ? 1 : -1) * (this.roadWidth/2 + 1);
+                    const offset = (this.random.next() > 0.5 ? 1 : -1) * (this.roadWidth/2 + 1);
                     this.createTree(x, zPos + offset);
-                } else if (Math.random() < 0.3) {
+                } else if (this.random.next() < 0.3) {
                     // Add a streetlight
-                    const offset = (Math.random() > 0.5 ? 1 : -1) * (this.roadWidth/2 + 1);
+                    const offset = (this.random.next() > 0.5 ? 1 : -1) * (this.roadWidth/2 + 1);
                     this.createStreetlight(x, zPos + offset);
                 }
             }
@@ -1731,13 +2088,13 @@ export class City {
             
             // Add decorations along the length of the road (on the sidewalk)
             for (let z = -halfTotalSize + 10; z < halfTotalSize; z += 15) {
-                if (Math.random() < 0.3) {
+                if (this.random.next() < 0.3) {
                     // Add a tree
-                    const offset = (Math.random() > 0.5 ? 1 : -1) * (this.roadWidth/2 + 1);
+                    const offset = (this.random.next() > 0.5 ? 1 : -1) * (this.roadWidth/2 + 1);
                     this.createTree(xPos + offset, z);
-                } else if (Math.random() < 0.3) {
+                } else if (this.random.next() < 0.3) {
                     // Add a streetlight
-                    const offset = (Math.random() > 0.5 ? 1 : -1) * (this.roadWidth/2 + 1);
+                    const offset = (this.random.next() > 0.5 ? 1 : -1) * (this.roadWidth/2 + 1);
                     this.createStreetlight(xPos + offset, z);
                 }
             }
@@ -1787,12 +2144,13 @@ export class City {
             transparent: true,
             opacity: 0.4
         });
+        this.streetlightGlowMaterials.push(glowMaterial);
         const glow = new THREE.Mesh(glowGeometry, glowMaterial);
         glow.position.set(0, -0.2, 0);
         fixture.add(glow);
         
         // Add to physics objects for interactive behavior
-        this.physicsObjects.push({
+        const physicsObject = {
             type: 'streetlight',
             position: new THREE.Vector3(x, poleHeight/2, z),
             rotation: new THREE.Euler(0, 0, 0),
@@ -1812,7 +2170,30 @@ export class City {
                 height: poleHeight,
                 position: new THREE.Vector3(0, 0, 0) // Local position within the group
             }
-        });
+        };
+        this.physicsObjects.push(physicsObject);
+        return physicsObject;
+    }
+    
+    // Windows and streetlight glows brighten as it gets dark (0 = full day, 1 = full night)
+    setNightLevel(night) {
+        for (const material of this.windowMaterials) {
+            material.emissiveIntensity = 0.2 + night * 0.8;
+        }
+        for (const material of this.streetlightGlowMaterials) {
+            material.opacity = 0.4 + night * 0.5;
+        }
+    }
+    
+    // Rain darkens the roads and gives them a shine (0 = dry, 1 = soaked), reflecting `envMap` if given
+    setWetness(wetness, envMap = null) {
+        for (const material of this.roadMaterials) {
+            material.color.setHex(this.colors.road).multiplyScalar(1 - wetness * 0.4);
+            material.roughness = 0.9 - wetness * 0.6;
+            material.metalness = 0.1 + wetness * 0.3;
+            material.envMap = wetness > 0 ? envMap : null;
+            material.envMapIntensity = wetness;
+        }
     }
     
     createBench(x, z, rotation) {
@@ -1857,7 +2238,7 @@ export class City {
         benchGroup.add(rightLeg);
         
         // Add to physics objects for interactive behavior
-        this.physicsObjects.push({
+        const physicsObject = {
             type: 'bench',
             position: new THREE.Vector3(x, benchHeight/2, z),
             rotation: new THREE.Euler(0, rotation, 0),
@@ -1870,7 +2251,9 @@ export class City {
             height: benchHeight,
             isKnockedOver: false,
             mesh: benchGroup
-        });
+        };
+        this.physicsObjects.push(physicsObject);
+        return physicsObject;
     }
     
     createStadium(x, z) {
@@ -1994,8 +2377,8 @@ export class City {
         for (const stand of [northStand, southStand]) {
             for (let row = 0; row < spectatorRows; row++) {
                 for (let i = 0; i < spectatorsPerRow; i++) {
-                    if (Math.random() < 0.7) { // 70% chance to have a spectator
-                        const spectatorColor = Math.random() > 0.5 ? 0xFF0000 : 0x0000FF; // Red or blue team
+                    if (this.random.next() < 0.7) { // 70% chance to have a spectator
+                        const spectatorColor = this.random.next() > 0.5 ? 0xFF0000 : 0x0000FF; // Red or blue team
                         const spectatorGeometry = new THREE.BoxGeometry(0.4, 0.8, 0.4);
                         const spectatorMaterial = new THREE.MeshBasicMaterial({ color: spectatorColor });
                         const spectator = new THREE.Mesh(spectatorGeometry, spectatorMaterial);
@@ -2045,7 +2428,7 @@ export class City {
         const numTrees = 20;
         for (let i = 0; i < numTrees; i++) {
             const angle = (i / numTrees) * Math.PI * 2;
-            const radius = size * 0.7 + Math.random() * (size * 0.2); // Trees around the perimeter
+            const radius = size * 0.7 + this.random.next() * (size * 0.2); // Trees around the perimeter
             const treeX = x + Math.cos(angle) * radius;
             const treeZ = z + Math.sin(angle) * radius;
             
@@ -2055,7 +2438,7 @@ export class City {
         // Add a few benches
         for (let i = 0; i < 6; i++) {
             const angle = (i / 6) * Math.PI * 2;
-            const radius = size * 0.4 + Math.random() * (size * 0.1); // Benches between lake and trees
+            const radius = size * 0.4 + this.random.next() * (size * 0.1); // Benches between lake and trees
             const benchX = x + Math.cos(angle) * radius;
             const benchZ = z + Math.sin(angle) * radius;
             
@@ -2142,7 +2525,7 @@ export class City {
         base.add(glow);
         
         // Add to ramps array (using same array for compatibility with existing code)
-        this.ramps.push({
+        const launchpad = {
             type: 'launchpad',
             position: new THREE.Vector3(x, launchpadHeight, z),
             radius: launchpadRadius,
@@ -2151,6 +2534,8 @@ export class City {
             omnidirectional: true, // Flag to indicate this is an omnidirectional launchpad
             base: base,
             surface: surface
-        });
+        };
+        this.ramps.push(launchpad);
+        return launchpad;
     }
 } 
\ No newline at end of file
@@ -0,0 +1,55 @@
+// Seconds after a scoring event to land the next one before the chain is banked
+export const COMBO_WINDOW = 3;
+
+export const MAX_COMBO_MULTIPLIER = 10;
+
+// A chain of scoring events. Every event in the chain raises the multiplier by one; when the
+// window runs out the chain's points are banked at that multiplier, but a crash loses them all.
+// Owned and stepped by the Simulation, so combos replay exactly.
+export class Combo {
+    constructor() {
+        this.reset();
+    }
+    
+    reset() {
+        this.events = 0;
+        this.points = 0;
+        this.timeLeft = 0;
+    }
+    
+    get active() {
+        return this.events > 0;
+    }
+    
+    get multiplier() {
+        return Math.min(this.events, MAX_COMBO_MULTIPLIER);
+    }
+    
+    // The points the chain would bank right now
+    get total() {
+        return this.points * this.multiplier;
+    }
+    
+    // Add a scoring event to the chain (starting one if needed) and restart the window
+    add(points) {
+        this.events++;
+        this.points += points;
+        this.timeLeft = COMBO_WINDOW;
+    }
+    
+    // Run down the window. The clock is held while `held` (a jump or drift is still going and
+    // will add to the chain when it ends). Returns the banked chain once the window runs out.
+    update(deltaTime, held) {
+        if (!this.active || held) return null;
+        
+        this.timeLeft -= deltaTime;
+        return this.timeLeft <= 0 ? this.end(true) : null;
+    }
+    
+    // Finish the chain: { points, multiplier, total, banked } - total is 0 when it was lost
+    end(banked) {
+        const result = { points: this.points, multiplier: this.multiplier, total: banked ? this.total : 0, banked };
+        this.reset();
+        return result;
+    }
+}
@@ -0,0 +1,174 @@
+import { ACTIONS, KEYS_PER_ACTION, getKeyLabel } from './bindings.js';
+import { createButton } from './ui.js';
+
+// Screen for rebinding the keyboard controls (toggled with 'K'). Click a key slot, then press
+// the new key - Escape cancels and Backspace clears the slot.
+export class ControlsMenu {
+    constructor(game) {
+        this.game = game;
+        this.bindings = game.inputHandler.bindings;
+        this.active = false;
+        
+        // The action and slot waiting for a key press, if any
+        this.capture = null;
+        this.slotButtons = {};
+        
+        this.createUI();
+        this.setupListeners();
+    }
+    
+    createUI() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'controls-menu';
+        this.panel.style.position = 'absolute';
+        this.panel.style.top = '50%';
+        this.panel.style.left = '50%';
+        this.panel.style.transform = 'translate(-50%, -50%)';
+        this.panel.style.padding = '15px';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        this.panel.style.border = '2px solid #00ffff';
+        this.panel.style.borderRadius = '10px';
+        this.panel.style.color = '#ffffff';
+        this.panel.style.fontFamily = 'Arial, sans-serif';
+        this.panel.style.fontSize = '13px';
+        this.panel.style.userSelect = 'none';
+        this.panel.style.display = 'none';
+        
+        this.title = document.createElement('div');
+        this.title.style.color = '#00ffff';
+        this.title.style.fontWeight = 'bold';
+        this.title.style.textShadow = '0 0 5px #00ffff';
+        this.title.style.textAlign = 'center';
+        this.title.style.marginBottom = '10px';
+        this.panel.appendChild(this.title);
+        
+        // One row per action with a button for each of its key slots
+        const table = document.createElement('table');
+        table.style.borderCollapse = 'collapse';
+        
+        for (const [action, { label }] of Object.entries(ACTIONS)) {
+            const row = document.createElement('tr');
+            
+            const name = document.createElement('td');
+            name.textContent = label;
+            name.style.paddingRight = '20px';
+            row.appendChild(name);
+            
+            this.slotButtons[action] = [];
+            for (let slot = 0; slot < KEYS_PER_ACTION; slot++) {
+                const cell = document.createElement('td');
+                const button = createButton('', () => this.startCapture(action, slot));
+                button.style.width = '90px';
+                cell.appendChild(button);
+                row.appendChild(cell);
+                this.slotButtons[action].push(button);
+            }
+            
+            table.appendChild(row);
+        }
+        this.panel.appendChild(table);
+        
+        const footer = document.createElement('div');
+        footer.style.textAlign = 'center';
+        footer.style.marginTop = '10px';
+        footer.appendChild(createButton('Reset to Defaults', () => this.resetToDefaults()));
+        footer.appendChild(createButton('Close', () => this.toggle()));
+        this.panel.appendChild(footer);
+        
+        this.statusLine = document.createElement('div');
+        this.statusLine.style.marginTop = '6px';
+        this.statusLine.style.color = '#aaaaaa';
+        this.statusLine.style.fontSize = '11px';
+        this.statusLine.style.textAlign = 'center';
+        this.panel.appendChild(this.statusLine);
+        
+        document.body.appendChild(this.panel);
+        this.refresh();
+    }
+    
+    setupListeners() {
+        window.addEventListener('keydown', (e) => this.onKeyDown(e));
+    }
+    
+    toggle() {
+        this.active = !this.active;
+        this.capture = null;
+        this.panel.style.display = this.active ? 'block' : 'none';
+        this.refresh();
+        this.setStatus('Click a key to change it');
+    }
+    
+    isCapturing() {
+        return this.capture !== null;
+    }
+    
+    startCapture(action, slot) {
+        this.capture = { action, slot };
+        this.refresh();
+        this.setStatus(`Press a key for ${ACTIONS[action].label} - Esc cancels, Backspace clears`);
+    }
+    
+    onKeyDown(event) {
+        if (!this.active) return;
+        
+        // Nothing else should react to the key being bound
+        if (this.capture) {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            this.finishCapture(event.key);
+        } else if (event.key === 'Escape') {
+            // Closing the screen is all Escape does (it would pause the game otherwise)
+            event.stopImmediatePropagation();
+            this.toggle();
+        }
+    }
+    
+    finishCapture(key) {
+        const { action, slot } = this.capture;
+        const label = ACTIONS[action].label;
+        this.capture = null;
+        
+        if (key === 'Escape') {
+            this.setStatus('Click a key to change it');
+        } else if (key === 'Backspace') {
+            this.bindings.clear(action, slot);
+            this.setStatus(`Cleared a key for ${label}`);
+        } else {
+            const previousAction = this.bindings.getAction(key);
+            this.bindings.rebind(action, slot, key);
+            
+            this.setStatus(previousAction && previousAction !== action
+                ? `${getKeyLabel(key)} moved from ${ACTIONS[previousAction].label} to ${label}`
+                : `${label} bound to ${getKeyLabel(key)}`);
+        }
+        
+        this.refresh();
+    }
+    
+    resetToDefaults() {
+        this.capture = null;
+        this.bindings.resetToDefaults();
+        this.refresh();
+        this.setStatus('Default controls restored');
+    }
+    
+    // Show the current bindings on the slot buttons and the HUD
+    refresh() {
+        this.title.textContent = `CONTROLS [${getKeyLabel(this.bindings.getKeys('controls').find(key => key))}]`;
+        
+        for (const [action, buttons] of Object.entries(this.slotButtons)) {
+            const keys = this.bindings.getKeys(action);
+            buttons.forEach((button, slot) => {
+                const capturing = this.capture && this.capture.action === action && this.capture.slot === slot;
+                button.textContent = capturing ? '...' : getKeyLabel(keys[slot]);
+                button.style.borderColor = capturing ? '#ff00ff' : '#00ffff';
+            });
+        }
+        
+        this.game.updateControlHints();
+    }
+    
+    setStatus(text) {
+        this.statusLine.textContent = text;
+    }
+}
@@ -0,0 +1,112 @@
+import * as THREE from 'three';
+
+// Real seconds for a full day in the city
+export const DAY_LENGTH = 480;
+
+// How far one press of the time forward/backward keys moves the clock (in hours)
+export const SCRUB_STEP = 0.25;
+
+// The look of the city through the day, blended between neighbouring keyframes. `night` is how
+// dark it is (0-1): it brightens the windows and streetlight glows and the car's headlights.
+const KEYFRAMES = [
+    { hour: 0, top: 0x02030f, horizon: 0x1a0a3a, bottom: 0x0a1a2a, fog: 0x0a1a2a, fogDensity: 0.008, light: 0x8899ff, lightIntensity: 0.3, ambient: 0.2, night: 1 },
+    { hour: 4.5, top: 0x050a20, horizon: 0x2a1450, bottom: 0x1a1a3a, fog: 0x141a33, fogDensity: 0.008, light: 0x8899ff, lightIntensity: 0.3, ambient: 0.25, night: 1 },
+    { hour: 6, top: 0x2a3a7a, horizon: 0xff7a5a, bottom: 0xffb36b, fog: 0xd08a7a, fogDensity: 0.006, light: 0xffaa77, lightIntensity: 0.5, ambient: 0.4, night: 0.5 },
+    { hour: 8.5, top: 0x3a7bd5, horizon: 0x9fd8ff, bottom: 0xcfefff, fog: 0x87ceeb, fogDensity: 0.005, light: 0xffffff, lightIntensity: 1.0, ambient: 0.6, night: 0 },
+    { hour: 16, top: 0x3a7bd5, horizon: 0x9fd8ff, bottom: 0xcfefff, fog: 0x87ceeb, fogDensity: 0.005, light: 0xffffff, lightIntensity: 1.0, ambient: 0.6, night: 0 },
+    // The original 80s sunset
+    { hour: 18, top: 0x051f3a, horizon: 0xff1e6d, bottom: 0xff9e1c, fog: 0xc04a6a, fogDensity: 0.005, light: 0xff8866, lightIntensity: 0.7, ambient: 0.5, night: 0.3 },
+    { hour: 19.5, top: 0x0a0a2a, horizon: 0x8a1e6d, bottom: 0x3a1a4a, fog: 0x2a1a3a, fogDensity: 0.007, light: 0x8899ff, lightIntensity: 0.3, ambient: 0.3, night: 0.8 },
+    { hour: 21, top: 0x02030f, horizon: 0x1a0a3a, bottom: 0x0a1a2a, fog: 0x0a1a2a, fogDensity: 0.008, light: 0x8899ff, lightIntensity: 0.3, ambient: 0.2, night: 1 }
+];
+
+// The sun rises at 6 and sets at 18; at night the light stays low in the sky as moonlight
+const SUN_DISTANCE = 150;
+const MIN_LIGHT_HEIGHT = 30;
+
+export function wrapHour(hour) {
+    return ((hour % 24) + 24) % 24;
+}
+
+// "HH:MM" on a 24-hour clock
+export function formatTimeOfDay(hour) {
+    const minutes = Math.floor(wrapHour(hour) * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Sky, fog and light for a time of day
+export function getTimeOfDayState(hour) {
+    hour = wrapHour(hour);
+    
+    // The keyframes either side of the hour (wrapping from the last one round to midnight)
+    let index = KEYFRAMES.length - 1;
+    while (KEYFRAMES[index].hour > hour) index--;
+    const from = KEYFRAMES[index];
+    const to = KEYFRAMES[(index + 1) % KEYFRAMES.length];
+    const toHour = to.hour > from.hour ? to.hour : to.hour + 24;
+    const t = (hour - from.hour) / (toHour - from.hour);
+    
+    const mixColor = (key) => new THREE.Color(from[key]).lerp(new THREE.Color(to[key]), t);
+    const mix = (key) => from[key] + (to[key] - from[key]) * t;
+    
+    // Sun angle: 0 at sunrise, PI at sunset, carrying on round underneath through the night
+    const angle = (hour - 6) / 24 * Math.PI * 2;
+    const sunPosition = new THREE.Vector3(
+        Math.cos(angle) * SUN_DISTANCE,
+        Math.max(MIN_LIGHT_HEIGHT, Math.sin(angle) * SUN_DISTANCE),
+        50
+    );
+    
+    return {
+        skyTop: mixColor('top'),
+        skyHorizon: mixColor('horizon'),
+        skyBottom: mixColor('bottom'),
+        fogColor: mixColor('fog'),
+        fogDensity: mix('fogDensity'),
+        lightColor: mixColor('light'),
+        lightIntensity: mix('lightIntensity'),
+        ambientIntensity: mix('ambient'),
+        night: mix('night'),
+        sunPosition
+    };
+}
+
+// The city's clock. It runs while the game does and can be paused or scrubbed.
+export class DayNightCycle {
+    constructor({ time = 16, dayLength = DAY_LENGTH } = {}) {
+        this.time = wrapHour(time);
+        this.dayLength = dayLength;
+        this.paused = false;
+    }
+    
+    update(deltaTime) {
+        if (this.paused) return;
+        this.time = wrapHour(this.time + deltaTime / this.dayLength * 24);
+    }
+    
+    setTime(hour) {
+        this.time = wrapHour(hour);
+    }
+    
+    scrub(hours) {
+        this.setTime(this.time + hours);
+    }
+    
+    togglePaused() {
+        this.paused = !this.paused;
+    }
+    
+    // Dark enough for streetlights and the night music
+    isNight() {
+        return getTimeOfDayState(this.time).night >= 0.5;
+    }
+    
+    // Jump to midnight, or back to midday from the night
+    toggleNight() {
+        this.setTime(this.isNight() ? 12 : 0);
+    }
+    
+    getState() {
+        return getTimeOfDayState(this.time);
+    }
+}
@@ -0,0 +1,497 @@
+import * as THREE from 'three';
+import { createButton } from './ui.js';
+
+// Tools shown in the editor palette - every tool except 'select' places a layout entry of that type
+const PALETTE = [
+    { tool: 'select', label: 'Select' },
+    { tool: 'ramp', label: 'Ramp', category: 'ramp' },
+    { tool: 'launchpad', label: 'Launchpad', category: 'ramp' },
+    { tool: 'barrel', label: 'Barrel', category: 'prop' },
+    { tool: 'crate', label: 'Crate', category: 'prop' },
+    { tool: 'trashCan', label: 'Trash Can', category: 'prop' },
+    { tool: 'bench', label: 'Bench', category: 'prop' },
+    { tool: 'streetlight', label: 'Streetlight', category: 'prop' }
+];
+
+const HELP_TEXT = 'WASD fly · SPACE/C up/down · SHIFT fast · Right-drag look<br>' +
+                  'Click place/select · Drag move · R / wheel rotate · DEL delete · 1-8 tools';
+
+export class LevelEditor {
+    constructor(game) {
+        this.game = game;
+        this.active = false;
+        
+        // Current tool and selection
+        this.tool = 'select';
+        this.selected = null;
+        this.modified = false; // Whether the city was changed since the editor was opened
+        this.placementRotation = 0;
+        this.rotationStep = Math.PI / 12; // 15 degrees per step
+        
+        // Free-fly camera
+        this.flySpeed = 30;
+        this.lookSensitivity = 0.003;
+        this.yaw = 0;
+        this.pitch = 0;
+        this.isLooking = false;
+        
+        // Dragging the selected object around
+        this.isDragging = false;
+        this.dragOffset = new THREE.Vector3();
+        
+        // Picking against the ground plane
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        
+        this.createGizmos();
+        this.createUI();
+        this.setupListeners();
+    }
+    
+    createGizmos() {
+        // Placement cursor - a flat ring with an arrow showing the placement direction
+        this.cursor = this.createRingGizmo(0x00ffff);
+        
+        // Selection gizmo - same shape in magenta, scaled to the selected object
+        this.selectionGizmo = this.createRingGizmo(0xff00ff);
+    }
+    
+    createRingGizmo(color) {
+        const group = new THREE.Group();
+        const material = new THREE.MeshBasicMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.8,
+            side: THREE.DoubleSide,
+            depthTest: false
+        });
+        
+        const ring = new THREE.Mesh(new THREE.RingGeometry(0.85, 1, 32), material);
+        ring.rotation.x = -Math.PI / 2;
+        group.add(ring);
+        
+        // Arrow pointing along the object's forward (+Z) direction
+        const arrow = new THREE.Mesh(new THREE.ConeGeometry(0.2, 0.5, 12), material);
+        arrow.rotation.x = Math.PI / 2;
+        arrow.position.set(0, 0, 1.2);
+        group.add(arrow);
+        
+        group.position.y = 0.15;
+        group.renderOrder = 999;
+        group.visible = false;
+        group.userData.arrow = arrow;
+        return group;
+    }
+    
+    attachGizmos() {
+        // The scene is cleared when a new layout is loaded, so re-add the gizmos when needed
+        for (const gizmo of [this.cursor, this.selectionGizmo]) {
+            if (gizmo.parent !== this.game.scene) {
+                this.game.scene.add(gizmo);
+            }
+        }
+    }
+    
+    createUI() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'level-editor';
+        this.panel.style.position = 'absolute';
+        this.panel.style.top = '60px';
+        this.panel.style.left = '20px';
+        this.panel.style.width = '260px';
+        this.panel.style.padding = '10px';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        this.panel.style.border = '2px solid #ff00ff';
+        this.panel.style.borderRadius = '10px';
+        this.panel.style.color = '#ffffff';
+        this.panel.style.fontFamily = 'Arial, sans-serif';
+        this.panel.style.fontSize = '13px';
+        this.panel.style.userSelect = 'none';
+        this.panel.style.display = 'none';
+        
+        const title = document.createElement('div');
+        title.textContent = 'LEVEL EDITOR [E]';
+        title.style.color = '#ff00ff';
+        title.style.fontWeight = 'bold';
+        title.style.fontSize = '16px';
+        title.style.textShadow = '0 0 5px #ff00ff';
+        title.style.marginBottom = '8px';
+        this.panel.appendChild(title);
+        
+        // Palette buttons
+        this.toolButtons = {};
+        PALETTE.forEach((entry, index) => {
+            const button = createButton(`${index + 1}. ${entry.label}`, () => this.setTool(entry.tool), '#ff00ff');
+            this.toolButtons[entry.tool] = button;
+            this.panel.appendChild(button);
+        });
+        
+        // Actions
+        const actions = document.createElement('div');
+        actions.style.marginTop = '8px';
+        actions.appendChild(createButton('Delete', () => this.deleteSelected(), '#ff00ff'));
+        actions.appendChild(createButton('Save', () => this.save(), '#ff00ff'));
+        actions.appendChild(createButton('Load', () => this.fileInput.click(), '#ff00ff'));
+        actions.appendChild(createButton('Exit', () => this.toggle(), '#ff00ff'));
+        this.panel.appendChild(actions);
+        
+        // Hidden file picker used by "Load"
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => this.loadFile(this.fileInput.files[0]));
+        this.panel.appendChild(this.fileInput);
+        
+        // Status line and help
+        this.statusLine = document.createElement('div');
+        this.statusLine.style.marginTop = '8px';
+        this.statusLine.style.color = '#00ffff';
+        this.panel.appendChild(this.statusLine);
+        
+        const help = document.createElement('div');
+        help.innerHTML = HELP_TEXT;
+        help.style.marginTop = '8px';
+        help.style.color = '#aaaaaa';
+        help.style.fontSize = '11px';
+        this.panel.appendChild(help);
+        
+        document.body.appendChild(this.panel);
+        this.setTool('select');
+    }
+    
+    setupListeners() {
+        const canvas = this.game.renderer.domElement;
+        
+        canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        window.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        window.addEventListener('mouseup', (e) => this.onMouseUp(e));
+        canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+        canvas.addEventListener('contextmenu', (e) => {
+            if (this.active) e.preventDefault();
+        });
+        window.addEventListener('keydown', (e) => this.onKeyDown(e));
+    }
+    
+    toggle() {
+        this.active = !this.active;
+        this.panel.style.display = this.active ? 'block' : 'none';
+        
+        if (this.active) {
+            this.enter();
+        } else {
+            this.exit();
+        }
+    }
+    
+    enter() {
+        const camera = this.game.camera;
+        
+        // Lift the camera above the car for an overview, then fly freely from there
+        camera.position.y += 15;
+        camera.lookAt(this.game.car.getPosition());
+        
+        const direction = new THREE.Vector3();
+        camera.getWorldDirection(direction);
+        this.yaw = Math.atan2(-direction.x, -direction.z);
+        this.pitch = Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1));
+        this.applyCameraRotation();
+        
+        this.attachGizmos();
+        this.setStatus('Editing - the simulation is paused');
+    }
+    
+    exit() {
+        this.select(null);
+        this.isLooking = false;
+        this.isDragging = false;
+        this.cursor.visible = false;
+        
+        // Restart the drive in the edited city, so the session (and its replay) starts from the new layout
+        if (this.modified) {
+            this.modified = false;
+            this.game.loadLayout(this.game.city.exportLayout());
+        }
+    }
+    
+    update(deltaTime) {
+        const camera = this.game.camera;
+        const move = new THREE.Vector3();
+        
+        // Fly relative to where the camera is looking
+        const forward = new THREE.Vector3();
+        camera.getWorldDirection(forward);
+        const right = new THREE.Vector3().crossVectors(forward, camera.up).normalize();
+        
+        // Fly with the driving keys, whatever they are bound to
+        const input = this.game.inputHandler;
+        if (input.isActionActive('accelerate')) move.add(forward);
+        if (input.isActionActive('brake')) move.sub(forward);
+        if (input.isActionActive('steerRight')) move.add(right);
+        if (input.isActionActive('steerLeft')) move.sub(right);
+        if (input.isKeyDown(' ')) move.y += 1;
+        if (input.isKeyDown('c')) move.y -= 1;
+        
+        if (move.lengthSq() > 0) {
+            const speed = this.flySpeed * (input.isKeyDown('Shift') ? 3 : 1);
+            camera.position.addScaledVector(move.normalize(), speed * deltaTime);
+            camera.position.y = Math.max(1, camera.position.y);
+        }
+        
+        this.updateGizmos();
+    }
+    
+    applyCameraRotation() {
+        this.game.camera.rotation.set(this.pitch, this.yaw, 0, 'YXZ');
+    }
+    
+    updateGizmos() {
+        // Keep the selection gizmo on its object (objects can be moved or rotated at any time)
+        if (this.selected) {
+            const radius = this.getEntityRadius(this.selected);
+            this.selectionGizmo.visible = true;
+            this.selectionGizmo.position.set(this.selected.position.x, 0.15, this.selected.position.z);
+            this.selectionGizmo.rotation.y = this.getEntityRotation(this.selected);
+            this.selectionGizmo.scale.set(radius, 1, radius);
+            this.selectionGizmo.userData.arrow.visible = this.canRotate(this.selected);
+        } else {
+            this.selectionGizmo.visible = false;
+        }
+        
+        // Placement cursor shows the direction new objects will face
+        this.cursor.rotation.y = this.placementRotation;
+        this.cursor.userData.arrow.visible = this.tool !== 'launchpad';
+    }
+    
+    setTool(tool) {
+        this.tool = tool;
+        this.cursor.visible = false;
+        
+        for (const [name, button] of Object.entries(this.toolButtons)) {
+            button.style.backgroundColor = name === tool ? '#ff00ff' : 'rgba(255, 0, 255, 0.15)';
+        }
+    }
+    
+    select(entity) {
+        this.selected = entity;
+        this.updateGizmos();
+        
+        if (entity) {
+            this.setStatus(`Selected ${entity.type} at (${entity.position.x.toFixed(1)}, ${entity.position.z.toFixed(1)})`);
+        }
+    }
+    
+    setStatus(text) {
+        this.statusLine.textContent = text;
+    }
+    
+    getGroundPoint(event) {
+        // Cast a ray from the camera through the mouse onto the ground plane
+        const rect = this.game.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.game.camera);
+        
+        const point = new THREE.Vector3();
+        return this.raycaster.ray.intersectPlane(this.groundPlane, point) ? point : null;
+    }
+    
+    pickEntity(point) {
+        // Find the closest editable object whose footprint contains the point
+        let closest = null;
+        let closestDistance = Infinity;
+        
+        for (const entity of this.game.city.getEditableEntities()) {
+            const dx = point.x - entity.position.x;
+            const dz = point.z - entity.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            
+            if (distance < this.getEntityRadius(entity) && distance < closestDistance) {
+                closest = entity;
+                closestDistance = distance;
+            }
+        }
+        
+        return closest;
+    }
+    
+    getEntityRadius(entity) {
+        if (entity.type === 'ramp') return entity.length / 2 + 1;
+        if (entity.type === 'launchpad') return entity.radius + 1;
+        return entity.radius + 0.5;
+    }
+    
+    getEntityRotation(entity) {
+        if (entity.type === 'ramp') return entity.rotation;
+        if (entity.type === 'launchpad') return 0;
+        return entity.originalRotation.y;
+    }
+    
+    canRotate(entity) {
+        return entity.type !== 'launchpad';
+    }
+    
+    placeEntity(point) {
+        const entry = {
+            type: this.tool,
+            x: Math.round(point.x * 10) / 10,
+            z: Math.round(point.z * 10) / 10,
+            rotation: this.placementRotation
+        };
+        
+        const category = PALETTE.find(item => item.tool === this.tool).category;
+        const entity = category === 'ramp' ? this.game.city.addRamp(entry) : this.game.city.addProp(entry);
+        
+        if (entity) {
+            // Props pick their own rotation in some cases (crates), so apply ours explicitly
+            this.game.city.rotateEntity(entity, this.placementRotation);
+            this.modified = true;
+            this.select(entity);
+            this.setStatus(`Placed ${entry.type} at (${entry.x}, ${entry.z})`);
+        }
+    }
+    
+    rotateSelection(direction) {
+        if (this.selected) {
+            if (!this.canRotate(this.selected)) return;
+            const rotation = this.getEntityRotation(this.selected) + direction * this.rotationStep;
+            this.game.city.rotateEntity(this.selected, rotation);
+            this.modified = true;
+            this.setStatus(`Rotated ${this.selected.type} to ${Math.round(THREE.MathUtils.radToDeg(rotation))}°`);
+        } else {
+            this.placementRotation += direction * this.rotationStep;
+        }
+        
+        this.updateGizmos();
+    }
+    
+    deleteSelected() {
+        if (!this.selected) return;
+        
+        const type = this.selected.type;
+        this.game.city.removeEntity(this.selected);
+        this.modified = true;
+        this.select(null);
+        this.setStatus(`Deleted ${type}`);
+    }
+    
+    save() {
+        this.game.downloadLayout();
+        this.setStatus('Layout downloaded');
+    }
+    
+    loadFile(file) {
+        if (!file) return;
+        
+        file.text()
+            .then(text => {
+                this.game.loadLayout(JSON.parse(text));
+                this.modified = false;
+                this.select(null);
+                this.attachGizmos();
+                this.setStatus(`Loaded ${file.name}`);
+            })
+            .catch(error => {
+                console.error('Failed to load layout:', error);
+                this.setStatus(`Could not load ${file.name}: ${error.message}`);
+            })
+            .finally(() => {
+                // Allow loading the same file again
+                this.fileInput.value = '';
+            });
+    }
+    
+    onMouseDown(event) {
+        if (!this.active) return;
+        
+        // Right button looks around
+        if (event.button === 2) {
+            this.isLooking = true;
+            return;
+        }
+        
+        if (event.button !== 0) return;
+        
+        const point = this.getGroundPoint(event);
+        if (!point) return;
+        
+        if (this.tool === 'select') {
+            this.select(this.pickEntity(point));
+            
+            // Start dragging the picked object, keeping the grab offset
+            if (this.selected) {
+                this.isDragging = true;
+                this.dragOffset.set(this.selected.position.x - point.x, 0, this.selected.position.z - point.z);
+            }
+        } else {
+            this.placeEntity(point);
+        }
+    }
+    
+    onMouseMove(event) {
+        if (!this.active) return;
+        
+        if (this.isLooking) {
+            this.yaw -= event.movementX * this.lookSensitivity;
+            this.pitch -= event.movementY * this.lookSensitivity;
+            this.pitch = THREE.MathUtils.clamp(this.pitch, -Math.PI / 2 + 0.01, Math.PI / 2 - 0.01);
+            this.applyCameraRotation();
+            return;
+        }
+        
+        const point = this.getGroundPoint(event);
+        
+        // Show where the current tool would place its object
+        this.cursor.visible = this.tool !== 'select' && point !== null;
+        if (point) {
+            this.cursor.position.set(point.x, 0.15, point.z);
+        }
+        
+        if (this.isDragging && this.selected && point) {
+            this.modified = true;
+            this.game.city.moveEntity(
+                this.selected,
+                point.x + this.dragOffset.x,
+                point.z + this.dragOffset.z
+            );
+        }
+    }
+    
+    onMouseUp(event) {
+        if (event.button === 2) {
+            this.isLooking = false;
+        }
+        
+        if (event.button === 0 && this.isDragging) {
+            this.isDragging = false;
+            if (this.selected) {
+                this.select(this.selected);
+            }
+        }
+    }
+    
+    onWheel(event) {
+        if (!this.active) return;
+        event.preventDefault();
+        this.rotateSelection(Math.sign(event.deltaY));
+    }
+    
+    onKeyDown(event) {
+        if (!this.active) return;
+        
+        if (event.key === 'r') {
+            this.rotateSelection(1);
+        } else if (event.key === 'R') {
+            this.rotateSelection(-1);
+        } else if (event.key === 'Delete' || event.key === 'Backspace') {
+            this.deleteSelected();
+        } else if (event.key === 'Escape') {
+            this.select(null);
+        } else if (/^[1-8]$/.test(event.key)) {
+            this.setTool(PALETTE[Number(event.key) - 1].tool);
+        }
+    }
+}
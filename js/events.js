@@ -0,0 +1,64 @@
+// Every event the simulation emits and the payload its listeners are called with
+export const GAME_EVENTS = {
+    'car:launched': '{ position, ramp, flightChain } - a ramp or launchpad threw the car into the air',
+    'car:landed': '{ position, impactSpeed } - the car came back down (impactSpeed is how fast it was falling)',
+    'car:collided': '{ speed, crash } - the car hit a wall or the city boundary (crash: hard enough to lose the combo)',
+    'object:knockedOver': '{ object, points } - a prop was knocked over',
+    'human:hit': '{ human, direction, points } - a pedestrian was run over',
+    'boost:start': '{} - boost kicked in',
+    'boost:end': '{} - boost was released',
+    'boost:empty': '{} - boost ran dry while held',
+    'stunt:completed': 'the stunt ({ type, points, tricks, ... }) - a jump, drift or near miss was scored',
+    'combo:ended': '{ points, multiplier, total, banked } - the combo chain was banked or lost',
+    'score:changed': '{ points, score } - banked points reached the score',
+    'race:started': '{ race } - the countdown finished',
+    'race:checkpoint': '{ race, index } - the car went through the next gate',
+    'race:lapCompleted': '{ race, lapTime } - the car crossed the finish line',
+    'race:finished': '{ race } - the last lap was completed'
+};
+
+// A typed event emitter: only the events it was created with can be emitted or listened to, so a
+// misspelt event name throws instead of silently never firing. Listeners run in the order they
+// were added, synchronously, in the middle of the simulation step that emitted the event.
+export class EventBus {
+    constructor(types = GAME_EVENTS) {
+        this.types = types;
+        this.listeners = new Map();
+    }
+    
+    // Call `listener(payload)` every time `type` is emitted. Returns a function that removes it again.
+    on(type, listener) {
+        this.checkType(type);
+        
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+        return () => this.off(type, listener);
+    }
+    
+    off(type, listener) {
+        this.checkType(type);
+        
+        const listeners = this.listeners.get(type);
+        const index = listeners ? listeners.indexOf(listener) : -1;
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+    
+    emit(type, payload = {}) {
+        this.checkType(type);
+        
+        // Copy the list so listeners can remove themselves while it's being called
+        for (const listener of [...(this.listeners.get(type) ?? [])]) {
+            listener(payload);
+        }
+    }
+    
+    checkType(type) {
+        if (!(type in this.types)) {
+            throw new Error(`Unknown event: ${type}`);
+        }
+    }
+}
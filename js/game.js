@@ -1,7 +1,28 @@
 import * as THREE from 'three';
-import { Car } from './car.js';
 import { City } from './city.js';
 import { InputHandler } from './input.js';
+import { getKeyLabel } from './bindings.js';
+import { ControlsMenu } from './controls-menu.js';
+import { TouchControls } from './touch.js';
+import { RaceMode } from './race-mode.js';
+import { StatsScreen } from './stats-screen.js';
+import { AchievementsScreen } from './achievements-screen.js';
+import { AudioEngine } from './audio.js';
+import { MusicPlayer, getMusicIntensity } from './music.js';
+import { Settings } from './settings.js';
+import { DayNightCycle, SCRUB_STEP, formatTimeOfDay } from './day-night.js';
+import { WeatherEffects } from './weather-effects.js';
+import { CameraController } from './camera-modes.js';
+import { PhotoMode } from './photo-mode.js';
+import { RetroEffects } from './retro-effects.js';
+import { DynamicResolution, GRAPHICS_PRESETS, getParticleCount, selectStreetlights } from './graphics.js';
+import { PauseMenu } from './pause-menu.js';
+import { convertSpeed, getSpeedUnit } from './units.js';
+import { SessionStats } from './stats.js';
+import { Simulation, FIXED_TIME_STEP } from './simulation.js';
+import { COMBO_WINDOW } from './combo.js';
+import { LevelEditor } from './editor.js';
+import { ReplayPlayer, REPLAY_VERSION, STEP_RATE } from './replay.js';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
@@ -14,37 +35,57 @@ export class Game {
         this.renderer = null;
         this.composer = null; // Post-processing composer
         
-        // Game objects
+        // Game objects (the simulation owns the car and all gameplay state)
+        this.simulation = null;
         this.car = null;
         this.city = null;
         
         // Game state
         this.lastTime = 0;
+        this.paused = false; // Set by the pause menu - nothing moves, but the scene is still drawn
+        
+        // Render scale that drops when frames run long (if dynamic resolution is on)
+        this.dynamicResolution = new DynamicResolution();
+        
+        // Fixed-timestep simulation - the world always advances in steps of the same size
+        // so results don't depend on the frame rate, and rendering interpolates between steps
+        this.fixedTimeStep = FIXED_TIME_STEP;
+        this.maxSubSteps = 10; // Drop time rather than spiral after a stall (e.g. a tab switch)
+        this.accumulator = 0;
+        this.previousCarPosition = new THREE.Vector3();
+        this.previousCarQuaternion = new THREE.Quaternion();
+        this.currentCarQuaternion = new THREE.Quaternion();
         this.inputHandler = null;
         this.speedometer = document.getElementById('speedometer');
         this.scoreDisplay = document.getElementById('score');
-        this.score = 0;
         
-        // Camera settings
-        this.cameraOffset = new THREE.Vector3(0, 5, -10);
-        this.cameraTarget = new THREE.Vector3();
+        // City generation seed (taken from the ?seed= URL parameter when present)
+        this.seed = null;
         
-        // Collision detection
-        this.obstacles = [];
-        this.ramps = [];
-        this.physicsObjects = [];
-        this.humans = [];
+        // The race being driven ({ track, laps }), or null while free roaming
+        this.raceSettings = null;
+        
+        // Stats of every drive since the page was loaded. Replays don't count, so remember
+        // whether the current simulation is a drive or a replay.
+        this.sessionStats = new SessionStats();
+        this.liveDrive = false;
         
         // Debug mode
         this.debugMode = false;
         
         // Visual effects
-        this.nightMode = false;
+        this.dayNight = new DayNightCycle(); // Time of day - sky, sun, fog and the city's lights follow it
         this.particles = [];
         this.bloodStains = [];
+        this.trailParticles = [];
+        this.stuntCalloutTime = 0; // Seconds left showing the last trick callout
+        this.comboResultTime = 0; // Seconds left showing how the last combo ended
     }
     
-    init() {
+    async init() {
+        // Graphics, camera and units settings (saved in the browser)
+        this.settings = new Settings();
+        
         // Create the scene
         this.scene = new THREE.Scene();
         
@@ -61,8 +102,9 @@ export class Game {
         this.camera.position.set(0, 5, -10);
         this.camera.lookAt(0, 0, 0);
         
-        // Set up the renderer
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        // Set up the renderer (without antialiasing of its own - the scene is drawn into the
+        // composer's render targets, which are multisampled according to the graphics quality)
+        this.renderer = new THREE.WebGLRenderer({ antialias: false });
         this.renderer.setSize(window.innerWidth, window.innerHeight);
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
@@ -72,37 +114,264 @@ export class Game {
         
         // Setup post-processing
         this.setupPostProcessing();
+        this.applySettings();
         
         // Add lighting
         this.setupLights();
         
-        // Create the city first (so we can get obstacles before the car)
-        this.city = new City(this.scene);
+        // Rain, fog banks, puddles and lightning (the weather itself is part of the simulation)
+        this.weatherEffects = new WeatherEffects(this);
         
-        // Get obstacles from the city
-        this.obstacles = this.city.getObstacles();
-        this.ramps = this.city.getRamps();
-        this.physicsObjects = this.city.getPhysicsObjects();
-        this.humans = this.city.getHumans();
+        // Chase, hood, top-down, trackside and orbit cameras (cycled with 'C')
+        this.cameraController = new CameraController(this);
         
-        // Create the car and position it on a road
-        this.car = new Car(this.scene);
-        this.positionCarOnRoad();
-        
-        // Set up input handling
+        // Set up input handling (before the world, which starts recording the session)
         this.inputHandler = new InputHandler();
         
+        // Synthesized engine and sound effects (browsers only allow sound after the first key press or tap)
+        this.audio = new AudioEngine();
+        this.audio.startOnFirstGesture();
+        
+        // Generated soundtrack that follows the action (or a music file dropped onto the page)
+        this.music = new MusicPlayer(this.audio);
+        
+        // Checkpoint races (toggled with 'T') - before the world, which puts up the gates
+        this.raceMode = new RaceMode(this);
+        
+        // Achievement toasts and list (toggled with 'J') - before the world, whose events it listens to
+        this.achievementsScreen = new AchievementsScreen(this);
+        
+        // Create the city first (so we can get obstacles before the car), then the car
+        this.setWorld(this.createCity(await this.loadLayoutFromUrl()));
+        
         // Create game UI elements
         this.createGameUI();
         
-        // Create speed boost mechanic
-        this.setupSpeedBoost();
+        // Level editor (toggled with 'E')
+        this.editor = new LevelEditor(this);
+        
+        // Session replay (toggled with 'R')
+        this.replay = new ReplayPlayer(this);
+        
+        // Key rebinding screen (toggled with 'K')
+        this.controlsMenu = new ControlsMenu(this);
+        
+        // High scores and session stats (toggled with 'H')
+        this.statsScreen = new StatsScreen(this);
+        
+        // On-screen joystick and pedals for phones and tablets
+        this.touchControls = new TouchControls(this.inputHandler);
+        
+        // Pause overlay with the settings screen (toggled with Escape)
+        this.pauseMenu = new PauseMenu(this);
+        
+        // Free camera, lens and filter controls and screenshots (toggled with 'V')
+        this.photoMode = new PhotoMode(this);
         
         // Handle window resize
         window.addEventListener('resize', () => this.onWindowResize());
         
         // Add key listeners
         this.setupKeyListeners();
+        this.setupMusicDrop();
+    }
+    
+    setWorld(city, race = null, weather = this.settings.get('weather')) {
+        this.city = city;
+        this.seed = city.seed;
+        this.updateSeedInUrl();
+        
+        if (this.seedDisplay) {
+            this.seedDisplay.textContent = `SEED: ${this.seed}`;
+        }
+        
+        // The drive that is ending banks its combo, goes on the high-score table if it's good
+        // enough, and is added to the session stats
+        if (this.simulation && this.liveDrive) {
+            this.statsScreen.onDriveFinished(this.simulation);
+            this.sessionStats.addDrive(this.simulation.stats);
+        }
+        this.liveDrive = !(this.replay && this.replay.active);
+        
+        // Start a fresh simulation (and car) in the new city
+        this.simulation = new Simulation(this.scene, city, weather);
+        this.car = this.simulation.car;
+        
+        if (race) {
+            // The track can disappear if the city changed since the race was picked
+            const track = this.raceMode.getTracks().find(candidate => candidate.id === race.track);
+            if (track) {
+                this.simulation.startRace(track, race.laps);
+            } else {
+                console.warn(`Track ${race.track} doesn't exist in this city, free roaming instead`);
+                if (race === this.raceSettings) this.raceSettings = null;
+                race = null;
+            }
+        }
+        
+        this.accumulator = 0;
+        this.storePreviousCarState();
+        this.updateScoreDisplay(0);
+        
+        // Record the session from the first step so it can be replayed
+        this.inputHandler.startRecording({
+            version: REPLAY_VERSION,
+            seed: city.seed,
+            layout: city.layout,
+            race,
+            weather,
+            stepRate: STEP_RATE
+        });
+        
+        this.weatherEffects.setCity(city);
+        this.cameraController.setCity(city);
+        
+        // Effects, the HUD, achievements, the stats screen and race mode all listen to the new
+        // simulation's events
+        this.addEventListeners(this.simulation.events);
+        this.achievementsScreen.listen(this.simulation.events);
+        this.statsScreen.listen(this.simulation.events);
+        
+        this.raceMode.onWorldCreated(this.simulation);
+    }
+    
+    addEventListeners(events) {
+        events.on('score:changed', ({ score }) => this.updateScoreDisplay(score));
+        
+        // Particles, callouts and the like are skipped while a replay fast-forwards
+        const onEffect = (type, listener) => events.on(type, (payload) => {
+            if (!this.replay.seeking) listener(payload);
+        });
+        
+        onEffect('car:launched', ({ position, ramp }) => {
+            this.createJumpParticles(position);
+            if (ramp.type === 'launchpad') {
+                this.audio.playBoing();
+            }
+        });
+        onEffect('car:landed', ({ impactSpeed }) => {
+            this.audio.playImpact(impactSpeed);
+            this.retroEffects.onImpact(impactSpeed);
+        });
+        onEffect('car:collided', ({ speed }) => {
+            this.audio.playImpact(speed);
+            this.retroEffects.onImpact(speed);
+        });
+        onEffect('object:knockedOver', ({ object }) => {
+            if (object.type === 'streetlight' && object.light) {
+                this.flickerLight(object.light);
+                this.audio.playShatter();
+            }
+            this.audio.playImpact(this.car.getSpeed());
+        });
+        onEffect('human:hit', ({ human, direction }) => {
+            this.createHumanDeathEffects(human, direction);
+            this.audio.playImpact(this.car.getSpeed());
+        });
+        onEffect('stunt:completed', (stunt) => this.showStuntCallout(stunt));
+        onEffect('combo:ended', (result) => this.showComboResult(result));
+    }
+    
+    // Replace the current city (and car) with one built from a layout
+    loadLayout(layout) {
+        // Validate first so a bad file leaves the current city untouched
+        City.validateLayout(layout);
+        
+        this.rebuildWorld(() => City.fromLayout(this.scene, layout));
+    }
+    
+    // Start a checkpoint race ({ track, laps }) from the line in the current city
+    startRace(race) {
+        this.raceSettings = race;
+        this.restartWorld();
+    }
+    
+    // Leave the race and free roam in a fresh copy of the city
+    endRace() {
+        this.raceSettings = null;
+        this.restartWorld();
+    }
+    
+    // Start over in the current city with a fresh car, props and pedestrians
+    restartWorld() {
+        const { layout, seed } = this.city;
+        this.rebuildWorld(() => layout ? City.fromLayout(this.scene, layout) : new City(this.scene, seed));
+    }
+    
+    // Tear down the scene and build a new world from the city returned by createCity,
+    // racing if `race` is given (the current race by default) in the given weather
+    rebuildWorld(createCity, race = this.raceSettings, weather = this.settings.get('weather')) {
+        // Clear out debug helpers, effects and the old city and car
+        if (this.debugMode) {
+            this.toggleDebugMode();
+        }
+        this.scene.clear();
+        this.particles = [];
+        this.bloodStains = [];
+        this.trailParticles = [];
+        
+        this.setupSkybox();
+        this.setupLights();
+        
+        this.setWorld(createCity(), race, weather);
+    }
+    
+    createCity(layout) {
+        const seed = this.getSeedFromUrl();
+        
+        if (layout) {
+            try {
+                // A seed in the URL overrides the one stored in the layout
+                return City.fromLayout(this.scene, seed !== undefined ? { ...layout, seed } : layout);
+            } catch (error) {
+                console.error('Invalid layout, generating a random city instead:', error);
+            }
+        }
+        
+        return new City(this.scene, seed);
+    }
+    
+    async loadLayoutFromUrl() {
+        // ?layout=<path or URL> loads a hand-authored map (see LAYOUT_FORMAT.md)
+        const layoutParam = new URLSearchParams(window.location.search).get('layout');
+        if (!layoutParam) return null;
+        
+        try {
+            const response = await fetch(layoutParam);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.error(`Failed to load layout "${layoutParam}", generating a random city instead:`, error);
+            return null;
+        }
+    }
+    
+    downloadLayout() {
+        // Save the current city as a layout file that can be loaded again with ?layout=
+        const json = JSON.stringify(this.city.exportLayout(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `vibecity-${this.seed}.json`;
+        link.click();
+        
+        // Revoking the URL straight after click() can cancel the download before it starts
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+    
+    getSeedFromUrl() {
+        // Use ?seed=<value> when given, otherwise let the city pick a random one
+        const seedParam = new URLSearchParams(window.location.search).get('seed');
+        return seedParam !== null && seedParam.trim() !== '' ? seedParam : undefined;
+    }
+    
+    updateSeedInUrl() {
+        // Write the active seed back into the address bar so the URL can be shared as-is
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', this.seed);
+        window.history.replaceState(null, '', url);
     }
     
     setupSkybox() {
@@ -148,6 +417,10 @@ export class Game {
         
         const sky = new THREE.Mesh(skyGeo, skyMat);
         this.scene.add(sky);
+        
+        // The colors are animated through the day by applyTimeOfDay()
+        this.skyMesh = sky;
+        this.skyUniforms = uniforms;
     }
     
     setupPostProcessing() {
@@ -176,12 +449,17 @@ export class Game {
         
         // Store the bloom pass for speed effects
         this.bloomPass = bloomPass;
+        
+        // CRT, scanlines, chromatic aberration, film grain, VHS tracking and pixel art (each one
+        // turned on in the settings)
+        this.retroEffects = new RetroEffects(this);
     }
     
     setupLights() {
         // Add ambient light for global illumination
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.7); // Increased intensity from default
         this.scene.add(ambientLight);
+        this.ambientLight = ambientLight;
         
         // Add directional light for sun effect with shadows
         const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0); // Increased intensity
@@ -205,11 +483,93 @@ export class Game {
         directionalLight.shadow.radius = 2;
         
         this.scene.add(directionalLight);
+        this.sunLight = directionalLight;
+        this.applyShadowQuality();
         
         // Add a secondary fill light from the opposite direction
         const fillLight = new THREE.DirectionalLight(0xffffaa, 0.4); // Warm fill light
         fillLight.position.set(-100, 50, -50);
         this.scene.add(fillLight);
+        this.fillLight = fillLight;
+    }
+    
+    getGraphicsPreset() {
+        return GRAPHICS_PRESETS[this.settings.get('quality')];
+    }
+    
+    // Apply the graphics and camera settings (at start-up and whenever they change)
+    applySettings() {
+        const preset = this.getGraphicsPreset();
+        this.dynamicResolution.reset();
+        this.applyRenderScale();
+        this.bloomPass.enabled = preset.bloom;
+        this.applyShadowQuality();
+        this.retroEffects.applySettings();
+        
+        // The render targets are recreated with the new sample count when next drawn to
+        for (const target of [this.composer.renderTarget1, this.composer.renderTarget2]) {
+            if (target.samples !== preset.antialias) {
+                target.samples = preset.antialias;
+                target.dispose();
+            }
+        }
+        
+        // The weather is part of the drive (it changes the grip), so a new choice starts a new one
+        if (this.simulation && !this.replay.active && this.simulation.weather.mode !== this.settings.get('weather')) {
+            this.restartWorld();
+        }
+        
+        // The camera modes adjust this as they go, but show the new field of view even while paused
+        this.camera.fov = this.settings.get('fieldOfView');
+        this.camera.updateProjectionMatrix();
+    }
+    
+    // The preset's pixel ratio, lowered by dynamic resolution when frames run long
+    applyRenderScale() {
+        const pixelRatio = Math.min(window.devicePixelRatio || 1, this.getGraphicsPreset().pixelRatio);
+        const scale = this.settings.get('dynamicResolution') === 'on' ? this.dynamicResolution.scale : 1;
+        this.renderer.setPixelRatio(pixelRatio * scale);
+        this.composer.setPixelRatio(pixelRatio * scale);
+    }
+    
+    // The sun's shadows follow the graphics quality (the lights are rebuilt with every new world)
+    applyShadowQuality() {
+        if (!this.sunLight) return;
+        
+        const preset = this.getGraphicsPreset();
+        this.sunLight.castShadow = preset.shadows;
+        
+        const shadow = this.sunLight.shadow;
+        if (shadow.mapSize.width !== preset.shadowMapSize) {
+            shadow.mapSize.set(preset.shadowMapSize, preset.shadowMapSize);
+            
+            // The shadow map is recreated at the new size on the next render
+            if (shadow.map) {
+                shadow.map.dispose();
+                shadow.map = null;
+            }
+        }
+    }
+    
+    // Once per frame, whatever the game is doing: adjust the render scale and light only the
+    // streetlights the preset's budget allows, nearest to the camera first
+    updateGraphics(deltaTime) {
+        if (this.settings.get('dynamicResolution') === 'on' && this.dynamicResolution.update(deltaTime)) {
+            this.applyRenderScale();
+        }
+        
+        // Streetlights only come on after dark
+        const streetlights = this.city.physicsObjects.filter(object => object.type === 'streetlight' && object.light);
+        const budget = this.dayNight.isNight() ? this.getGraphicsPreset().streetlights : 0;
+        const lit = selectStreetlights(streetlights, this.camera.position, budget);
+        for (const streetlight of streetlights) {
+            streetlight.light.visible = lit.has(streetlight);
+        }
+    }
+    
+    setPaused(paused) {
+        this.paused = paused;
+        this.accumulator = 0;
     }
     
     createGameUI() {
@@ -247,6 +607,93 @@ export class Game {
             document.body.appendChild(this.speedometer);
         }
         
+        // Create seed display so the current layout can be shared and regenerated
+        this.seedDisplay = document.createElement('div');
+        this.seedDisplay.id = 'seed';
+        this.seedDisplay.style.position = 'absolute';
+        this.seedDisplay.style.top = '20px';
+        this.seedDisplay.style.left = '20px';
+        this.seedDisplay.style.color = '#00ffff'; // Cyan text
+        this.seedDisplay.style.fontFamily = 'Arial, sans-serif';
+        this.seedDisplay.style.fontWeight = 'bold';
+        this.seedDisplay.style.textShadow = '0 0 5px #00ffff';
+        this.seedDisplay.style.padding = '10px';
+        this.seedDisplay.style.fontSize = '16px';
+        this.seedDisplay.style.cursor = 'pointer';
+        this.seedDisplay.title = 'Click to copy a link to this city';
+        this.seedDisplay.textContent = `SEED: ${this.seed}`;
+        this.seedDisplay.addEventListener('click', () => {
+            // Copy a shareable link for this exact layout
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(window.location.href)
+                    .then(() => {
+                        // Confirm in place of the seed for a moment
+                        this.seedDisplay.textContent = 'LINK COPIED';
+                        clearTimeout(this.seedCopiedTimer);
+                        this.seedCopiedTimer = setTimeout(() => {
+                            this.seedDisplay.textContent = `SEED: ${this.seed}`;
+                        }, 1500);
+                    })
+                    .catch(error => console.warn('Could not copy seed link:', error));
+            }
+        });
+        document.body.appendChild(this.seedDisplay);
+        
+        // Create the time-of-day clock under the seed
+        this.clockDisplay = document.createElement('div');
+        this.clockDisplay.id = 'clock';
+        this.clockDisplay.style.position = 'absolute';
+        this.clockDisplay.style.top = '50px';
+        this.clockDisplay.style.left = '20px';
+        this.clockDisplay.style.color = '#ffcc00'; // Gold text
+        this.clockDisplay.style.fontFamily = 'Arial, sans-serif';
+        this.clockDisplay.style.fontWeight = 'bold';
+        this.clockDisplay.style.textShadow = '0 0 5px #ffcc00';
+        this.clockDisplay.style.padding = '0 10px';
+        this.clockDisplay.style.fontSize = '16px';
+        document.body.appendChild(this.clockDisplay);
+        
+        // Create combo display under the score (chain points, multiplier and time left)
+        this.comboDisplay = document.createElement('div');
+        this.comboDisplay.id = 'combo';
+        this.comboDisplay.style.position = 'absolute';
+        this.comboDisplay.style.top = '65px';
+        this.comboDisplay.style.right = '20px';
+        this.comboDisplay.style.width = '220px';
+        this.comboDisplay.style.padding = '0 10px';
+        this.comboDisplay.style.textAlign = 'right';
+        this.comboDisplay.style.fontFamily = 'Arial, sans-serif';
+        this.comboDisplay.style.fontWeight = 'bold';
+        this.comboDisplay.style.fontSize = '20px';
+        this.comboDisplay.style.display = 'none';
+        
+        this.comboText = document.createElement('div');
+        this.comboDisplay.appendChild(this.comboText);
+        
+        this.comboTimer = document.createElement('div');
+        this.comboTimer.style.height = '4px';
+        this.comboTimer.style.marginTop = '4px';
+        this.comboTimer.style.marginLeft = 'auto';
+        this.comboTimer.style.backgroundColor = '#ffff00';
+        this.comboTimer.style.boxShadow = '0 0 5px #ffff00';
+        this.comboDisplay.appendChild(this.comboTimer);
+        document.body.appendChild(this.comboDisplay);
+        
+        // Create trick callout, shown in the middle of the screen as stunts land
+        this.stuntCallout = document.createElement('div');
+        this.stuntCallout.id = 'stunt-callout';
+        this.stuntCallout.style.position = 'absolute';
+        this.stuntCallout.style.top = '22%';
+        this.stuntCallout.style.left = '50%';
+        this.stuntCallout.style.transform = 'translateX(-50%)';
+        this.stuntCallout.style.fontFamily = 'Arial, sans-serif';
+        this.stuntCallout.style.fontWeight = 'bold';
+        this.stuntCallout.style.fontSize = '28px';
+        this.stuntCallout.style.textAlign = 'center';
+        this.stuntCallout.style.pointerEvents = 'none';
+        this.stuntCallout.style.display = 'none';
+        document.body.appendChild(this.stuntCallout);
+        
         // Create boost meter
         this.boostMeter = document.createElement('div');
         this.boostMeter.id = 'boost-meter';
@@ -278,71 +725,120 @@ export class Game {
         this.boostLabel.style.fontFamily = 'Arial, sans-serif';
         this.boostLabel.style.fontWeight = 'bold';
         this.boostLabel.style.textShadow = '0 0 5px #ff00ff';
-        this.boostLabel.innerHTML = 'BOOST [SPACE]';
         document.body.appendChild(this.boostLabel);
+        this.updateControlHints();
     }
     
-    setupSpeedBoost() {
-        // Speed boost properties
-        this.boost = {
-            available: 100,
-            max: 100,
-            rechargeRate: 10, // Per second
-            depleteRate: 30,  // Per second
-            active: false,
-            speedMultiplier: 1.8, // Increased to ensure we can reach 60 mph from 40 mph base speed
-            trailParticles: [],
-            // Add smooth transition for boost deactivation
-            currentMultiplier: 1.0,
-            transitionSpeed: 2.0 // How quickly boost fades in/out
-        };
+    // Show the current key bindings in the HUD (they can be changed on the controls screen)
+    updateControlHints() {
+        this.boostLabel.textContent = `BOOST [${this.getKeyHint('boost')}]`;
+    }
+    
+    // The first key bound to an action, for hints like "[SPACE]"
+    getKeyHint(action) {
+        const key = this.inputHandler.bindings.getKeys(action).find(candidate => candidate);
+        return getKeyLabel(key).toUpperCase();
+    }
+    
+    // Drop an audio file onto the page to drive to your own music
+    setupMusicDrop() {
+        window.addEventListener('dragover', (event) => event.preventDefault());
+        window.addEventListener('drop', (event) => {
+            event.preventDefault();
+            const file = event.dataTransfer.files[0];
+            if (file && file.type.startsWith('audio/')) {
+                this.music.loadFile(file);
+            }
+        });
     }
     
     setupKeyListeners() {
         window.addEventListener('keydown', (event) => {
-            // Toggle debug mode with the ` key
-            if (event.key === '`' || event.key === '~') {
-                this.toggleDebugMode();
+            const action = this.inputHandler.bindings.getAction(event.key);
+            
+            // Only the key that opened the controls screen closes it (it handles the rest itself)
+            if (this.controlsMenu.active) {
+                if (action === 'controls') this.controlsMenu.toggle();
+                return;
+            }
+            
+            // The pause menu takes over the keyboard: the pause key steps back out of it
+            if (this.pauseMenu.active) {
+                if (action === 'pause') this.pauseMenu.back();
+                return;
             }
-            // Toggle night mode with 'N' key
-            if (event.key === 'n' || event.key === 'N') {
-                this.toggleNightMode();
+            
+            if (action === 'pause' && this.pauseMenu.canPause()) {
+                this.pauseMenu.open();
+                return;
             }
-            // Activate boost with space bar
-            if (event.key === ' ' && this.boost.available > 0) {
-                this.boost.active = true;
+            
+            // Photo mode flies its own camera: the photo key or the pause key leaves it
+            if (this.photoMode.active) {
+                if (action === 'photo' || action === 'pause') this.photoMode.toggle();
+                return;
             }
-        });
-        
-        window.addEventListener('keyup', (e) => {
-            // Deactivate boost when space released
-            if (e.key === ' ') {
-                this.boost.active = false;
+            
+            if (action === 'photo' && this.photoMode.canOpen()) {
+                this.photoMode.toggle();
+                return;
+            }
+            
+            // Toggle session replay (the editor uses R for rotating)
+            if (action === 'replay' && !this.editor.active) {
+                this.replay.toggle();
+                return;
+            }
+            
+            // Switch cameras (replays too - the trackside cameras are made for them)
+            if (action === 'camera' && !this.editor.active) {
+                this.cameraController.cycleMode();
+                return;
+            }
+            
+            // The replay has its own controls while it's open
+            if (this.replay.active) return;
+            
+            // Toggle the level editor
+            if (action === 'editor') {
+                this.editor.toggle();
+                return;
+            }
+            
+            // The editor has its own controls while it's open
+            if (this.editor.active) return;
+            
+            if (action === 'controls') {
+                // Open the key rebinding screen
+                this.controlsMenu.toggle();
+            } else if (action === 'race') {
+                // Pick a track or leave the race
+                this.raceMode.toggleMenu();
+            } else if (action === 'stats') {
+                this.statsScreen.toggle();
+            } else if (action === 'achievements') {
+                this.achievementsScreen.toggle();
+            } else if (action === 'mute') {
+                this.audio.toggleMute();
+            } else if (action === 'music') {
+                this.audio.toggleMusic();
+            } else if (action === 'debug') {
+                this.toggleDebugMode();
+            } else if (action === 'toggleNight') {
+                this.dayNight.toggleNight();
+            } else if (action === 'pauseTime') {
+                this.dayNight.togglePaused();
+            } else if (action === 'timeBackward') {
+                this.dayNight.scrub(-SCRUB_STEP);
+            } else if (action === 'timeForward') {
+                this.dayNight.scrub(SCRUB_STEP);
+            } else if (action === 'exportLayout') {
+                // Export the current city layout
+                this.downloadLayout();
             }
         });
     }
     
-    positionCarOnRoad() {
-        // Use the City's method to get a good spawn position on a road
-        const spawnPosition = this.city.getSpawnPosition();
-        
-        // Set car position and adjust for car height
-        this.car.position.set(spawnPosition.x, spawnPosition.y, spawnPosition.z);
-        this.car.mesh.position.copy(this.car.position);
-        
-        // Set rotation to face along the road
-        this.car.rotation.y = spawnPosition.rotation;
-        this.car.mesh.rotation.copy(this.car.rotation);
-        
-        // Update direction vector based on rotation
-        this.car.direction.set(0, 0, 1).applyEuler(this.car.rotation);
-        
-        // Update quaternion from Euler rotation
-        this.car.rotationQuaternion.setFromEuler(this.car.rotation);
-        
-        console.log(`Car positioned at (${spawnPosition.x}, ${spawnPosition.y}, ${spawnPosition.z})`);
-    }
-    
     toggleDebugMode() {
         this.debugMode = !this.debugMode;
         
@@ -371,7 +867,7 @@ export class Game {
         // Create a helper to visualize obstacle boundaries
         this.debugHelpers = [];
         
-        this.obstacles.forEach(obstacle => {
+        this.city.getObstacles().forEach(obstacle => {
             const helperGeometry = new THREE.SphereGeometry(obstacle.boundingRadius, 16, 16);
             const helperMaterial = new THREE.MeshBasicMaterial({
                 color: 0xff0000,
@@ -411,36 +907,34 @@ export class Game {
         this.scene.add(this.boundaryHelper);
     }
     
-    toggleNightMode() {
-        this.nightMode = !this.nightMode;
-        console.log(`Night mode ${this.nightMode ? 'enabled' : 'disabled'}`);
-        
-        if (this.nightMode) {
-            // Night mode settings
-            this.scene.background = new THREE.Color(0x0a1a2a); // Dark blue night sky
-            this.scene.fog = new THREE.FogExp2(0x0a1a2a, 0.008); // Thicker fog at night
-            
-            // Adjust lighting for night mode
-            this.scene.children.forEach(child => {
-                if (child.type === 'DirectionalLight') {
-                    child.intensity = 0.3;
-                } else if (child.type === 'AmbientLight') {
-                    child.intensity = 0.2;
-                }
-            });
-        } else {
-            // Day mode settings
-            this.scene.background = new THREE.Color(0x87CEEB); // Light blue day sky
-            this.scene.fog = new THREE.FogExp2(0x87CEEB, 0.005);
-            
-            // Restore lighting
-            this.scene.children.forEach(child => {
-                if (child.type === 'DirectionalLight') {
-                    child.intensity = 0.8;
-                } else if (child.type === 'AmbientLight') {
-                    child.intensity = 0.5;
-                }
-            });
+    // Sky, fog, sun and the city's lights for the current time of day (every frame)
+    applyTimeOfDay() {
+        const state = this.dayNight.getState();
+        
+        this.skyUniforms.topColor.value.copy(state.skyTop);
+        this.skyUniforms.horizonColor.value.copy(state.skyHorizon);
+        this.skyUniforms.bottomColor.value.copy(state.skyBottom);
+        
+        if (!this.scene.fog) {
+            this.scene.fog = new THREE.FogExp2(state.fogColor, state.fogDensity);
+        }
+        // Fog and clouds thicken with the weather
+        const weather = this.simulation.weather;
+        this.scene.fog.color.copy(state.fogColor);
+        this.scene.fog.density = state.fogDensity + weather.fog * 0.015;
+        
+        // The sun by day and the moon by night, both low in the sky around dawn and dusk
+        this.sunLight.position.copy(state.sunPosition);
+        this.sunLight.color.copy(state.lightColor);
+        this.sunLight.intensity = state.lightIntensity * (1 - 0.5 * weather.overcast);
+        this.ambientLight.intensity = state.ambientIntensity;
+        this.fillLight.intensity = 0.4 * (1 - 0.75 * state.night);
+        
+        this.city.setNightLevel(state.night);
+        this.car.setHeadlightLevel(state.night);
+        
+        if (this.clockDisplay) {
+            this.clockDisplay.textContent = `TIME: ${formatTimeOfDay(this.dayNight.time)}${this.dayNight.paused ? ' ❚❚' : ''}`;
         }
     }
     
@@ -456,189 +950,160 @@ export class Game {
         const deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
         this.lastTime = currentTime;
         
-        // Update boost
-        this.updateBoost(deltaTime);
+        // Pause button and the way back from the controls screen
+        this.pauseMenu.update();
+        this.cameraController.updateOrbitControls();
+        
+        // Render scale and streetlight budget, and the light for the time of day
+        this.updateGraphics(deltaTime);
+        this.applyTimeOfDay();
+        
+        // The level editor freezes the simulation and flies its own camera
+        if (this.editor.active) {
+            this.editor.update(deltaTime);
+            this.audio.update(null);
+            this.music.update(deltaTime, 0, this.dayNight.isNight());
+            this.render();
+            requestAnimationFrame(() => this.update());
+            return;
+        }
         
-        // Update the car
-        this.car.update(this.inputHandler, deltaTime, this.obstacles);
+        // Photo mode freezes the action too, and flies a free camera around it
+        if (this.photoMode.active) {
+            this.photoMode.update(deltaTime);
+            this.audio.update(null);
+            this.music.update(deltaTime, 0, this.dayNight.isNight());
+            this.render();
+            requestAnimationFrame(() => this.update());
+            return;
+        }
         
-        // Apply speed boost with smooth transition
-        const targetMultiplier = this.boost.active && this.boost.available > 0 ? 
-                                this.boost.speedMultiplier : 1.0;
+        // Paused - keep drawing the frozen scene, with the engine off and the music calm
+        if (this.paused) {
+            this.audio.update(null);
+            this.music.update(deltaTime, 0, this.dayNight.isNight());
+            this.render();
+            requestAnimationFrame(() => this.update());
+            return;
+        }
         
-        // Smoothly interpolate between current and target multiplier
-        this.boost.currentMultiplier += (targetMultiplier - this.boost.currentMultiplier) * 
-                                      this.boost.transitionSpeed * deltaTime;
+        // Gamepads have to be polled - read the pad once per frame, before stepping
+        this.inputHandler.pollGamepad();
         
-        // Apply the current multiplier to car speed
-        if (this.boost.currentMultiplier > 1.01) { // Only apply if it's meaningfully above 1.0
-            // Handle boost differently based on whether the car is airborne
-            if (this.car.isAirborne) {
-                // When airborne, use a fixed acceleration approach instead of a multiplier
-                // This ensures boosting never slows the car down
-                
-                // Define maximum safe airborne speed
-                const maxAirborneSpeed = 25;
-                
-                // Only apply boost if we're below the maximum speed
-                if (this.car.speed < maxAirborneSpeed) {
-                    // Apply a fixed acceleration based on how active the boost is
-                    const boostStrength = (this.boost.currentMultiplier - 1.0) / (this.boost.speedMultiplier - 1.0);
-                    const airborneAcceleration = 10 * boostStrength * deltaTime; // Fixed acceleration per second
-                    
-                    // Add the acceleration to current speed
-                    this.car.speed += airborneAcceleration;
-                    
-                    // Cap at maximum airborne speed
-                    this.car.speed = Math.min(this.car.speed, maxAirborneSpeed);
-                }
-            } else {
-                // Normal boost on ground - with a hard cap of 60 mph
-                const maxBoostSpeed = 60; // Maximum speed with boost is 60 mph
-                
-                // Calculate boosted speed
-                const boostedSpeed = this.car.speed * this.boost.currentMultiplier;
-                
-                // Apply the boost but ensure we don't exceed the maximum boost speed
-                this.car.speed = Math.min(boostedSpeed, maxBoostSpeed);
-            }
-            
-            // Create boost trail effect if multiplier is significant
-            if (this.boost.currentMultiplier > 1.2) {
-                this.createBoostTrail();
-                
-                // Enhance bloom effect during boost
-                if (this.bloomPass) {
-                    const bloomIntensity = 1.0 + (this.boost.currentMultiplier - 1.0) * 0.5;
-                    this.bloomPass.strength = bloomIntensity;
-                }
-            }
-        } else {
-            // Reset bloom effect
-            if (this.bloomPass) {
-                this.bloomPass.strength = 1.0;
-            }
+        // The clock only runs while the game does
+        this.dayNight.update(deltaTime);
+        
+        // Advance the simulation in fixed steps, carrying the remainder over to the next frame
+        // (replays can run slower or faster than real time, or be paused)
+        this.accumulator += this.replay.active ? deltaTime * this.replay.getTimeScale() : deltaTime;
+        let subSteps = 0;
+        
+        while (this.accumulator >= this.fixedTimeStep && subSteps < this.maxSubSteps) {
+            this.stepSimulation();
+            this.accumulator -= this.fixedTimeStep;
+            subSteps++;
         }
         
-        // Enforce a hard boundary for the car - ensure it never goes beyond the city limits
-        const carPosition = this.car.getPosition();
-        const citySize = this.city.citySize * this.city.blockSize + (this.city.citySize + 1) * this.city.roadWidth;
-        const halfSize = citySize / 2;
-        const buffer = 10; // Keep car a bit away from the edge
+        if (this.replay.active) {
+            this.replay.updateControls();
+        }
         
-        if (Math.abs(carPosition.x) > halfSize - buffer || Math.abs(carPosition.z) > halfSize - buffer) {
-            // Car is trying to go out of bounds - push it back
-            const wasOutOfBounds = { x: false, z: false };
-            const originalPos = carPosition.clone();
-            
-            if (Math.abs(carPosition.x) > halfSize - buffer) {
-                carPosition.x = Math.sign(carPosition.x) * (halfSize - buffer);
-                wasOutOfBounds.x = true;
-            }
-            
-            if (Math.abs(carPosition.z) > halfSize - buffer) {
-                carPosition.z = Math.sign(carPosition.z) * (halfSize - buffer);
-                wasOutOfBounds.z = true;
-            }
-            
-            // Create a boundary normal for realistic bounce
-            const boundaryNormal = new THREE.Vector3(0, 0, 0);
-            
-            if (wasOutOfBounds.x) {
-                boundaryNormal.x = -Math.sign(originalPos.x);
-            }
-            
-            if (wasOutOfBounds.z) {
-                boundaryNormal.z = -Math.sign(originalPos.z);
-            }
-            
-            boundaryNormal.normalize();
-            
-            // Calculate bounce direction similar to wall collisions
-            const dotProduct = this.car.velocity.dot(boundaryNormal);
-            
-            // Only bounce if moving toward the boundary
-            if (dotProduct < 0) {
-                // Calculate reflection vector (v - 2(v·n)n)
-                const bounceVelocity = this.car.velocity.clone().sub(
-                    boundaryNormal.clone().multiplyScalar(2 * dotProduct)
-                ).normalize();
-                
-                // Apply the new direction with a bounce
-                this.car.direction.copy(bounceVelocity);
-                
-                // Apply bounce effect - reduce speed but maintain some momentum
-                this.car.speed *= 0.4;
-                
-                // Update car rotation to match new direction
-                this.car.rotation.y = Math.atan2(this.car.direction.x, this.car.direction.z);
-                this.car.rotationQuaternion.setFromEuler(this.car.rotation);
-                
-                // Add a small vertical boost for a bouncy feel if going fast enough
-                if (Math.abs(this.car.speed) > 15 && !this.car.isAirborne) {
-                    this.car.isAirborne = true;
-                    this.car.verticalVelocity = 4;
-                }
-            } else {
-                // If moving away from boundary, just reduce speed
-                this.car.speed *= 0.5;
-            }
+        // Lap timer, countdown and gates
+        this.raceMode.update(deltaTime);
+        
+        // High-score entry and live session stats
+        this.statsScreen.update();
+        
+        // Speed achievements are checked every frame, then the unlock toasts fade
+        this.achievementsScreen.update(deltaTime);
+        
+        // Too far behind (slow frame or background tab) - drop the backlog instead of fast-forwarding
+        if (this.accumulator >= this.fixedTimeStep) {
+            this.accumulator %= this.fixedTimeStep;
         }
         
-        // Check for ramp interactions
-        this.checkRampInteractions();
+        // Draw the car between the last two steps so motion is smooth at any refresh rate
+        this.interpolateCar(this.accumulator / this.fixedTimeStep);
         
-        // Check for physics object interactions
-        this.updatePhysicsObjects(deltaTime);
+        // Boost meter, trail and bloom follow the simulated boost
+        this.updateBoostEffects();
         
-        // Update humans
-        this.updateHumans(deltaTime);
+        // Rain, fog banks, wet roads and lightning
+        this.weatherEffects.update(deltaTime);
+        
+        // Colours split with speed and boost, and the tape jolts after big impacts
+        this.retroEffects.update(deltaTime);
+        
+        // Engine note and tire squeal, and music that builds with the action
+        this.audio.update(this.car, this.simulation.boost);
+        this.music.update(deltaTime, getMusicIntensity({
+            speed: this.car.getSpeed(),
+            maxSpeed: this.car.maxSpeed,
+            boosting: this.simulation.boost.state === 'boosting',
+            comboMultiplier: this.simulation.combo.multiplier
+        }), this.dayNight.isNight());
         
         // Update particles
         this.updateParticles(deltaTime);
         
-        // Update camera to follow car
-        this.updateCamera();
+        // Fade out the trick callout
+        this.updateStuntCallout(deltaTime);
+        
+        // Combo chain in progress, or how the last one ended
+        this.updateComboDisplay(deltaTime);
+        
+        // Update camera to follow car (in the chosen camera mode)
+        this.cameraController.update(deltaTime);
         
         // Update speedometer
         this.updateSpeedometer();
         
         // Render the scene
-        if (this.composer) {
-            this.composer.render();
-        } else {
-        this.renderer.render(this.scene, this.camera);
-        }
+        this.render();
         
         // Request next frame
         requestAnimationFrame(() => this.update());
     }
     
-    updateCamera() {
-        // Calculate the target position behind the car
-        const carPosition = this.car.getPosition();
-        const carDirection = this.car.getDirection();
+    stepSimulation() {
+        this.storePreviousCarState();
         
-        // Position camera behind the car
-        const idealOffset = this.cameraOffset.clone();
-        idealOffset.applyQuaternion(this.car.getRotationQuaternion());
-        idealOffset.add(carPosition);
-        
-        // Smooth camera movement using lerp
-        this.camera.position.lerp(idealOffset, 0.1);
-        
-        // Look at position slightly ahead of the car
-        this.cameraTarget.copy(carPosition);
-        this.cameraTarget.y += 1.5; // Look slightly above the car
-        this.camera.lookAt(this.cameraTarget);
+        if (this.replay.active) {
+            // Replays feed the recorded input back in
+            this.replay.step();
+        } else {
+            this.inputHandler.recordStep(this.simulation.stepCount);
+            this.simulation.step(this.inputHandler, this.fixedTimeStep);
+        }
+    }
+    
+    storePreviousCarState() {
+        // Remember where the car was before a step so rendering can interpolate from there
+        this.previousCarPosition.copy(this.car.position);
+        this.previousCarQuaternion.setFromEuler(this.car.rotation);
+    }
+    
+    interpolateCar(alpha) {
+        this.currentCarQuaternion.setFromEuler(this.car.rotation);
+        this.car.mesh.position.lerpVectors(this.previousCarPosition, this.car.position, alpha);
+        this.car.mesh.quaternion.slerpQuaternions(this.previousCarQuaternion, this.currentCarQuaternion, alpha);
+    }
+    
+    render() {
+        if (this.composer) {
+            this.composer.render();
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
     }
     
     updateSpeedometer() {
         const speed = Math.round(this.car.getSpeed() * 10) / 10;
         if (this.speedometer) {
-            // Format with leading zeros for retro digital feel
-            const speedStr = speed.toFixed(1).padStart(5, '0');
-            this.speedometer.textContent = `SPEED: ${speedStr} MPH`;
+            // Format with leading zeros for retro digital feel, in the units picked in the settings
+            const units = this.settings.get('units');
+            const speedStr = convertSpeed(speed, units).toFixed(1).padStart(5, '0');
+            this.speedometer.textContent = `SPEED: ${speedStr} ${getSpeedUnit(units)}`;
             
             // Change color based on speed - adjusted for new speed ranges
             if (speed > 50) {
@@ -654,6 +1119,73 @@ export class Game {
         }
     }
     
+    // Call out the tricks of a finished stunt with the points it scored
+    showStuntCallout(stunt) {
+        const color = stunt.points > 0 ? '#ffff00' : '#ff3366';
+        this.stuntCallout.innerHTML = '';
+        
+        for (const trick of stunt.tricks) {
+            const line = document.createElement('div');
+            line.textContent = trick;
+            this.stuntCallout.appendChild(line);
+        }
+        
+        if (stunt.points > 0) {
+            const points = document.createElement('div');
+            points.textContent = `+${stunt.points}`;
+            points.style.fontSize = '36px';
+            this.stuntCallout.appendChild(points);
+        }
+        
+        this.stuntCallout.style.color = color;
+        this.stuntCallout.style.textShadow = `0 0 5px ${color}, 0 0 10px ${color}`;
+        this.stuntCallout.style.opacity = '1';
+        this.stuntCallout.style.display = 'block';
+        this.stuntCalloutTime = 2;
+    }
+    
+    updateStuntCallout(deltaTime) {
+        if (this.stuntCalloutTime <= 0) return;
+        
+        this.stuntCalloutTime -= deltaTime;
+        if (this.stuntCalloutTime <= 0) {
+            this.stuntCallout.style.display = 'none';
+        } else {
+            // Fade over the last half second
+            this.stuntCallout.style.opacity = String(Math.min(1, this.stuntCalloutTime * 2));
+        }
+    }
+    
+    // Show the banked points (or the lost chain) in place of the combo for a moment
+    showComboResult(result) {
+        const color = result.banked ? '#00ff66' : '#ff3366';
+        this.comboText.textContent = result.banked
+            ? `COMBO x${result.multiplier} +${result.total}`
+            : `COMBO LOST (${result.points * result.multiplier})`;
+        this.comboText.style.color = color;
+        this.comboText.style.textShadow = `0 0 5px ${color}`;
+        this.comboTimer.style.width = '0';
+        this.comboDisplay.style.display = 'block';
+        this.comboResultTime = 1.5;
+    }
+    
+    updateComboDisplay(deltaTime) {
+        const combo = this.simulation.combo;
+        
+        if (combo.active) {
+            this.comboResultTime = 0;
+            this.comboText.textContent = `${combo.points} x${combo.multiplier}`;
+            this.comboText.style.color = '#ffff00';
+            this.comboText.style.textShadow = '0 0 5px #ffff00';
+            this.comboTimer.style.width = `${Math.max(0, combo.timeLeft / COMBO_WINDOW) * 100}%`;
+            this.comboDisplay.style.display = 'block';
+        } else if (this.comboResultTime > 0) {
+            this.comboResultTime -= deltaTime;
+        } else {
+            this.comboDisplay.style.display = 'none';
+        }
+    }
+    
     onWindowResize() {
         // Update camera
         this.camera.aspect = window.innerWidth / window.innerHeight;
@@ -664,182 +1196,14 @@ export class Game {
         
         // Update composer
         this.composer.setSize(window.innerWidth, window.innerHeight);
-    }
-    
-    checkRampInteractions() {
-        // Check if car is on any ramp
-        const carPosition = this.car.getPosition();
-        const carDirection = this.car.getDirection();
-        const carSpeed = this.car.getSpeed();
-        
-        // Reset ramp state - we'll set it to true if we're on any ramp
-        let onAnyRamp = false;
-        let currentRampHeight = 0;
-        let currentRamp = null;
-
-        for (const ramp of this.ramps) {
-            // Handle omnidirectional launchpads differently
-            if (ramp.type === 'launchpad' && ramp.omnidirectional) {
-                // Calculate distance from car to launchpad center (XZ plane only)
-                const dx = carPosition.x - ramp.position.x;
-                const dz = carPosition.z - ramp.position.z;
-                const distanceSquared = dx * dx + dz * dz;
-                
-                // Check if car is on the launchpad
-                if (distanceSquared <= ramp.radius * ramp.radius) {
-                    // We are on a launchpad
-                    onAnyRamp = true;
-                    currentRamp = ramp;
-                    
-                    // Set the car's height to the launchpad height
-                    if (!this.car.isAirborne) {
-                        this.car.position.y = 0.5 + ramp.height;
-                        
-                        // Apply a small speed boost for more fun
-                        if (carSpeed > 10) {
-                            this.car.speed *= 1.02; 
-                        }
-                        
-                        // Calculate distance from center as a percentage of radius
-                        const distanceFromCenter = Math.sqrt(distanceSquared);
-                        const normalizedDistance = distanceFromCenter / ramp.radius;
-                        
-                        // Trigger launch when car is reasonably fast and not already airborne
-                        if (carSpeed > 5 && !this.car.isAirborne) {
-                            // Calculate launch strength based on speed and distance from center
-                            // Maximum launch at the center, reduced at the edges
-                            const centerBonus = 1 - normalizedDistance;
-                            const speedFactor = Math.min(1, carSpeed / 25);
-                            
-                            // Limit maximum launch strength when boosting to prevent going through buildings
-                            const maxJumpStrength = 22; // Cap the maximum jump strength
-                            const baseJumpStrength = Math.min(ramp.jumpStrength, maxJumpStrength);
-                            
-                            const launchStrength = baseJumpStrength * speedFactor * (0.7 + centerBonus * 0.3);
-                            
-                            // Set car to airborne state
-                            this.car.isAirborne = true;
-                            this.car.verticalVelocity = launchStrength;
-                            
-                            // Add a slight upward tilt based on speed
-                            this.car.rotation.x = -0.2 - (speedFactor * 0.3);
-                            
-                            // Limit the car's horizontal speed during high jumps to prevent collision issues
-                            if (carSpeed > 30) {
-                                this.car.speed = 30;
-                            } else {
-                                // Add a small speed boost when jumping at normal speeds
-                                this.car.speed *= 1.05;
-                            }
-                            
-                            // Create jump particles
-                            this.createJumpParticles(carPosition);
-                            
-                            // Log jump
-                            console.log(`LAUNCHPAD JUMP! Velocity: ${launchStrength.toFixed(2)}`);
-                        }
-                    }
-                    
-                    // Once we've found a launchpad we're on, we can stop checking
-                    break;
-                }
-            } 
-            // Handle traditional directional ramps
-            else {
-                // Create a local coordinate system based on ramp orientation
-                const rampForward = new THREE.Vector3(0, 0, 1).applyAxisAngle(new THREE.Vector3(0, 1, 0), ramp.rotation);
-                const rampRight = new THREE.Vector3(1, 0, 0).applyAxisAngle(new THREE.Vector3(0, 1, 0), ramp.rotation);
-                
-                // Calculate car position relative to ramp
-                const relativePos = carPosition.clone().sub(ramp.position);
-                
-                // Project onto ramp forward and right axes
-                const forwardProjection = relativePos.dot(rampForward);
-                const rightProjection = relativePos.dot(rampRight);
-                
-                // Check if car is on the ramp
-                if (Math.abs(rightProjection) < ramp.width / 2 && 
-                    forwardProjection > -ramp.length / 2 && 
-                    forwardProjection < ramp.length / 2) {
-                    
-                    // We are on a ramp
-                    onAnyRamp = true;
-                    currentRamp = ramp;
-                    
-                    // Calculate height of ramp at car's position
-                    // This is a simplified calculation; the ramp height increases linearly from front to back
-                    const normalizedPos = (forwardProjection + ramp.length / 2) / ramp.length;
-                    currentRampHeight = normalizedPos * ramp.height;
-                    
-                    // Set the car's height based on the ramp height at this position
-                    if (!this.car.isAirborne) {
-                        this.car.position.y = 0.5 + currentRampHeight;
-                        
-                        // When approaching the ramp, increase the car's speed slightly for more fun jumps
-                        if (normalizedPos < 0.4 && carSpeed > 15) {
-                            this.car.speed *= 1.01; // Small boost when hitting the ramp
-                        }
-                    }
-                    
-                    // Only jump if we're at the high end of the ramp and moving in the right direction
-                    if (normalizedPos > 0.8 && carSpeed > 10) {
-                        // Check if we're going the right direction - dot product should be positive
-                        const alignmentWithRamp = carDirection.dot(rampForward);
-                        
-                        if (alignmentWithRamp > 0.7) { // Car is well aligned with ramp
-                            // Apply jump velocity based on car speed and ramp parameters
-                            // Higher speed = bigger jump
-                            const jumpFactor = Math.min(1, carSpeed / 30); // Normalize between 0 and 1
-                            
-                            // Limit maximum jump strength when boosting to prevent going through buildings
-                            const maxJumpStrength = 20; // Cap the maximum jump strength
-                            const baseJumpStrength = Math.min(ramp.jumpStrength, maxJumpStrength);
-                            
-                            const jumpVelocity = baseJumpStrength * jumpFactor;
-                            
-                            // Don't trigger the jump if we're already airborne
-                            if (!this.car.isAirborne) {
-                                // Set car to airborne state
-                                this.car.isAirborne = true;
-                                this.car.verticalVelocity = jumpVelocity;
-                                
-                                // Add an upward rotation to the car for a more dramatic effect
-                                this.car.rotation.x = -0.3;
-                                
-                                // Limit car's speed during high jumps
-                                if (carSpeed > 30) {
-                                    this.car.speed = 30;
-                                } else {
-                                    // Add a small speed boost when jumping at normal speeds
-                                    this.car.speed *= 1.1;
-                                }
-                                
-                                // Create jump particles
-                                this.createJumpParticles(carPosition);
-                                
-                                // Play a jump sound (placeholder for now)
-                                console.log("JUMP! Velocity: " + jumpVelocity.toFixed(2));
-                            }
-                        }
-                    }
-                }
-            }
-        }
         
-        // If we're not on any ramp and not airborne, reset to ground height
-        if (!onAnyRamp && !this.car.isAirborne) {
-            this.car.position.y = 0.5;
-        }
-        
-        // Update the car's onRamp state
-        this.car.onRamp = onAnyRamp;
-        this.car.rampHeight = currentRampHeight;
-        this.car.currentRamp = currentRamp;
+        // Rearrange the touch controls (this also runs when a phone is rotated)
+        this.touchControls.layout();
     }
     
     createJumpParticles(position) {
         // Create a simple particle effect when jumping
-        const particleCount = 10;
+        const particleCount = getParticleCount(10, this.getGraphicsPreset());
         
         for (let i = 0; i < particleCount; i++) {
             // Create a simple particle
@@ -907,220 +1271,6 @@ export class Game {
         }
     }
     
-    updatePhysicsObjects(deltaTime) {
-        // Update all physics objects (trash cans, benches, streetlights, barrels, crates)
-        const car = this.car;
-        const carPosition = car.getPosition();
-        const carSpeed = car.getSpeed();
-        const carDirection = car.getDirection();
-        
-        // Apply physics to all objects
-        for (const obj of this.city.getPhysicsObjects()) {
-            // Skip objects that haven't been knocked over
-            if (!obj.isKnockedOver) {
-                // Default sphere-based collision detection
-                let collision = false;
-                const distance = carPosition.distanceTo(obj.position);
-                const collisionThreshold = car.getBoundingRadius() + obj.radius;
-                
-                // Check for collision with car
-                if (distance < collisionThreshold) {
-                    collision = true;
-                } 
-                // Special case for streetlights - add cylinder-based collision for the pole
-                else if (obj.type === 'streetlight' && obj.pole) {
-                    // Calculate distance from car to the streetlight pole (2D - xz plane)
-                    const carToLight = new THREE.Vector2(
-                        carPosition.x - obj.position.x,
-                        carPosition.z - obj.position.z
-                    );
-                    const distanceToPole = carToLight.length();
-                    
-                    // Check if car is close enough to the pole for a potential collision
-                    const maxPossibleDistance = car.getBoundingRadius() + obj.pole.radius;
-                    
-                    if (distanceToPole < maxPossibleDistance) {
-                        // Car is close enough to potentially hit the pole
-                        collision = true;
-                    }
-                }
-                
-                if (collision) {
-                    // Calculate impact force based on car speed
-                    const impactForce = carSpeed * 0.5;
-                    
-                    // Different object types have different thresholds for being knocked over
-                    let knockoverThreshold;
-                    switch (obj.type) {
-                        case 'trashCan':
-                            knockoverThreshold = 3;
-                            break;
-                        case 'bench':
-                            knockoverThreshold = 7;
-                            break;
-                        case 'streetlight':
-                            knockoverThreshold = 6;
-                            break;
-                        case 'barrel':
-                            knockoverThreshold = 4;
-                            break;
-                        case 'crate':
-                            knockoverThreshold = 5;
-                            break;
-                        default:
-                            knockoverThreshold = 5;
-                    }
-                    
-                    // Only knock over if impact force is high enough
-                    if (impactForce > knockoverThreshold) {
-                        // Object is knocked over
-                        obj.isKnockedOver = true;
-                        
-                        // Add score for knocking over objects
-                        this.addScore(50);
-                        
-                        // Calculate impulse direction based on car's position and direction
-                        const impulseDirection = new THREE.Vector3()
-                            .subVectors(obj.position, carPosition)
-                            .normalize();
-                        
-                        // Add a vertical component for more dramatic physics
-                        impulseDirection.y = 0.5;
-                        impulseDirection.normalize();
-                        
-                        // Apply velocity based on car speed and direction
-                        obj.velocity.copy(carDirection).multiplyScalar(carSpeed * 0.3);
-                        obj.velocity.add(impulseDirection.multiplyScalar(impactForce));
-                        
-                        // Apply random rotation for more chaotic motion
-                        obj.angularVelocity.set(
-                            (Math.random() - 0.5) * 5,
-                            (Math.random() - 0.5) * 5,
-                            (Math.random() - 0.5) * 5
-                        );
-                        
-                        // Special effects for different object types
-                        if (obj.type === 'streetlight' && obj.light) {
-                            // Start light flickering
-                            this.flickerLight(obj.light);
-                        } else if (obj.type === 'barrel') {
-                            // Add a more dramatic effect for barrels - they get more height
-                            obj.velocity.y += 2;
-                            
-                            // Add score bonus for hitting barrels
-                            this.addScore(75);
-                        } else if (obj.type === 'crate') {
-                            // Crates get more horizontal movement but less vertical
-                            obj.velocity.y *= 0.7;
-                            obj.velocity.x *= 1.5;
-                            obj.velocity.z *= 1.5;
-                            
-                            // Add score bonus for hitting crates
-                            this.addScore(60);
-                        }
-                        
-                        // Slow down the car based on object mass
-                        const carSlowdown = Math.min(0.8, obj.mass / 100);
-                        car.speed *= (1 - carSlowdown);
-                    }
-                }
-            } else {
-                // Object has been knocked over, apply physics
-                
-                // Apply gravity
-                obj.velocity.y -= 20 * deltaTime; // Gravity effect
-                
-                // Update position
-                obj.position.add(obj.velocity.clone().multiplyScalar(deltaTime));
-                
-                // Apply angular velocity (rotation)
-                const rotation = new THREE.Euler(
-                    obj.angularVelocity.x * deltaTime,
-                    obj.angularVelocity.y * deltaTime,
-                    obj.angularVelocity.z * deltaTime,
-                    'XYZ'
-                );
-                const rotationDelta = new THREE.Quaternion().setFromEuler(rotation);
-                const currentQuaternion = new THREE.Quaternion().setFromEuler(obj.rotation);
-                currentQuaternion.multiply(rotationDelta);
-                obj.rotation.setFromQuaternion(currentQuaternion);
-                
-                // Check for ground collision
-                if (obj.position.y - obj.height/2 < 0) {
-                    obj.position.y = obj.height/2;
-                    
-                    // Bounce with damping
-                    if (Math.abs(obj.velocity.y) > 0.5) {
-                        obj.velocity.y = -obj.velocity.y * 0.3; // Bounce with 70% energy loss
-                        
-                        // Reduce horizontal velocity due to friction
-                        obj.velocity.x *= 0.9;
-                        obj.velocity.z *= 0.9;
-                    } else {
-                        obj.velocity.y = 0;
-                    }
-                    
-                    // Also dampen angular velocity
-                    obj.angularVelocity.multiplyScalar(0.9);
-                }
-                
-                // Slow down due to air resistance
-                obj.velocity.multiplyScalar(0.98);
-                obj.angularVelocity.multiplyScalar(0.98);
-                
-                // Update object mesh
-                obj.mesh.position.copy(obj.position);
-                obj.mesh.rotation.copy(obj.rotation);
-                
-                // Special effects for different object types
-                if (obj.type === 'streetlight') {
-                    // Gradually dim the light based on pole angle
-                    if (obj.light) {
-                        // Get the up vector of the pole
-                        const upVector = new THREE.Vector3(0, 1, 0).applyEuler(obj.rotation);
-                        const normalUp = new THREE.Vector3(0, 1, 0);
-                        
-                        // Calculate angle between current rotation and upright
-                        const angleFactor = upVector.dot(normalUp); // 1 when upright, 0 when sideways, -1 when upside down
-                        const normalizedAngle = (angleFactor + 1) / 2; // 1 when upright, 0.5 when sideways, 0 when upside down
-                        
-                        // Dim the light based on angle
-                        obj.light.intensity = Math.max(0, normalizedAngle) * 1.0;
-                    }
-                } else if (obj.type === 'barrel') {
-                    // Add more bounce for barrels
-                    if (obj.position.y === obj.height/2 && Math.abs(obj.velocity.y) <= 0.5) {
-                        // Barrel has settled on the ground, make it roll more
-                        const horizontalSpeed = Math.sqrt(obj.velocity.x * obj.velocity.x + obj.velocity.z * obj.velocity.z);
-                        if (horizontalSpeed > 0.1) {
-                            // Calculate roll axis (perpendicular to movement direction)
-                            const movementDir = new THREE.Vector3(obj.velocity.x, 0, obj.velocity.z).normalize();
-                            const rollAxis = new THREE.Vector3(-movementDir.z, 0, movementDir.x);
-                            
-                            // Apply rolling angular velocity
-                            const rollSpeed = horizontalSpeed * 2;
-                            obj.angularVelocity.copy(rollAxis.multiplyScalar(rollSpeed));
-                        }
-                    }
-                }
-                
-                // Reset objects that have come to rest (or after a certain time)
-                const isAtRest = obj.velocity.lengthSq() < 0.01 && obj.angularVelocity.lengthSq() < 0.01;
-                const isOutOfBounds = Math.abs(obj.position.x) > 500 || Math.abs(obj.position.z) > 500;
-                
-                if (isAtRest || isOutOfBounds || obj.resetTimer > 60) {
-                    // Only reset the object if it's far from the player to avoid jarring visuals
-                    if (carPosition.distanceTo(obj.position) > 50 || isOutOfBounds) {
-                        this.resetPhysicsObject(obj);
-                    }
-                } else {
-                    // Increment reset timer
-                    obj.resetTimer = (obj.resetTimer || 0) + deltaTime;
-                }
-            }
-        }
-    }
-    
     flickerLight(light) {
         if (!light) return;
         
@@ -1156,73 +1306,6 @@ export class Game {
         flicker();
     }
     
-    resetPhysicsObject(obj) {
-        if (obj.type === 'trashCan') {
-            // Get a new random position for the trash can
-            const newPosition = this.getRandomSidewalkPosition();
-            
-            // Reset the physics object to a new position
-            obj.originalPosition.copy(newPosition);
-            obj.position.copy(newPosition);
-            obj.rotation.copy(obj.originalRotation);
-            obj.velocity.set(0, 0, 0);
-            obj.angularVelocity.set(0, 0, 0);
-            obj.isKnockedOver = false;
-            
-            // Update the mesh
-            obj.mesh.position.copy(obj.position);
-            obj.mesh.rotation.copy(obj.rotation);
-        } else {
-            // Reset to original position for other objects
-            obj.position.copy(obj.originalPosition);
-            obj.rotation.copy(obj.originalRotation);
-            obj.velocity.set(0, 0, 0);
-            obj.angularVelocity.set(0, 0, 0);
-            obj.isKnockedOver = false;
-            
-            // Update the mesh
-            obj.mesh.position.copy(obj.position);
-            obj.mesh.rotation.copy(obj.rotation);
-            
-            // Special case for streetlights: reset the light
-            if (obj.type === 'streetlight' && obj.light) {
-                obj.light.intensity = 1.0; // Reset light to full intensity
-            }
-        }
-    }
-    
-    getRandomSidewalkPosition() {
-        // Choose a random road
-        const isHorizontal = Math.random() > 0.5;
-        const roadArray = isHorizontal ? this.city.getRoads().horizontal : this.city.getRoads().vertical;
-        const roadIndex = Math.floor(Math.random() * roadArray.length);
-        const road = roadArray[roadIndex];
-        
-        // Get city dimensions
-        const totalSize = this.city.citySize * this.city.blockSize + (this.city.citySize + 1) * this.city.roadWidth;
-        const halfTotalSize = totalSize / 2;
-        
-        // Position slightly off the road on the sidewalk
-        const roadPos = isHorizontal ? road.centerZ : road.centerX;
-        const offset = (road.width / 2) + 1.5; // Place on sidewalk
-        const sideOffset = (Math.random() > 0.5 ? 1 : -1) * offset;
-        
-        // Calculate position
-        let x, y, z;
-        if (isHorizontal) {
-            x = (Math.random() * totalSize) - halfTotalSize;
-            z = roadPos + sideOffset;
-        } else {
-            x = roadPos + sideOffset;
-            z = (Math.random() * totalSize) - halfTotalSize;
-        }
-        
-        // Y position (height) is half the height of the trash can
-        y = 1; // Typical trash can height is 2, so halfway up is 1
-        
-        return new THREE.Vector3(x, y, z);
-    }
-    
     updateParticles(deltaTime) {
         if (!this.particles) return;
         
@@ -1230,299 +1313,7 @@ export class Game {
         this.particles = this.particles.filter(updateFn => !updateFn(deltaTime));
     }
     
-    updateHumans(deltaTime) {
-        if (!this.humans) return;
-        
-        const carPosition = this.car.getPosition();
-        const carRadius = this.car.getBoundingRadius();
-        const carSpeed = this.car.getSpeed();
-        
-        // Define a maximum distance for full AI processing
-        // Humans beyond this distance will use simplified updates
-        const maxAIProcessingDistance = 500;
-        
-        // Update each human
-        this.humans.forEach(human => {
-            if (human.isDead) {
-                // Dead humans don't move, just stay on the ground
-                return;
-            }
-            
-            // Update position
-            const humanPos = human.position;
-            // Ensure human stays on the ground
-            humanPos.y = 0; // Set Y position to ground level
-            
-            // Update the mesh position (correct height off the ground)
-            human.mesh.position.set(humanPos.x, 0, humanPos.z); // Set Y to 0 for ground level
-            
-            // Get distance to car
-            const distanceToCar = humanPos.distanceTo(carPosition);
-            
-            // Check if human is hit by car
-            if (distanceToCar < (carRadius + human.boundingRadius)) {
-                // Check if car is moving fast enough to kill
-                if (carSpeed > 5) {
-                    this.killHuman(human, carPosition.clone().sub(humanPos).normalize());
-                    return;
-                }
-            }
-            
-            // Skip complex AI processing for humans far from the player
-            if (distanceToCar > maxAIProcessingDistance) {
-                // For distant humans, just do minimal updates
-                // This significantly improves performance
-                if (human.state === 'walking') {
-                    // Simple walking animation without path calculations
-                    this.animateWalking(human, deltaTime);
-                }
-                return;
-            }
-            
-            // Full AI logic for nearby humans
-            if (human.state === 'walking') {
-                // Walking state
-                
-                // Check if needs to flee from car
-                if (distanceToCar < human.detectionRadius) {
-                    // Change to fleeing state
-                    human.state = 'fleeing';
-                    human.runningFrom = carPosition.clone();
-                } else {
-                    // Regular walking behavior
-                    this.updateWalkingHuman(human, deltaTime);
-                }
-            } else if (human.state === 'fleeing') {
-                // Fleeing state
-                
-                // Check if still needs to flee (car is close)
-                if (distanceToCar < human.detectionRadius * 1.5) { // Keep fleeing until a safe distance
-                    // Calculate vector away from car
-                    const fleeDirection = new THREE.Vector3().subVectors(humanPos, carPosition).normalize();
-                    
-                    // Update human velocity
-                    human.velocity.copy(fleeDirection).multiplyScalar(human.fleeSpeed);
-                    
-                    // Calculate new position but don't apply yet
-                    const newPosition = humanPos.clone().add(human.velocity.clone().multiplyScalar(deltaTime));
-                    
-                    // Check for boundary collision
-                    let collisionDetected = false;
-                    
-                    // Check against boundary obstacles
-                    for (const obstacle of this.obstacles) {
-                        if (obstacle.type === 'boundary') {
-                            // For boundary obstacles, use a simple distance check
-                            const distance = newPosition.distanceTo(obstacle.position);
-                            if (distance < (human.boundingRadius + obstacle.boundingRadius)) {
-                                collisionDetected = true;
-                                break;
-                            }
-                        }
-                    }
-                    
-                    // Also enforce a hard boundary based on city size
-                    const cityBounds = this.city.citySize * this.city.blockSize + (this.city.citySize + 1) * this.city.roadWidth;
-                    const halfBounds = cityBounds / 2;
-                    const boundaryBuffer = 5; // Keep humans a bit away from the edge
-                    
-                    const atBoundary = Math.abs(newPosition.x) > halfBounds - boundaryBuffer || 
-                                       Math.abs(newPosition.z) > halfBounds - boundaryBuffer;
-                    
-                    // Modify direction if hitting a boundary
-                    if (collisionDetected || atBoundary) {
-                        // Find a new flee direction that doesn't hit the boundary
-                        // Try to move along the boundary instead
-                        if (atBoundary) {
-                            // Determine which boundary is being hit
-                            let tangentDir = new THREE.Vector3();
-                            
-                            if (Math.abs(newPosition.x) > halfBounds - boundaryBuffer) {
-                                // Hitting east/west boundary, move north/south
-                                tangentDir.set(0, 0, Math.sign(carPosition.z - humanPos.z) * -1);
-                            } else {
-                                // Hitting north/south boundary, move east/west
-                                tangentDir.set(Math.sign(carPosition.x - humanPos.x) * -1, 0, 0);
-                            }
-                            
-                            // Update velocity to move along boundary
-                            human.velocity.copy(tangentDir).multiplyScalar(human.fleeSpeed);
-                            
-                            // Update position with adjusted velocity
-                            humanPos.add(human.velocity.clone().multiplyScalar(deltaTime));
-                        } else {
-                            // Just stop and don't update position this frame
-                            // They'll get a new direction next frame
-                        }
-                    } else {
-                        // No collision, update position normally
-                        humanPos.copy(newPosition);
-                    }
-                    
-                    // Ensure Y position remains at ground level
-                    humanPos.y = 0;
-                    
-                    // Update human rotation to face away from car
-                    const targetAngle = Math.atan2(fleeDirection.x, fleeDirection.z);
-                    // Smoothly rotate towards target angle
-                    const angleDiff = targetAngle - human.rotation;
-                    // Normalize to [-PI, PI]
-                    const normalizedDiff = ((angleDiff + Math.PI) % (Math.PI * 2)) - Math.PI;
-                    human.rotation += normalizedDiff * 5 * deltaTime; // Smooth rotation
-                    human.mesh.rotation.y = human.rotation;
-                    
-                    // Run animation
-                    this.animateRunning(human, deltaTime);
-                } else {
-                    // Car is far away, go back to walking
-                    human.state = 'walking';
-                    human.velocity.set(0, 0, 0);
-                }
-            }
-        });
-    }
-    
-    animateWalking(human, deltaTime) {
-        // Simple walking animation
-        if (!human.limbs) return;
-        
-        // Update walk cycle
-        human.animationState.walkCycle += deltaTime * human.animationState.animSpeed;
-        
-        // Calculate leg and arm angles based on walk cycle
-        const legAngle = Math.sin(human.animationState.walkCycle) * 0.3;
-        const armAngle = -Math.sin(human.animationState.walkCycle) * 0.2;
-        
-        // Apply angles to limbs
-        human.limbs.leftLeg.rotation.x = legAngle;
-        human.limbs.rightLeg.rotation.x = -legAngle;
-        human.limbs.leftArm.rotation.x = armAngle;
-        human.limbs.rightArm.rotation.x = -armAngle;
-    }
-    
-    animateRunning(human, deltaTime) {
-        // Running animation - more exaggerated than walking
-        if (!human.limbs) return;
-        
-        // Update walk cycle faster for running
-        human.animationState.walkCycle += deltaTime * human.animationState.animSpeed * 2;
-        
-        // Calculate leg and arm angles based on walk cycle - more exaggerated
-        const legAngle = Math.sin(human.animationState.walkCycle) * 0.7;
-        const armAngle = -Math.sin(human.animationState.walkCycle) * 0.5;
-        
-        // Apply angles to limbs
-        human.limbs.leftLeg.rotation.x = legAngle;
-        human.limbs.rightLeg.rotation.x = -legAngle;
-        human.limbs.leftArm.rotation.x = armAngle;
-        human.limbs.rightArm.rotation.x = -armAngle;
-    }
-    
-    updateWalkingHuman(human, deltaTime) {
-        // 1. Calculate new position based on velocity
-        const humanPos = human.position;
-        
-        // If no direction, assign a new random direction
-        if (human.velocity.lengthSq() < 0.01) {
-            // Determine direction based on walkHorizontal flag
-            if (human.walkHorizontal) {
-                // Walking east/west
-                human.velocity.set((Math.random() > 0.5 ? 1 : -1), 0, 0);
-            } else {
-                // Walking north/south
-                human.velocity.set(0, 0, (Math.random() > 0.5 ? 1 : -1));
-            }
-            
-            // Normalize and set speed
-            human.velocity.normalize().multiplyScalar(human.walkSpeed);
-            
-            // Set rotation to match direction
-            human.rotation = Math.atan2(human.velocity.x, human.velocity.z);
-            human.mesh.rotation.y = human.rotation;
-        }
-        
-        // Calculate new position but don't apply yet
-        const newPosition = humanPos.clone().add(human.velocity.clone().multiplyScalar(deltaTime));
-        
-        // Check for boundary collision
-        let collisionDetected = false;
-        
-        // Check against boundary obstacles
-        for (const obstacle of this.obstacles) {
-            if (obstacle.type === 'boundary') {
-                // For boundary obstacles, use a simple distance check
-                const distance = newPosition.distanceTo(obstacle.position);
-                if (distance < (human.boundingRadius + obstacle.boundingRadius)) {
-                    collisionDetected = true;
-                    break;
-                }
-            }
-        }
-        
-        // Also enforce a hard boundary based on city size
-        const cityBounds = this.city.citySize * this.city.blockSize + (this.city.citySize + 1) * this.city.roadWidth;
-        const halfBounds = cityBounds / 2;
-        const boundaryBuffer = 5; // Keep humans a bit away from the edge
-        
-        const atBoundary = Math.abs(newPosition.x) > halfBounds - boundaryBuffer || 
-                          Math.abs(newPosition.z) > halfBounds - boundaryBuffer;
-        
-        // Modify direction if hitting a boundary or randomly
-        if (collisionDetected || atBoundary || Math.random() < 0.01) { // 1% chance to change direction randomly
-            if (atBoundary) {
-                // If at boundary, turn towards center
-                const centerDir = new THREE.Vector3(0, 0, 0).sub(humanPos).normalize();
-                human.velocity.copy(centerDir).multiplyScalar(human.walkSpeed);
-            } else {
-                // Just pick a new random direction
-                const randomAngle = Math.random() * Math.PI * 2;
-                human.velocity.set(Math.sin(randomAngle), 0, Math.cos(randomAngle)).multiplyScalar(human.walkSpeed);
-            }
-            
-            // Update rotation to match new direction
-            human.rotation = Math.atan2(human.velocity.x, human.velocity.z);
-            
-            // Schedule a smooth rotation
-            const targetRotation = human.rotation;
-            const rotationDiff = targetRotation - human.mesh.rotation.y;
-            // Normalize to [-PI, PI]
-            const normalizedDiff = ((rotationDiff + Math.PI) % (Math.PI * 2)) - Math.PI;
-            human.mesh.rotation.y += normalizedDiff * 5 * deltaTime; // Smooth rotation
-        } else {
-            // No collision, update position normally
-            humanPos.copy(newPosition);
-        }
-        
-        // Ensure Y position remains at ground level
-        humanPos.y = 0;
-        
-        // Walking animation
-        this.animateWalking(human, deltaTime);
-    }
-    
-    killHuman(human, impactDirection) {
-        if (human.isDead) return; // Already dead
-        
-        // Mark as dead
-        human.isDead = true;
-        human.state = 'dead';
-        
-        // Add points
-        this.addScore(human.pointValue);
-        
-        // Make the body "ragdoll" - fall over in the direction of the impact
-        const humanGroup = human.mesh;
-        
-        // Rotate the human to fall in the impact direction
-        const impactAngle = Math.atan2(impactDirection.x, impactDirection.z);
-        humanGroup.rotation.y = impactAngle;
-        
-        // Rotate to lie on the ground
-        humanGroup.rotation.x = Math.PI / 2;
-        
-        // Lower to ground level
-        humanGroup.position.y = 0.3;
-        
+    createHumanDeathEffects(human, impactDirection) {
         // Create blood effect
         this.createBloodSplatter(human.position.clone());
         
@@ -1598,7 +1389,7 @@ export class Game {
     
     createBloodSplatter(position) {
         // Create blood particles
-        const particleCount = 10;
+        const particleCount = getParticleCount(10, this.getGraphicsPreset());
         
         for (let i = 0; i < particleCount; i++) {
             // Create a blood particle
@@ -1695,23 +1486,26 @@ export class Game {
         }
     }
     
-    updateBoost(deltaTime) {
-        // Update boost meter
-        if (this.boost.active && this.boost.available > 0) {
-            // Deplete boost when active
-            this.boost.available = Math.max(0, this.boost.available - this.boost.depleteRate * deltaTime);
-        } else {
-            // Recharge boost when not active
-            this.boost.available = Math.min(this.boost.max, this.boost.available + this.boost.rechargeRate * deltaTime);
-        }
+    updateBoostEffects() {
+        const boost = this.simulation.boost;
         
-        // Update boost meter UI
         this.updateBoostMeter();
+        
+        // The boost trail is purely visual, so emit it once per rendered frame
+        if (boost.currentMultiplier > 1.2) {
+            this.createBoostTrail();
+        }
+        
+        // Enhance bloom effect during boost
+        if (this.bloomPass) {
+            this.bloomPass.strength = boost.currentMultiplier > 1.2 ? 1.0 + (boost.currentMultiplier - 1.0) * 0.5 : 1.0;
+        }
     }
     
     updateBoostMeter() {
         // Update boost meter fill
-        const percentage = (this.boost.available / this.boost.max) * 100;
+        const boost = this.simulation.boost;
+        const percentage = (boost.available / boost.max) * 100;
         this.boostFill.style.width = percentage + '%';
         
         // Change color based on amount
@@ -1729,8 +1523,9 @@ export class Game {
         const carPosition = this.car.getPosition();
         const carDirection = this.car.getDirection().multiplyScalar(-1); // Behind the car
         
-        // Create 2 particles per frame
-        for (let i = 0; i < 2; i++) {
+        // Create 2 particles per frame (fewer or more depending on the graphics quality)
+        const particleCount = getParticleCount(2, this.getGraphicsPreset());
+        for (let i = 0; i < particleCount; i++) {
             // Get position behind the car, with small random offset
             const offset = new THREE.Vector3(
                 (Math.random() - 0.5) * 1.5, 
@@ -1775,8 +1570,7 @@ export class Game {
             };
             
             // Store particle for update
-            if (!this.boost.trailParticles) this.boost.trailParticles = [];
-            this.boost.trailParticles.push(particleData);
+            this.trailParticles.push(particleData);
             
             // Add to general particles array for updating
             if (!this.particles) this.particles = [];
@@ -1800,9 +1594,9 @@ export class Game {
                     this.scene.remove(particleData.mesh);
                     
                     // Remove from trail particles array
-                    const index = this.boost.trailParticles.indexOf(particleData);
+                    const index = this.trailParticles.indexOf(particleData);
                     if (index > -1) {
-                        this.boost.trailParticles.splice(index, 1);
+                        this.trailParticles.splice(index, 1);
                     }
                     
                     return true; // Signal to remove from update list
@@ -1813,11 +1607,10 @@ export class Game {
         }
     }
     
-    addScore(points) {
-        this.score += points;
+    updateScoreDisplay(score) {
         if (this.scoreDisplay) {
             // Format score with leading zeros for retro feel
-            const scoreStr = this.score.toString().padStart(6, '0');
+            const scoreStr = score.toString().padStart(6, '0');
             this.scoreDisplay.innerHTML = `SCORE: ${scoreStr}`;
         }
     }
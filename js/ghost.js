@@ -0,0 +1,203 @@
+import * as THREE from 'three';
+import { getDefaultStorage } from './storage.js';
+
+export const GHOST_VERSION = 1;
+
+// Seconds between trace samples (20 per second is smooth once interpolated)
+export const GHOST_SAMPLE_INTERVAL = 0.05;
+
+// Numbers per sample: position x, y, z and rotation quaternion x, y, z, w
+const SAMPLE_SIZE = 7;
+
+// How far ahead (in samples) the delta readout looks for the car's position on the ghost's lap
+const DELTA_SEARCH_WINDOW = 60;
+
+const STORAGE_KEY = 'vibecity-ghosts';
+
+// Samples the car during a lap so the lap can be raced against later
+export class GhostRecorder {
+    constructor() {
+        this.samples = [];
+    }
+    
+    reset() {
+        this.samples = [];
+    }
+    
+    // Call as often as convenient with the time into the lap; samples are kept at a fixed interval
+    record(lapTime, position, quaternion) {
+        while (this.samples.length / SAMPLE_SIZE * GHOST_SAMPLE_INTERVAL <= lapTime) {
+            this.samples.push(
+                round(position.x, 100), round(position.y, 100), round(position.z, 100),
+                round(quaternion.x, 1000), round(quaternion.y, 1000), round(quaternion.z, 1000), round(quaternion.w, 1000)
+            );
+        }
+    }
+    
+    // The finished lap as a ghost
+    finish(seed, track, lapTime) {
+        return new Ghost({
+            version: GHOST_VERSION,
+            seed,
+            track,
+            lapTime,
+            sampleInterval: GHOST_SAMPLE_INTERVAL,
+            samples: [...this.samples]
+        });
+    }
+}
+
+// A recorded lap played back as a ghost car. Also works out how far ahead or behind of it the
+// player is by finding the player's position along the ghost's path.
+export class Ghost {
+    constructor(data) {
+        Ghost.validate(data);
+        this.data = data;
+        this.sampleCount = data.samples.length / SAMPLE_SIZE;
+        this.resetProgress();
+    }
+    
+    static validate(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Ghost must be a JSON object');
+        }
+        if (data.version !== GHOST_VERSION) {
+            throw new Error(`Unsupported ghost version: ${data.version} (expected ${GHOST_VERSION})`);
+        }
+        if (typeof data.track !== 'string' || !['string', 'number'].includes(typeof data.seed)) {
+            throw new Error('Ghost needs the "seed" and "track" it was recorded on');
+        }
+        if (!(data.lapTime > 0) || !(data.sampleInterval > 0)) {
+            throw new Error('Ghost "lapTime" and "sampleInterval" must be positive numbers');
+        }
+        if (!Array.isArray(data.samples) || data.samples.length < SAMPLE_SIZE * 2 ||
+            data.samples.length % SAMPLE_SIZE !== 0 || !data.samples.every(Number.isFinite)) {
+            throw new Error(`Ghost "samples" must be a list of numbers, ${SAMPLE_SIZE} per sample`);
+        }
+    }
+    
+    get seed() {
+        return this.data.seed;
+    }
+    
+    get track() {
+        return this.data.track;
+    }
+    
+    get lapTime() {
+        return this.data.lapTime;
+    }
+    
+    // Where the ghost was `time` seconds into its lap (it waits at the line once it has finished)
+    getTransform(time, position, quaternion) {
+        const sample = Math.max(0, Math.min(this.sampleCount - 1, time / this.data.sampleInterval));
+        const index = Math.min(Math.floor(sample), this.sampleCount - 2);
+        const t = Math.min(1, sample - index);
+        const samples = this.data.samples;
+        const a = index * SAMPLE_SIZE;
+        const b = a + SAMPLE_SIZE;
+        
+        position.set(
+            samples[a] + (samples[b] - samples[a]) * t,
+            samples[a + 1] + (samples[b + 1] - samples[a + 1]) * t,
+            samples[a + 2] + (samples[b + 2] - samples[a + 2]) * t
+        );
+        quaternion.set(samples[a + 3], samples[a + 4], samples[a + 5], samples[a + 6]).normalize();
+        const next = new THREE.Quaternion(samples[b + 3], samples[b + 4], samples[b + 5], samples[b + 6]).normalize();
+        quaternion.slerp(next, t);
+    }
+    
+    // Start matching the player against the ghost from the beginning of its lap
+    resetProgress() {
+        this.progress = 0;
+    }
+    
+    // Seconds the player is behind the ghost (negative when ahead). The player's position is
+    // matched to the nearest point a little further along the ghost's path, so the match can't
+    // jump to another part of the loop.
+    getDelta(lapTime, position) {
+        const samples = this.data.samples;
+        const last = Math.min(this.sampleCount - 1, this.progress + DELTA_SEARCH_WINDOW);
+        let bestDistance = Infinity;
+        
+        for (let i = this.progress; i <= last; i++) {
+            const offset = i * SAMPLE_SIZE;
+            const distance = Math.hypot(samples[offset] - position.x, samples[offset + 2] - position.z);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                this.progress = i;
+            }
+        }
+        
+        return lapTime - this.progress * this.data.sampleInterval;
+    }
+    
+    toJSON() {
+        return this.data;
+    }
+}
+
+// The fastest ghost lap per city seed and track, kept in localStorage (when there is one)
+export class GhostStore {
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+        this.ghosts = this.load();
+    }
+    
+    get(seed, track) {
+        const data = this.ghosts[getGhostKey(seed, track)];
+        return data ? new Ghost(data) : null;
+    }
+    
+    // Keep the ghost if it beats the stored one. Returns whether it did.
+    submit(ghost) {
+        const current = this.get(ghost.seed, ghost.track);
+        if (current && current.lapTime <= ghost.lapTime) return false;
+        
+        this.ghosts[getGhostKey(ghost.seed, ghost.track)] = ghost.toJSON();
+        this.save();
+        return true;
+    }
+    
+    load() {
+        if (!this.storage) return {};
+        
+        try {
+            const stored = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (!stored || typeof stored !== 'object') return {};
+            
+            // Drop anything that isn't a usable ghost rather than failing later
+            const ghosts = {};
+            for (const [key, data] of Object.entries(stored)) {
+                try {
+                    Ghost.validate(data);
+                    ghosts[key] = data;
+                } catch (error) {
+                    console.warn(`Ignoring saved ghost ${key}:`, error);
+                }
+            }
+            return ghosts;
+        } catch (error) {
+            console.warn('Ignoring saved ghosts:', error);
+            return {};
+        }
+    }
+    
+    save() {
+        if (!this.storage) return;
+        
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.ghosts));
+        } catch (error) {
+            console.warn('Could not save ghosts:', error);
+        }
+    }
+}
+
+export function getGhostKey(seed, track) {
+    return `${seed}/${track}`;
+}
+
+function round(value, precision) {
+    return Math.round(value * precision) / precision;
+}
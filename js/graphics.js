@@ -0,0 +1,78 @@
+// What each graphics quality setting changes:
+// - pixelRatio: render resolution relative to CSS pixels (capped by the screen's own)
+// - antialias: multisampling of the scene render target (0 = off)
+// - shadows / shadowMapSize: whether the sun casts shadows, and how sharp they are
+// - bloom: the neon glow pass
+// - particles: multiplier on the number of jump, blood and boost-trail particles
+// - streetlights: how many streetlights (the nearest to the camera) actually light the scene
+export const GRAPHICS_PRESETS = Object.freeze({
+    low: { pixelRatio: 0.75, antialias: 0, shadows: false, shadowMapSize: 512, bloom: false, particles: 0.3, streetlights: 0 },
+    medium: { pixelRatio: 1, antialias: 0, shadows: true, shadowMapSize: 1024, bloom: true, particles: 0.6, streetlights: 6 },
+    high: { pixelRatio: 1, antialias: 4, shadows: true, shadowMapSize: 2048, bloom: true, particles: 1, streetlights: 16 },
+    ultra: { pixelRatio: 2, antialias: 8, shadows: true, shadowMapSize: 4096, bloom: true, particles: 1.5, streetlights: Infinity }
+});
+
+// Longest frame counted by DynamicResolution - anything longer is a hitch or a background tab,
+// not a sign that the scene is too heavy
+const MAX_FRAME_TIME = 0.25;
+
+// How many of an effect's particles to spawn at a preset (at least one, so nothing disappears)
+export function getParticleCount(baseCount, preset) {
+    return Math.max(1, Math.round(baseCount * preset.particles));
+}
+
+// The `budget` streetlights nearest to `position`. Keeping the number of lit ones steady also
+// keeps three.js from recompiling every material whenever a light turns on or off.
+export function selectStreetlights(streetlights, position, budget) {
+    if (budget >= streetlights.length) {
+        return new Set(streetlights);
+    }
+    
+    const byDistance = streetlights
+        .map(streetlight => ({ streetlight, distance: streetlight.position.distanceToSquared(position) }))
+        .sort((a, b) => a.distance - b.distance);
+    return new Set(byDistance.slice(0, budget).map(entry => entry.streetlight));
+}
+
+// Lowers the render scale while frames take longer than the target and raises it again once
+// there's headroom. Frame times are averaged over `interval` seconds so it doesn't flicker.
+export class DynamicResolution {
+    constructor({ targetFrameTime = 1 / 60, minScale = 0.5, step = 0.1, interval = 1 } = {}) {
+        this.targetFrameTime = targetFrameTime;
+        this.minScale = minScale;
+        this.step = step;
+        this.interval = interval;
+        this.reset();
+    }
+    
+    reset() {
+        this.scale = 1;
+        this.elapsed = 0;
+        this.frames = 0;
+    }
+    
+    // Count one frame; returns true when the render scale has changed
+    update(frameTime) {
+        this.elapsed += Math.min(frameTime, MAX_FRAME_TIME);
+        this.frames++;
+        if (this.elapsed < this.interval) return false;
+        
+        const averageFrameTime = this.elapsed / this.frames;
+        this.elapsed = 0;
+        this.frames = 0;
+        
+        let scale = this.scale;
+        if (averageFrameTime > this.targetFrameTime * 1.2) {
+            scale -= this.step;
+        } else if (averageFrameTime < this.targetFrameTime * 1.05) {
+            scale += this.step;
+        }
+        
+        // Round off so repeated steps land back on exactly 1
+        scale = Math.round(Math.max(this.minScale, Math.min(1, scale)) * 100) / 100;
+        if (scale === this.scale) return false;
+        
+        this.scale = scale;
+        return true;
+    }
+}
@@ -1,10 +1,40 @@
+import { KeyBindings, normalizeKey } from './bindings.js';
+
+// The driving controls the simulation reads each step. Throttle and brake run from 0 to 1,
+// steer from -1 (full left) to 1 (full right).
+export const IDLE_CONTROLS = Object.freeze({ throttle: 0, brake: 0, steer: 0, boost: false });
+
+// Gamepad layout (standard mapping): left stick steers, triggers drive, A boosts
+const GAMEPAD_STEER_AXIS = 0;
+const GAMEPAD_THROTTLE_BUTTON = 7; // Right trigger
+const GAMEPAD_BRAKE_BUTTON = 6;    // Left trigger
+const GAMEPAD_BOOST_BUTTON = 0;    // A / Cross
+
+// Stick and trigger travel that is ignored, so worn sticks don't drift
+const STICK_DEAD_ZONE = 0.15;
+const TRIGGER_DEAD_ZONE = 0.05;
+
 export class InputHandler {
-    constructor() {
+    constructor(bindings = new KeyBindings()) {
         this.keys = {};
+        this.bindings = bindings;
+        
+        // Connected gamepad (index into navigator.getGamepads()) and its latest readings
+        this.gamepadIndex = null;
+        this.gamepadControls = { ...IDLE_CONTROLS };
+        
+        // Latest readings from the on-screen controls (set by TouchControls)
+        this.touchControls = { ...IDLE_CONTROLS };
+        
+        // Session recording (see startRecording)
+        this.recording = null;
+        this.recordedControls = { ...IDLE_CONTROLS };
         
         // Set up event listeners
         window.addEventListener('keydown', (e) => this.onKeyDown(e));
         window.addEventListener('keyup', (e) => this.onKeyUp(e));
+        window.addEventListener('gamepadconnected', (e) => this.onGamepadConnected(e.gamepad));
+        window.addEventListener('gamepaddisconnected', (e) => this.onGamepadDisconnected(e.gamepad));
     }
     
     onKeyDown(e) {
@@ -13,15 +43,109 @@ export class InputHandler {
             e.preventDefault();
         }
         
-        this.keys[e.key] = true;
+        this.keys[normalizeKey(e.key)] = true;
     }
     
     onKeyUp(e) {
-        this.keys[e.key] = false;
+        this.keys[normalizeKey(e.key)] = false;
+    }
+    
+    onGamepadConnected(gamepad) {
+        // Stick with the first pad if several are plugged in
+        if (this.gamepadIndex === null) {
+            this.gamepadIndex = gamepad.index;
+        }
+    }
+    
+    onGamepadDisconnected(gamepad) {
+        if (gamepad.index === this.gamepadIndex) {
+            this.gamepadIndex = null;
+            this.gamepadControls = { ...IDLE_CONTROLS };
+        }
     }
     
     isKeyDown(key) {
-        return this.keys[key] === true;
+        return this.keys[normalizeKey(key)] === true;
+    }
+    
+    // Whether any key bound to the action is held
+    isActionActive(action) {
+        return this.bindings.getKeys(action).some(key => key && this.isKeyDown(key));
+    }
+    
+    // Gamepads have no change events, so read the current one once per frame
+    pollGamepad() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return;
+        
+        const gamepads = navigator.getGamepads();
+        
+        // Some browsers only report pads through polling, so look for one if none is known yet
+        if (this.gamepadIndex === null) {
+            const gamepad = Array.from(gamepads).find(pad => pad && pad.connected);
+            if (!gamepad) return;
+            this.onGamepadConnected(gamepad);
+        }
+        
+        const gamepad = gamepads[this.gamepadIndex];
+        if (!gamepad || !gamepad.connected) {
+            this.onGamepadDisconnected({ index: this.gamepadIndex, id: 'unknown' });
+            return;
+        }
+        
+        const button = (index) => gamepad.buttons[index] || { value: 0, pressed: false };
+        
+        this.gamepadControls = {
+            throttle: applyDeadZone(button(GAMEPAD_THROTTLE_BUTTON).value, TRIGGER_DEAD_ZONE),
+            brake: applyDeadZone(button(GAMEPAD_BRAKE_BUTTON).value, TRIGGER_DEAD_ZONE),
+            steer: applyDeadZone(gamepad.axes[GAMEPAD_STEER_AXIS] || 0, STICK_DEAD_ZONE),
+            boost: button(GAMEPAD_BOOST_BUTTON).pressed
+        };
+    }
+    
+    // Current driving controls, combining the keyboard with the gamepad and touch controls
+    getControls() {
+        const held = (action) => this.isActionActive(action) ? 1 : 0;
+        const keyboardSteer = held('steerRight') - held('steerLeft');
+        const pad = this.gamepadControls;
+        const touch = this.touchControls;
+        
+        // Analog values are rounded so that recordings store exactly what the simulation used
+        const analogSteer = pad.steer !== 0 ? pad.steer : touch.steer;
+        return {
+            throttle: Math.max(held('accelerate'), quantize(pad.throttle), quantize(touch.throttle)),
+            brake: Math.max(held('brake'), quantize(pad.brake), quantize(touch.brake)),
+            steer: keyboardSteer !== 0 ? keyboardSteer : quantize(analogSteer),
+            boost: this.isActionActive('boost') || pad.boost || touch.boost
+        };
+    }
+    
+    // Start recording a new session. The controls are sampled once per simulation step and
+    // every change is stored with the step it happened on, so the run can be replayed exactly.
+    // `metadata` (seed, layout, step rate) is stored alongside the events.
+    startRecording(metadata = {}) {
+        this.recording = { ...metadata, steps: 0, events: [] };
+        this.recordedControls = { ...IDLE_CONTROLS };
+    }
+    
+    // Call before every simulation step with the index of the step about to run
+    recordStep(step) {
+        if (!this.recording) return;
+        
+        const controls = this.getControls();
+        for (const control of Object.keys(IDLE_CONTROLS)) {
+            if (controls[control] !== this.recordedControls[control]) {
+                this.recording.events.push({ step, control, value: controls[control] });
+                this.recordedControls[control] = controls[control];
+            }
+        }
+        
+        this.recording.steps = step + 1;
+    }
+    
+    // A snapshot of the session recorded so far
+    getRecording() {
+        if (!this.recording) return null;
+        return { ...this.recording, events: [...this.recording.events] };
     }
     
     // For multiple key checks (e.g., if any directional key is pressed)
@@ -34,11 +158,22 @@ export class InputHandler {
         let x = 0;
         let z = 0;
         
-        if (this.isKeyDown('ArrowUp') || this.isKeyDown('w')) z = 1;
-        if (this.isKeyDown('ArrowDown') || this.isKeyDown('s')) z = -1;
-        if (this.isKeyDown('ArrowLeft') || this.isKeyDown('a')) x = -1;
-        if (this.isKeyDown('ArrowRight') || this.isKeyDown('d')) x = 1;
+        if (this.isActionActive('accelerate')) z = 1;
+        if (this.isActionActive('brake')) z = -1;
+        if (this.isActionActive('steerLeft')) x = -1;
+        if (this.isActionActive('steerRight')) x = 1;
         
         return { x, z };
     }
-} 
\ No newline at end of file
+}
+
+// Ignore small deflections and rescale the rest so the output still covers the full range
+export function applyDeadZone(value, deadZone) {
+    const magnitude = Math.abs(value);
+    if (magnitude < deadZone) return 0;
+    return Math.sign(value) * Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+}
+
+function quantize(value) {
+    return Math.round(value * 100) / 100;
+}
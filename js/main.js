@@ -1,13 +1,12 @@
 import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { Game } from './game.js';
 import { Car } from './car.js';
 import { City } from './city.js';
 import { InputHandler } from './input.js';
 
 // Initialize the game when the window loads
-window.addEventListener('load', () => {
+window.addEventListener('load', async () => {
     const game = new Game();
-    game.init();
+    await game.init();
     game.start();
 }); 
\ No newline at end of file
@@ -0,0 +1,275 @@
+// The generated soundtrack's two moods. Notes are MIDI numbers; `scale` is in semitones above
+// the root and `progression` lists the scale degree each bar's chord is built on.
+export const MUSIC_PATCHES = Object.freeze({
+    day: {
+        tempo: 112,
+        root: 45, // A2
+        scale: [0, 2, 3, 5, 7, 8, 10], // Natural minor
+        progression: [0, 5, 2, 6], // Am - F - C - G
+        arpWave: 'sawtooth',
+        filterFrequency: 2400
+    },
+    night: {
+        tempo: 96,
+        root: 40, // E2
+        scale: [0, 1, 3, 5, 7, 8, 10], // Phrygian
+        progression: [0, 1, 5, 0], // Em - F - C - Em
+        arpWave: 'square',
+        filterFrequency: 1100
+    }
+});
+
+// Sixteenth notes per bar
+export const STEPS_PER_BAR = 16;
+
+// Intensity (0-1) at which each layer joins in: drums, then the arpeggio and snare, then the
+// high octave arpeggio and busier hi-hats
+const DRUMS_INTENSITY = 0.25;
+const ARP_INTENSITY = 0.5;
+const PEAK_INTENSITY = 0.75;
+
+// How far ahead notes are scheduled (seconds), so a slow frame doesn't leave a gap
+const SCHEDULE_AHEAD = 0.2;
+
+// How quickly the intensity follows the action (per second), so layers don't flicker in and out
+const INTENSITY_RATE = 0.5;
+
+// How intense the music should be: speed sets the base, boosting and a combo chain push it up
+export function getMusicIntensity({ speed, maxSpeed, boosting, comboMultiplier }) {
+    const speedPart = Math.min(1, Math.abs(speed) / maxSpeed) * 0.55;
+    const boostPart = boosting ? 0.2 : 0;
+    const comboPart = Math.min(1, Math.max(0, comboMultiplier - 1) / 4) * 0.25;
+    return Math.min(1, speedPart + boostPart + comboPart);
+}
+
+export function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+// The note of a scale degree (degrees past the end of the scale continue into the next octave)
+function getScaleNote(patch, degree) {
+    const length = patch.scale.length;
+    return patch.root + 12 * Math.floor(degree / length) + patch.scale[((degree % length) + length) % length];
+}
+
+// What plays on one sixteenth-note step of the loop at a given intensity:
+// { pad: chord notes or null, bass, arp: note or null, kick, snare, hat: booleans }
+export function getStepNotes(patch, step, intensity) {
+    const bar = Math.floor(step / STEPS_PER_BAR) % patch.progression.length;
+    const beat = step % STEPS_PER_BAR;
+    const degree = patch.progression[bar];
+    const chord = [0, 2, 4].map(offset => getScaleNote(patch, degree + offset));
+    
+    const notes = { pad: null, bass: null, arp: null, kick: false, snare: false, hat: false };
+    
+    // A held chord at the top of every bar, always
+    if (beat === 0) {
+        notes.pad = chord.map(note => note + 12);
+    }
+    
+    // Octave-bouncing bass on the eighths, or just the quarters when things are calm
+    if (beat % (intensity >= DRUMS_INTENSITY ? 2 : 4) === 0) {
+        notes.bass = chord[0] + (beat % 4 === 2 ? 12 : 0);
+    }
+    
+    if (intensity >= DRUMS_INTENSITY) {
+        notes.kick = beat % 4 === 0;
+        notes.hat = intensity >= PEAK_INTENSITY ? beat % 2 === 0 || beat % 4 === 3 : beat % 4 === 2;
+    }
+    
+    if (intensity >= ARP_INTENSITY) {
+        notes.snare = beat % 8 === 4;
+        
+        // Up and down the chord, an octave higher in the second half of the bar at the peak
+        const arpIndex = [0, 1, 2, 1][beat % 4];
+        const octave = intensity >= PEAK_INTENSITY && beat >= STEPS_PER_BAR / 2 ? 36 : 24;
+        notes.arp = chord[arpIndex] + octave;
+    }
+    
+    return notes;
+}
+
+// The generated synthwave soundtrack (or a music file the player picked instead), played through
+// the audio engine's music channel. Quiet until the audio engine has started.
+export class MusicPlayer {
+    constructor(audio) {
+        this.audio = audio;
+        this.patch = MUSIC_PATCHES.day;
+        this.intensity = 0;
+        this.step = 0;
+        this.nextStepTime = 0;
+        this.output = null;
+        
+        // A music file played instead of the generated tracks (null for the generated ones)
+        this.customTrack = null;
+    }
+    
+    // Follow the action with the intensity (see getMusicIntensity) and the mood with night mode,
+    // and schedule the next few notes. Call once per frame.
+    update(deltaTime, targetIntensity, night) {
+        if (!this.audio.context || !this.connect()) return;
+        
+        this.patch = night ? MUSIC_PATCHES.night : MUSIC_PATCHES.day;
+        const maxChange = INTENSITY_RATE * deltaTime;
+        this.intensity += Math.max(-maxChange, Math.min(maxChange, targetIntensity - this.intensity));
+        
+        const playing = !this.audio.settings.musicMuted;
+        if (this.customTrack) {
+            if (playing && this.customTrack.element.paused) {
+                this.customTrack.element.play().catch(error => console.warn('Could not play the music file:', error));
+            } else if (!playing && !this.customTrack.element.paused) {
+                this.customTrack.element.pause();
+            }
+            return;
+        }
+        if (!playing) return;
+        
+        // Pick up from now after a pause (a background tab or muted music)
+        const now = this.audio.context.currentTime;
+        if (this.nextStepTime < now) {
+            this.nextStepTime = now + 0.05;
+        }
+        
+        while (this.nextStepTime < now + SCHEDULE_AHEAD) {
+            this.playStep(getStepNotes(this.patch, this.step, this.intensity), this.nextStepTime);
+            this.nextStepTime += 60 / this.patch.tempo / 4;
+            this.step++;
+        }
+    }
+    
+    // Hook up to the music channel and build the echo the arpeggio runs through. Returns false
+    // until the audio engine has a music channel.
+    connect() {
+        if (this.output) return true;
+        
+        const musicOutput = this.audio.getMusicOutput();
+        if (!musicOutput) return false;
+        
+        const context = this.audio.context;
+        this.output = context.createGain();
+        this.output.connect(musicOutput);
+        
+        // A dotted-eighth echo for that synthwave shimmer
+        this.echo = context.createDelay(1);
+        this.echo.delayTime.value = 0.4;
+        const feedback = context.createGain();
+        feedback.gain.value = 0.35;
+        this.echo.connect(feedback);
+        feedback.connect(this.echo);
+        this.echo.connect(this.output);
+        return true;
+    }
+    
+    playStep(notes, time) {
+        const stepLength = 60 / this.patch.tempo / 4;
+        
+        if (notes.pad) {
+            notes.pad.forEach(note => this.playVoice('triangle', note, 0.05, stepLength * STEPS_PER_BAR, time, { attack: 0.4 }));
+        }
+        if (notes.bass !== null) {
+            this.playVoice('sawtooth', notes.bass, 0.22, stepLength * 1.8, time, { filter: this.patch.filterFrequency * 0.3 });
+        }
+        if (notes.arp !== null) {
+            this.playVoice(this.patch.arpWave, notes.arp, 0.06, stepLength * 0.9, time, {
+                filter: this.patch.filterFrequency * (0.6 + this.intensity * 0.8),
+                echo: true
+            });
+        }
+        if (notes.kick) this.playKick(time);
+        if (notes.snare) this.playNoiseHit('bandpass', 1800, 0.3, 0.15, time);
+        if (notes.hat) this.playNoiseHit('highpass', 7000, 0.08, 0.04, time);
+    }
+    
+    // One synth note with a quick attack (or a slow one for pads) and a decay over `duration`
+    playVoice(type, note, volume, duration, time, { attack = 0.01, filter = null, echo = false } = {}) {
+        const context = this.audio.context;
+        const oscillator = context.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.value = midiToFrequency(note);
+        
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(0.0001, time);
+        gain.gain.exponentialRampToValueAtTime(volume, time + attack);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + Math.max(duration, attack + 0.01));
+        
+        let source = oscillator;
+        if (filter) {
+            const lowpass = context.createBiquadFilter();
+            lowpass.type = 'lowpass';
+            lowpass.frequency.value = filter;
+            oscillator.connect(lowpass);
+            source = lowpass;
+        }
+        source.connect(gain);
+        gain.connect(this.output);
+        if (echo) gain.connect(this.echo);
+        
+        oscillator.start(time);
+        oscillator.stop(time + Math.max(duration, attack + 0.01));
+    }
+    
+    // A sine that drops in pitch - the classic drum machine kick
+    playKick(time) {
+        const context = this.audio.context;
+        const oscillator = context.createOscillator();
+        oscillator.frequency.setValueAtTime(150, time);
+        oscillator.frequency.exponentialRampToValueAtTime(40, time + 0.15);
+        
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(0.6, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.2);
+        
+        oscillator.connect(gain);
+        gain.connect(this.output);
+        oscillator.start(time);
+        oscillator.stop(time + 0.2);
+    }
+    
+    playNoiseHit(filterType, frequency, volume, duration, time) {
+        const context = this.audio.context;
+        const source = context.createBufferSource();
+        source.buffer = this.audio.noiseBuffer;
+        
+        const filter = context.createBiquadFilter();
+        filter.type = filterType;
+        filter.frequency.value = frequency;
+        
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(volume, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.output);
+        source.start(time);
+        source.stop(time + duration);
+    }
+    
+    // Play a local audio file on a loop instead of the generated music
+    loadFile(file) {
+        if (!file) return;
+        
+        // Picking a file counts as the gesture that lets audio start
+        this.audio.start();
+        if (!this.audio.context || !this.connect()) return;
+        
+        this.useGeneratedMusic();
+        
+        const url = URL.createObjectURL(file);
+        const element = new Audio(url);
+        element.loop = true;
+        const source = this.audio.context.createMediaElementSource(element);
+        source.connect(this.output);
+        this.customTrack = { name: file.name, url, element, source };
+    }
+    
+    // Go back to the generated music
+    useGeneratedMusic() {
+        if (!this.customTrack) return;
+        
+        this.customTrack.element.pause();
+        this.customTrack.source.disconnect();
+        URL.revokeObjectURL(this.customTrack.url);
+        this.customTrack = null;
+    }
+}
@@ -0,0 +1,183 @@
+import { SettingsScreen } from './settings-screen.js';
+import { createButton as createPanelButton } from './ui.js';
+
+const COLOR = '#ff00ff';
+
+// The pause overlay (Escape or 'P', or the pause button) with resume, restart, settings, controls and
+// quit, and the title screen that quitting leads to. The game stands still while either is open.
+export class PauseMenu {
+    constructor(game) {
+        this.game = game;
+        this.active = false;
+        
+        // 'menu', 'settings', 'controls' or 'title'
+        this.page = null;
+        
+        // The page the settings and controls screens go back to
+        this.returnPage = 'menu';
+        
+        this.settingsScreen = new SettingsScreen(game, () => this.showPage(this.returnPage));
+        this.createUI();
+    }
+    
+    createUI() {
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'pause-menu';
+        this.overlay.style.position = 'absolute';
+        this.overlay.style.left = '0';
+        this.overlay.style.top = '0';
+        this.overlay.style.width = '100%';
+        this.overlay.style.height = '100%';
+        this.overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.overlay.style.display = 'none';
+        
+        this.menuPanel = createPanel('PAUSED', '20px');
+        this.menuPanel.appendChild(createButton('Resume', () => this.resume()));
+        this.menuPanel.appendChild(createButton('Restart', () => this.restart()));
+        this.menuPanel.appendChild(createButton('Settings', () => this.showPage('settings')));
+        this.menuPanel.appendChild(createButton('Controls', () => this.showPage('controls')));
+        this.menuPanel.appendChild(createButton('Quit to Title', () => this.quitToTitle()));
+        this.overlay.appendChild(this.menuPanel);
+        
+        this.titlePanel = createPanel('VIBECITY', '48px');
+        this.titlePanel.style.border = 'none';
+        this.titlePanel.style.backgroundColor = 'transparent';
+        const subtitle = document.createElement('div');
+        subtitle.textContent = 'Neon stunt driving in a procedural city';
+        subtitle.style.marginBottom = '20px';
+        subtitle.style.color = '#00ffff';
+        this.titlePanel.appendChild(subtitle);
+        this.titlePanel.appendChild(createButton('Drive', () => this.resume()));
+        this.titlePanel.appendChild(createButton('Settings', () => this.showPage('settings')));
+        this.titlePanel.appendChild(createButton('Controls', () => this.showPage('controls')));
+        this.overlay.appendChild(this.titlePanel);
+        
+        document.body.appendChild(this.overlay);
+        
+        // A pause button for touch screens (and anyone who'd rather click)
+        this.pauseButton = document.createElement('button');
+        this.pauseButton.textContent = '❚❚';
+        this.pauseButton.title = 'Pause';
+        this.pauseButton.style.position = 'absolute';
+        this.pauseButton.style.top = '20px';
+        this.pauseButton.style.left = '50%';
+        this.pauseButton.style.transform = 'translateX(-50%)';
+        this.pauseButton.style.padding = '4px 10px';
+        this.pauseButton.style.color = COLOR;
+        this.pauseButton.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.pauseButton.style.border = `1px solid ${COLOR}`;
+        this.pauseButton.style.borderRadius = '4px';
+        this.pauseButton.style.cursor = 'pointer';
+        this.pauseButton.addEventListener('click', (e) => {
+            e.currentTarget.blur(); // Keep keyboard focus on the game
+            this.open();
+        });
+        document.body.appendChild(this.pauseButton);
+    }
+    
+    // The editor, replays and photo mode have their own ways of stopping the action
+    canPause() {
+        return !this.active && !this.game.editor.active && !this.game.replay.active && !this.game.photoMode.active;
+    }
+    
+    open() {
+        if (!this.canPause()) return;
+        
+        this.active = true;
+        this.game.setPaused(true);
+        this.showPage('menu');
+    }
+    
+    resume() {
+        this.active = false;
+        this.showPage(null);
+        this.game.setPaused(false);
+    }
+    
+    // Escape steps back: out of settings, then out of the menu. It doesn't leave the title screen.
+    back() {
+        if (this.page === 'settings') {
+            this.showPage(this.returnPage);
+        } else if (this.page === 'menu') {
+            this.resume();
+        }
+    }
+    
+    restart() {
+        this.resume();
+        this.game.restartWorld();
+    }
+    
+    // Leave any race and wait on the title screen in a fresh copy of the city
+    quitToTitle() {
+        this.game.endRace();
+        this.showPage('title');
+    }
+    
+    showPage(page) {
+        if (page === 'settings' || page === 'controls') {
+            this.returnPage = this.page;
+        }
+        this.page = page;
+        
+        this.overlay.style.display = page && page !== 'controls' ? 'block' : 'none';
+        this.menuPanel.style.display = page === 'menu' ? 'block' : 'none';
+        this.titlePanel.style.display = page === 'title' ? 'block' : 'none';
+        
+        if (page === 'settings') {
+            this.settingsScreen.open();
+        } else if (this.settingsScreen.active) {
+            this.settingsScreen.close();
+        }
+        
+        if (page === 'controls' && !this.game.controlsMenu.active) {
+            this.game.controlsMenu.toggle();
+        }
+    }
+    
+    // Once per frame: come back from the controls screen when it closes, and only offer the
+    // pause button when pausing is possible
+    update() {
+        if (this.page === 'controls' && !this.game.controlsMenu.active) {
+            this.showPage(this.returnPage);
+        }
+        this.pauseButton.style.display = this.canPause() ? 'block' : 'none';
+    }
+}
+
+function createPanel(title, fontSize) {
+    const panel = document.createElement('div');
+    panel.style.position = 'absolute';
+    panel.style.top = '50%';
+    panel.style.left = '50%';
+    panel.style.transform = 'translate(-50%, -50%)';
+    panel.style.padding = '20px 30px';
+    panel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    panel.style.border = `2px solid ${COLOR}`;
+    panel.style.borderRadius = '10px';
+    panel.style.color = '#ffffff';
+    panel.style.fontFamily = 'Arial, sans-serif';
+    panel.style.textAlign = 'center';
+    panel.style.userSelect = 'none';
+    
+    const heading = document.createElement('div');
+    heading.textContent = title;
+    heading.style.color = COLOR;
+    heading.style.fontSize = fontSize;
+    heading.style.fontWeight = 'bold';
+    heading.style.textShadow = `0 0 10px ${COLOR}`;
+    heading.style.marginBottom = '12px';
+    panel.appendChild(heading);
+    return panel;
+}
+
+// The shared button, stacked down the middle of the menu at a bigger size
+function createButton(label, onClick) {
+    const button = createPanelButton(label, onClick, COLOR);
+    button.style.display = 'block';
+    button.style.width = '180px';
+    button.style.margin = '6px auto';
+    button.style.padding = '6px 8px';
+    button.style.fontSize = '14px';
+    return button;
+}
@@ -0,0 +1,480 @@
+import * as THREE from 'three';
+import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { createButton } from './ui.js';
+
+const COLOR = '#00ffff';
+
+// Colour grading filters, in the order of their buttons (the shader takes the index)
+export const PHOTO_FILTERS = ['none', 'vhs', 'crt', 'outrun'];
+
+const FILTER_LABELS = { none: 'None', vhs: 'VHS', crt: 'CRT', outrun: 'Outrun' };
+
+// Photos can be saved at up to four times the screen's resolution
+export const CAPTURE_SCALES = [1, 2, 4];
+
+// Where the sliders start every time photo mode opens
+export const PHOTO_DEFAULTS = Object.freeze({
+    fieldOfView: 75,
+    focus: 15,
+    blur: 0,
+    exposure: 0,
+    bloom: 1
+});
+
+const SLIDERS = [
+    { name: 'fieldOfView', label: 'Field of View', min: 20, max: 120, step: 1 },
+    { name: 'focus', label: 'Focus Distance', min: 1, max: 100, step: 1 },
+    { name: 'blur', label: 'Depth of Field', min: 0, max: 10, step: 0.5 },
+    { name: 'exposure', label: 'Exposure', min: -2, max: 2, step: 0.1 },
+    { name: 'bloom', label: 'Bloom', min: 0, max: 3, step: 0.1 }
+];
+
+// Each step of the depth of field slider opens the aperture this much (the bokeh shader multiplies
+// it by the distance from the focus, in metres)
+const APERTURE_PER_BLUR = 0.00005;
+const MAX_BLUR = 0.02;
+
+const HELP_TEXT = 'WASD fly · SPACE/C up/down · SHIFT fast<br>Drag look · Wheel zoom';
+
+// Exposure (in stops) and the colour grading filters
+const GRADE_SHADER = {
+    uniforms: {
+        tDiffuse: { value: null },
+        exposure: { value: 0 },
+        grade: { value: 0 },
+        time: { value: 0 },
+        resolution: { value: new THREE.Vector2(1, 1) }
+    },
+    vertexShader: `
+        varying vec2 vUv;
+        
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float exposure;
+        uniform int grade;
+        uniform float time;
+        uniform vec2 resolution;
+        varying vec2 vUv;
+        
+        float random(vec2 p) {
+            return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+        }
+        
+        void main() {
+            vec2 uv = vUv;
+            
+            // CRT: bulge the picture like curved glass, black outside it
+            if (grade == 2) {
+                vec2 centered = uv * 2.0 - 1.0;
+                vec2 bend = centered.yx / 5.0;
+                centered += centered * bend * bend;
+                uv = centered * 0.5 + 0.5;
+                if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+                    gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+                    return;
+                }
+            }
+            
+            vec3 color;
+            if (grade == 1) {
+                // VHS: wobbling lines and colour bleeding sideways
+                uv.x += sin(uv.y * 60.0 + time * 3.0) * 0.001 + (random(vec2(time, floor(uv.y * 120.0))) - 0.5) * 0.002;
+                color.r = texture2D(tDiffuse, uv + vec2(0.004, 0.0)).r;
+                color.g = texture2D(tDiffuse, uv).g;
+                color.b = texture2D(tDiffuse, uv - vec2(0.004, 0.0)).b;
+            } else {
+                color = texture2D(tDiffuse, uv).rgb;
+            }
+            
+            color *= exp2(exposure);
+            float luma = dot(color, vec3(0.299, 0.587, 0.114));
+            
+            if (grade == 1) {
+                // Washed out, a little blue, with tape noise
+                color = mix(color, vec3(luma), 0.3) * vec3(0.95, 0.98, 1.08) + 0.04;
+                color += (random(uv * resolution + time) - 0.5) * 0.08;
+            } else if (grade == 2) {
+                // Scanlines, a phosphor mask and dark corners
+                color *= 0.75 + 0.25 * sin(uv.y * resolution.y * 3.14159);
+                float column = mod(floor(uv.x * resolution.x), 3.0);
+                color *= vec3(column == 0.0 ? 1.1 : 0.9, column == 1.0 ? 1.1 : 0.9, column == 2.0 ? 1.1 : 0.9);
+                vec2 corner = uv * (1.0 - uv);
+                color *= pow(corner.x * corner.y * 16.0, 0.25);
+            } else if (grade == 3) {
+                // Outrun: purple shadows, hot pink highlights and extra punch
+                vec3 tint = mix(vec3(0.25, 0.0, 0.45), vec3(1.0, 0.45, 0.6), clamp(luma, 0.0, 1.0));
+                color = mix(color, tint, 0.35);
+                color = (color - 0.5) * 1.15 + 0.5;
+            }
+            
+            gl_FragColor = vec4(clamp(color, 0.0, 1.0), 1.0);
+        }
+    `
+};
+
+// The pixel ratio to capture a photo at: `scale` times the screen's resolution, kept within the
+// largest render target the GPU can draw
+export function getCapturePixelRatio(width, height, devicePixelRatio, scale, maxSize) {
+    return Math.min(devicePixelRatio * scale, maxSize / Math.max(width, height));
+}
+
+// Freezes the action and flies a free camera around it, with lens and colour controls and a
+// button that saves the picture as a PNG (toggled with 'V')
+export class PhotoMode {
+    constructor(game) {
+        this.game = game;
+        this.active = false;
+        
+        this.values = { ...PHOTO_DEFAULTS };
+        this.filter = 'none';
+        this.hideHud = false;
+        this.captureScale = 1;
+        
+        // Free-fly camera, like the editor's
+        this.flySpeed = 20;
+        this.lookSensitivity = 0.003;
+        this.yaw = 0;
+        this.pitch = 0;
+        this.isLooking = false;
+        
+        // The game camera as it was, to hand back on the way out
+        this.savedPosition = new THREE.Vector3();
+        this.savedQuaternion = new THREE.Quaternion();
+        this.time = 0;
+        
+        this.createPasses();
+        this.createUI();
+        this.setupListeners();
+    }
+    
+    // Depth of field goes before the bloom (so the glow blurs with what's out of focus) and the
+    // colour grading after everything. Both stay off outside photo mode.
+    createPasses() {
+        const composer = this.game.composer;
+        
+        this.bokehPass = new BokehPass(this.game.scene, this.game.camera, {
+            focus: PHOTO_DEFAULTS.focus,
+            aperture: 0,
+            maxblur: MAX_BLUR
+        });
+        this.bokehPass.enabled = false;
+        composer.insertPass(this.bokehPass, composer.passes.indexOf(this.game.bloomPass));
+        
+        this.gradePass = new ShaderPass(GRADE_SHADER);
+        this.gradePass.enabled = false;
+        composer.addPass(this.gradePass);
+    }
+    
+    createUI() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'photo-mode';
+        this.panel.style.position = 'absolute';
+        this.panel.style.top = '60px';
+        this.panel.style.left = '20px';
+        this.panel.style.width = '260px';
+        this.panel.style.padding = '10px';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        this.panel.style.border = `2px solid ${COLOR}`;
+        this.panel.style.borderRadius = '10px';
+        this.panel.style.color = '#ffffff';
+        this.panel.style.fontFamily = 'Arial, sans-serif';
+        this.panel.style.fontSize = '13px';
+        this.panel.style.userSelect = 'none';
+        this.panel.style.display = 'none';
+        
+        const title = document.createElement('div');
+        title.textContent = 'PHOTO MODE [V]';
+        title.style.color = COLOR;
+        title.style.fontWeight = 'bold';
+        title.style.fontSize = '16px';
+        title.style.textShadow = `0 0 5px ${COLOR}`;
+        title.style.marginBottom = '8px';
+        this.panel.appendChild(title);
+        
+        // Lens and exposure sliders
+        this.sliders = {};
+        for (const { name, label, min, max, step } of SLIDERS) {
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.justifyContent = 'space-between';
+            
+            const text = document.createElement('span');
+            text.textContent = label;
+            row.appendChild(text);
+            
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = String(min);
+            slider.max = String(max);
+            slider.step = String(step);
+            slider.style.width = '100px';
+            slider.style.accentColor = COLOR;
+            slider.addEventListener('input', () => this.setValue(name, Number(slider.value)));
+            row.appendChild(slider);
+            
+            const value = document.createElement('span');
+            value.style.minWidth = '30px';
+            value.style.textAlign = 'right';
+            row.appendChild(value);
+            
+            this.sliders[name] = { slider, value };
+            this.panel.appendChild(row);
+        }
+        
+        // Colour grading
+        this.panel.appendChild(createHeading('Filter'));
+        this.filterButtons = PHOTO_FILTERS.map(filter => {
+            const button = createButton(FILTER_LABELS[filter], () => this.setFilter(filter));
+            button.dataset.option = filter;
+            this.panel.appendChild(button);
+            return button;
+        });
+        
+        // Photo size, as a multiple of the screen's resolution
+        this.panel.appendChild(createHeading('Photo Size'));
+        this.scaleButtons = CAPTURE_SCALES.map(scale => {
+            const button = createButton(`${scale}×`, () => {
+                this.captureScale = scale;
+                this.refresh();
+            });
+            button.dataset.option = String(scale);
+            this.panel.appendChild(button);
+            return button;
+        });
+        
+        const actions = document.createElement('div');
+        actions.style.marginTop = '8px';
+        this.hudButton = createButton('', () => this.setHudHidden(!this.hideHud));
+        actions.appendChild(this.hudButton);
+        actions.appendChild(createButton('Capture', () => this.capture()));
+        actions.appendChild(createButton('Exit', () => this.toggle()));
+        this.panel.appendChild(actions);
+        
+        const help = document.createElement('div');
+        help.innerHTML = HELP_TEXT;
+        help.style.marginTop = '8px';
+        help.style.color = '#aaaaaa';
+        help.style.fontSize = '11px';
+        this.panel.appendChild(help);
+        
+        document.body.appendChild(this.panel);
+    }
+    
+    setupListeners() {
+        const canvas = this.game.renderer.domElement;
+        
+        canvas.addEventListener('mousedown', () => {
+            if (this.active) this.isLooking = true;
+        });
+        window.addEventListener('mouseup', () => {
+            this.isLooking = false;
+        });
+        window.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+    }
+    
+    // Not from the editor or the pause menu, which have the screen to themselves
+    canOpen() {
+        return !this.active && !this.game.editor.active && !this.game.pauseMenu.active;
+    }
+    
+    toggle() {
+        this.active = !this.active;
+        this.panel.style.display = this.active ? 'block' : 'none';
+        
+        if (this.active) {
+            this.enter();
+        } else {
+            this.exit();
+        }
+    }
+    
+    enter() {
+        const camera = this.game.camera;
+        this.savedPosition.copy(camera.position);
+        this.savedQuaternion.copy(camera.quaternion);
+        
+        // Fly on from wherever the camera mode left the camera
+        const direction = new THREE.Vector3();
+        camera.getWorldDirection(direction);
+        this.yaw = Math.atan2(-direction.x, -direction.z);
+        this.pitch = Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1));
+        this.applyCameraRotation();
+        
+        // Start in focus on the car, through the camera's current lens
+        this.values = {
+            ...PHOTO_DEFAULTS,
+            fieldOfView: Math.round(camera.fov),
+            focus: Math.round(THREE.MathUtils.clamp(camera.position.distanceTo(this.game.car.mesh.position), 1, 100))
+        };
+        
+        this.gradePass.enabled = true;
+        this.apply();
+        this.refresh();
+    }
+    
+    exit() {
+        this.isLooking = false;
+        this.setHudHidden(false);
+        
+        // Hand the camera and the effects back to the game
+        const camera = this.game.camera;
+        camera.position.copy(this.savedPosition);
+        camera.quaternion.copy(this.savedQuaternion);
+        camera.fov = this.game.settings.get('fieldOfView');
+        camera.updateProjectionMatrix();
+        
+        this.bokehPass.enabled = false;
+        this.gradePass.enabled = false;
+        this.game.bloomPass.enabled = this.game.getGraphicsPreset().bloom;
+    }
+    
+    setValue(name, value) {
+        this.values[name] = value;
+        this.apply();
+        this.refresh();
+    }
+    
+    setFilter(filter) {
+        this.filter = filter;
+        this.apply();
+        this.refresh();
+    }
+    
+    // The HUD is everything on the page over the canvas (see the hide-hud rule in index.html)
+    setHudHidden(hidden) {
+        this.hideHud = hidden;
+        document.body.classList.toggle('hide-hud', hidden);
+        this.refresh();
+    }
+    
+    // Put the slider values into the camera and the passes
+    apply() {
+        const camera = this.game.camera;
+        camera.fov = this.values.fieldOfView;
+        camera.updateProjectionMatrix();
+        
+        const uniforms = this.bokehPass.uniforms;
+        uniforms.focus.value = this.values.focus;
+        uniforms.aperture.value = this.values.blur * APERTURE_PER_BLUR;
+        this.bokehPass.enabled = this.values.blur > 0;
+        
+        this.game.bloomPass.strength = this.values.bloom;
+        this.game.bloomPass.enabled = this.values.bloom > 0;
+        
+        this.gradePass.uniforms.exposure.value = this.values.exposure;
+        this.gradePass.uniforms.grade.value = PHOTO_FILTERS.indexOf(this.filter);
+    }
+    
+    update(deltaTime) {
+        const camera = this.game.camera;
+        const move = new THREE.Vector3();
+        
+        // Fly relative to where the camera is looking
+        const forward = new THREE.Vector3();
+        camera.getWorldDirection(forward);
+        const right = new THREE.Vector3().crossVectors(forward, camera.up).normalize();
+        
+        // Fly with the driving keys, whatever they are bound to
+        const input = this.game.inputHandler;
+        if (input.isActionActive('accelerate')) move.add(forward);
+        if (input.isActionActive('brake')) move.sub(forward);
+        if (input.isActionActive('steerRight')) move.add(right);
+        if (input.isActionActive('steerLeft')) move.sub(right);
+        if (input.isKeyDown(' ')) move.y += 1;
+        if (input.isKeyDown('c')) move.y -= 1;
+        
+        if (move.lengthSq() > 0) {
+            const speed = this.flySpeed * (input.isKeyDown('Shift') ? 3 : 1);
+            camera.position.addScaledVector(move.normalize(), speed * deltaTime);
+            camera.position.y = Math.max(0.3, camera.position.y);
+        }
+        
+        // The VHS noise keeps rolling while the action stands still
+        this.time += deltaTime;
+        this.gradePass.uniforms.time.value = this.time;
+        this.game.renderer.getDrawingBufferSize(this.gradePass.uniforms.resolution.value);
+        this.bokehPass.uniforms.aspect.value = camera.aspect;
+    }
+    
+    applyCameraRotation() {
+        this.game.camera.rotation.set(this.pitch, this.yaw, 0, 'YXZ');
+    }
+    
+    // Draw one frame at the chosen multiple of the screen's resolution and download it
+    capture() {
+        const { renderer, composer } = this.game;
+        const size = renderer.getSize(new THREE.Vector2());
+        const pixelRatio = getCapturePixelRatio(size.x, size.y, window.devicePixelRatio || 1,
+            this.captureScale, renderer.capabilities.maxTextureSize);
+        
+        renderer.setPixelRatio(pixelRatio);
+        composer.setPixelRatio(pixelRatio);
+        this.game.renderer.getDrawingBufferSize(this.gradePass.uniforms.resolution.value);
+        this.game.render();
+        
+        // Read the canvas straight after drawing, before the browser clears it
+        const link = document.createElement('a');
+        link.href = renderer.domElement.toDataURL('image/png');
+        link.download = `vibecity-${this.game.seed}-${Date.now()}.png`;
+        link.click();
+        
+        this.game.applyRenderScale();
+    }
+    
+    onMouseMove(event) {
+        if (!this.active || !this.isLooking) return;
+        
+        this.yaw -= event.movementX * this.lookSensitivity;
+        this.pitch -= event.movementY * this.lookSensitivity;
+        this.pitch = THREE.MathUtils.clamp(this.pitch, -Math.PI / 2 + 0.01, Math.PI / 2 - 0.01);
+        this.applyCameraRotation();
+    }
+    
+    // The wheel zooms by narrowing or widening the field of view
+    onWheel(event) {
+        if (!this.active) return;
+        event.preventDefault();
+        
+        const { min, max } = SLIDERS[0];
+        this.setValue('fieldOfView', THREE.MathUtils.clamp(this.values.fieldOfView + Math.sign(event.deltaY) * 2, min, max));
+    }
+    
+    // Show the current values on the sliders and buttons
+    refresh() {
+        for (const [name, { slider, value }] of Object.entries(this.sliders)) {
+            slider.value = String(this.values[name]);
+            value.textContent = name === 'exposure' ? this.values.exposure.toFixed(1) : slider.value;
+        }
+        
+        for (const button of this.filterButtons) {
+            highlight(button, button.dataset.option === this.filter);
+        }
+        for (const button of this.scaleButtons) {
+            highlight(button, button.dataset.option === String(this.captureScale));
+        }
+        
+        this.hudButton.textContent = this.hideHud ? 'Show HUD' : 'Hide HUD';
+    }
+}
+
+function highlight(button, selected) {
+    button.style.borderColor = selected ? COLOR : '#555555';
+    button.style.backgroundColor = selected ? 'rgba(0, 255, 255, 0.3)' : 'rgba(0, 255, 255, 0.05)';
+}
+
+function createHeading(text) {
+    const heading = document.createElement('div');
+    heading.textContent = text.toUpperCase();
+    heading.style.color = COLOR;
+    heading.style.fontWeight = 'bold';
+    heading.style.marginTop = '8px';
+    return heading;
+}
@@ -0,0 +1,541 @@
+import * as THREE from 'three';
+import { generateTracks, PersonalBests } from './race.js';
+import { Ghost, GhostRecorder, GhostStore, getGhostKey } from './ghost.js';
+import { formatLength } from './units.js';
+import { createButton } from './ui.js';
+
+// Lap counts offered on the race menu
+const LAP_OPTIONS = [1, 3, 5];
+
+// Gate colours: the next gate to hit, the start/finish line and the rest
+const NEXT_GATE_COLOR = 0x00ff66;
+const FINISH_GATE_COLOR = 0xffffff;
+const GATE_COLOR = 0xff00ff;
+
+// How long a split time stays on screen after passing a gate
+const SPLIT_DISPLAY_TIME = 2;
+
+const GHOST_COLOR = 0x00ffff;
+
+// Checkpoint race presentation: the race menu (toggled with 'T'), the glowing gates, the lap timer,
+// countdown and wrong-way warning, the ghost car and the results screen. The race itself runs in
+// the Simulation.
+export class RaceMode {
+    constructor(game) {
+        this.game = game;
+        this.personalBests = new PersonalBests();
+        this.menuOpen = false;
+        this.trackIndex = 0;
+        this.laps = 3;
+        this.gates = [];
+        this.splitTimer = 0;
+        
+        // Ghost car: the best lap on each track is recorded and raced against. Ghosts imported
+        // from a file take its place for the rest of the session.
+        this.ghostStore = new GhostStore();
+        this.importedGhosts = new Map();
+        this.recorder = new GhostRecorder();
+        this.ghost = null;
+        this.ghostMesh = null;
+        
+        this.createUI();
+    }
+    
+    createUI() {
+        // Race menu
+        this.menu = createPanel('#00ff66');
+        this.menu.style.top = '50%';
+        this.menu.style.left = '50%';
+        this.menu.style.transform = 'translate(-50%, -50%)';
+        this.menu.style.minWidth = '260px';
+        
+        this.menuTitle = createTitle('RACE', '#00ff66');
+        this.menu.appendChild(this.menuTitle);
+        
+        const trackRow = document.createElement('div');
+        trackRow.appendChild(createButton('<', () => this.selectTrack(-1)));
+        this.trackLabel = document.createElement('span');
+        this.trackLabel.style.display = 'inline-block';
+        this.trackLabel.style.minWidth = '150px';
+        trackRow.appendChild(this.trackLabel);
+        trackRow.appendChild(createButton('>', () => this.selectTrack(1)));
+        this.menu.appendChild(trackRow);
+        
+        const lapRow = document.createElement('div');
+        lapRow.appendChild(document.createTextNode('Laps: '));
+        this.lapButtons = LAP_OPTIONS.map(laps => {
+            const button = createButton(String(laps), () => this.selectLaps(laps));
+            lapRow.appendChild(button);
+            return button;
+        });
+        this.menu.appendChild(lapRow);
+        
+        this.bestLabel = document.createElement('div');
+        this.bestLabel.style.margin = '8px 0 0';
+        this.bestLabel.style.color = '#aaaaaa';
+        this.menu.appendChild(this.bestLabel);
+        
+        const ghostRow = document.createElement('div');
+        ghostRow.style.margin = '0 0 8px';
+        this.ghostLabel = document.createElement('span');
+        this.ghostLabel.style.color = '#aaaaaa';
+        this.ghostLabel.style.marginRight = '6px';
+        ghostRow.appendChild(this.ghostLabel);
+        ghostRow.appendChild(createButton('Export', () => this.exportGhost()));
+        ghostRow.appendChild(createButton('Import', () => this.ghostFileInput.click()));
+        this.menu.appendChild(ghostRow);
+        
+        this.ghostFileInput = document.createElement('input');
+        this.ghostFileInput.type = 'file';
+        this.ghostFileInput.accept = '.json,application/json';
+        this.ghostFileInput.style.display = 'none';
+        this.ghostFileInput.addEventListener('change', () => this.importGhost(this.ghostFileInput.files[0]));
+        this.menu.appendChild(this.ghostFileInput);
+        
+        this.menu.appendChild(createButton('Start', () => this.startRace()));
+        this.freeRoamButton = createButton('Free Roam', () => this.endRace());
+        this.menu.appendChild(this.freeRoamButton);
+        this.menu.appendChild(createButton('Close', () => this.toggleMenu()));
+        
+        this.menuStatus = document.createElement('div');
+        this.menuStatus.style.marginTop = '6px';
+        this.menuStatus.style.color = '#aaaaaa';
+        this.menuStatus.style.fontSize = '11px';
+        this.menu.appendChild(this.menuStatus);
+        document.body.appendChild(this.menu);
+        
+        // Lap timer
+        this.hud = createPanel('#00ff66');
+        this.hud.style.top = '20px';
+        this.hud.style.left = '50%';
+        this.hud.style.transform = 'translateX(-50%)';
+        this.hud.style.fontFamily = "'Courier New', monospace";
+        this.hud.style.fontSize = '16px';
+        this.hudText = document.createElement('div');
+        this.hud.appendChild(this.hudText);
+        this.splitText = document.createElement('div');
+        this.splitText.style.fontWeight = 'bold';
+        this.hud.appendChild(this.splitText);
+        this.ghostText = document.createElement('div');
+        this.hud.appendChild(this.ghostText);
+        document.body.appendChild(this.hud);
+        
+        // Countdown and wrong-way warning share the middle of the screen
+        this.banner = document.createElement('div');
+        this.banner.style.position = 'absolute';
+        this.banner.style.top = '30%';
+        this.banner.style.left = '50%';
+        this.banner.style.transform = 'translate(-50%, -50%)';
+        this.banner.style.fontFamily = 'Arial, sans-serif';
+        this.banner.style.fontWeight = 'bold';
+        this.banner.style.fontSize = '72px';
+        this.banner.style.userSelect = 'none';
+        this.banner.style.pointerEvents = 'none';
+        this.banner.style.display = 'none';
+        document.body.appendChild(this.banner);
+        
+        // Results screen
+        this.results = createPanel('#00ff66');
+        this.results.style.top = '50%';
+        this.results.style.left = '50%';
+        this.results.style.transform = 'translate(-50%, -50%)';
+        this.results.style.minWidth = '260px';
+        this.results.appendChild(createTitle('FINISHED', '#00ff66'));
+        this.resultsText = document.createElement('div');
+        this.resultsText.style.fontFamily = "'Courier New', monospace";
+        this.resultsText.style.whiteSpace = 'pre';
+        this.resultsText.style.textAlign = 'left';
+        this.resultsText.style.margin = '8px 0';
+        this.results.appendChild(this.resultsText);
+        this.results.appendChild(createButton('Race Again', () => this.startRace()));
+        this.results.appendChild(createButton('Free Roam', () => this.endRace()));
+        document.body.appendChild(this.results);
+    }
+    
+    // The tracks of the current city
+    getTracks() {
+        return generateTracks(this.game.city);
+    }
+    
+    toggleMenu() {
+        this.menuOpen = !this.menuOpen;
+        this.menu.style.display = this.menuOpen ? 'block' : 'none';
+        
+        if (this.menuOpen) {
+            // Start from the track being raced, if any
+            const race = this.game.simulation.race;
+            const tracks = this.getTracks();
+            const current = race ? tracks.findIndex(track => track.id === race.track.id) : -1;
+            this.trackIndex = current !== -1 ? current : Math.min(this.trackIndex, tracks.length - 1);
+            if (race) this.laps = race.laps;
+            this.setMenuStatus('');
+            this.updateMenu();
+        }
+    }
+    
+    selectTrack(direction) {
+        const count = this.getTracks().length;
+        if (count === 0) return;
+        this.trackIndex = (this.trackIndex + direction + count) % count;
+        this.updateMenu();
+    }
+    
+    selectLaps(laps) {
+        this.laps = laps;
+        this.updateMenu();
+    }
+    
+    updateMenu() {
+        const tracks = this.getTracks();
+        const track = tracks[this.trackIndex];
+        
+        this.menuTitle.textContent = `RACE [${this.game.getKeyHint('race')}]`;
+        this.freeRoamButton.style.display = this.game.raceSettings ? 'inline-block' : 'none';
+        this.lapButtons.forEach((button, i) => {
+            button.style.borderColor = LAP_OPTIONS[i] === this.laps ? '#00ff66' : '#00ffff';
+        });
+        
+        if (!track) {
+            this.trackLabel.textContent = 'No tracks in this city';
+            this.bestLabel.textContent = '';
+            this.ghostLabel.textContent = '';
+            return;
+        }
+        
+        this.trackLabel.textContent = `${track.name} (${formatLength(track.length, this.game.settings.get('units'), 0)})`;
+        
+        const best = this.personalBests.get(this.game.seed, track.id);
+        const bestLap = best && best.lap ? formatRaceTime(best.lap.time) : '--';
+        const bestRace = best && best.races[this.laps] !== undefined ? formatRaceTime(best.races[this.laps]) : '--';
+        this.bestLabel.textContent = `Best lap ${bestLap} · Best ${this.laps}-lap race ${bestRace}`;
+        
+        const ghost = this.getGhost(track.id);
+        const source = this.importedGhosts.has(getGhostKey(this.game.seed, track.id)) ? 'imported' : 'yours';
+        this.ghostLabel.textContent = ghost ? `Ghost ${formatRaceTime(ghost.lapTime)} (${source})` : 'No ghost yet';
+    }
+    
+    setMenuStatus(text) {
+        this.menuStatus.textContent = text;
+    }
+    
+    // The ghost to race on a track of the current city: an imported one, else the saved best lap
+    getGhost(trackId) {
+        return this.importedGhosts.get(getGhostKey(this.game.seed, trackId)) ??
+            this.ghostStore.get(this.game.seed, trackId);
+    }
+    
+    exportGhost() {
+        const track = this.getTracks()[this.trackIndex];
+        const ghost = track && this.ghostStore.get(this.game.seed, track.id);
+        if (!ghost) {
+            this.setMenuStatus('Finish a lap on this track to record a ghost');
+            return;
+        }
+        
+        const blob = new Blob([JSON.stringify(ghost)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `vibecity-ghost-${ghost.seed}-${ghost.track}.json`;
+        link.click();
+        
+        // Revoking the URL straight after click() can cancel the download before it starts
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        this.setMenuStatus('Ghost downloaded');
+    }
+    
+    importGhost(file) {
+        if (!file) return;
+        
+        file.text()
+            .then(text => {
+                const ghost = new Ghost(JSON.parse(text));
+                if (String(ghost.seed) !== String(this.game.seed)) {
+                    throw new Error(`it was recorded in city ${ghost.seed}`);
+                }
+                
+                const trackIndex = this.getTracks().findIndex(track => track.id === ghost.track);
+                if (trackIndex === -1) {
+                    throw new Error(`track ${ghost.track} doesn't exist in this city`);
+                }
+                
+                this.importedGhosts.set(getGhostKey(ghost.seed, ghost.track), ghost);
+                this.trackIndex = trackIndex;
+                this.updateMenu();
+                this.setMenuStatus(`Loaded ${file.name} - start the race to take it on`);
+            })
+            .catch(error => {
+                console.error('Failed to load ghost:', error);
+                this.setMenuStatus(`Could not load ${file.name}: ${error.message}`);
+            })
+            .finally(() => {
+                // Allow loading the same file again
+                this.ghostFileInput.value = '';
+            });
+    }
+    
+    startRace() {
+        const track = this.getTracks()[this.trackIndex];
+        if (!track) return;
+        
+        this.closePanels();
+        this.game.startRace({ track: track.id, laps: this.laps });
+    }
+    
+    endRace() {
+        this.closePanels();
+        this.game.endRace();
+    }
+    
+    closePanels() {
+        this.menuOpen = false;
+        this.menu.style.display = 'none';
+        this.results.style.display = 'none';
+    }
+    
+    // Called whenever the game builds a new world: put up the gates if it is a race
+    onWorldCreated(simulation) {
+        this.gates = [];
+        this.splitTimer = 0;
+        this.results.style.display = 'none';
+        this.recorder.reset();
+        this.ghost = null;
+        this.ghostMesh = null;
+        
+        if (!simulation.race) return;
+        
+        const events = simulation.events;
+        events.on('race:started', () => this.onRaceStart());
+        events.on('race:checkpoint', ({ race, index }) => {
+            // A replay fast-forwarding skips the split flashes
+            if (!this.game.replay.seeking) this.onCheckpoint(race, index);
+        });
+        events.on('race:lapCompleted', ({ race, lapTime }) => this.onLapComplete(race, lapTime));
+        events.on('race:finished', ({ race }) => this.onRaceFinished(race));
+        
+        // A see-through copy of the car replays the ghost lap
+        this.ghost = this.getGhost(simulation.race.track.id);
+        if (this.ghost) {
+            this.ghost.resetProgress();
+            this.ghostMesh = createGhostMesh(simulation.car);
+            this.game.scene.add(this.ghostMesh);
+        }
+        
+        simulation.race.track.checkpoints.forEach((checkpoint, index) => {
+            const gate = createGate(simulation.race.track.gateWidth, index === 0 ? FINISH_GATE_COLOR : GATE_COLOR);
+            gate.position.set(checkpoint.x, 0, checkpoint.z);
+            gate.rotation.y = checkpoint.heading;
+            this.game.scene.add(gate);
+            this.gates.push(gate);
+        });
+    }
+    
+    // Race events
+    onRaceStart() {
+        this.recorder.reset();
+    }
+    
+    onLapComplete(race, lapTime) {
+        // Replays don't record new ghosts
+        if (!this.game.replay.active) {
+            const car = this.game.simulation.car;
+            this.recorder.record(lapTime, car.position, car.rotationQuaternion);
+            
+            const ghost = this.recorder.finish(this.game.seed, race.track.id, lapTime);
+            if (this.ghostStore.submit(ghost) && !this.importedGhosts.has(getGhostKey(ghost.seed, ghost.track))) {
+                // Race the new best from the next lap on
+                this.ghost = ghost;
+                if (!this.ghostMesh) {
+                    this.ghostMesh = createGhostMesh(car);
+                    this.game.scene.add(this.ghostMesh);
+                }
+            }
+        }
+        
+        this.recorder.reset();
+        if (this.ghost) this.ghost.resetProgress();
+    }
+    
+    onCheckpoint(race, index) {
+        // Compare the split with the personal best lap
+        const best = this.personalBests.get(this.game.seed, race.track.id);
+        const split = race.splits[race.splits.length - 1];
+        const bestSplit = best && best.lap ? best.lap.splits[race.splits.length - 1] : undefined;
+        
+        if (bestSplit !== undefined) {
+            const delta = split - bestSplit;
+            this.splitText.textContent = `${delta < 0 ? '-' : '+'}${Math.abs(delta).toFixed(2)}`;
+            this.splitText.style.color = delta < 0 ? '#00ff66' : '#ff3366';
+        } else {
+            this.splitText.textContent = formatRaceTime(split);
+            this.splitText.style.color = '#ffffff';
+        }
+        this.splitTimer = SPLIT_DISPLAY_TIME;
+    }
+    
+    onRaceFinished(race) {
+        // Replays show the final time on the timer but don't count as new runs
+        if (this.game.replay.active) return;
+        
+        const lines = race.lapTimes.map((lapTime, i) =>
+            `Lap ${i + 1}  ${formatRaceTime(lapTime)}${lapTime === race.getBestLap() && race.laps > 1 ? '  best' : ''}`);
+        lines.push('', `Total  ${formatRaceTime(race.getTotalTime())}`);
+        
+        const result = this.personalBests.submit(this.game.seed, race.track.id, race);
+        if (result.bestRace) lines.push('NEW PERSONAL BEST!');
+        if (result.bestLap) lines.push('New best lap!');
+        
+        this.resultsText.textContent = lines.join('\n');
+        this.results.style.display = 'block';
+    }
+    
+    // Keep the timer, banner and gates in sync with the race - called every frame
+    update(deltaTime) {
+        const race = this.game.simulation.race;
+        this.hud.style.display = race ? 'block' : 'none';
+        
+        if (!race) {
+            this.banner.style.display = 'none';
+            return;
+        }
+        
+        this.hudText.textContent = `${race.track.name.toUpperCase()}  LAP ${Math.min(race.lap, race.laps)}/${race.laps}  ${formatRaceTime(race.state === 'finished' ? race.getTotalTime() : race.time)}`;
+        
+        this.splitTimer = Math.max(0, this.splitTimer - deltaTime);
+        this.splitText.style.visibility = this.splitTimer > 0 ? 'visible' : 'hidden';
+        
+        if (race.state === 'countdown') {
+            this.showBanner(String(Math.ceil(race.countdown)), '#ffcc00');
+        } else if (race.state === 'racing' && race.time < 1) {
+            this.showBanner('GO!', '#00ff66');
+        } else if (race.wrongWay) {
+            this.showBanner('WRONG WAY', '#ff3366');
+        } else {
+            this.banner.style.display = 'none';
+        }
+        
+        this.updateGhost(race);
+        
+        // Highlight the gate to drive through next
+        this.gates.forEach((gate, index) => {
+            const isNext = race.state !== 'finished' && index === race.nextCheckpoint;
+            const color = isNext ? NEXT_GATE_COLOR : (index === 0 ? FINISH_GATE_COLOR : GATE_COLOR);
+            gate.children.forEach(part => part.material.color.setHex(color));
+            gate.scale.y = isNext ? 1 + Math.sin(this.game.simulation.time * 6) * 0.05 : 1;
+        });
+    }
+    
+    updateGhost(race) {
+        const car = this.game.simulation.car;
+        
+        if (race.state === 'racing' && !this.game.replay.active) {
+            this.recorder.record(race.getCurrentLapTime(), car.position, car.rotationQuaternion);
+        }
+        
+        if (!this.ghost) {
+            this.ghostText.textContent = '';
+            return;
+        }
+        
+        // The ghost lines up on the start line during the countdown and drives off at the green light
+        this.ghostMesh.visible = race.state !== 'finished';
+        const lapTime = race.state === 'racing' ? race.getCurrentLapTime() : 0;
+        this.ghost.getTransform(lapTime, this.ghostMesh.position, this.ghostMesh.quaternion);
+        
+        if (race.state === 'racing') {
+            const delta = this.ghost.getDelta(lapTime, car.position);
+            this.ghostText.textContent = `GHOST ${delta < 0 ? '-' : '+'}${Math.abs(delta).toFixed(2)}`;
+            this.ghostText.style.color = delta < 0 ? '#00ff66' : '#ff3366';
+        } else {
+            this.ghostText.textContent = `GHOST ${formatRaceTime(this.ghost.lapTime)}`;
+            this.ghostText.style.color = '#00ffff';
+        }
+    }
+    
+    showBanner(text, color) {
+        this.banner.textContent = text;
+        this.banner.style.color = color;
+        this.banner.style.textShadow = `0 0 10px ${color}, 0 0 20px ${color}`;
+        this.banner.style.display = 'block';
+    }
+}
+
+// Race clock format, e.g. 1:05.32
+export function formatRaceTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds % 60).toFixed(2).padStart(5, '0')}`;
+}
+
+// A translucent neon copy of the car model (without its lights)
+function createGhostMesh(car) {
+    const mesh = car.mesh.clone();
+    const material = new THREE.MeshBasicMaterial({
+        color: GHOST_COLOR,
+        transparent: true,
+        opacity: 0.3,
+        depthWrite: false
+    });
+    
+    const lights = [];
+    mesh.traverse(child => {
+        if (child.isLight) {
+            lights.push(child);
+        } else if (child.isMesh) {
+            child.material = material;
+            child.castShadow = false;
+            child.receiveShadow = false;
+        }
+    });
+    lights.forEach(light => light.removeFromParent());
+    
+    return mesh;
+}
+
+function createGate(width, color) {
+    // Two glowing posts and a banner across the road
+    const gate = new THREE.Group();
+    const postHeight = 5;
+    
+    const postGeometry = new THREE.BoxGeometry(0.4, postHeight, 0.4);
+    for (const side of [-1, 1]) {
+        const post = new THREE.Mesh(postGeometry, new THREE.MeshBasicMaterial({ color }));
+        post.position.set(side * width / 2, postHeight / 2, 0);
+        gate.add(post);
+    }
+    
+    const banner = new THREE.Mesh(
+        new THREE.BoxGeometry(width, 0.6, 0.2),
+        new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.8 })
+    );
+    banner.position.y = postHeight;
+    gate.add(banner);
+    
+    return gate;
+}
+
+function createPanel(color) {
+    const panel = document.createElement('div');
+    panel.style.position = 'absolute';
+    panel.style.padding = '10px 15px';
+    panel.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    panel.style.border = `2px solid ${color}`;
+    panel.style.borderRadius = '10px';
+    panel.style.color = '#ffffff';
+    panel.style.fontFamily = 'Arial, sans-serif';
+    panel.style.fontSize = '13px';
+    panel.style.textAlign = 'center';
+    panel.style.userSelect = 'none';
+    panel.style.display = 'none';
+    return panel;
+}
+
+function createTitle(text, color) {
+    const title = document.createElement('div');
+    title.textContent = text;
+    title.style.color = color;
+    title.style.fontWeight = 'bold';
+    title.style.textShadow = `0 0 5px ${color}`;
+    title.style.marginBottom = '8px';
+    return title;
+}
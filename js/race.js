@@ -0,0 +1,271 @@
+import { SeededRandom } from './random.js';
+import { getDefaultStorage } from './storage.js';
+
+// Seconds of countdown before the lights go green
+export const RACE_COUNTDOWN = 3;
+
+// How many circuits each city offers (the longest loops on its road grid)
+const MAX_TRACKS = 3;
+
+// How close to a gate's centre the car has to pass to collect it
+const CHECKPOINT_RADIUS_FACTOR = 0.8; // Of the road width
+
+// Driving away from the next gate for this long shows the wrong-way warning
+const WRONG_WAY_DELAY = 1;
+const WRONG_WAY_MIN_SPEED = 3;
+
+const STORAGE_KEY = 'vibecity-race-bests';
+
+// Build the race circuits for a city. Each one is a loop around the blocks of the road grid with
+// a gate at every corner and halfway along every side. Direction and start line are picked from
+// the city seed, so the same city always offers the same tracks.
+export function generateTracks(city) {
+    const limit = city.getBoundaryLimit();
+    const edge = limit - city.roadWidth / 2;
+    
+    // Only roads the car can reach - the outermost ones can lie beyond the boundary.
+    // Gates on the edge roads are pulled in so they stay inside it.
+    const drivable = (center) => Math.abs(center) <= limit;
+    const clampToEdge = (center) => Math.max(-edge, Math.min(edge, center));
+    const columns = city.roads.vertical.filter(road => drivable(road.centerX))
+        .map(road => ({ index: road.index, x: clampToEdge(road.centerX) }));
+    const rows = city.roads.horizontal.filter(road => drivable(road.centerZ))
+        .map(road => ({ index: road.index, z: clampToEdge(road.centerZ) }));
+    
+    const loops = [];
+    for (let a = 0; a < columns.length; a++) {
+        for (let b = a + 1; b < columns.length; b++) {
+            for (let c = 0; c < rows.length; c++) {
+                for (let d = c + 1; d < rows.length; d++) {
+                    loops.push({ west: columns[a], east: columns[b], south: rows[c], north: rows[d] });
+                }
+            }
+        }
+    }
+    
+    // Longest loops first (ties keep grid order, so the list is stable)
+    const perimeter = (loop) => 2 * ((loop.east.x - loop.west.x) + (loop.north.z - loop.south.z));
+    loops.sort((first, second) => perimeter(second) - perimeter(first));
+    
+    const random = new SeededRandom(`${city.seed}-tracks`);
+    
+    return loops.slice(0, MAX_TRACKS).map((loop, number) => {
+        const clockwise = random.next() < 0.5;
+        const startSide = Math.floor(random.next() * 4);
+        
+        let corners = [
+            { x: loop.west.x, z: loop.south.z },
+            { x: loop.east.x, z: loop.south.z },
+            { x: loop.east.x, z: loop.north.z },
+            { x: loop.west.x, z: loop.north.z }
+        ];
+        if (clockwise) corners.reverse();
+        corners = [...corners.slice(startSide), ...corners.slice(0, startSide)];
+        
+        // Halfway along each side, then the corner at its end - the start line is the first halfway gate
+        const checkpoints = [];
+        corners.forEach((corner, i) => {
+            const next = corners[(i + 1) % corners.length];
+            const after = corners[(i + 2) % corners.length];
+            checkpoints.push({ x: (corner.x + next.x) / 2, z: (corner.z + next.z) / 2, heading: getHeading(corner, next) });
+            checkpoints.push({ x: next.x, z: next.z, heading: getHeading(corner, after) });
+        });
+        
+        const id = `loop-${loop.west.index}${loop.east.index}-${loop.south.index}${loop.north.index}-${clockwise ? 'cw' : 'ccw'}`;
+        return {
+            id,
+            name: `Circuit ${number + 1}`,
+            length: perimeter(loop),
+            gateWidth: city.roadWidth,
+            checkpoints
+        };
+    });
+}
+
+// Car rotation (about Y) that faces from one point towards another
+function getHeading(from, to) {
+    return Math.atan2(to.x - from.x, to.z - from.z);
+}
+
+// Where the car lines up: a little behind the start gate, facing through it
+export function getStartPosition(track) {
+    const start = track.checkpoints[0];
+    const distance = track.gateWidth;
+    return {
+        x: start.x - Math.sin(start.heading) * distance,
+        y: 0.5,
+        z: start.z - Math.cos(start.heading) * distance,
+        rotation: start.heading
+    };
+}
+
+// Lap timing for one race. Owned and stepped by the Simulation, so races replay exactly.
+// The car has to pass the gates in order; gate 0 is the start/finish line.
+export class Race {
+    constructor(track, laps = 3) {
+        this.track = track;
+        this.laps = laps;
+        this.state = 'countdown'; // 'countdown', 'racing' or 'finished'
+        this.countdown = RACE_COUNTDOWN;
+        
+        // Race clock, running from the green light
+        this.time = 0;
+        this.lap = 1;
+        this.lapStartTime = 0;
+        this.lapTimes = [];
+        
+        // Checkpoint times of the current lap, relative to its start, and those of finished laps
+        this.splits = [];
+        this.lapSplits = [];
+        this.nextCheckpoint = 1;
+        
+        this.wrongWay = false;
+        this.wrongWayTime = 0;
+    }
+    
+    // The car is held on the line until the countdown ends
+    isFrozen() {
+        return this.state === 'countdown';
+    }
+    
+    getTotalTime() {
+        return this.lapTimes.reduce((total, lapTime) => total + lapTime, 0);
+    }
+    
+    getBestLap() {
+        return this.lapTimes.length > 0 ? Math.min(...this.lapTimes) : null;
+    }
+    
+    getCurrentLapTime() {
+        return this.time - this.lapStartTime;
+    }
+    
+    // Advance the race clock and check the car against the next gate, announcing the race:* events
+    // on the simulation's event bus.
+    update(car, deltaTime, events) {
+        if (this.state === 'countdown') {
+            this.countdown -= deltaTime;
+            if (this.countdown <= 0) {
+                this.countdown = 0;
+                this.state = 'racing';
+                events.emit('race:started', { race: this });
+            }
+            return;
+        }
+        
+        if (this.state !== 'racing') return;
+        
+        this.time += deltaTime;
+        this.updateWrongWay(car, deltaTime);
+        
+        const checkpoint = this.track.checkpoints[this.nextCheckpoint];
+        const distance = Math.hypot(car.position.x - checkpoint.x, car.position.z - checkpoint.z);
+        if (distance > this.track.gateWidth * CHECKPOINT_RADIUS_FACTOR) return;
+        
+        const index = this.nextCheckpoint;
+        this.nextCheckpoint = (index + 1) % this.track.checkpoints.length;
+        this.splits.push(this.getCurrentLapTime());
+        events.emit('race:checkpoint', { race: this, index });
+        
+        // Crossing the start/finish line ends the lap
+        if (index === 0) {
+            this.completeLap(events);
+        }
+    }
+    
+    completeLap(events) {
+        const lapTime = this.getCurrentLapTime();
+        this.lapTimes.push(lapTime);
+        this.lapSplits.push(this.splits);
+        events.emit('race:lapCompleted', { race: this, lapTime });
+        
+        if (this.lap === this.laps) {
+            this.state = 'finished';
+            this.wrongWay = false;
+            events.emit('race:finished', { race: this });
+            return;
+        }
+        
+        this.lap++;
+        this.lapStartTime = this.time;
+        this.splits = [];
+    }
+    
+    updateWrongWay(car, deltaTime) {
+        const checkpoint = this.track.checkpoints[this.nextCheckpoint];
+        const toCheckpointX = checkpoint.x - car.position.x;
+        const toCheckpointZ = checkpoint.z - car.position.z;
+        const distance = Math.hypot(toCheckpointX, toCheckpointZ);
+        
+        // Compare the way the car is actually moving (reversing counts) with the way to the gate
+        const movement = Math.sign(car.speed);
+        const facing = (Math.sin(car.rotation.y) * toCheckpointX + Math.cos(car.rotation.y) * toCheckpointZ) / (distance || 1);
+        const headingAway = Math.abs(car.speed) > WRONG_WAY_MIN_SPEED && movement * facing < -0.3;
+        
+        this.wrongWayTime = headingAway ? this.wrongWayTime + deltaTime : 0;
+        this.wrongWay = this.wrongWayTime > WRONG_WAY_DELAY;
+    }
+}
+
+// Best lap and best race times, stored per city seed and track in localStorage (when there is one)
+export class PersonalBests {
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+        this.records = this.load();
+    }
+    
+    // { lap: { time, splits }, races: { [laps]: time } } or null if the track has never been finished
+    get(seed, trackId) {
+        return this.records[getRecordKey(seed, trackId)] ?? null;
+    }
+    
+    // Store a finished race, returning which of its times were new bests
+    submit(seed, trackId, race) {
+        const key = getRecordKey(seed, trackId);
+        const record = this.records[key] ?? { lap: null, races: {} };
+        const result = { bestLap: false, bestRace: false };
+        
+        const bestLapIndex = race.lapTimes.indexOf(race.getBestLap());
+        if (!record.lap || race.lapTimes[bestLapIndex] < record.lap.time) {
+            record.lap = { time: race.lapTimes[bestLapIndex], splits: race.lapSplits[bestLapIndex] };
+            result.bestLap = true;
+        }
+        
+        const total = race.getTotalTime();
+        const previousTotal = record.races[race.laps];
+        if (previousTotal === undefined || total < previousTotal) {
+            record.races[race.laps] = total;
+            result.bestRace = true;
+        }
+        
+        this.records[key] = record;
+        this.save();
+        return result;
+    }
+    
+    load() {
+        if (!this.storage) return {};
+        
+        try {
+            const stored = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            console.warn('Ignoring saved race times:', error);
+            return {};
+        }
+    }
+    
+    save() {
+        if (!this.storage) return;
+        
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.records));
+        } catch (error) {
+            console.warn('Could not save race times:', error);
+        }
+    }
+}
+
+function getRecordKey(seed, trackId) {
+    return `${seed}/${trackId}`;
+}
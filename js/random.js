@@ -0,0 +1,44 @@
+// Seeded pseudo-random number generator (mulberry32)
+// Used in place of Math.random() wherever generated content has to be reproducible from a seed
+export class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+    
+    // Turn any seed value (number or string) into an unsigned 32-bit integer
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+        
+        const text = String(seed).trim();
+        
+        // Numeric strings map to the same seed as the number itself
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+        
+        // Hash any other string (FNV-1a) so seeds like "monday-jumps" work too
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    // Pick a fresh seed for sessions that didn't ask for a specific one
+    static randomSeed() {
+        return Math.floor(Math.random() * 0xffffffff) >>> 0;
+    }
+    
+    // Returns a float in [0, 1), same contract as Math.random()
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
@@ -0,0 +1,349 @@
+import { City } from './city.js';
+import { FIXED_TIME_STEP } from './simulation.js';
+import { IDLE_CONTROLS } from './input.js';
+import { WEATHER_MODES } from './weather.js';
+import { createButton } from './ui.js';
+
+export const REPLAY_VERSION = 2;
+export const STEP_RATE = Math.round(1 / FIXED_TIME_STEP);
+
+// Playback speeds offered by the speed control
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// How far the seek keys jump, in seconds
+const SEEK_STEP = 5;
+
+// Feeds a recorded input stream back into the simulation - stands in for the InputHandler
+export class ReplayInput {
+    constructor(events) {
+        this.events = events;
+        this.reset();
+    }
+    
+    reset() {
+        this.controls = { ...IDLE_CONTROLS };
+        this.nextEvent = 0;
+    }
+    
+    // Apply every event recorded up to and including this step
+    advance(step) {
+        while (this.nextEvent < this.events.length && this.events[this.nextEvent].step <= step) {
+            const event = this.events[this.nextEvent++];
+            this.controls[event.control] = event.value;
+        }
+    }
+    
+    getControls() {
+        return { ...this.controls };
+    }
+}
+
+// Replays a recorded session by rebuilding its city and re-running the simulation with the
+// recorded input. The simulation is deterministic, so this reproduces the run exactly.
+export class ReplayPlayer {
+    constructor(game) {
+        this.game = game;
+        this.active = false;
+        this.playing = false;
+        this.speedIndex = SPEEDS.indexOf(1);
+        this.recording = null;
+        this.input = null;
+        
+        // True while seek() fast-forwards through the recording
+        this.seeking = false;
+        
+        this.createUI();
+        this.setupListeners();
+    }
+    
+    static validateRecording(recording) {
+        if (!recording || typeof recording !== 'object') {
+            throw new Error('Replay must be a JSON object');
+        }
+        if (recording.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${recording.version} (expected ${REPLAY_VERSION})`);
+        }
+        if (recording.stepRate !== STEP_RATE) {
+            throw new Error(`Replay was recorded at ${recording.stepRate} steps per second (expected ${STEP_RATE})`);
+        }
+        if (!Number.isInteger(recording.steps) || recording.steps < 0) {
+            throw new Error('Replay "steps" must be a non-negative integer');
+        }
+        if (!Array.isArray(recording.events)) {
+            throw new Error('Replay "events" must be an array');
+        }
+        for (const event of recording.events) {
+            if (!Number.isInteger(event.step) || !(event.control in IDLE_CONTROLS) ||
+                typeof event.value !== typeof IDLE_CONTROLS[event.control]) {
+                throw new Error('Every replay event needs an integer "step", a known "control" and a matching "value"');
+            }
+        }
+        if (recording.race && (typeof recording.race.track !== 'string' ||
+                               !Number.isInteger(recording.race.laps) || recording.race.laps < 1)) {
+            throw new Error('Replay "race" needs a "track" id and a positive number of "laps"');
+        }
+        if (recording.weather !== undefined && !WEATHER_MODES.includes(recording.weather)) {
+            throw new Error(`Unknown replay weather: ${recording.weather}`);
+        }
+        if (recording.layout) {
+            City.validateLayout(recording.layout);
+        }
+    }
+    
+    createUI() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'replay-controls';
+        this.panel.style.position = 'absolute';
+        this.panel.style.bottom = '20px';
+        this.panel.style.left = '50%';
+        this.panel.style.transform = 'translateX(-50%)';
+        this.panel.style.padding = '10px';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        this.panel.style.border = '2px solid #00ffff';
+        this.panel.style.borderRadius = '10px';
+        this.panel.style.color = '#ffffff';
+        this.panel.style.fontFamily = 'Arial, sans-serif';
+        this.panel.style.fontSize = '13px';
+        this.panel.style.textAlign = 'center';
+        this.panel.style.userSelect = 'none';
+        this.panel.style.display = 'none';
+        
+        const title = document.createElement('div');
+        title.textContent = 'REPLAY [R]';
+        title.style.color = '#00ffff';
+        title.style.fontWeight = 'bold';
+        title.style.textShadow = '0 0 5px #00ffff';
+        title.style.marginBottom = '6px';
+        this.panel.appendChild(title);
+        
+        // Transport controls
+        this.playButton = createButton('Pause', () => this.togglePlaying());
+        this.speedButton = createButton('1x', () => this.cycleSpeed());
+        this.panel.appendChild(createButton('<<', () => this.seekBy(-SEEK_STEP)));
+        this.panel.appendChild(this.playButton);
+        this.panel.appendChild(createButton('>>', () => this.seekBy(SEEK_STEP)));
+        this.panel.appendChild(this.speedButton);
+        
+        // Timeline
+        this.timeline = document.createElement('input');
+        this.timeline.type = 'range';
+        this.timeline.min = '0';
+        this.timeline.value = '0';
+        this.timeline.style.width = '300px';
+        this.timeline.style.verticalAlign = 'middle';
+        this.timeline.style.margin = '0 8px';
+        this.timeline.addEventListener('input', () => this.seek(Number(this.timeline.value)));
+        this.timeline.addEventListener('change', () => this.timeline.blur());
+        this.panel.appendChild(this.timeline);
+        
+        this.timeLabel = document.createElement('span');
+        this.timeLabel.style.display = 'inline-block';
+        this.timeLabel.style.width = '110px';
+        this.timeLabel.style.fontFamily = "'Courier New', monospace";
+        this.panel.appendChild(this.timeLabel);
+        
+        // Sharing
+        this.panel.appendChild(createButton('Save', () => this.save()));
+        this.panel.appendChild(createButton('Load', () => this.fileInput.click()));
+        this.panel.appendChild(createButton('Exit', () => this.toggle()));
+        
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => this.loadFile(this.fileInput.files[0]));
+        this.panel.appendChild(this.fileInput);
+        
+        this.statusLine = document.createElement('div');
+        this.statusLine.style.marginTop = '6px';
+        this.statusLine.style.color = '#aaaaaa';
+        this.statusLine.style.fontSize = '11px';
+        this.panel.appendChild(this.statusLine);
+        
+        document.body.appendChild(this.panel);
+    }
+    
+    setupListeners() {
+        window.addEventListener('keydown', (e) => {
+            if (!this.active) return;
+            
+            if (e.key === ' ') {
+                this.togglePlaying();
+            } else if (e.key === 'ArrowLeft') {
+                this.seekBy(-SEEK_STEP);
+            } else if (e.key === 'ArrowRight') {
+                this.seekBy(SEEK_STEP);
+            } else if (e.key === '[') {
+                this.changeSpeed(-1);
+            } else if (e.key === ']') {
+                this.changeSpeed(1);
+            } else if (e.key === 'Home') {
+                this.seek(0);
+            }
+        });
+    }
+    
+    // Replay the session recorded so far, or leave replay mode and start a fresh run
+    toggle() {
+        if (this.active) {
+            this.stop();
+        } else {
+            this.start(this.game.inputHandler.getRecording());
+        }
+    }
+    
+    start(recording) {
+        ReplayPlayer.validateRecording(recording);
+        
+        this.recording = recording;
+        this.input = new ReplayInput(recording.events);
+        this.active = true;
+        this.playing = true;
+        this.timeline.max = String(recording.steps);
+        this.panel.style.display = 'block';
+        this.setStatus('SPACE play/pause · ←/→ seek · [ ] speed · HOME restart');
+        
+        this.rebuild();
+        this.updateControls();
+    }
+    
+    stop() {
+        this.active = false;
+        this.playing = false;
+        this.panel.style.display = 'none';
+        
+        // Start a new session in the same city
+        this.game.restartWorld();
+    }
+    
+    // Rebuild the recorded city (with its race and weather) and rewind to the first step.
+    // Replays from before the weather were recorded in the dry.
+    rebuild() {
+        const { seed, layout, race, weather } = this.recording;
+        this.game.rebuildWorld(() => layout
+            ? City.fromLayout(this.game.scene, { ...layout, seed })
+            : new City(this.game.scene, seed), race ?? null, weather ?? 'clear');
+        this.input.reset();
+    }
+    
+    // Run one recorded step - called by the game loop instead of stepping with live input
+    step() {
+        const simulation = this.game.simulation;
+        
+        if (this.isFinished()) {
+            this.playing = false;
+            this.updateControls();
+            return;
+        }
+        
+        this.input.advance(simulation.stepCount);
+        simulation.step(this.input);
+    }
+    
+    isFinished() {
+        return this.game.simulation.stepCount >= this.recording.steps;
+    }
+    
+    // How fast game time passes relative to real time (0 while paused)
+    getTimeScale() {
+        return this.playing ? SPEEDS[this.speedIndex] : 0;
+    }
+    
+    togglePlaying() {
+        // Playing from the end starts over
+        if (!this.playing && this.isFinished()) {
+            this.seek(0);
+        }
+        
+        this.playing = !this.playing;
+        this.updateControls();
+    }
+    
+    changeSpeed(direction) {
+        this.speedIndex = Math.max(0, Math.min(SPEEDS.length - 1, this.speedIndex + direction));
+        this.updateControls();
+    }
+    
+    // The speed button steps through the speeds, wrapping back to the slowest
+    cycleSpeed() {
+        this.speedIndex = (this.speedIndex + 1) % SPEEDS.length;
+        this.updateControls();
+    }
+    
+    seekBy(seconds) {
+        this.seek(this.game.simulation.stepCount + Math.round(seconds * STEP_RATE));
+    }
+    
+    // Jump to a step. The simulation can only run forwards, so seeking backwards replays from the start.
+    seek(targetStep) {
+        targetStep = Math.max(0, Math.min(this.recording.steps, targetStep));
+        
+        if (targetStep < this.game.simulation.stepCount) {
+            this.rebuild();
+        }
+        
+        // Particles and other effects check `seeking` and skip themselves while fast-forwarding
+        const simulation = this.game.simulation;
+        this.seeking = true;
+        
+        while (simulation.stepCount < targetStep) {
+            this.step();
+        }
+        
+        this.seeking = false;
+        this.game.storePreviousCarState();
+        this.updateControls();
+    }
+    
+    save() {
+        const blob = new Blob([JSON.stringify(this.recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `vibecity-replay-${this.recording.seed}.json`;
+        link.click();
+        
+        // Revoking the URL straight after click() can cancel the download before it starts
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        this.setStatus('Replay downloaded');
+    }
+    
+    loadFile(file) {
+        if (!file) return;
+        
+        file.text()
+            .then(text => {
+                this.start(JSON.parse(text));
+                this.setStatus(`Loaded ${file.name}`);
+            })
+            .catch(error => {
+                console.error('Failed to load replay:', error);
+                this.setStatus(`Could not load ${file.name}: ${error.message}`);
+            })
+            .finally(() => {
+                // Allow loading the same file again
+                this.fileInput.value = '';
+            });
+    }
+    
+    setStatus(text) {
+        this.statusLine.textContent = text;
+    }
+    
+    // Keep the timeline and buttons in sync with playback - called every frame while active
+    updateControls() {
+        const step = this.game.simulation.stepCount;
+        
+        this.timeline.value = String(step);
+        this.timeLabel.textContent = `${formatTime(step)} / ${formatTime(this.recording.steps)}`;
+        this.playButton.textContent = this.playing ? 'Pause' : 'Play';
+        this.speedButton.textContent = `${SPEEDS[this.speedIndex]}x`;
+    }
+}
+
+function formatTime(step) {
+    const seconds = step / STEP_RATE;
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
@@ -0,0 +1,269 @@
+import * as THREE from 'three';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+
+// The retro passes in the order they're drawn, each turned on by the setting of the same name
+export const RETRO_EFFECTS = ['pixelArt', 'chromaticAberration', 'vhsTracking', 'filmGrain', 'crt'];
+
+// Colours split this far apart (as a fraction of the screen from the centre to the edge) standing
+// still, plus up to these amounts at full speed and full boost
+export const ABERRATION = Object.freeze({ base: 0.002, speed: 0.004, boost: 0.008 });
+
+// Impacts (landings or crashes) faster than this roll the VHS tracking, fully at FULL_SPEED
+const TRACKING_MIN_SPEED = 12;
+const TRACKING_FULL_SPEED = 35;
+const TRACKING_DURATION = 1.5; // Seconds for a full-strength glitch to settle
+
+const FILM_GRAIN = 0.08;
+
+// Pixel art mode draws in blocks this many (CSS) pixels wide, in these colours
+const PIXEL_SIZE = 4;
+export const PIXEL_ART_PALETTE = [
+    0x000000, 0x1a0933, 0x3d0e5c, 0x6b1b8f,
+    0xb8238f, 0xff2a8a, 0xff6f61, 0xffb347,
+    0xfff275, 0x2de2e6, 0x0a8fbf, 0x035ee8,
+    0x261447, 0x5a5a7a, 0xb4b4d2, 0xffffff
+];
+
+const VERTEX_SHADER = `
+    varying vec2 vUv;
+    
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const RANDOM_GLSL = `
+    float random(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+`;
+
+// Chunky pixels, snapped to the palette with a little ordered dithering
+const PIXEL_ART_SHADER = {
+    uniforms: {
+        tDiffuse: { value: null },
+        resolution: { value: new THREE.Vector2(1, 1) },
+        pixelSize: { value: PIXEL_SIZE },
+        // Taken as they are: the composer's buffers hold the colours as they reach the screen
+        palette: { value: PIXEL_ART_PALETTE.map(color => new THREE.Color().setHex(color, THREE.LinearSRGBColorSpace)) }
+    },
+    vertexShader: VERTEX_SHADER,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 resolution;
+        uniform float pixelSize;
+        uniform vec3 palette[${PIXEL_ART_PALETTE.length}];
+        varying vec2 vUv;
+        
+        void main() {
+            vec2 blocks = resolution / pixelSize;
+            vec2 block = floor(vUv * blocks);
+            vec3 color = texture2D(tDiffuse, (block + 0.5) / blocks).rgb;
+            
+            // 2x2 Bayer dither, so gradients break into patterns instead of bands
+            float dither = mod(block.x + block.y * 2.0, 4.0);
+            dither = (dither == 1.0 ? 2.0 : dither == 2.0 ? 3.0 : dither == 3.0 ? 1.0 : 0.0) / 4.0 - 0.375;
+            color += dither * 0.12;
+            
+            vec3 nearest = palette[0];
+            float nearestDistance = 1e6;
+            for (int i = 0; i < ${PIXEL_ART_PALETTE.length}; i++) {
+                vec3 difference = color - palette[i];
+                float gap = dot(difference, difference);
+                if (gap < nearestDistance) {
+                    nearest = palette[i];
+                    nearestDistance = gap;
+                }
+            }
+            gl_FragColor = vec4(nearest, 1.0);
+        }
+    `
+};
+
+// Red and blue pulled apart towards the edges of the screen
+const CHROMATIC_ABERRATION_SHADER = {
+    uniforms: {
+        tDiffuse: { value: null },
+        amount: { value: ABERRATION.base }
+    },
+    vertexShader: VERTEX_SHADER,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float amount;
+        varying vec2 vUv;
+        
+        void main() {
+            vec2 offset = (vUv - 0.5) * 2.0 * amount;
+            vec4 color = texture2D(tDiffuse, vUv);
+            color.r = texture2D(tDiffuse, vUv + offset).r;
+            color.b = texture2D(tDiffuse, vUv - offset).b;
+            gl_FragColor = color;
+        }
+    `
+};
+
+// A worn tape losing its tracking: the lines wobble and a band of static rolls down the picture
+const VHS_TRACKING_SHADER = {
+    uniforms: {
+        tDiffuse: { value: null },
+        time: { value: 0 },
+        level: { value: 0 }
+    },
+    vertexShader: VERTEX_SHADER,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float time;
+        uniform float level;
+        varying vec2 vUv;
+        ${RANDOM_GLSL}
+        
+        void main() {
+            vec2 uv = vUv;
+            float band = smoothstep(0.0, 0.05, fract(uv.y - time * 0.7)) * (1.0 - smoothstep(0.05, 0.12, fract(uv.y - time * 0.7)));
+            float line = random(vec2(time, floor(uv.y * 240.0))) - 0.5;
+            uv.x += (sin(uv.y * 30.0 + time * 25.0) * 0.004 + line * 0.01 + band * 0.03) * level;
+            
+            vec3 color = texture2D(tDiffuse, uv).rgb;
+            color.r = mix(color.r, texture2D(tDiffuse, uv + vec2(0.006 * level, 0.0)).r, level);
+            color += (random(uv * 500.0 + time) - 0.5) * band * level;
+            gl_FragColor = vec4(color, 1.0);
+        }
+    `
+};
+
+const FILM_GRAIN_SHADER = {
+    uniforms: {
+        tDiffuse: { value: null },
+        time: { value: 0 },
+        amount: { value: FILM_GRAIN }
+    },
+    vertexShader: VERTEX_SHADER,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float time;
+        uniform float amount;
+        varying vec2 vUv;
+        ${RANDOM_GLSL}
+        
+        void main() {
+            vec4 color = texture2D(tDiffuse, vUv);
+            color.rgb += (random(vUv * 1000.0 + fract(time)) - 0.5) * amount;
+            gl_FragColor = color;
+        }
+    `
+};
+
+// An old curved tube: the picture bulges, with scanlines and dark corners
+const CRT_SHADER = {
+    uniforms: {
+        tDiffuse: { value: null },
+        resolution: { value: new THREE.Vector2(1, 1) }
+    },
+    vertexShader: VERTEX_SHADER,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 resolution;
+        varying vec2 vUv;
+        
+        void main() {
+            vec2 centered = vUv * 2.0 - 1.0;
+            vec2 bend = centered.yx / 5.0;
+            centered += centered * bend * bend;
+            vec2 uv = centered * 0.5 + 0.5;
+            if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+                gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+                return;
+            }
+            
+            vec3 color = texture2D(tDiffuse, uv).rgb;
+            color *= 0.8 + 0.2 * sin(uv.y * resolution.y * 3.14159);
+            vec2 corner = uv * (1.0 - uv);
+            color *= pow(corner.x * corner.y * 16.0, 0.2);
+            gl_FragColor = vec4(color, 1.0);
+        }
+    `
+};
+
+const SHADERS = {
+    pixelArt: PIXEL_ART_SHADER,
+    chromaticAberration: CHROMATIC_ABERRATION_SHADER,
+    vhsTracking: VHS_TRACKING_SHADER,
+    filmGrain: FILM_GRAIN_SHADER,
+    crt: CRT_SHADER
+};
+
+// How far the colours split: a little always, more with speed (0-1) and boost (0-1)
+export function getAberration(speedRatio, boostStrength) {
+    const clamp = (value) => Math.max(0, Math.min(1, value));
+    return ABERRATION.base + ABERRATION.speed * clamp(speedRatio) + ABERRATION.boost * clamp(boostStrength);
+}
+
+// How badly the tape is tracking (0-1): jolted by big impacts, settling over TRACKING_DURATION
+export class TrackingGlitch {
+    constructor() {
+        this.level = 0;
+    }
+    
+    hit(speed) {
+        const strength = (Math.abs(speed) - TRACKING_MIN_SPEED) / (TRACKING_FULL_SPEED - TRACKING_MIN_SPEED);
+        if (strength > 0) {
+            this.level = Math.max(this.level, Math.min(1, strength));
+        }
+    }
+    
+    update(deltaTime) {
+        this.level = Math.max(0, this.level - deltaTime / TRACKING_DURATION);
+    }
+}
+
+// CRT, scanlines, chromatic aberration, film grain, VHS tracking and pixel art passes after the
+// bloom, each turned on from the settings screen
+export class RetroEffects {
+    constructor(game) {
+        this.game = game;
+        this.time = 0;
+        this.tracking = new TrackingGlitch();
+        
+        this.passes = {};
+        for (const name of RETRO_EFFECTS) {
+            const pass = new ShaderPass(SHADERS[name]);
+            pass.enabled = false;
+            game.composer.addPass(pass);
+            this.passes[name] = pass;
+        }
+    }
+    
+    applySettings() {
+        for (const [name, pass] of Object.entries(this.passes)) {
+            pass.enabled = this.game.settings.get(name) === 'on';
+        }
+    }
+    
+    // Landings and crashes - only the big ones show on the tape
+    onImpact(speed) {
+        this.tracking.hit(speed);
+    }
+    
+    // Once per frame while driving (or watching a replay)
+    update(deltaTime) {
+        this.time += deltaTime;
+        this.tracking.update(deltaTime);
+        
+        const { renderer, car, simulation } = this.game;
+        const resolution = renderer.getDrawingBufferSize(new THREE.Vector2());
+        this.passes.pixelArt.uniforms.resolution.value.copy(resolution);
+        this.passes.pixelArt.uniforms.pixelSize.value = PIXEL_SIZE * renderer.getPixelRatio();
+        this.passes.crt.uniforms.resolution.value.copy(resolution);
+        
+        const boost = simulation.boost;
+        this.passes.chromaticAberration.uniforms.amount.value = getAberration(
+            Math.abs(car.speed) / car.maxSpeed,
+            (boost.currentMultiplier - 1) / (boost.speedMultiplier - 1)
+        );
+        
+        this.passes.vhsTracking.uniforms.time.value = this.time;
+        this.passes.vhsTracking.uniforms.level.value = this.tracking.level;
+        this.passes.filmGrain.uniforms.time.value = this.time;
+    }
+}
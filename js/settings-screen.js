@@ -0,0 +1,254 @@
+import { SETTINGS } from './settings.js';
+import { DEFAULT_VOLUMES } from './audio.js';
+import { RETRO_EFFECTS } from './retro-effects.js';
+import { createButton } from './ui.js';
+
+const COLOR = '#00ff66';
+
+// How the options of each setting read on their buttons
+const OPTION_LABELS = {
+    low: 'Low',
+    medium: 'Medium',
+    high: 'High',
+    ultra: 'Ultra',
+    off: 'Off',
+    on: 'On',
+    near: 'Near',
+    normal: 'Normal',
+    far: 'Far',
+    chase: 'Chase',
+    hood: 'Hood',
+    topDown: 'Top-Down',
+    cinematic: 'Trackside',
+    orbit: 'Orbit',
+    imperial: 'MPH / Miles',
+    metric: 'KM/H / Kilometres',
+    cycle: 'Changing',
+    clear: 'Clear',
+    rain: 'Rain',
+    fog: 'Fog',
+    storm: 'Storm'
+};
+
+const VOLUME_LABELS = {
+    master: 'Master Volume',
+    music: 'Music Volume',
+    sfx: 'Effects Volume'
+};
+
+// Graphics, audio, camera, units and retro effects, opened from the pause menu. Changes apply straight away and
+// are saved in the browser (see Settings and AudioSettings).
+export class SettingsScreen {
+    constructor(game, onClose) {
+        this.game = game;
+        this.onClose = onClose;
+        this.active = false;
+        
+        // Controls to bring up to date in refresh()
+        this.optionButtons = {};
+        this.sliders = {};
+        this.toggles = {};
+        
+        this.createUI();
+    }
+    
+    createUI() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'settings-screen';
+        this.panel.style.position = 'absolute';
+        this.panel.style.top = '50%';
+        this.panel.style.left = '50%';
+        this.panel.style.transform = 'translate(-50%, -50%)';
+        this.panel.style.padding = '15px';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        this.panel.style.border = `2px solid ${COLOR}`;
+        this.panel.style.borderRadius = '10px';
+        this.panel.style.color = '#ffffff';
+        this.panel.style.fontFamily = 'Arial, sans-serif';
+        this.panel.style.fontSize = '13px';
+        this.panel.style.userSelect = 'none';
+        this.panel.style.maxHeight = '85%';
+        this.panel.style.overflowY = 'auto';
+        this.panel.style.display = 'none';
+        
+        const title = document.createElement('div');
+        title.textContent = 'SETTINGS';
+        title.style.color = COLOR;
+        title.style.fontWeight = 'bold';
+        title.style.textShadow = `0 0 5px ${COLOR}`;
+        title.style.textAlign = 'center';
+        title.style.marginBottom = '6px';
+        this.panel.appendChild(title);
+        
+        this.table = document.createElement('table');
+        this.table.style.borderCollapse = 'collapse';
+        this.panel.appendChild(this.table);
+        
+        this.addSection('Graphics');
+        this.addOptionRow('quality');
+        this.addOptionRow('dynamicResolution');
+        
+        this.addSection('Audio');
+        for (const channel of Object.keys(DEFAULT_VOLUMES)) {
+            this.addSliderRow(`volume-${channel}`, VOLUME_LABELS[channel], { min: 0, max: 100, step: 5 },
+                () => Math.round(this.game.audio.settings.volumes[channel] * 100),
+                (value) => this.game.audio.setVolume(channel, value / 100));
+        }
+        this.addToggleRow('sound', 'Sound', () => !this.game.audio.settings.muted, () => this.game.audio.toggleMute());
+        this.addToggleRow('music', 'Music', () => !this.game.audio.settings.musicMuted, () => this.game.audio.toggleMusic());
+        
+        this.addSection('Weather (restarts the drive)');
+        this.addOptionRow('weather');
+        
+        this.addSection('Camera');
+        this.addOptionRow('cameraMode');
+        this.addOptionRow('cameraDistance');
+        this.addSliderRow('fieldOfView', SETTINGS.fieldOfView.label, SETTINGS.fieldOfView,
+            () => this.game.settings.get('fieldOfView'),
+            (value) => this.change('fieldOfView', value));
+        
+        this.addSection('Units');
+        this.addOptionRow('units');
+        
+        this.addSection('Retro Effects');
+        for (const effect of RETRO_EFFECTS) {
+            this.addOptionRow(effect);
+        }
+        
+        const footer = document.createElement('div');
+        footer.style.textAlign = 'center';
+        footer.style.marginTop = '10px';
+        footer.appendChild(createButton('Reset to Defaults', () => this.resetToDefaults(), COLOR));
+        footer.appendChild(createButton('Back', () => this.onClose(), COLOR));
+        this.panel.appendChild(footer);
+        
+        document.body.appendChild(this.panel);
+    }
+    
+    addSection(label) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 2;
+        cell.textContent = label.toUpperCase();
+        cell.style.color = COLOR;
+        cell.style.fontWeight = 'bold';
+        cell.style.paddingTop = '10px';
+        row.appendChild(cell);
+        this.table.appendChild(row);
+    }
+    
+    addRow(label, control) {
+        const row = document.createElement('tr');
+        
+        const name = document.createElement('td');
+        name.textContent = label;
+        name.style.paddingRight = '20px';
+        row.appendChild(name);
+        
+        const cell = document.createElement('td');
+        cell.appendChild(control);
+        row.appendChild(cell);
+        
+        this.table.appendChild(row);
+    }
+    
+    // A button for each of a setting's options, with the current one lit up
+    addOptionRow(name) {
+        const { label, options } = SETTINGS[name];
+        const container = document.createElement('div');
+        
+        this.optionButtons[name] = options.map(option => {
+            const button = createButton(OPTION_LABELS[option], () => this.change(name, option), COLOR);
+            button.dataset.option = option;
+            container.appendChild(button);
+            return button;
+        });
+        
+        this.addRow(label, container);
+    }
+    
+    addSliderRow(id, label, { min, max, step }, getValue, setValue) {
+        const container = document.createElement('div');
+        container.style.display = 'flex';
+        container.style.alignItems = 'center';
+        
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = String(min);
+        slider.max = String(max);
+        slider.step = String(step);
+        slider.style.accentColor = COLOR;
+        container.appendChild(slider);
+        
+        const value = document.createElement('span');
+        value.style.marginLeft = '8px';
+        value.style.minWidth = '30px';
+        container.appendChild(value);
+        
+        slider.addEventListener('input', () => {
+            setValue(Number(slider.value));
+            this.refresh();
+        });
+        
+        this.sliders[id] = { slider, value, getValue };
+        this.addRow(label, container);
+    }
+    
+    addToggleRow(id, label, isOn, toggle) {
+        const button = createButton('', () => {
+            toggle();
+            this.refresh();
+        }, COLOR);
+        button.style.width = '60px';
+        this.toggles[id] = { button, isOn };
+        this.addRow(label, button);
+    }
+    
+    change(name, value) {
+        this.game.settings.set(name, value);
+        this.game.applySettings();
+        this.refresh();
+    }
+    
+    resetToDefaults() {
+        this.game.settings.resetToDefaults();
+        for (const [channel, volume] of Object.entries(DEFAULT_VOLUMES)) {
+            this.game.audio.setVolume(channel, volume);
+        }
+        this.game.applySettings();
+        this.refresh();
+    }
+    
+    open() {
+        this.active = true;
+        this.panel.style.display = 'block';
+        this.refresh();
+    }
+    
+    close() {
+        this.active = false;
+        this.panel.style.display = 'none';
+    }
+    
+    // Show the current values on the buttons and sliders
+    refresh() {
+        for (const [name, buttons] of Object.entries(this.optionButtons)) {
+            const current = this.game.settings.get(name);
+            for (const button of buttons) {
+                const selected = button.dataset.option === current;
+                button.style.borderColor = selected ? COLOR : '#555555';
+                button.style.backgroundColor = selected ? 'rgba(0, 255, 102, 0.3)' : 'rgba(0, 255, 102, 0.05)';
+            }
+        }
+        
+        for (const { slider, value, getValue } of Object.values(this.sliders)) {
+            slider.value = String(getValue());
+            value.textContent = slider.value;
+        }
+        
+        for (const { button, isOn } of Object.values(this.toggles)) {
+            button.textContent = isOn() ? 'On' : 'Off';
+            button.style.borderColor = isOn() ? COLOR : '#555555';
+        }
+    }
+}
@@ -0,0 +1,108 @@
+import { WEATHER_MODES } from './weather.js';
+import { CAMERA_MODES } from './camera-modes.js';
+import { getDefaultStorage } from './storage.js';
+
+const STORAGE_KEY = 'vibecity-settings';
+
+// Every setting on the settings screen with its default. Settings with `options` take one of them,
+// the others are numbers between `min` and `max` (in steps of `step`). Audio volumes live in
+// AudioSettings and key bindings in KeyBindings.
+export const SETTINGS = Object.freeze({
+    quality: { label: 'Graphics Quality', options: ['low', 'medium', 'high', 'ultra'], default: 'high' },
+    dynamicResolution: { label: 'Dynamic Resolution', options: ['off', 'on'], default: 'off' },
+    weather: { label: 'Weather', options: WEATHER_MODES, default: 'cycle' },
+    cameraMode: { label: 'Camera Mode', options: CAMERA_MODES, default: 'chase' },
+    cameraDistance: { label: 'Camera Distance', options: ['near', 'normal', 'far'], default: 'normal' },
+    fieldOfView: { label: 'Field of View', min: 60, max: 100, step: 5, default: 75 },
+    units: { label: 'Units', options: ['imperial', 'metric'], default: 'imperial' },
+    pixelArt: { label: 'Pixel Art', options: ['off', 'on'], default: 'off' },
+    chromaticAberration: { label: 'Chromatic Aberration', options: ['off', 'on'], default: 'off' },
+    vhsTracking: { label: 'VHS Tracking on Impacts', options: ['off', 'on'], default: 'off' },
+    filmGrain: { label: 'Film Grain', options: ['off', 'on'], default: 'off' },
+    crt: { label: 'CRT Curvature & Scanlines', options: ['off', 'on'], default: 'off' }
+});
+
+// The player's settings, kept in localStorage (when there is one)
+export class Settings {
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+        this.values = getDefaults();
+        this.load();
+    }
+    
+    get(name) {
+        if (!(name in SETTINGS)) {
+            throw new Error(`Unknown setting: ${name}`);
+        }
+        return this.values[name];
+    }
+    
+    // Change a setting. Numbers are clamped and rounded to the setting's step; anything else has
+    // to be one of its options.
+    set(name, value) {
+        if (!(name in SETTINGS)) {
+            throw new Error(`Unknown setting: ${name}`);
+        }
+        
+        const definition = SETTINGS[name];
+        if (definition.options) {
+            if (!definition.options.includes(value)) {
+                throw new Error(`Invalid value for ${name}: ${value}`);
+            }
+            this.values[name] = value;
+        } else {
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                throw new Error(`Invalid value for ${name}: ${value}`);
+            }
+            const stepped = Math.round(number / definition.step) * definition.step;
+            this.values[name] = Math.max(definition.min, Math.min(definition.max, stepped));
+        }
+        this.save();
+    }
+    
+    resetToDefaults() {
+        this.values = getDefaults();
+        this.save();
+    }
+    
+    load() {
+        if (!this.storage) return;
+        
+        try {
+            const stored = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (!stored || typeof stored !== 'object') return;
+            
+            // Only take values that are still valid, so older saves keep working
+            for (const [name, definition] of Object.entries(SETTINGS)) {
+                const value = stored[name];
+                const valid = definition.options
+                    ? definition.options.includes(value)
+                    : Number.isFinite(value) && value >= definition.min && value <= definition.max;
+                if (valid) {
+                    this.values[name] = value;
+                }
+            }
+        } catch (error) {
+            console.warn('Ignoring saved settings:', error);
+        }
+    }
+    
+    save() {
+        if (!this.storage) return;
+        
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('Could not save settings:', error);
+        }
+    }
+}
+
+function getDefaults() {
+    const values = {};
+    for (const [name, definition] of Object.entries(SETTINGS)) {
+        values[name] = definition.default;
+    }
+    return values;
+}
@@ -0,0 +1,1148 @@
+import * as THREE from 'three';
+import { Car } from './car.js';
+import { SeededRandom } from './random.js';
+import { IDLE_CONTROLS } from './input.js';
+import { Race, getStartPosition } from './race.js';
+import { StuntTracker } from './stunts.js';
+import { Combo } from './combo.js';
+import { DriveStats } from './stats.js';
+import { EventBus } from './events.js';
+import { Weather } from './weather.js';
+
+// Length of one simulation step in seconds
+export const FIXED_TIME_STEP = 1 / 120;
+
+// Hitting a wall faster than this (or landing a jump on its side) breaks the combo chain
+const CRASH_SPEED = 15;
+
+// Passing this close to a pedestrian or prop at speed without touching it is a near miss
+const NEAR_MISS_MARGIN = 1.5;
+const NEAR_MISS_SPEED = 20;
+const NEAR_MISS_POINTS = 25;
+
+// The gameplay state of a city - car, ramps, physics objects and pedestrians - advanced in
+// fixed steps. Each step also moves their meshes in the three.js scene, dims knocked-over
+// streetlights and adds or clears skid marks, but it never touches the DOM or the renderer -
+// a scene is plain objects, so it also runs headlessly under Node.
+export class Simulation {
+    constructor(scene, city, weather = 'clear') {
+        this.scene = scene;
+        this.city = city;
+        this.seed = city.seed;
+        
+        // World entities (shared with the city, so edits to the city apply immediately)
+        this.obstacles = city.getObstacles();
+        this.ramps = city.getRamps();
+        this.physicsObjects = city.getPhysicsObjects();
+        this.humans = city.getHumans();
+        
+        // Simulation RNG, seeded from the city so the same inputs always play out the same way
+        this.random = new SeededRandom(this.seed);
+        this.time = 0;
+        this.stepCount = 0;
+        this.score = 0;
+        
+        // Checkpoint race in progress (null while free roaming)
+        this.race = null;
+        
+        // Rain, fog and storms - wet roads cost the car grip (see WEATHER_MODES)
+        this.weather = new Weather(weather, this.seed);
+        
+        // Everything that happens in the world is announced here (see GAME_EVENTS). Scoring, effects,
+        // the HUD and audio are all listeners; the simulation works the same without any of them.
+        this.events = new EventBus();
+        
+        // Jumps, rolls, flips and drifts score when they're done
+        this.stunts = new StuntTracker((stunt) => this.events.emit('stunt:completed', stunt));
+        
+        // Scoring events chain into a combo that reaches the score once it's banked
+        this.combo = new Combo();
+        
+        // Pedestrians and props the car is passing close to right now (near miss candidates)
+        this.nearMisses = new Set();
+        
+        // Distance, top speed, airtime and the like for the stats screen
+        this.stats = new DriveStats();
+        
+        // Launchpads hit since the car was last on the ground (landing on another pad keeps it going)
+        this.flightChain = new Set();
+        
+        // Speed boost properties
+        this.boost = {
+            available: 100,
+            max: 100,
+            rechargeRate: 10, // Per second
+            depleteRate: 30,  // Per second
+            active: false,
+            speedMultiplier: 1.8, // Increased to ensure we can reach 60 mph from 40 mph base speed
+            // Add smooth transition for boost deactivation
+            currentMultiplier: 1.0,
+            transitionSpeed: 2.0, // How quickly boost fades in/out
+            state: 'idle' // 'idle', 'boosting', or 'empty' once it runs dry while still held
+        };
+        
+        // Scoring and the drive stats listen first, so the score is up to date for everyone else
+        this.addScoringListeners();
+        
+        // Create the car and position it on a road
+        this.car = new Car(scene);
+        this.positionCarOnRoad();
+    }
+    
+    // Advance the world by one step. `input` is anything with a getControls() method - the
+    // InputHandler in the browser, a replay, or scripted input in tests.
+    step(input, deltaTime = FIXED_TIME_STEP) {
+        // The car waits on the start line during a race countdown
+        const controls = this.race && this.race.isFrozen() ? IDLE_CONTROLS : input.getControls();
+        
+        // Boost while the boost control is held
+        this.boost.active = controls.boost;
+        
+        // Update boost
+        this.updateBoost(deltaTime);
+        
+        // The car grips as well as the road allows
+        this.weather.step(deltaTime);
+        this.car.grip = this.weather.getGrip();
+        
+        // Update the car (hitting something hard is a crash)
+        const speedBeforeUpdate = this.car.getSpeed();
+        const wasColliding = this.car.colliding;
+        const wasAirborne = this.car.isAirborne;
+        const fallSpeed = Math.max(0, -this.car.verticalVelocity);
+        this.car.update(controls, deltaTime, this.obstacles);
+        
+        if (this.car.colliding && !wasColliding) {
+            this.events.emit('car:collided', { speed: speedBeforeUpdate, crash: speedBeforeUpdate > CRASH_SPEED });
+        }
+        if (wasAirborne && !this.car.isAirborne) {
+            this.events.emit('car:landed', { position: this.car.position.clone(), impactSpeed: fallSpeed });
+        }
+        
+        // Apply boost and keep the car inside the city
+        this.applyBoost(deltaTime);
+        this.enforceBoundary();
+        
+        // Score any stunt that just ended (before a launchpad can start the next jump)
+        this.stunts.update(this.car, deltaTime);
+        this.stats.update(this.car, deltaTime, this.boost.active && this.boost.available > 0);
+        
+        // Check for ramp interactions
+        this.checkRampInteractions();
+        
+        // Check for physics object interactions
+        this.updatePhysicsObjects(deltaTime);
+        
+        // Update humans
+        this.updateHumans(deltaTime);
+        
+        if (this.race) {
+            this.race.update(this.car, deltaTime, this.events);
+        }
+        
+        // Bank the combo once the window runs out (not while a jump or drift can still add to it)
+        const banked = this.combo.update(deltaTime, this.car.isAirborne || this.car.isDrifting);
+        if (banked) {
+            this.bankCombo(banked);
+        }
+        
+        this.time += deltaTime;
+        this.stepCount++;
+    }
+    
+    applyBoost(deltaTime) {
+        // Apply speed boost with smooth transition
+        const targetMultiplier = this.boost.active && this.boost.available > 0 ? 
+                                this.boost.speedMultiplier : 1.0;
+        
+        // Smoothly interpolate between current and target multiplier
+        this.boost.currentMultiplier += (targetMultiplier - this.boost.currentMultiplier) * 
+                                      this.boost.transitionSpeed * deltaTime;
+        
+        // Apply the current multiplier to car speed
+        if (this.boost.currentMultiplier > 1.01) { // Only apply if it's meaningfully above 1.0
+            // Handle boost differently based on whether the car is airborne
+            if (this.car.isAirborne) {
+                // When airborne, use a fixed acceleration approach instead of a multiplier
+                // This ensures boosting never slows the car down
+                
+                // Define maximum safe airborne speed
+                const maxAirborneSpeed = 25;
+                
+                // Only apply boost if we're below the maximum speed
+                if (this.car.speed < maxAirborneSpeed) {
+                    // Apply a fixed acceleration based on how active the boost is
+                    const boostStrength = (this.boost.currentMultiplier - 1.0) / (this.boost.speedMultiplier - 1.0);
+                    const airborneAcceleration = 10 * boostStrength * deltaTime; // Fixed acceleration per second
+                    
+                    // Add the acceleration to current speed
+                    this.car.speed += airborneAcceleration;
+                    
+                    // Cap at maximum airborne speed
+                    this.car.speed = Math.min(this.car.speed, maxAirborneSpeed);
+                }
+            } else {
+                // Normal boost on ground - with a hard cap of 60 mph
+                const maxBoostSpeed = 60; // Maximum speed with boost is 60 mph
+                
+                // Calculate boosted speed
+                const boostedSpeed = this.car.speed * this.boost.currentMultiplier;
+                
+                // Apply the boost but ensure we don't exceed the maximum boost speed
+                this.car.speed = Math.min(boostedSpeed, maxBoostSpeed);
+            }
+        }
+    }
+    
+    enforceBoundary() {
+        // Enforce a hard boundary for the car - ensure it never goes beyond the city limits
+        const carPosition = this.car.position;
+        const limit = this.city.getBoundaryLimit();
+        
+        if (Math.abs(carPosition.x) > limit || Math.abs(carPosition.z) > limit) {
+            // Car is trying to go out of bounds - push it back
+            const wasOutOfBounds = { x: false, z: false };
+            const originalPos = carPosition.clone();
+            
+            if (Math.abs(carPosition.x) > limit) {
+                carPosition.x = Math.sign(carPosition.x) * limit;
+                wasOutOfBounds.x = true;
+            }
+            
+            if (Math.abs(carPosition.z) > limit) {
+                carPosition.z = Math.sign(carPosition.z) * limit;
+                wasOutOfBounds.z = true;
+            }
+            
+            // Create a boundary normal for realistic bounce
+            const boundaryNormal = new THREE.Vector3(0, 0, 0);
+            
+            if (wasOutOfBounds.x) {
+                boundaryNormal.x = -Math.sign(originalPos.x);
+            }
+            
+            if (wasOutOfBounds.z) {
+                boundaryNormal.z = -Math.sign(originalPos.z);
+            }
+            
+            boundaryNormal.normalize();
+            
+            // Calculate bounce direction similar to wall collisions
+            const dotProduct = this.car.velocity.dot(boundaryNormal);
+            
+            // Only bounce if moving toward the boundary
+            if (dotProduct < 0) {
+                const speed = this.car.getSpeed();
+                this.events.emit('car:collided', { speed, crash: speed > CRASH_SPEED });
+                
+                // Calculate reflection vector (v - 2(v·n)n)
+                const bounceVelocity = this.car.velocity.clone().sub(
+                    boundaryNormal.clone().multiplyScalar(2 * dotProduct)
+                ).normalize();
+                
+                // Apply the new direction with a bounce
+                this.car.direction.copy(bounceVelocity);
+                
+                // Apply bounce effect - reduce speed but maintain some momentum
+                this.car.speed *= 0.4;
+                
+                // Update car rotation to match new direction
+                this.car.rotation.y = Math.atan2(this.car.direction.x, this.car.direction.z);
+                this.car.rotationQuaternion.setFromEuler(this.car.rotation);
+                
+                // Add a small vertical boost for a bouncy feel if going fast enough
+                if (Math.abs(this.car.speed) > 15 && !this.car.isAirborne) {
+                    this.car.isAirborne = true;
+                    this.car.verticalVelocity = 4;
+                }
+            } else {
+                // If moving away from boundary, just reduce speed
+                this.car.speed *= 0.5;
+            }
+        }
+    }
+    
+    positionCarOnRoad() {
+        // Use the City's method to get a good spawn position on a road
+        this.placeCar(this.city.getSpawnPosition());
+    }
+    
+    // Move the car to a spawn position ({ x, y, z, rotation })
+    placeCar(spawnPosition) {
+        // Set car position and adjust for car height
+        this.car.position.set(spawnPosition.x, spawnPosition.y, spawnPosition.z);
+        this.car.mesh.position.copy(this.car.position);
+        
+        // Set rotation to face along the road
+        this.car.rotation.y = spawnPosition.rotation;
+        this.car.mesh.rotation.copy(this.car.rotation);
+        
+        // Update direction vector based on rotation
+        this.car.direction.set(0, 0, 1).applyEuler(this.car.rotation);
+        
+        // Update quaternion from Euler rotation
+        this.car.rotationQuaternion.setFromEuler(this.car.rotation);
+        
+        console.log(`Car positioned at (${spawnPosition.x}, ${spawnPosition.y}, ${spawnPosition.z})`);
+    }
+    
+    // Line the car up on a track's start line and begin the countdown
+    startRace(track, laps) {
+        this.race = new Race(track, laps);
+        this.placeCar(getStartPosition(track));
+    }
+    
+    updateBoost(deltaTime) {
+        if (this.boost.active && this.boost.available > 0) {
+            // Deplete boost when active
+            this.boost.available = Math.max(0, this.boost.available - this.boost.depleteRate * deltaTime);
+        } else {
+            // Recharge boost when not active
+            this.boost.available = Math.min(this.boost.max, this.boost.available + this.boost.rechargeRate * deltaTime);
+        }
+        
+        // Announce boost kicking in, running dry and being let go. Holding it after it ran dry
+        // sputters on whatever has recharged, which doesn't count as starting again.
+        if (!this.boost.active) {
+            if (this.boost.state !== 'idle') {
+                this.boost.state = 'idle';
+                this.events.emit('boost:end');
+            }
+        } else if (this.boost.state === 'idle') {
+            this.boost.state = 'boosting';
+            this.events.emit('boost:start');
+        } else if (this.boost.state === 'boosting' && this.boost.available === 0) {
+            this.boost.state = 'empty';
+            this.events.emit('boost:empty');
+        }
+    }
+    
+    addScoringListeners() {
+        this.events.on('object:knockedOver', ({ object, points }) => {
+            this.addScore(points);
+            this.stats.recordKnockdown(object.type);
+        });
+        
+        this.events.on('human:hit', ({ points }) => {
+            this.addScore(points);
+            this.stats.recordPedestrianHit();
+        });
+        
+        // Crashing a landing loses the combo along with the jump
+        this.events.on('stunt:completed', (stunt) => {
+            if (stunt.points > 0) {
+                this.addScore(stunt.points);
+            }
+            if (stunt.type === 'jump' && !stunt.clean) {
+                this.crash();
+            }
+        });
+        
+        this.events.on('car:collided', ({ crash }) => {
+            if (crash) {
+                this.crash();
+            }
+        });
+    }
+    
+    // Every scoring event goes into the combo chain; the points reach the score when it's banked
+    addScore(points) {
+        this.combo.add(points);
+    }
+    
+    bankCombo(result) {
+        this.score += result.total;
+        this.events.emit('score:changed', { points: result.total, score: this.score });
+        this.events.emit('combo:ended', result);
+    }
+    
+    // The drive is over (the world is being rebuilt): bank the combo in progress rather than lose it
+    finish() {
+        if (this.combo.active) {
+            this.bankCombo(this.combo.end(true));
+        }
+    }
+    
+    // A crash loses the combo chain
+    crash() {
+        if (this.combo.active) {
+            this.events.emit('combo:ended', this.combo.end(false));
+        }
+    }
+    
+    // Track pedestrians and props passing close to the car. One that the car gets near at speed
+    // and leaves behind untouched scores a near miss (a hit forgets it, see forgetNearMiss).
+    checkNearMiss(target, distance, contactDistance) {
+        const close = distance < contactDistance + NEAR_MISS_MARGIN;
+        
+        if (close) {
+            if (this.car.getSpeed() >= NEAR_MISS_SPEED) {
+                this.nearMisses.add(target);
+            }
+        } else if (this.nearMisses.delete(target)) {
+            this.events.emit('stunt:completed', { type: 'nearMiss', points: NEAR_MISS_POINTS, tricks: ['NEAR MISS'] });
+        }
+    }
+    
+    forgetNearMiss(target) {
+        this.nearMisses.delete(target);
+    }
+    
+    checkRampInteractions() {
+        // Check if car is on any ramp
+        const carPosition = this.car.getPosition();
+        const carDirection = this.car.getDirection();
+        const carSpeed = this.car.getSpeed();
+        
+        // Reset ramp state - we'll set it to true if we're on any ramp
+        let onAnyRamp = false;
+        let currentRampHeight = 0;
+        let currentRamp = null;
+
+        for (const ramp of this.ramps) {
+            // Handle omnidirectional launchpads differently
+            if (ramp.type === 'launchpad' && ramp.omnidirectional) {
+                // Calculate distance from car to launchpad center (XZ plane only)
+                const dx = carPosition.x - ramp.position.x;
+                const dz = carPosition.z - ramp.position.z;
+                const distanceSquared = dx * dx + dz * dz;
+                
+                // Check if car is on the launchpad
+                if (distanceSquared <= ramp.radius * ramp.radius) {
+                    // We are on a launchpad
+                    onAnyRamp = true;
+                    currentRamp = ramp;
+                    
+                    // Set the car's height to the launchpad height
+                    if (!this.car.isAirborne) {
+                        this.car.position.y = 0.5 + ramp.height;
+                        
+                        // Apply a small speed boost for more fun
+                        if (carSpeed > 10) {
+                            this.car.speed *= 1.02; 
+                        }
+                        
+                        // Calculate distance from center as a percentage of radius
+                        const distanceFromCenter = Math.sqrt(distanceSquared);
+                        const normalizedDistance = distanceFromCenter / ramp.radius;
+                        
+                        // Trigger launch when car is reasonably fast and not already airborne
+                        if (carSpeed > 5 && !this.car.isAirborne) {
+                            // Calculate launch strength based on speed and distance from center
+                            // Maximum launch at the center, reduced at the edges
+                            const centerBonus = 1 - normalizedDistance;
+                            const speedFactor = Math.min(1, carSpeed / 25);
+                            
+                            // Limit maximum launch strength when boosting to prevent going through buildings
+                            const maxJumpStrength = 22; // Cap the maximum jump strength
+                            const baseJumpStrength = Math.min(ramp.jumpStrength, maxJumpStrength);
+                            
+                            const launchStrength = baseJumpStrength * speedFactor * (0.7 + centerBonus * 0.3);
+                            
+                            // Set car to airborne state
+                            this.car.isAirborne = true;
+                            this.car.verticalVelocity = launchStrength;
+                            
+                            // Add a slight upward tilt based on speed
+                            this.car.rotation.x = -0.2 - (speedFactor * 0.3);
+                            
+                            // Limit the car's horizontal speed during high jumps to prevent collision issues
+                            if (carSpeed > 30) {
+                                this.car.speed = 30;
+                            } else {
+                                // Add a small speed boost when jumping at normal speeds
+                                this.car.speed *= 1.05;
+                            }
+                            
+                            // Count the launchpads hit in one flight
+                            this.flightChain.add(ramp);
+                            
+                            this.events.emit('car:launched', { position: carPosition, ramp, flightChain: this.flightChain.size });
+                            
+                            // Log jump
+                            console.log(`LAUNCHPAD JUMP! Velocity: ${launchStrength.toFixed(2)}`);
+                        }
+                    }
+                    
+                    // Once we've found a launchpad we're on, we can stop checking
+                    break;
+                }
+            } 
+            // Handle traditional directional ramps
+            else {
+                // Create a local coordinate system based on ramp orientation
+                const rampForward = new THREE.Vector3(0, 0, 1).applyAxisAngle(new THREE.Vector3(0, 1, 0), ramp.rotation);
+                const rampRight = new THREE.Vector3(1, 0, 0).applyAxisAngle(new THREE.Vector3(0, 1, 0), ramp.rotation);
+                
+                // Calculate car position relative to ramp
+                const relativePos = carPosition.clone().sub(ramp.position);
+                
+                // Project onto ramp forward and right axes
+                const forwardProjection = relativePos.dot(rampForward);
+                const rightProjection = relativePos.dot(rampRight);
+                
+                // Check if car is on the ramp
+                if (Math.abs(rightProjection) < ramp.width / 2 && 
+                    forwardProjection > -ramp.length / 2 && 
+                    forwardProjection < ramp.length / 2) {
+                    
+                    // We are on a ramp
+                    onAnyRamp = true;
+                    currentRamp = ramp;
+                    
+                    // Calculate height of ramp at car's position
+                    // This is a simplified calculation; the ramp height increases linearly from front to back
+                    const normalizedPos = (forwardProjection + ramp.length / 2) / ramp.length;
+                    currentRampHeight = normalizedPos * ramp.height;
+                    
+                    // Set the car's height based on the ramp height at this position
+                    if (!this.car.isAirborne) {
+                        this.car.position.y = 0.5 + currentRampHeight;
+                        
+                        // When approaching the ramp, increase the car's speed slightly for more fun jumps
+                        if (normalizedPos < 0.4 && carSpeed > 15) {
+                            this.car.speed *= 1.01; // Small boost when hitting the ramp
+                        }
+                    }
+                    
+                    // Only jump if we're at the high end of the ramp and moving in the right direction
+                    if (normalizedPos > 0.8 && carSpeed > 10) {
+                        // Check if we're going the right direction - dot product should be positive
+                        const alignmentWithRamp = carDirection.dot(rampForward);
+                        
+                        if (alignmentWithRamp > 0.7) { // Car is well aligned with ramp
+                            // Apply jump velocity based on car speed and ramp parameters
+                            // Higher speed = bigger jump
+                            const jumpFactor = Math.min(1, carSpeed / 30); // Normalize between 0 and 1
+                            
+                            // Limit maximum jump strength when boosting to prevent going through buildings
+                            const maxJumpStrength = 20; // Cap the maximum jump strength
+                            const baseJumpStrength = Math.min(ramp.jumpStrength, maxJumpStrength);
+                            
+                            const jumpVelocity = baseJumpStrength * jumpFactor;
+                            
+                            // Don't trigger the jump if we're already airborne
+                            if (!this.car.isAirborne) {
+                                // Set car to airborne state
+                                this.car.isAirborne = true;
+                                this.car.verticalVelocity = jumpVelocity;
+                                
+                                // Add an upward rotation to the car for a more dramatic effect
+                                this.car.rotation.x = -0.3;
+                                
+                                // Limit car's speed during high jumps
+                                if (carSpeed > 30) {
+                                    this.car.speed = 30;
+                                } else {
+                                    // Add a small speed boost when jumping at normal speeds
+                                    this.car.speed *= 1.1;
+                                }
+                                
+                                this.events.emit('car:launched', { position: carPosition, ramp, flightChain: this.flightChain.size });
+                                
+                                // Play a jump sound (placeholder for now)
+                                console.log("JUMP! Velocity: " + jumpVelocity.toFixed(2));
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        
+        // If we're not on any ramp and not airborne, reset to ground height
+        if (!onAnyRamp && !this.car.isAirborne) {
+            this.car.position.y = 0.5;
+            
+            // Back on the road - the flight chain is over
+            this.flightChain.clear();
+        }
+        
+        // Update the car's onRamp state
+        this.car.onRamp = onAnyRamp;
+        this.car.rampHeight = currentRampHeight;
+        this.car.currentRamp = currentRamp;
+    }
+    
+    updatePhysicsObjects(deltaTime) {
+        // Update all physics objects (trash cans, benches, streetlights, barrels, crates)
+        const car = this.car;
+        const carPosition = car.getPosition();
+        const carSpeed = car.getSpeed();
+        const carDirection = car.getDirection();
+        
+        // Apply physics to all objects
+        for (const obj of this.city.getPhysicsObjects()) {
+            // Skip objects that haven't been knocked over
+            if (!obj.isKnockedOver) {
+                // Default sphere-based collision detection
+                let collision = false;
+                const distance = carPosition.distanceTo(obj.position);
+                const collisionThreshold = car.getBoundingRadius() + obj.radius;
+                
+                // Check for collision with car
+                if (distance < collisionThreshold) {
+                    collision = true;
+                } 
+                // Special case for streetlights - add cylinder-based collision for the pole
+                else if (obj.type === 'streetlight' && obj.pole) {
+                    // Calculate distance from car to the streetlight pole (2D - xz plane)
+                    const carToLight = new THREE.Vector2(
+                        carPosition.x - obj.position.x,
+                        carPosition.z - obj.position.z
+                    );
+                    const distanceToPole = carToLight.length();
+                    
+                    // Check if car is close enough to the pole for a potential collision
+                    const maxPossibleDistance = car.getBoundingRadius() + obj.pole.radius;
+                    
+                    if (distanceToPole < maxPossibleDistance) {
+                        // Car is close enough to potentially hit the pole
+                        collision = true;
+                    }
+                }
+                
+                if (!collision) {
+                    this.checkNearMiss(obj, distance, collisionThreshold);
+                } else {
+                    // Touching the object rules out a near miss, even if it stays up
+                    this.forgetNearMiss(obj);
+                    
+                    // Calculate impact force based on car speed
+                    const impactForce = carSpeed * 0.5;
+                    
+                    // Different object types have different thresholds for being knocked over
+                    let knockoverThreshold;
+                    switch (obj.type) {
+                        case 'trashCan':
+                            knockoverThreshold = 3;
+                            break;
+                        case 'bench':
+                            knockoverThreshold = 7;
+                            break;
+                        case 'streetlight':
+                            knockoverThreshold = 6;
+                            break;
+                        case 'barrel':
+                            knockoverThreshold = 4;
+                            break;
+                        case 'crate':
+                            knockoverThreshold = 5;
+                            break;
+                        default:
+                            knockoverThreshold = 5;
+                    }
+                    
+                    // Only knock over if impact force is high enough
+                    if (impactForce > knockoverThreshold) {
+                        // Object is knocked over
+                        obj.isKnockedOver = true;
+                        
+                        // Score for knocking over objects (barrels and crates are worth more)
+                        let points = 50;
+                        
+                        // Calculate impulse direction based on car's position and direction
+                        const impulseDirection = new THREE.Vector3()
+                            .subVectors(obj.position, carPosition)
+                            .normalize();
+                        
+                        // Add a vertical component for more dramatic physics
+                        impulseDirection.y = 0.5;
+                        impulseDirection.normalize();
+                        
+                        // Apply velocity based on car speed and direction
+                        obj.velocity.copy(carDirection).multiplyScalar(carSpeed * 0.3);
+                        obj.velocity.add(impulseDirection.multiplyScalar(impactForce));
+                        
+                        // Apply random rotation for more chaotic motion
+                        obj.angularVelocity.set(
+                            (this.random.next() - 0.5) * 5,
+                            (this.random.next() - 0.5) * 5,
+                            (this.random.next() - 0.5) * 5
+                        );
+                        
+                        // Special effects for different object types
+                        if (obj.type === 'barrel') {
+                            // Add a more dramatic effect for barrels - they get more height
+                            obj.velocity.y += 2;
+                            
+                            // Add score bonus for hitting barrels
+                            points += 75;
+                        } else if (obj.type === 'crate') {
+                            // Crates get more horizontal movement but less vertical
+                            obj.velocity.y *= 0.7;
+                            obj.velocity.x *= 1.5;
+                            obj.velocity.z *= 1.5;
+                            
+                            // Add score bonus for hitting crates
+                            points += 60;
+                        }
+                        
+                        this.events.emit('object:knockedOver', { object: obj, points });
+                        
+                        // Slow down the car based on object mass
+                        const carSlowdown = Math.min(0.8, obj.mass / 100);
+                        car.speed *= (1 - carSlowdown);
+                    }
+                }
+            } else {
+                // Object has been knocked over, apply physics
+                
+                // Apply gravity
+                obj.velocity.y -= 20 * deltaTime; // Gravity effect
+                
+                // Update position
+                obj.position.add(obj.velocity.clone().multiplyScalar(deltaTime));
+                
+                // Apply angular velocity (rotation)
+                const rotation = new THREE.Euler(
+                    obj.angularVelocity.x * deltaTime,
+                    obj.angularVelocity.y * deltaTime,
+                    obj.angularVelocity.z * deltaTime,
+                    'XYZ'
+                );
+                const rotationDelta = new THREE.Quaternion().setFromEuler(rotation);
+                const currentQuaternion = new THREE.Quaternion().setFromEuler(obj.rotation);
+                currentQuaternion.multiply(rotationDelta);
+                obj.rotation.setFromQuaternion(currentQuaternion);
+                
+                // Check for ground collision
+                if (obj.position.y - obj.height/2 < 0) {
+                    obj.position.y = obj.height/2;
+                    
+                    // Bounce with damping
+                    if (Math.abs(obj.velocity.y) > 0.5) {
+                        obj.velocity.y = -obj.velocity.y * 0.3; // Bounce with 70% energy loss
+                        
+                        // Reduce horizontal velocity due to friction
+                        obj.velocity.x *= 0.9;
+                        obj.velocity.z *= 0.9;
+                    } else {
+                        obj.velocity.y = 0;
+                    }
+                    
+                    // Also dampen angular velocity
+                    obj.angularVelocity.multiplyScalar(0.9);
+                }
+                
+                // Slow down due to air resistance
+                obj.velocity.multiplyScalar(0.98);
+                obj.angularVelocity.multiplyScalar(0.98);
+                
+                // Update object mesh
+                obj.mesh.position.copy(obj.position);
+                obj.mesh.rotation.copy(obj.rotation);
+                
+                // Special effects for different object types
+                if (obj.type === 'streetlight') {
+                    // Gradually dim the light based on pole angle
+                    if (obj.light) {
+                        // Get the up vector of the pole
+                        const upVector = new THREE.Vector3(0, 1, 0).applyEuler(obj.rotation);
+                        const normalUp = new THREE.Vector3(0, 1, 0);
+                        
+                        // Calculate angle between current rotation and upright
+                        const angleFactor = upVector.dot(normalUp); // 1 when upright, 0 when sideways, -1 when upside down
+                        const normalizedAngle = (angleFactor + 1) / 2; // 1 when upright, 0.5 when sideways, 0 when upside down
+                        
+                        // Dim the light based on angle
+                        obj.light.intensity = Math.max(0, normalizedAngle) * 1.0;
+                    }
+                } else if (obj.type === 'barrel') {
+                    // Add more bounce for barrels
+                    if (obj.position.y === obj.height/2 && Math.abs(obj.velocity.y) <= 0.5) {
+                        // Barrel has settled on the ground, make it roll more
+                        const horizontalSpeed = Math.sqrt(obj.velocity.x * obj.velocity.x + obj.velocity.z * obj.velocity.z);
+                        if (horizontalSpeed > 0.1) {
+                            // Calculate roll axis (perpendicular to movement direction)
+                            const movementDir = new THREE.Vector3(obj.velocity.x, 0, obj.velocity.z).normalize();
+                            const rollAxis = new THREE.Vector3(-movementDir.z, 0, movementDir.x);
+                            
+                            // Apply rolling angular velocity
+                            const rollSpeed = horizontalSpeed * 2;
+                            obj.angularVelocity.copy(rollAxis.multiplyScalar(rollSpeed));
+                        }
+                    }
+                }
+                
+                // Reset objects that have come to rest (or after a certain time)
+                const isAtRest = obj.velocity.lengthSq() < 0.01 && obj.angularVelocity.lengthSq() < 0.01;
+                const isOutOfBounds = Math.abs(obj.position.x) > 500 || Math.abs(obj.position.z) > 500;
+                
+                if (isAtRest || isOutOfBounds || obj.resetTimer > 60) {
+                    // Only reset the object if it's far from the player to avoid jarring visuals
+                    if (carPosition.distanceTo(obj.position) > 50 || isOutOfBounds) {
+                        this.resetPhysicsObject(obj);
+                    }
+                } else {
+                    // Increment reset timer
+                    obj.resetTimer = (obj.resetTimer || 0) + deltaTime;
+                }
+            }
+        }
+    }
+    
+    resetPhysicsObject(obj) {
+        if (obj.type === 'trashCan') {
+            // Get a new random position for the trash can
+            const newPosition = this.getRandomSidewalkPosition();
+            
+            // Reset the physics object to a new position
+            obj.originalPosition.copy(newPosition);
+            obj.position.copy(newPosition);
+            obj.rotation.copy(obj.originalRotation);
+            obj.velocity.set(0, 0, 0);
+            obj.angularVelocity.set(0, 0, 0);
+            obj.isKnockedOver = false;
+            
+            // Update the mesh
+            obj.mesh.position.copy(obj.position);
+            obj.mesh.rotation.copy(obj.rotation);
+        } else {
+            // Reset to original position for other objects
+            obj.position.copy(obj.originalPosition);
+            obj.rotation.copy(obj.originalRotation);
+            obj.velocity.set(0, 0, 0);
+            obj.angularVelocity.set(0, 0, 0);
+            obj.isKnockedOver = false;
+            
+            // Update the mesh
+            obj.mesh.position.copy(obj.position);
+            obj.mesh.rotation.copy(obj.rotation);
+            
+            // Special case for streetlights: reset the light
+            if (obj.type === 'streetlight' && obj.light) {
+                obj.light.intensity = 1.0; // Reset light to full intensity
+            }
+        }
+    }
+    
+    getRandomSidewalkPosition() {
+        // Choose a random road
+        const isHorizontal = this.random.next() > 0.5;
+        const roadArray = isHorizontal ? this.city.getRoads().horizontal : this.city.getRoads().vertical;
+        const roadIndex = Math.floor(this.random.next() * roadArray.length);
+        const road = roadArray[roadIndex];
+        
+        // Get city dimensions
+        const totalSize = this.city.citySize * this.city.blockSize + (this.city.citySize + 1) * this.city.roadWidth;
+        const halfTotalSize = totalSize / 2;
+        
+        // Position slightly off the road on the sidewalk
+        const roadPos = isHorizontal ? road.centerZ : road.centerX;
+        const offset = (road.width / 2) + 1.5; // Place on sidewalk
+        const sideOffset = (this.random.next() > 0.5 ? 1 : -1) * offset;
+        
+        // Calculate position
+        let x, y, z;
+        if (isHorizontal) {
+            x = (this.random.next() * totalSize) - halfTotalSize;
+            z = roadPos + sideOffset;
+        } else {
+            x = roadPos + sideOffset;
+            z = (this.random.next() * totalSize) - halfTotalSize;
+        }
+        
+        // Y position (height) is half the height of the trash can
+        y = 1; // Typical trash can height is 2, so halfway up is 1
+        
+        return new THREE.Vector3(x, y, z);
+    }
+    
+    updateHumans(deltaTime) {
+        if (!this.humans) return;
+        
+        const carPosition = this.car.getPosition();
+        const carRadius = this.car.getBoundingRadius();
+        const carSpeed = this.car.getSpeed();
+        
+        // Define a maximum distance for full AI processing
+        // Humans beyond this distance will use simplified updates
+        const maxAIProcessingDistance = 500;
+        
+        // Update each human
+        this.humans.forEach(human => {
+            if (human.isDead) {
+                // Dead humans don't move, just stay on the ground
+                return;
+            }
+            
+            // Update position
+            const humanPos = human.position;
+            // Ensure human stays on the ground
+            humanPos.y = 0; // Set Y position to ground level
+            
+            // Update the mesh position (correct height off the ground)
+            human.mesh.position.set(humanPos.x, 0, humanPos.z); // Set Y to 0 for ground level
+            
+            // Get distance to car
+            const distanceToCar = humanPos.distanceTo(carPosition);
+            
+            // Check if human is hit by car
+            if (distanceToCar < (carRadius + human.boundingRadius)) {
+                // Check if car is moving fast enough to kill
+                if (carSpeed > 5) {
+                    this.killHuman(human, carPosition.clone().sub(humanPos).normalize());
+                    return;
+                }
+                this.forgetNearMiss(human);
+            } else {
+                this.checkNearMiss(human, distanceToCar, carRadius + human.boundingRadius);
+            }
+            
+            // Skip complex AI processing for humans far from the player
+            if (distanceToCar > maxAIProcessingDistance) {
+                // For distant humans, just do minimal updates
+                // This significantly improves performance
+                if (human.state === 'walking') {
+                    // Simple walking animation without path calculations
+                    this.animateWalking(human, deltaTime);
+                }
+                return;
+            }
+            
+            // Full AI logic for nearby humans
+            if (human.state === 'walking') {
+                // Walking state
+                
+                // Check if needs to flee from car
+                if (distanceToCar < human.detectionRadius) {
+                    // Change to fleeing state
+                    human.state = 'fleeing';
+                    human.runningFrom = carPosition.clone();
+                } else {
+                    // Regular walking behavior
+                    this.updateWalkingHuman(human, deltaTime);
+                }
+            } else if (human.state === 'fleeing') {
+                // Fleeing state
+                
+                // Check if still needs to flee (car is close)
+                if (distanceToCar < human.detectionRadius * 1.5) { // Keep fleeing until a safe distance
+                    // Calculate vector away from car
+                    const fleeDirection = new THREE.Vector3().subVectors(humanPos, carPosition).normalize();
+                    
+                    // Update human velocity
+                    human.velocity.copy(fleeDirection).multiplyScalar(human.fleeSpeed);
+                    
+                    // Calculate new position but don't apply yet
+                    const newPosition = humanPos.clone().add(human.velocity.clone().multiplyScalar(deltaTime));
+                    
+                    // Check for boundary collision
+                    let collisionDetected = false;
+                    
+                    // Check against boundary obstacles
+                    for (const obstacle of this.obstacles) {
+                        if (obstacle.type === 'boundary') {
+                            // For boundary obstacles, use a simple distance check
+                            const distance = newPosition.distanceTo(obstacle.position);
+                            if (distance < (human.boundingRadius + obstacle.boundingRadius)) {
+                                collisionDetected = true;
+                                break;
+                            }
+                        }
+                    }
+                    
+                    // Also enforce a hard boundary based on city size
+                    const cityBounds = this.city.citySize * this.city.blockSize + (this.city.citySize + 1) * this.city.roadWidth;
+                    const halfBounds = cityBounds / 2;
+                    const boundaryBuffer = 5; // Keep humans a bit away from the edge
+                    
+                    const atBoundary = Math.abs(newPosition.x) > halfBounds - boundaryBuffer || 
+                                       Math.abs(newPosition.z) > halfBounds - boundaryBuffer;
+                    
+                    // Modify direction if hitting a boundary
+                    if (collisionDetected || atBoundary) {
+                        // Find a new flee direction that doesn't hit the boundary
+                        // Try to move along the boundary instead
+                        if (atBoundary) {
+                            // Determine which boundary is being hit
+                            let tangentDir = new THREE.Vector3();
+                            
+                            if (Math.abs(newPosition.x) > halfBounds - boundaryBuffer) {
+                                // Hitting east/west boundary, move north/south
+                                tangentDir.set(0, 0, Math.sign(carPosition.z - humanPos.z) * -1);
+                            } else {
+                                // Hitting north/south boundary, move east/west
+                                tangentDir.set(Math.sign(carPosition.x - humanPos.x) * -1, 0, 0);
+                            }
+                            
+                            // Update velocity to move along boundary
+                            human.velocity.copy(tangentDir).multiplyScalar(human.fleeSpeed);
+                            
+                            // Update position with adjusted velocity
+                            humanPos.add(human.velocity.clone().multiplyScalar(deltaTime));
+                        } else {
+                            // Just stop and don't update position this frame
+                            // They'll get a new direction next frame
+                        }
+                    } else {
+                        // No collision, update position normally
+                        humanPos.copy(newPosition);
+                    }
+                    
+                    // Ensure Y position remains at ground level
+                    humanPos.y = 0;
+                    
+                    // Update human rotation to face away from car
+                    const targetAngle = Math.atan2(fleeDirection.x, fleeDirection.z);
+                    // Smoothly rotate towards target angle
+                    const angleDiff = targetAngle - human.rotation;
+                    // Normalize to [-PI, PI]
+                    const normalizedDiff = ((angleDiff + Math.PI) % (Math.PI * 2)) - Math.PI;
+                    human.rotation += normalizedDiff * 5 * deltaTime; // Smooth rotation
+                    human.mesh.rotation.y = human.rotation;
+                    
+                    // Run animation
+                    this.animateRunning(human, deltaTime);
+                } else {
+                    // Car is far away, go back to walking
+                    human.state = 'walking';
+                    human.velocity.set(0, 0, 0);
+                }
+            }
+        });
+    }
+    
+    animateWalking(human, deltaTime) {
+        // Simple walking animation
+        if (!human.limbs) return;
+        
+        // Update walk cycle
+        human.animationState.walkCycle += deltaTime * human.animationState.animSpeed;
+        
+        // Calculate leg and arm angles based on walk cycle
+        const legAngle = Math.sin(human.animationState.walkCycle) * 0.3;
+        const armAngle = -Math.sin(human.animationState.walkCycle) * 0.2;
+        
+        // Apply angles to limbs
+        human.limbs.leftLeg.rotation.x = legAngle;
+        human.limbs.rightLeg.rotation.x = -legAngle;
+        human.limbs.leftArm.rotation.x = armAngle;
+        human.limbs.rightArm.rotation.x = -armAngle;
+    }
+    
+    animateRunning(human, deltaTime) {
+        // Running animation - more exaggerated than walking
+        if (!human.limbs) return;
+        
+        // Update walk cycle faster for running
+        human.animationState.walkCycle += deltaTime * human.animationState.animSpeed * 2;
+        
+        // Calculate leg and arm angles based on walk cycle - more exaggerated
+        const legAngle = Math.sin(human.animationState.walkCycle) * 0.7;
+        const armAngle = -Math.sin(human.animationState.walkCycle) * 0.5;
+        
+        // Apply angles to limbs
+        human.limbs.leftLeg.rotation.x = legAngle;
+        human.limbs.rightLeg.rotation.x = -legAngle;
+        human.limbs.leftArm.rotation.x = armAngle;
+        human.limbs.rightArm.rotation.x = -armAngle;
+    }
+    
+    updateWalkingHuman(human, deltaTime) {
+        // 1. Calculate new position based on velocity
+        const humanPos = human.position;
+        
+        // If no direction, assign a new random direction
+        if (human.velocity.lengthSq() < 0.01) {
+            // Determine direction based on walkHorizontal flag
+            if (human.walkHorizontal) {
+                // Walking east/west
+                human.velocity.set((this.random.next() > 0.5 ? 1 : -1), 0, 0);
+            } else {
+                // Walking north/south
+                human.velocity.set(0, 0, (this.random.next() > 0.5 ? 1 : -1));
+            }
+            
+            // Normalize and set speed
+            human.velocity.normalize().multiplyScalar(human.walkSpeed);
+            
+            // Set rotation to match direction
+            human.rotation = Math.atan2(human.velocity.x, human.velocity.z);
+            human.mesh.rotation.y = human.rotation;
+        }
+        
+        // Calculate new position but don't apply yet
+        const newPosition = humanPos.clone().add(human.velocity.clone().multiplyScalar(deltaTime));
+        
+        // Check for boundary collision
+        let collisionDetected = false;
+        
+        // Check against boundary obstacles
+        for (const obstacle of this.obstacles) {
+            if (obstacle.type === 'boundary') {
+                // For boundary obstacles, use a simple distance check
+                const distance = newPosition.distanceTo(obstacle.position);
+                if (distance < (human.boundingRadius + obstacle.boundingRadius)) {
+                    collisionDetected = true;
+                    break;
+                }
+            }
+        }
+        
+        // Also enforce a hard boundary based on city size
+        const cityBounds = this.city.citySize * this.city.blockSize + (this.city.citySize + 1) * this.city.roadWidth;
+        const halfBounds = cityBounds / 2;
+        const boundaryBuffer = 5; // Keep humans a bit away from the edge
+        
+        const atBoundary = Math.abs(newPosition.x) > halfBounds - boundaryBuffer || 
+                          Math.abs(newPosition.z) > halfBounds - boundaryBuffer;
+        
+        // Modify direction if hitting a boundary or randomly
+        if (collisionDetected || atBoundary || this.random.next() < 0.01) { // 1% chance to change direction randomly
+            if (atBoundary) {
+                // If at boundary, turn towards center
+                const centerDir = new THREE.Vector3(0, 0, 0).sub(humanPos).normalize();
+                human.velocity.copy(centerDir).multiplyScalar(human.walkSpeed);
+            } else {
+                // Just pick a new random direction
+                const randomAngle = this.random.next() * Math.PI * 2;
+                human.velocity.set(Math.sin(randomAngle), 0, Math.cos(randomAngle)).multiplyScalar(human.walkSpeed);
+            }
+            
+            // Update rotation to match new direction
+            human.rotation = Math.atan2(human.velocity.x, human.velocity.z);
+            
+            // Schedule a smooth rotation
+            const targetRotation = human.rotation;
+            const rotationDiff = targetRotation - human.mesh.rotation.y;
+            // Normalize to [-PI, PI]
+            const normalizedDiff = ((rotationDiff + Math.PI) % (Math.PI * 2)) - Math.PI;
+            human.mesh.rotation.y += normalizedDiff * 5 * deltaTime; // Smooth rotation
+        } else {
+            // No collision, update position normally
+            humanPos.copy(newPosition);
+        }
+        
+        // Ensure Y position remains at ground level
+        humanPos.y = 0;
+        
+        // Walking animation
+        this.animateWalking(human, deltaTime);
+    }
+    
+    killHuman(human, impactDirection) {
+        if (human.isDead) return; // Already dead
+        
+        // Mark as dead
+        human.isDead = true;
+        this.forgetNearMiss(human);
+        human.state = 'dead';
+        
+        // Make the body "ragdoll" - fall over in the direction of the impact
+        const humanGroup = human.mesh;
+        
+        // Rotate the human to fall in the impact direction
+        const impactAngle = Math.atan2(impactDirection.x, impactDirection.z);
+        humanGroup.rotation.y = impactAngle;
+        
+        // Rotate to lie on the ground
+        humanGroup.rotation.x = Math.PI / 2;
+        
+        // Lower to ground level
+        humanGroup.position.y = 0.3;
+        
+        // Points, blood, detached limbs and the like are up to the listeners
+        this.events.emit('human:hit', { human, direction: impactDirection, points: human.pointValue });
+    }
+}
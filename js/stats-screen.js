@@ -0,0 +1,232 @@
+import { HighScores, MAX_NAME_LENGTH, finishDrive } from './stats.js';
+import { formatSpeed, formatDistance, formatLength } from './units.js';
+import { createButton } from './ui.js';
+
+const COLOR = '#ffff00';
+
+// Names of the physics object types as listed under "Objects destroyed"
+const OBJECT_LABELS = {
+    trashCan: 'Trash cans',
+    bench: 'Benches',
+    streetlight: 'Streetlights',
+    barrel: 'Barrels',
+    crate: 'Crates'
+};
+
+// High-score table with name entry for the current drive's score, and the statistics of this
+// session (toggled with 'H'). The numbers come from the Simulation's DriveStats and the
+// Game's SessionStats.
+export class StatsScreen {
+    constructor(game) {
+        this.game = game;
+        this.highScores = new HighScores();
+        this.active = false;
+        
+        // The drive whose score has been entered, so it can't go on the table twice, and its
+        // entry, which goes up if the drive keeps scoring
+        this.submittedSimulation = null;
+        this.submittedEntry = null;
+        this.highlightRank = -1;
+        
+        // The last finished drive that went on the table by itself ({ score, rank }), until the
+        // next drive scores
+        this.lastDrive = null;
+        
+        this.createUI();
+    }
+    
+    createUI() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'stats-screen';
+        this.panel.style.position = 'absolute';
+        this.panel.style.top = '50%';
+        this.panel.style.left = '50%';
+        this.panel.style.transform = 'translate(-50%, -50%)';
+        this.panel.style.padding = '15px';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        this.panel.style.border = `2px solid ${COLOR}`;
+        this.panel.style.borderRadius = '10px';
+        this.panel.style.color = '#ffffff';
+        this.panel.style.fontFamily = 'Arial, sans-serif';
+        this.panel.style.fontSize = '13px';
+        this.panel.style.textAlign = 'center';
+        this.panel.style.userSelect = 'none';
+        this.panel.style.display = 'none';
+        
+        this.title = createHeading('');
+        this.panel.appendChild(this.title);
+        
+        this.table = document.createElement('div');
+        this.table.style.fontFamily = "'Courier New', monospace";
+        this.table.style.whiteSpace = 'pre';
+        this.table.style.textAlign = 'left';
+        this.table.style.margin = '8px 0';
+        this.panel.appendChild(this.table);
+        
+        // Name entry, shown while the current score is good enough for the table
+        this.entryRow = document.createElement('div');
+        this.entryLabel = document.createElement('span');
+        this.entryLabel.style.marginRight = '6px';
+        this.entryRow.appendChild(this.entryLabel);
+        
+        this.nameInput = document.createElement('input');
+        this.nameInput.type = 'text';
+        this.nameInput.maxLength = MAX_NAME_LENGTH;
+        this.nameInput.placeholder = 'NAME';
+        this.nameInput.style.width = '110px';
+        this.nameInput.style.padding = '3px 6px';
+        this.nameInput.style.color = '#ffffff';
+        this.nameInput.style.backgroundColor = 'rgba(255, 255, 0, 0.1)';
+        this.nameInput.style.border = `1px solid ${COLOR}`;
+        this.nameInput.style.borderRadius = '4px';
+        this.nameInput.style.textTransform = 'uppercase';
+        
+        // Typing a name mustn't drive the car or trigger shortcuts
+        this.nameInput.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.key === 'Enter') this.submitScore();
+        });
+        this.nameInput.addEventListener('keyup', (event) => event.stopPropagation());
+        this.entryRow.appendChild(this.nameInput);
+        this.entryRow.appendChild(createButton('Save', () => this.submitScore(), COLOR));
+        this.panel.appendChild(this.entryRow);
+        
+        this.scoreStatus = document.createElement('div');
+        this.scoreStatus.style.color = '#aaaaaa';
+        this.scoreStatus.style.margin = '4px 0';
+        this.panel.appendChild(this.scoreStatus);
+        
+        this.panel.appendChild(createHeading('SESSION'));
+        this.statsText = document.createElement('div');
+        this.statsText.style.fontFamily = "'Courier New', monospace";
+        this.statsText.style.whiteSpace = 'pre';
+        this.statsText.style.textAlign = 'left';
+        this.statsText.style.marginBottom = '8px';
+        this.panel.appendChild(this.statsText);
+        
+        this.panel.appendChild(createButton('Close', () => this.toggle(), COLOR));
+        document.body.appendChild(this.panel);
+    }
+    
+    toggle() {
+        this.active = !this.active;
+        this.panel.style.display = this.active ? 'block' : 'none';
+        
+        if (this.active) {
+            this.highlightRank = this.lastDrive ? this.lastDrive.rank : -1;
+            this.nameInput.value = this.highScores.getLastName();
+            this.refresh();
+        } else {
+            this.nameInput.blur();
+        }
+    }
+    
+    submitScore() {
+        const simulation = this.game.simulation;
+        if (!this.canSubmit()) return;
+        
+        this.highlightRank = this.highScores.submit(this.nameInput.value, simulation.score, this.game.seed);
+        this.submittedSimulation = simulation;
+        this.submittedEntry = this.highScores.entries[this.highlightRank];
+        this.lastDrive = null;
+        this.nameInput.blur();
+        this.refresh();
+    }
+    
+    // Called as the drive ends, so a score that was never entered isn't thrown away
+    onDriveFinished(simulation) {
+        const entered = this.submittedSimulation === simulation ? this.submittedEntry : null;
+        const rank = finishDrive(simulation, this.highScores, entered);
+        this.lastDrive = rank === -1 ? null : { score: simulation.score, rank };
+    }
+    
+    // The last drive's place stops being news once the new drive scores
+    listen(events) {
+        events.on('score:changed', ({ score }) => {
+            if (score > 0 && this.game.liveDrive) this.lastDrive = null;
+        });
+    }
+    
+    // Only the drive being played (not a replay) can be entered, and only once
+    canSubmit() {
+        const simulation = this.game.simulation;
+        return !this.game.replay.active && this.submittedSimulation !== simulation &&
+            this.highScores.qualifies(simulation.score);
+    }
+    
+    refresh() {
+        this.title.textContent = `HIGH SCORES [${this.game.getKeyHint('stats')}]`;
+        
+        const entries = this.highScores.entries;
+        this.table.textContent = entries.length === 0 ? 'No scores yet' : entries.map((entry, rank) => {
+            const marker = rank === this.highlightRank ? '>' : ' ';
+            const place = String(rank + 1).padStart(2);
+            return `${marker}${place}. ${entry.name.padEnd(MAX_NAME_LENGTH)} ${String(entry.score).padStart(7)}  ${entry.seed}`;
+        }).join('\n');
+        
+        const score = this.game.simulation.score;
+        this.entryRow.style.display = this.canSubmit() ? 'block' : 'none';
+        this.entryLabel.textContent = `Your score ${score} - enter your name:`;
+        
+        if (this.submittedSimulation === this.game.simulation) {
+            this.scoreStatus.textContent = this.highlightRank === -1 ? 'Score saved' : `Saved in place ${this.highlightRank + 1}`;
+        } else if (this.game.replay.active) {
+            this.scoreStatus.textContent = 'Replay scores can\'t be entered';
+        } else if (this.lastDrive) {
+            this.scoreStatus.textContent = `Your last drive's ${this.lastDrive.score} was saved in place ${this.lastDrive.rank + 1}`;
+        } else if (!this.canSubmit()) {
+            this.scoreStatus.textContent = `Your score ${score} - keep driving to make the table`;
+        } else {
+            this.scoreStatus.textContent = '';
+        }
+        
+        this.updateStats();
+    }
+    
+    // Keep the score and session numbers (and clock) live while the screen is open
+    update() {
+        if (this.active) {
+            this.refresh();
+        }
+    }
+    
+    updateStats() {
+        const game = this.game;
+        const summary = game.sessionStats.getSummary(game.liveDrive ? game.simulation.stats : null);
+        const units = game.settings.get('units');
+        const destroyed = Object.entries(summary.objectsDestroyed)
+            .map(([type, count]) => `  ${(OBJECT_LABELS[type] ?? type).padEnd(16)}${count}`);
+        
+        this.statsText.textContent = [
+            `Session time      ${formatDuration(summary.duration)}`,
+            `Drives            ${summary.drives}`,
+            `Distance driven   ${formatDistance(summary.distance, units)}`,
+            `Top speed         ${formatSpeed(summary.topSpeed, units)}`,
+            `Total airtime     ${summary.airtime.toFixed(1)} s`,
+            `Longest jump      ${formatLength(summary.longestJump, units)}`,
+            `Boost used        ${summary.boostTime.toFixed(1)} s`,
+            `Pedestrians hit   ${summary.pedestriansHit}`,
+            `Objects destroyed ${destroyed.length === 0 ? 0 : ''}`,
+            ...destroyed
+        ].join('\n');
+    }
+}
+
+// e.g. 1:05:09 or 5:09
+function formatDuration(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total / 60) % 60;
+    const rest = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+function createHeading(text) {
+    const heading = document.createElement('div');
+    heading.textContent = text;
+    heading.style.color = COLOR;
+    heading.style.fontWeight = 'bold';
+    heading.style.textShadow = `0 0 5px ${COLOR}`;
+    heading.style.margin = '4px 0';
+    return heading;
+}
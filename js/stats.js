@@ -0,0 +1,203 @@
+import { getDefaultStorage } from './storage.js';
+
+// How many scores the high-score table keeps
+export const MAX_HIGH_SCORES = 10;
+
+export const MAX_NAME_LENGTH = 12;
+
+const STORAGE_KEY = 'vibecity-high-scores';
+
+// What happened during one drive. Owned and updated by the Simulation, so it only ever
+// counts what the car actually did.
+export class DriveStats {
+    constructor() {
+        this.distance = 0;      // World units (about a metre each)
+        this.topSpeed = 0;      // As shown on the speedometer
+        this.airtime = 0;       // Seconds
+        this.longestJump = 0;   // Distance from take-off to landing
+        this.boostTime = 0;     // Seconds of boost actually burned
+        this.objectsDestroyed = {}; // Count per physics object type
+        this.pedestriansHit = 0;
+        
+        // Where the jump in progress took off
+        this.jumpStart = null;
+        
+        // Where the car was at the last step
+        this.lastPosition = null;
+    }
+    
+    // Call once per step after the car has moved
+    update(car, deltaTime, boosting) {
+        const speed = car.getSpeed();
+        this.topSpeed = Math.max(this.topSpeed, speed);
+        
+        // Ground actually covered - the speedometer can read more than the car moves (the boost
+        // multiplies the speed after the car has moved)
+        if (this.lastPosition) {
+            this.distance += Math.hypot(car.position.x - this.lastPosition.x, car.position.z - this.lastPosition.z);
+        }
+        this.lastPosition = { x: car.position.x, z: car.position.z };
+        
+        if (boosting) {
+            this.boostTime += deltaTime;
+        }
+        
+        if (car.isAirborne) {
+            this.airtime += deltaTime;
+            if (!this.jumpStart) {
+                this.jumpStart = { x: car.position.x, z: car.position.z };
+            }
+        } else if (this.jumpStart) {
+            const length = Math.hypot(car.position.x - this.jumpStart.x, car.position.z - this.jumpStart.z);
+            this.longestJump = Math.max(this.longestJump, length);
+            this.jumpStart = null;
+        }
+    }
+    
+    recordKnockdown(type) {
+        this.objectsDestroyed[type] = (this.objectsDestroyed[type] ?? 0) + 1;
+    }
+    
+    recordPedestrianHit() {
+        this.pedestriansHit++;
+    }
+}
+
+// Totals across every drive since the page was loaded
+export class SessionStats {
+    constructor(startTime = Date.now()) {
+        this.startTime = startTime;
+        this.totals = new DriveStats();
+        this.drives = 0;
+    }
+    
+    // Fold a finished drive into the session
+    addDrive(stats) {
+        this.totals = combineStats(this.totals, stats);
+        this.drives++;
+    }
+    
+    // Session totals including the drive in progress
+    getSummary(currentDrive, now = Date.now()) {
+        const totals = currentDrive ? combineStats(this.totals, currentDrive) : this.totals;
+        return {
+            duration: (now - this.startTime) / 1000,
+            drives: this.drives + (currentDrive ? 1 : 0),
+            distance: totals.distance,
+            topSpeed: totals.topSpeed,
+            airtime: totals.airtime,
+            longestJump: totals.longestJump,
+            boostTime: totals.boostTime,
+            objectsDestroyed: totals.objectsDestroyed,
+            pedestriansHit: totals.pedestriansHit
+        };
+    }
+}
+
+function combineStats(first, second) {
+    const combined = new DriveStats();
+    combined.distance = first.distance + second.distance;
+    combined.topSpeed = Math.max(first.topSpeed, second.topSpeed);
+    combined.airtime = first.airtime + second.airtime;
+    combined.longestJump = Math.max(first.longestJump, second.longestJump);
+    combined.boostTime = first.boostTime + second.boostTime;
+    combined.pedestriansHit = first.pedestriansHit + second.pedestriansHit;
+    
+    for (const stats of [first, second]) {
+        for (const [type, count] of Object.entries(stats.objectsDestroyed)) {
+            combined.objectsDestroyed[type] = (combined.objectsDestroyed[type] ?? 0) + count;
+        }
+    }
+    return combined;
+}
+
+// The best scores with the names they were entered under, kept in localStorage (when there is one)
+export class HighScores {
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+        this.entries = this.load();
+    }
+    
+    // Whether a score would make it onto the table
+    qualifies(score) {
+        if (score <= 0) return false;
+        return this.entries.length < MAX_HIGH_SCORES || score > this.entries[this.entries.length - 1].score;
+    }
+    
+    // Add a score to the table. Returns its place (0 for the top), or -1 if it didn't make it.
+    submit(name, score, seed, date = new Date()) {
+        if (!this.qualifies(score)) return -1;
+        
+        const entry = { name: cleanName(name), score, seed, date: date.toISOString() };
+        
+        // Ties go below the scores that got there first
+        let rank = this.entries.findIndex(existing => existing.score < score);
+        if (rank === -1) rank = this.entries.length;
+        
+        this.entries.splice(rank, 0, entry);
+        this.entries.length = Math.min(this.entries.length, MAX_HIGH_SCORES);
+        this.save();
+        return rank;
+    }
+    
+    // Move an entry up to a better score, as when a drive that was entered keeps scoring.
+    // Returns its new place, or -1 if the score isn't better (or no longer makes the table).
+    raise(entry, score, date = new Date()) {
+        if (score <= entry.score) return -1;
+        
+        const index = this.entries.indexOf(entry);
+        if (index !== -1) this.entries.splice(index, 1);
+        return this.submit(entry.name, score, entry.seed, date);
+    }
+    
+    // The name on the most recent entry, to fill in the name box
+    getLastName() {
+        let latest = null;
+        for (const entry of this.entries) {
+            if (!latest || entry.date > latest.date) latest = entry;
+        }
+        return latest ? latest.name : '';
+    }
+    
+    load() {
+        if (!this.storage) return [];
+        
+        try {
+            const stored = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (!Array.isArray(stored)) return [];
+            
+            // Drop anything malformed and keep the table in order
+            return stored
+                .filter(entry => entry && typeof entry.name === 'string' && Number.isFinite(entry.score))
+                .sort((first, second) => second.score - first.score)
+                .slice(0, MAX_HIGH_SCORES);
+        } catch (error) {
+            console.warn('Ignoring saved high scores:', error);
+            return [];
+        }
+    }
+    
+    save() {
+        if (!this.storage) return;
+        
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Could not save high scores:', error);
+        }
+    }
+}
+
+// A drive is over (restarted, or left for a new world or a replay): bank its combo in progress
+// and put it on the table under the name last used - or, if it was already entered as
+// `enteredEntry`, raise that entry to the final score. Returns its place, or -1 if it didn't
+// make it (or didn't beat the score it was entered with).
+export function finishDrive(simulation, highScores, enteredEntry = null) {
+    simulation.finish();
+    if (enteredEntry) return highScores.raise(enteredEntry, simulation.score);
+    return highScores.submit(highScores.getLastName(), simulation.score, simulation.city.seed);
+}
+
+function cleanName(name) {
+    return String(name).trim().slice(0, MAX_NAME_LENGTH).toUpperCase() || 'PLAYER';
+}
@@ -0,0 +1,5 @@
+// The browser's localStorage, or null where there isn't one (in Node, for the tests) - the
+// settings, scores and saves then just aren't kept between runs
+export function getDefaultStorage() {
+    return typeof localStorage === 'undefined' ? null : localStorage;
+}
@@ -0,0 +1,134 @@
+import { normalizeAngle } from './car.js';
+
+const FULL_TURN = Math.PI * 2;
+
+// Hops shorter than this (bumping off a wall, rolling off a kerb) aren't jumps
+const MIN_AIRTIME = 0.5;
+
+// Landing with the car tilted further than this from level (radians, roll or pitch) is a crash
+const CLEAN_LANDING_ANGLE = 0.6;
+
+// Drifts shorter than this score nothing; brief grip between slides doesn't end a drift
+const MIN_DRIFT_TIME = 0.75;
+const DRIFT_GRACE_TIME = 0.25;
+
+export const STUNT_POINTS = {
+    airtime: 100,      // Per second in the air
+    barrelRoll: 500,   // Per full roll
+    flip: 750,         // Per full flip
+    cleanLanding: 150,
+    drift: 100,        // Per second drifting
+    driftAngle: 1      // Per degree turned while drifting
+};
+
+// Watches the car for tricks - jumps with rolls and flips, and drifts - and reports each one
+// with its points once it's over. Stepped by the Simulation, so stunts replay exactly.
+// Completed stunts are passed to `onStunt` as
+// { type: 'jump' | 'drift', points, tricks: [callout text], ...details }.
+export class StuntTracker {
+    constructor(onStunt) {
+        this.onStunt = onStunt;
+        this.jump = null;
+        this.drift = null;
+    }
+    
+    // Call after the car has moved but before ramps can launch it again, so a landing on a
+    // launchpad ends one jump before the next begins
+    update(car, deltaTime) {
+        this.updateJump(car, deltaTime);
+        this.updateDrift(car, deltaTime);
+    }
+    
+    updateJump(car, deltaTime) {
+        if (car.isAirborne) {
+            if (!this.jump) {
+                this.jump = { airtime: 0, startRoll: car.rotation.z, startPitch: car.rotation.x };
+            }
+            this.jump.airtime += deltaTime;
+            
+            // Where the car is pointing in the air - rotation keeps counting up through full turns
+            this.jump.roll = car.rotation.z;
+            this.jump.pitch = car.rotation.x;
+            return;
+        }
+        
+        if (this.jump) {
+            const jump = this.jump;
+            this.jump = null;
+            if (jump.airtime >= MIN_AIRTIME) {
+                this.onStunt(scoreJump(jump));
+            }
+        }
+    }
+    
+    updateDrift(car, deltaTime) {
+        if (car.isDrifting) {
+            if (!this.drift) {
+                this.drift = { duration: 0, angle: 0, heading: car.rotation.y, gripTime: 0 };
+            }
+            this.drift.duration += deltaTime;
+            this.drift.angle += Math.abs(normalizeAngle(car.rotation.y - this.drift.heading));
+            this.drift.heading = car.rotation.y;
+            this.drift.gripTime = 0;
+            return;
+        }
+        
+        if (!this.drift) return;
+        
+        // Leaving the ground or a moment of grip is forgiven; anything longer ends the drift
+        this.drift.gripTime += deltaTime;
+        if (this.drift.gripTime >= DRIFT_GRACE_TIME || car.isAirborne) {
+            const drift = this.drift;
+            this.drift = null;
+            if (drift.duration >= MIN_DRIFT_TIME) {
+                this.onStunt(scoreDrift(drift));
+            }
+        }
+    }
+}
+
+function scoreJump(jump) {
+    const rollTurns = (jump.roll - jump.startRoll) / FULL_TURN;
+    const pitchTurns = (jump.pitch - jump.startPitch) / FULL_TURN;
+    const clean = Math.abs(normalizeAngle(jump.roll)) <= CLEAN_LANDING_ANGLE &&
+        Math.abs(normalizeAngle(jump.pitch)) <= CLEAN_LANDING_ANGLE;
+    
+    // A clean landing means the car came back round to level, so round to the nearest full turn
+    const rolls = clean ? Math.round(Math.abs(rollTurns)) : Math.floor(Math.abs(rollTurns));
+    const flips = clean ? Math.round(Math.abs(pitchTurns)) : Math.floor(Math.abs(pitchTurns));
+    const tricks = [`BIG AIR ${jump.airtime.toFixed(1)}s`];
+    if (rolls > 0) tricks.push(getTrickName('BARREL ROLL', rolls));
+    if (flips > 0) tricks.push(getTrickName(pitchTurns < 0 ? 'BACKFLIP' : 'FRONTFLIP', flips));
+    
+    // Crashing the landing loses the whole jump
+    let points = 0;
+    if (clean) {
+        tricks.push('CLEAN LANDING');
+        points = Math.round(jump.airtime * STUNT_POINTS.airtime) +
+            rolls * STUNT_POINTS.barrelRoll +
+            flips * STUNT_POINTS.flip +
+            STUNT_POINTS.cleanLanding;
+    } else {
+        tricks.push('CRASH LANDING');
+    }
+    
+    return { type: 'jump', points, tricks, airtime: jump.airtime, rolls, flips, clean };
+}
+
+function scoreDrift(drift) {
+    const degrees = Math.round(drift.angle * 180 / Math.PI);
+    const points = Math.round(drift.duration * STUNT_POINTS.drift) + degrees * STUNT_POINTS.driftAngle;
+    
+    return {
+        type: 'drift',
+        points,
+        tricks: [`DRIFT ${drift.duration.toFixed(1)}s ${degrees}°`],
+        duration: drift.duration,
+        angle: drift.angle
+    };
+}
+
+function getTrickName(name, count) {
+    const prefixes = ['', 'DOUBLE ', 'TRIPLE '];
+    return count <= prefixes.length ? prefixes[count - 1] + name : `${count}x ${name}`;
+}
@@ -0,0 +1,198 @@
+import { IDLE_CONTROLS, applyDeadZone } from './input.js';
+
+// Joystick travel that is ignored, so a resting thumb doesn't steer
+const JOYSTICK_DEAD_ZONE = 0.1;
+
+// On-screen controls for phones and tablets: a steering joystick on the left, pedals and a boost
+// button on the right. They feed the InputHandler like a gamepad does, and every control tracks
+// its own pointer so several can be held at once.
+export class TouchControls {
+    constructor(inputHandler) {
+        this.inputHandler = inputHandler;
+        this.visible = false;
+        
+        // The pointer currently held on the joystick
+        this.joystickPointer = null;
+        
+        this.createUI();
+        this.setupListeners();
+        this.layout();
+        
+        // Show straight away on touch screens, or as soon as a laptop screen is touched
+        if (window.matchMedia && window.matchMedia('(pointer: coarse)').matches) {
+            this.show();
+        }
+    }
+    
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'touch-controls';
+        this.container.style.position = 'absolute';
+        this.container.style.left = '0';
+        this.container.style.top = '0';
+        this.container.style.width = '100%';
+        this.container.style.height = '100%';
+        this.container.style.pointerEvents = 'none'; // Only the controls themselves take touches
+        this.container.style.userSelect = 'none';
+        this.container.style.display = 'none';
+        
+        // Steering joystick - only sideways movement counts
+        this.joystick = createControl('#00ffff');
+        this.joystick.style.borderRadius = '50%';
+        this.knob = document.createElement('div');
+        this.knob.style.position = 'absolute';
+        this.knob.style.left = '25%';
+        this.knob.style.top = '25%';
+        this.knob.style.width = '50%';
+        this.knob.style.height = '50%';
+        this.knob.style.borderRadius = '50%';
+        this.knob.style.backgroundColor = 'rgba(0, 255, 255, 0.5)';
+        this.knob.style.boxShadow = '0 0 10px #00ffff';
+        this.joystick.appendChild(this.knob);
+        this.container.appendChild(this.joystick);
+        
+        // Pedals and boost
+        this.throttlePedal = createControl('#00ff66', 'GAS');
+        this.brakePedal = createControl('#ff3366', 'BRAKE');
+        this.boostButton = createControl('#ff00ff', 'BOOST');
+        this.boostButton.style.borderRadius = '50%';
+        this.container.appendChild(this.throttlePedal);
+        this.container.appendChild(this.brakePedal);
+        this.container.appendChild(this.boostButton);
+        
+        document.body.appendChild(this.container);
+    }
+    
+    setupListeners() {
+        window.addEventListener('touchstart', () => this.show(), { once: true, passive: true });
+        
+        // Joystick
+        this.joystick.addEventListener('pointerdown', (e) => {
+            if (this.joystickPointer !== null) return;
+            this.joystickPointer = e.pointerId;
+            this.joystick.setPointerCapture(e.pointerId);
+            this.moveJoystick(e);
+        });
+        this.joystick.addEventListener('pointermove', (e) => {
+            if (e.pointerId === this.joystickPointer) this.moveJoystick(e);
+        });
+        for (const type of ['pointerup', 'pointercancel']) {
+            this.joystick.addEventListener(type, (e) => {
+                if (e.pointerId === this.joystickPointer) this.releaseJoystick();
+            });
+        }
+        
+        // Pedals and boost are held while touched
+        this.bindButton(this.throttlePedal, 'throttle', 1);
+        this.bindButton(this.brakePedal, 'brake', 1);
+        this.bindButton(this.boostButton, 'boost', true);
+    }
+    
+    bindButton(element, control, value) {
+        const pointers = new Set();
+        
+        const update = () => {
+            this.setControl(control, pointers.size > 0 ? value : IDLE_CONTROLS[control]);
+            element.style.opacity = pointers.size > 0 ? '1' : '0.6';
+        };
+        
+        element.addEventListener('pointerdown', (e) => {
+            pointers.add(e.pointerId);
+            element.setPointerCapture(e.pointerId);
+            update();
+        });
+        for (const type of ['pointerup', 'pointercancel']) {
+            element.addEventListener(type, (e) => {
+                pointers.delete(e.pointerId);
+                update();
+            });
+        }
+    }
+    
+    moveJoystick(event) {
+        const rect = this.joystick.getBoundingClientRect();
+        const radius = rect.width / 2;
+        const offset = Math.max(-1, Math.min(1, (event.clientX - rect.left - radius) / radius));
+        
+        this.knob.style.transform = `translateX(${offset * radius}px)`;
+        this.setControl('steer', applyDeadZone(offset, JOYSTICK_DEAD_ZONE));
+    }
+    
+    releaseJoystick() {
+        this.joystickPointer = null;
+        this.knob.style.transform = '';
+        this.setControl('steer', 0);
+    }
+    
+    setControl(control, value) {
+        this.inputHandler.touchControls = { ...this.inputHandler.touchControls, [control]: value };
+    }
+    
+    show() {
+        if (this.visible) return;
+        this.visible = true;
+        this.container.style.display = 'block';
+        
+        // The keyboard hint means nothing on a phone
+        const instructions = document.getElementById('instructions');
+        if (instructions) instructions.style.display = 'none';
+    }
+    
+    // Size and place the controls for the current screen - called on resize and orientation changes
+    layout() {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const portrait = height > width;
+        
+        // Scale with the short side so the controls stay thumb-sized in either orientation
+        const size = Math.round(Math.min(width, height) * (portrait ? 0.3 : 0.25));
+        const margin = Math.round(size * 0.15);
+        
+        // Keep clear of the boost meter and speedometer along the bottom edge
+        const bottom = portrait ? 130 : 110;
+        
+        place(this.joystick, { left: margin, bottom, width: size, height: size });
+        
+        const pedalWidth = Math.round(size * 0.45);
+        place(this.throttlePedal, { right: margin, bottom, width: pedalWidth, height: size });
+        place(this.brakePedal, { right: margin * 2 + pedalWidth, bottom, width: pedalWidth, height: Math.round(size * 0.7) });
+        
+        // Boost sits above the pedals in portrait, where there is height to spare, and beside them otherwise
+        const boostSize = Math.round(size * 0.5);
+        if (portrait) {
+            place(this.boostButton, { right: margin, bottom: bottom + size + margin, width: boostSize, height: boostSize });
+        } else {
+            place(this.boostButton, { right: margin * 3 + pedalWidth * 2, bottom, width: boostSize, height: boostSize });
+        }
+    }
+}
+
+function createControl(color, label = '') {
+    const element = document.createElement('div');
+    element.textContent = label;
+    element.style.position = 'absolute';
+    element.style.display = 'flex';
+    element.style.alignItems = 'center';
+    element.style.justifyContent = 'center';
+    element.style.boxSizing = 'border-box';
+    element.style.border = `2px solid ${color}`;
+    element.style.borderRadius = '10px';
+    element.style.backgroundColor = 'rgba(0, 0, 0, 0.4)';
+    element.style.boxShadow = `0 0 8px ${color}`;
+    element.style.color = color;
+    element.style.fontFamily = 'Arial, sans-serif';
+    element.style.fontWeight = 'bold';
+    element.style.fontSize = '12px';
+    element.style.opacity = '0.6';
+    element.style.pointerEvents = 'auto';
+    element.style.touchAction = 'none'; // No scrolling or zooming while driving
+    return element;
+}
+
+function place(element, { left, right, bottom, width, height }) {
+    element.style.left = left === undefined ? '' : `${left}px`;
+    element.style.right = right === undefined ? '' : `${right}px`;
+    element.style.bottom = `${bottom}px`;
+    element.style.width = `${width}px`;
+    element.style.height = `${height}px`;
+}
@@ -0,0 +1,25 @@
+// Small neon button used by the panels and screens, in the panel's colour (a hex colour like
+// '#00ffff'). Clicking it doesn't leave the keyboard focus on the button.
+export function createButton(label, onClick, color = '#00ffff') {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.margin = '2px';
+    button.style.padding = '4px 8px';
+    button.style.color = '#ffffff';
+    button.style.backgroundColor = toRgba(color, 0.15);
+    button.style.border = `1px solid ${color}`;
+    button.style.borderRadius = '4px';
+    button.style.fontFamily = 'Arial, sans-serif';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', (e) => {
+        e.currentTarget.blur(); // Keep keyboard focus on the game
+        onClick();
+    });
+    return button;
+}
+
+// '#ff9900' and 0.15 make 'rgba(255, 153, 0, 0.15)'
+function toRgba(color, alpha) {
+    const value = parseInt(color.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
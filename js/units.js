@@ -0,0 +1,30 @@
+// The car's speed is measured in MPH and world distances in metres; these show them in the
+// units picked on the settings screen ('imperial' or 'metric')
+const UNIT_SYSTEMS = Object.freeze({
+    imperial: { speed: 'MPH', speedFactor: 1, distance: 'mi', distanceFactor: 1 / 1609.344, length: 'ft', lengthFactor: 3.28084 },
+    metric: { speed: 'KM/H', speedFactor: 1.609344, distance: 'km', distanceFactor: 1 / 1000, length: 'm', lengthFactor: 1 }
+});
+
+export function getSpeedUnit(units) {
+    return UNIT_SYSTEMS[units].speed;
+}
+
+export function convertSpeed(mph, units) {
+    return mph * UNIT_SYSTEMS[units].speedFactor;
+}
+
+export function formatSpeed(mph, units) {
+    return `${convertSpeed(mph, units).toFixed(1)} ${getSpeedUnit(units)}`;
+}
+
+// Long distances, like how far the car has driven
+export function formatDistance(metres, units) {
+    const system = UNIT_SYSTEMS[units];
+    return `${(metres * system.distanceFactor).toFixed(2)} ${system.distance}`;
+}
+
+// Short distances, like a jump or a track length
+export function formatLength(metres, units, digits = 1) {
+    const system = UNIT_SYSTEMS[units];
+    return `${(metres * system.lengthFactor).toFixed(digits)} ${system.length}`;
+}
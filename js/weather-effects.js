@@ -0,0 +1,223 @@
+import * as THREE from 'three';
+import { SeededRandom } from './random.js';
+import { GRAPHICS_PRESETS, getParticleCount } from './graphics.js';
+
+// Rain falls in a box this size around the camera
+const RAIN_AREA = { width: 60, height: 30 };
+const RAIN_DROPS = 1500; // At the High preset - scaled like the other particles
+const RAIN_SPEED = 30;
+const RAIN_WIND = new THREE.Vector3(2, 0, 1);
+
+const FOG_BANKS = 12;
+const FOG_BANK_SPEED = 1.5;
+const PUDDLES_PER_ROAD = 8;
+
+// The sky reflected in wet roads and puddles is re-captured this often (in seconds)
+const REFLECTION_INTERVAL = 2;
+
+// The look of the weather - rain around the camera, fog banks drifting through the streets,
+// puddles and shiny roads when wet, and lightning flashes. The weather itself is in
+// simulation.weather; this only draws it.
+export class WeatherEffects {
+    constructor(game) {
+        this.game = game;
+        this.reflectionTarget = null;
+        this.reflectionTimer = 0;
+        this.pmremGenerator = new THREE.PMREMGenerator(game.renderer);
+        
+        this.createRain();
+        this.createFogBanks();
+        this.puddles = new THREE.Group();
+    }
+    
+    createRain() {
+        // Each drop is a short streak: two vertices per drop, offset from the camera
+        const maxDrops = getParticleCount(RAIN_DROPS, GRAPHICS_PRESETS.ultra);
+        this.drops = new Float32Array(maxDrops * 3);
+        for (let i = 0; i < maxDrops; i++) {
+            this.drops[i * 3] = (Math.random() - 0.5) * RAIN_AREA.width;
+            this.drops[i * 3 + 1] = Math.random() * RAIN_AREA.height;
+            this.drops[i * 3 + 2] = (Math.random() - 0.5) * RAIN_AREA.width;
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(maxDrops * 6), 3));
+        this.rain = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+            color: 0xaaccff,
+            transparent: true,
+            opacity: 0,
+            depthWrite: false
+        }));
+        this.rain.frustumCulled = false; // It's always around the camera
+    }
+    
+    createFogBanks() {
+        // Soft round puffs, a few stacked per bank so they look thick from any angle
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        const gradient = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 64, 64);
+        
+        this.fogMaterial = new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            transparent: true,
+            opacity: 0,
+            depthWrite: false
+        });
+        
+        this.fogBanks = new THREE.Group();
+        for (let i = 0; i < FOG_BANKS; i++) {
+            const bank = new THREE.Group();
+            for (let j = 0; j < 3; j++) {
+                const puff = new THREE.Sprite(this.fogMaterial);
+                puff.scale.set(40 + Math.random() * 30, 10 + Math.random() * 6, 1);
+                puff.position.set((Math.random() - 0.5) * 20, 3 + j * 2, (Math.random() - 0.5) * 20);
+                bank.add(puff);
+            }
+            this.fogBanks.add(bank);
+        }
+    }
+    
+    // Put the effects into a freshly built world (the scene is cleared with every new one)
+    setCity(city) {
+        this.city = city;
+        this.limit = city.getBoundaryLimit();
+        
+        for (const bank of this.fogBanks.children) {
+            bank.position.set((Math.random() - 0.5) * 2 * this.limit, 0, (Math.random() - 0.5) * 2 * this.limit);
+        }
+        
+        this.createPuddles(city);
+        this.game.scene.add(this.rain, this.fogBanks, this.puddles);
+    }
+    
+    // Puddles lie in the same places on the roads every time it rains in this city
+    createPuddles(city) {
+        this.puddles.clear();
+        this.puddleMaterial = this.puddleMaterial ?? new THREE.MeshStandardMaterial({
+            color: 0x050505,
+            roughness: 0.05,
+            metalness: 0.8,
+            transparent: true,
+            opacity: 0,
+            depthWrite: false
+        });
+        
+        const random = new SeededRandom(city.seed);
+        const geometry = new THREE.CircleGeometry(1, 16);
+        const roads = [
+            ...city.roads.horizontal.map(road => ({ road, along: 'x', across: road.centerZ })),
+            ...city.roads.vertical.map(road => ({ road, along: 'z', across: road.centerX }))
+        ];
+        
+        for (const { road, along, across } of roads) {
+            for (let i = 0; i < PUDDLES_PER_ROAD; i++) {
+                const puddle = new THREE.Mesh(geometry, this.puddleMaterial);
+                const position = (random.next() - 0.5) * 2 * this.limit;
+                const offset = across + (random.next() - 0.5) * road.width * 0.6;
+                puddle.position.set(along === 'x' ? position : offset, 0.015, along === 'x' ? offset : position);
+                puddle.rotation.x = -Math.PI / 2;
+                puddle.scale.set(1 + random.next() * 1.5, 0.6 + random.next(), 1);
+                this.puddles.add(puddle);
+            }
+        }
+    }
+    
+    update(deltaTime) {
+        const weather = this.game.simulation.weather;
+        
+        this.updateRain(deltaTime, weather.rain);
+        this.updateFogBanks(deltaTime, weather.fog);
+        this.updateWetness(deltaTime, weather.wetness);
+        
+        // Lightning lights up the whole sky and blooms the neon
+        if (weather.lightning > 0) {
+            this.game.ambientLight.intensity += weather.lightning * 1.5;
+            this.game.bloomPass.strength += weather.lightning * 2;
+        }
+    }
+    
+    updateRain(deltaTime, intensity) {
+        this.rain.visible = intensity > 0;
+        if (!this.rain.visible) return;
+        
+        this.rain.material.opacity = 0.3 + intensity * 0.3;
+        this.rain.position.copy(this.game.camera.position);
+        this.rain.position.y -= RAIN_AREA.height / 2;
+        
+        // Heavier rain brings more drops (up to the graphics preset's share)
+        const maxDrops = this.drops.length / 3;
+        const count = Math.min(maxDrops, Math.round(getParticleCount(RAIN_DROPS, this.game.getGraphicsPreset()) * intensity));
+        const positions = this.rain.geometry.attributes.position.array;
+        const streak = RAIN_WIND.clone().multiplyScalar(0.02);
+        
+        for (let i = 0; i < count; i++) {
+            const index = i * 3;
+            this.drops[index] += RAIN_WIND.x * deltaTime;
+            this.drops[index + 1] -= RAIN_SPEED * deltaTime;
+            this.drops[index + 2] += RAIN_WIND.z * deltaTime;
+            
+            // Back to the top once it hits the bottom of the box, and wrap round the sides
+            if (this.drops[index + 1] < 0) this.drops[index + 1] += RAIN_AREA.height;
+            for (const axis of [0, 2]) {
+                if (this.drops[index + axis] > RAIN_AREA.width / 2) this.drops[index + axis] -= RAIN_AREA.width;
+            }
+            
+            positions[i * 6] = this.drops[index];
+            positions[i * 6 + 1] = this.drops[index + 1];
+            positions[i * 6 + 2] = this.drops[index + 2];
+            positions[i * 6 + 3] = this.drops[index] - streak.x;
+            positions[i * 6 + 4] = this.drops[index + 1] + 0.6;
+            positions[i * 6 + 5] = this.drops[index + 2] - streak.z;
+        }
+        
+        this.rain.geometry.setDrawRange(0, count * 2);
+        this.rain.geometry.attributes.position.needsUpdate = true;
+    }
+    
+    updateFogBanks(deltaTime, intensity) {
+        this.fogBanks.visible = intensity > 0;
+        if (!this.fogBanks.visible) return;
+        
+        // The banks take on the color of the fog and drift across the city with the wind
+        this.fogMaterial.opacity = intensity * 0.35;
+        this.fogMaterial.color.copy(this.game.scene.fog.color);
+        for (const bank of this.fogBanks.children) {
+            bank.position.x += FOG_BANK_SPEED * deltaTime;
+            if (bank.position.x > this.limit) bank.position.x -= this.limit * 2;
+        }
+    }
+    
+    updateWetness(deltaTime, wetness) {
+        // Puddles only form once the road is properly wet
+        this.puddleMaterial.opacity = Math.max(0, (wetness - 0.3) / 0.7) * 0.9;
+        this.puddles.visible = this.puddleMaterial.opacity > 0;
+        
+        // Capture the sky for the wet roads and puddles to reflect, and keep it up to date with the time of day
+        this.reflectionTimer -= deltaTime;
+        if (wetness > 0 && (!this.reflectionTarget || this.reflectionTimer <= 0)) {
+            this.captureSky();
+            this.reflectionTimer = REFLECTION_INTERVAL;
+        }
+        
+        const envMap = this.reflectionTarget ? this.reflectionTarget.texture : null;
+        this.puddleMaterial.envMap = envMap;
+        this.city.setWetness(wetness, envMap);
+    }
+    
+    captureSky() {
+        const skyScene = new THREE.Scene();
+        skyScene.add(new THREE.Mesh(this.game.skyMesh.geometry, this.game.skyMesh.material));
+        
+        const target = this.pmremGenerator.fromScene(skyScene, 0, 0.1, 1000);
+        if (this.reflectionTarget) {
+            this.reflectionTarget.dispose();
+        }
+        this.reflectionTarget = target;
+    }
+}
@@ -0,0 +1,111 @@
+import { SeededRandom } from './random.js';
+
+// How hard it rains (0-1), how thick the fog is (0-1) and whether lightning strikes
+export const WEATHER_TYPES = Object.freeze({
+    clear: { rain: 0, fog: 0, lightning: false },
+    rain: { rain: 0.6, fog: 0.3, lightning: false },
+    fog: { rain: 0, fog: 1, lightning: false },
+    storm: { rain: 1, fog: 0.5, lightning: true }
+});
+
+// 'cycle' moves on to another weather every CYCLE_DURATION seconds, the rest stay put
+export const WEATHER_MODES = Object.freeze(['cycle', ...Object.keys(WEATHER_TYPES)]);
+
+// Tire grip on a soaked road (1 is dry)
+export const WET_GRIP = 0.6;
+
+const CYCLE_DURATION = 90;
+const TRANSITION_TIME = 10; // Seconds to blend from one weather into the next
+const WETTING_RATE = 0.1; // Wetness per second in full rain
+const DRYING_RATE = 0.02; // Wetness per second once the rain stops
+const LIGHTNING_FADE = 4; // A flash dies away in a quarter of a second
+const LIGHTNING_INTERVAL = { min: 4, max: 14 };
+
+export function getGrip(wetness) {
+    return 1 - (1 - WET_GRIP) * wetness;
+}
+
+// The weather of one drive. It's stepped with the simulation and seeded from the city, and the
+// wet roads change the car's grip, so it plays out the same way in a replay.
+export class Weather {
+    constructor(mode = 'clear', seed = 0) {
+        if (!WEATHER_MODES.includes(mode)) {
+            throw new Error(`Unknown weather: ${mode}`);
+        }
+        
+        this.mode = mode;
+        this.random = new SeededRandom(seed);
+        this.time = 0;
+        this.nextChange = CYCLE_DURATION;
+        
+        // Blending from the previous weather type into the current one (0-1)
+        this.type = mode === 'cycle' ? this.pickNext(null) : mode;
+        this.previousType = this.type;
+        this.blend = 1;
+        
+        // A drive that starts in the rain starts on wet roads
+        this.wetness = WEATHER_TYPES[this.type].rain > 0 ? 1 : 0;
+        
+        // Brightness of the current lightning flash (0-1)
+        this.lightning = 0;
+        this.nextLightning = this.getLightningInterval();
+        
+        this.updateIntensities();
+    }
+    
+    step(deltaTime) {
+        this.time += deltaTime;
+        
+        if (this.mode === 'cycle' && this.time >= this.nextChange) {
+            this.previousType = this.type;
+            this.type = this.pickNext(this.type);
+            this.blend = 0;
+            this.nextChange += CYCLE_DURATION;
+        }
+        this.blend = Math.min(1, this.blend + deltaTime / TRANSITION_TIME);
+        this.updateIntensities();
+        
+        // The roads soak up the rain and slowly dry out after it
+        if (this.rain > 0) {
+            this.wetness = Math.min(1, this.wetness + this.rain * WETTING_RATE * deltaTime);
+        } else {
+            this.wetness = Math.max(0, this.wetness - DRYING_RATE * deltaTime);
+        }
+        
+        this.lightning = Math.max(0, this.lightning - LIGHTNING_FADE * deltaTime);
+        if (this.storm > 0.5) {
+            this.nextLightning -= deltaTime;
+            if (this.nextLightning <= 0) {
+                this.lightning = 1;
+                this.nextLightning = this.getLightningInterval();
+            }
+        }
+    }
+    
+    updateIntensities() {
+        const from = WEATHER_TYPES[this.previousType];
+        const to = WEATHER_TYPES[this.type];
+        const mix = (a, b) => a + (b - a) * this.blend;
+        
+        this.rain = mix(from.rain, to.rain);
+        this.fog = mix(from.fog, to.fog);
+        this.storm = mix(from.lightning ? 1 : 0, to.lightning ? 1 : 0);
+        
+        // How much the clouds dim the sun
+        this.overcast = Math.max(this.rain, this.fog * 0.6);
+    }
+    
+    // Any weather type but the current one
+    pickNext(current) {
+        const types = Object.keys(WEATHER_TYPES).filter(type => type !== current);
+        return types[Math.floor(this.random.next() * types.length)];
+    }
+    
+    getLightningInterval() {
+        return LIGHTNING_INTERVAL.min + this.random.next() * (LIGHTNING_INTERVAL.max - LIGHTNING_INTERVAL.min);
+    }
+    
+    getGrip() {
+        return getGrip(this.wetness);
+    }
+}
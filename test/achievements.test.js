@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { City } from '../js/city.js';
+import { Simulation } from '../js/simulation.js';
+import { IDLE_CONTROLS } from '../js/input.js';
+import { Achievements, ACHIEVEMENTS } from '../js/achievements.js';
+import { createStorage } from './helpers/storage.js';
+
+test('achievement ids are unique and every definition has a goal', () => {
+    const ids = new Set(ACHIEVEMENTS.map(definition => definition.id));
+    assert.equal(ids.size, ACHIEVEMENTS.length);
+    
+    for (const definition of ACHIEVEMENTS) {
+        assert.ok(definition.name && definition.description && definition.event, definition.id);
+        assert.ok(definition.goal > 0, definition.id);
+    }
+});
+
+test('counted achievements unlock after enough matching events and keep progress across reloads', () => {
+    const storage = createStorage();
+    const achievements = new Achievements(storage);
+    
+    for (let i = 0; i < 19; i++) {
+        assert.deepEqual(achievements.handle('object:knockedOver', { object: { type: 'streetlight' } }), []);
+    }
+    achievements.handle('object:knockedOver', { object: { type: 'bench' } });
+    
+    const reloaded = new Achievements(storage);
+    assert.equal(reloaded.getProgress('lights-out'), 19);
+    assert.equal(reloaded.getProgress('wrecking-ball'), 20, 'every object counts towards this one');
+    
+    const unlocked = reloaded.handle('object:knockedOver', { object: { type: 'streetlight' } });
+    assert.deepEqual(unlocked.map(definition => definition.id), ['lights-out']);
+    assert.ok(new Achievements(storage).isUnlocked('lights-out'));
+    
+    // Unlocked achievements don't unlock again
+    assert.deepEqual(reloaded.handle('object:knockedOver', { object: { type: 'streetlight' } }), []);
+});
+
+test('single-event achievements need one event to reach the goal', () => {
+    const achievements = new Achievements(createStorage());
+    
+    assert.deepEqual(achievements.handle('speed', { speed: 60, boosting: false }), [], 'has to be boosted');
+    assert.deepEqual(achievements.handle('speed', { speed: 59, boosting: true }), []);
+    assert.deepEqual(achievements.handle('speed', { speed: 60, boosting: true }).map(definition => definition.id), ['top-speed']);
+    
+    const drift = { type: 'drift', duration: 5.2, points: 0, tricks: [] };
+    assert.deepEqual(achievements.handle('stunt:completed', drift).map(definition => definition.id), ['drift-king']);
+    
+    const crashedRoll = { type: 'jump', clean: false, rolls: 1, flips: 0 };
+    assert.deepEqual(achievements.handle('stunt:completed', crashedRoll), []);
+    assert.equal(achievements.getProgress('barrel-roll'), 0);
+});
+
+test('a launchpad jump starts a flight chain that ends back on the road', () => {
+    const scene = new THREE.Scene();
+    const simulation = new Simulation(scene, City.fromLayout(scene, {
+        version: 1,
+        seed: 'test',
+        spawn: { x: 0, y: 0.5, z: -60, rotation: 0 },
+        ramps: [{ type: 'launchpad', x: 0, z: -20 }]
+    }));
+    const chains = [];
+    simulation.events.on('car:launched', ({ flightChain }) => chains.push(flightChain));
+    const input = { getControls: () => ({ ...IDLE_CONTROLS, throttle: 1, boost: true }) };
+    
+    while (chains.length === 0 && simulation.stepCount < 600) {
+        simulation.step(input);
+    }
+    assert.deepEqual(chains, [1]);
+    
+    while (simulation.car.isAirborne || simulation.car.onRamp) {
+        simulation.step(input);
+    }
+    simulation.step(input);
+    assert.equal(simulation.flightChain.size, 0);
+});
+
+test('rolling or flipping off a launchpad unlocks the barrel roll and backflip achievements', () => {
+    // Hit a launchpad at full boost, holding `airControls` in the air, and return what unlocked
+    function jump(airControls) {
+        const scene = new THREE.Scene();
+        const simulation = new Simulation(scene, City.fromLayout(scene, {
+            version: 1,
+            seed: 'test',
+            spawn: { x: 0, y: 0.5, z: -60, rotation: 0 },
+            ramps: [{ type: 'launchpad', x: 0, z: -20 }]
+        }));
+        const achievements = new Achievements(createStorage());
+        const unlocked = [];
+        simulation.events.on('stunt:completed', (stunt) => {
+            unlocked.push(...achievements.handle('stunt:completed', stunt).map(definition => definition.id));
+        });
+        
+        const driving = { ...IDLE_CONTROLS, throttle: 1, boost: true };
+        const flying = { ...IDLE_CONTROLS, ...airControls };
+        const input = { getControls: () => (simulation.car.isAirborne ? flying : driving) };
+        for (let i = 0; i < 480; i++) {
+            simulation.step(input);
+        }
+        return unlocked;
+    }
+    
+    assert.deepEqual(jump({}), []);
+    assert.deepEqual(jump({ steer: 1 }), ['barrel-roll']);
+    assert.deepEqual(jump({ brake: 1 }), ['backflip']);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioEngine, AudioSettings, DEFAULT_VOLUMES, getEngineFrequency, getImpactVolume } from '../js/audio.js';
+import { createStorage } from './helpers/storage.js';
+
+test('the engine note climbs with speed and boost', () => {
+    const idle = getEngineFrequency(0, 40);
+    const cruising = getEngineFrequency(20, 40);
+    const flatOut = getEngineFrequency(40, 40);
+    const boosted = getEngineFrequency(40, 40, 1.8, 1.8);
+    
+    assert.ok(idle < cruising && cruising < flatOut && flatOut < boosted);
+    assert.equal(getEngineFrequency(-20, 40), cruising, 'reversing revs the same');
+    assert.equal(getEngineFrequency(80, 40), flatOut, 'boosted speed alone stays at the top of the range');
+});
+
+test('impacts are silent when soft and louder with speed up to full volume', () => {
+    assert.equal(getImpactVolume(1), 0);
+    assert.ok(getImpactVolume(10) > 0);
+    assert.ok(getImpactVolume(20) > getImpactVolume(10));
+    assert.equal(getImpactVolume(100), 1);
+});
+
+test('mixer volumes are clamped and survive a reload', () => {
+    const storage = createStorage();
+    const settings = new AudioSettings(storage);
+    assert.deepEqual(settings.volumes, DEFAULT_VOLUMES);
+    
+    settings.setVolume('music', 0.25);
+    settings.setVolume('sfx', 3);
+    settings.setMuted(true);
+    settings.setMusicMuted(true);
+    assert.throws(() => settings.setVolume('voice', 1), /Unknown mixer channel/);
+    
+    const restored = new AudioSettings(storage);
+    assert.deepEqual(restored.volumes, { ...DEFAULT_VOLUMES, music: 0.25, sfx: 1 });
+    assert.equal(restored.muted, true);
+    assert.equal(restored.musicMuted, true);
+});
+
+test('without Web Audio the engine stays silent instead of failing', () => {
+    const audio = new AudioEngine(new AudioSettings(createStorage()));
+    const car = { speed: 10, maxSpeed: 40, isDrifting: true, isAirborne: false, getSpeed: () => 10 };
+    
+    audio.update(car, { currentMultiplier: 1, speedMultiplier: 1.8 });
+    audio.playImpact(30);
+    audio.playBoing();
+    audio.playShatter();
+    assert.equal(audio.toggleMute(), true);
+    assert.equal(audio.getMusicOutput(), null);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeyBindings, getKeyLabel } from '../js/bindings.js';
+import { InputHandler } from '../js/input.js';
+import { createStorage } from './helpers/storage.js';
+
+// InputHandler listens on window - Node's EventTarget is enough to drive it
+globalThis.window ??= new EventTarget();
+
+function press(key, down) {
+    window.dispatchEvent(Object.assign(new Event(down ? 'keydown' : 'keyup'), { key }));
+}
+
+test('default bindings map keys to actions regardless of case', () => {
+    const bindings = new KeyBindings(null);
+    
+    assert.equal(bindings.getAction('w'), 'accelerate');
+    assert.equal(bindings.getAction('W'), 'accelerate');
+    assert.equal(bindings.getAction('ArrowLeft'), 'steerLeft');
+    assert.equal(bindings.getAction(' '), 'boost');
+    assert.equal(bindings.getAction('N'), 'toggleNight');
+    assert.equal(bindings.getAction('q'), null);
+});
+
+test('binding a key that is already used swaps it with the old key', () => {
+    const bindings = new KeyBindings(null);
+    
+    bindings.rebind('boost', 0, 'w');
+    
+    assert.deepEqual(bindings.getKeys('boost'), ['w', null]);
+    assert.deepEqual(bindings.getKeys('accelerate'), [' ', 'ArrowUp']);
+    assert.equal(bindings.getAction('w'), 'boost');
+    assert.throws(() => bindings.rebind('fly', 0, 'f'));
+    assert.throws(() => bindings.rebind('boost', 2, 'f'));
+});
+
+test('bindings are saved and restored from storage', () => {
+    const storage = createStorage();
+    new KeyBindings(storage).rebind('accelerate', 0, 'i');
+    
+    const restored = new KeyBindings(storage);
+    assert.equal(restored.getAction('i'), 'accelerate');
+    assert.equal(restored.getAction('w'), null);
+    
+    restored.resetToDefaults();
+    assert.equal(new KeyBindings(storage).getAction('w'), 'accelerate');
+});
+
+test('malformed saved bindings fall back to the defaults', () => {
+    const bindings = new KeyBindings(createStorage({
+        'vibecity-bindings': JSON.stringify({ accelerate: 'i', brake: [42], fly: ['f'] })
+    }));
+    
+    assert.equal(bindings.getAction('w'), 'accelerate');
+    assert.equal(bindings.getAction('s'), 'brake');
+    assert.equal(bindings.getAction('f'), null);
+    assert.doesNotThrow(() => new KeyBindings(createStorage({ 'vibecity-bindings': '{not json' })));
+});
+
+test('driving controls follow the bindings, with Caps Lock on', () => {
+    const bindings = new KeyBindings(null);
+    bindings.rebind('accelerate', 0, 'i');
+    const input = new InputHandler(bindings);
+    
+    press('I', true);
+    assert.equal(input.getControls().throttle, 1);
+    press('i', false);
+    assert.equal(input.getControls().throttle, 0);
+    
+    press('w', true);
+    assert.equal(input.getControls().throttle, 0);
+    press('w', false);
+});
+
+test('key labels are readable', () => {
+    assert.equal(getKeyLabel(' '), 'Space');
+    assert.equal(getKeyLabel('ArrowUp'), '↑');
+    assert.equal(getKeyLabel('k'), 'K');
+    assert.equal(getKeyLabel(null), '-');
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { City } from '../js/city.js';
+import { CAMERA_MODES, createTracksideCameras, getChaseDistanceScale, getChaseFov, getSpeedRatio, pickTracksideCamera } from '../js/camera-modes.js';
+
+test('the chase camera pulls back and widens with speed', () => {
+    assert.equal(getSpeedRatio(0, 40), 0);
+    assert.equal(getSpeedRatio(-20, 40), 0.5, 'reversing counts too');
+    assert.equal(getSpeedRatio(200, 40), 1.5, 'capped under boost');
+    
+    assert.equal(getChaseDistanceScale(0), 1);
+    assert.ok(getChaseDistanceScale(1) > getChaseDistanceScale(0.5));
+    assert.equal(getChaseFov(75, 0), 75);
+    assert.ok(getChaseFov(75, 1.5) > getChaseFov(75, 1));
+});
+
+test('every intersection gets a trackside camera off the road', () => {
+    const scene = new THREE.Scene();
+    const city = new City(scene, 'cameras');
+    const cameras = createTracksideCameras(city);
+    
+    assert.equal(cameras.length, city.roads.vertical.length * city.roads.horizontal.length);
+    for (const camera of cameras) {
+        const nearestRoad = Math.min(
+            ...city.roads.vertical.map(road => Math.abs(camera.x - road.centerX)),
+            ...city.roads.horizontal.map(road => Math.abs(camera.z - road.centerZ))
+        );
+        assert.ok(nearestRoad > city.roadWidth / 2, 'stands beside the road');
+        assert.ok(camera.y > 0);
+    }
+});
+
+test('trackside cameras hold the shot, then cut to the nearest', () => {
+    const cameras = [new THREE.Vector3(0, 5, 0), new THREE.Vector3(100, 5, 0), new THREE.Vector3(200, 5, 0)];
+    const near = (x) => new THREE.Vector3(x, 0.5, 0);
+    
+    assert.equal(pickTracksideCamera(cameras, near(10)), cameras[0]);
+    assert.equal(pickTracksideCamera(cameras, near(30), cameras[0], 5), cameras[0], 'still in range');
+    assert.equal(pickTracksideCamera(cameras, near(90), cameras[0], 5), cameras[1], 'out of range - cut');
+    assert.equal(pickTracksideCamera(cameras, near(90), cameras[0], 1), cameras[0], 'too soon after the last cut');
+    assert.equal(pickTracksideCamera([], near(0)), null);
+});
+
+test('the camera modes are the options of the camera mode setting', () => {
+    assert.deepEqual(CAMERA_MODES, ['chase', 'hood', 'topDown', 'cinematic', 'orbit']);
+});
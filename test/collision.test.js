@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Car } from '../js/car.js';
+
+// A building-style obstacle. checkBoxCollision tests the box edges at the obstacle's centre
+// height, so keep the centre level with the car to exercise the edge checks.
+function createBox(x, z, width, depth, rotation = 0) {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(width, 1, depth));
+    mesh.position.set(x, 0.5, z);
+    mesh.rotation.y = rotation;
+    return { type: 'building', position: mesh.position.clone(), boundingRadius: Math.hypot(width, depth) / 2, mesh };
+}
+
+function createCar() {
+    return new Car(new THREE.Scene());
+}
+
+test('lineIntersectsBox detects a segment passing through the box', () => {
+    const car = createCar();
+    const box = { min: new THREE.Vector3(-1, -1, -1), max: new THREE.Vector3(1, 1, 1) };
+    
+    assert.equal(car.lineIntersectsBox(new THREE.Vector3(-5, 0, 0), new THREE.Vector3(5, 0, 0), box), true);
+    assert.equal(car.lineIntersectsBox(new THREE.Vector3(0, 0, -5), new THREE.Vector3(0, 0, 5), box), true);
+});
+
+test('lineIntersectsBox ignores segments that miss or stop short of the box', () => {
+    const car = createCar();
+    const box = { min: new THREE.Vector3(-1, -1, -1), max: new THREE.Vector3(1, 1, 1) };
+    
+    // Parallel to the box, off to one side
+    assert.equal(car.lineIntersectsBox(new THREE.Vector3(-5, 0, 3), new THREE.Vector3(5, 0, 3), box), false);
+    
+    // Pointing at the box but ending before it
+    assert.equal(car.lineIntersectsBox(new THREE.Vector3(-5, 0, 0), new THREE.Vector3(-3, 0, 0), box), false);
+    
+    // Pointing away from the box
+    assert.equal(car.lineIntersectsBox(new THREE.Vector3(3, 0, 0), new THREE.Vector3(5, 0, 0), box), false);
+});
+
+test('checkBoxCollision detects the car touching a building edge', () => {
+    const car = createCar();
+    const building = createBox(0, 0, 10, 10);
+    
+    // Car centre 1 unit outside the wall, within its bounding radius
+    assert.equal(car.checkBoxCollision(new THREE.Vector3(6, 0.5, 0), building), true);
+});
+
+test('checkBoxCollision detects the car fully inside a building', () => {
+    const car = createCar();
+    const building = createBox(0, 0, 40, 40);
+    
+    assert.equal(car.checkBoxCollision(new THREE.Vector3(3, 0.5, 3), building), true);
+});
+
+test('checkBoxCollision ignores a car clear of the building', () => {
+    const car = createCar();
+    const building = createBox(0, 0, 10, 10);
+    
+    assert.equal(car.checkBoxCollision(new THREE.Vector3(10, 0.5, 0), building), false);
+    assert.equal(car.checkBoxCollision(new THREE.Vector3(0, 0.5, -10), building), false);
+});
+
+test('checkBoxCollision respects building rotation', () => {
+    const car = createCar();
+    const building = createBox(0, 0, 20, 2, Math.PI / 2);
+    
+    // Rotated 90 degrees, the long side now runs along z
+    assert.equal(car.checkBoxCollision(new THREE.Vector3(0, 0.5, 9), building), true);
+    assert.equal(car.checkBoxCollision(new THREE.Vector3(9, 0.5, 0), building), false);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { City } from '../js/city.js';
+import { Simulation, FIXED_TIME_STEP } from '../js/simulation.js';
+import { IDLE_CONTROLS } from '../js/input.js';
+import { Combo, COMBO_WINDOW, MAX_COMBO_MULTIPLIER } from '../js/combo.js';
+
+function createSimulation(layout) {
+    const scene = new THREE.Scene();
+    const simulation = new Simulation(scene, City.fromLayout(scene, { version: 1, seed: 'test', ...layout }));
+    const ended = [];
+    simulation.events.on('combo:ended', (result) => ended.push(result));
+    return { simulation, ended };
+}
+
+// Full throttle for `seconds`, then let the car roll to a stop
+function driveFor(simulation, seconds, totalSeconds) {
+    const driving = { getControls: () => ({ ...IDLE_CONTROLS, throttle: 1 }) };
+    const coasting = { getControls: () => IDLE_CONTROLS };
+    for (let i = 0; i < totalSeconds / FIXED_TIME_STEP; i++) {
+        simulation.step(i * FIXED_TIME_STEP < seconds ? driving : coasting);
+    }
+}
+
+test('each event in a chain raises the multiplier until the window runs out', () => {
+    const combo = new Combo();
+    combo.add(100);
+    combo.add(50);
+    assert.equal(combo.multiplier, 2);
+    assert.equal(combo.total, 300);
+    
+    // The clock waits while a jump or drift is still going
+    assert.equal(combo.update(COMBO_WINDOW, true), null);
+    assert.equal(combo.update(COMBO_WINDOW - 0.5, false), null);
+    
+    // A new event restarts the window
+    combo.add(50);
+    assert.equal(combo.update(COMBO_WINDOW - 0.5, false), null);
+    assert.deepEqual(combo.update(1, false), { points: 200, multiplier: 3, total: 600, banked: true });
+    assert.equal(combo.active, false);
+});
+
+test('the multiplier is capped and a lost chain banks nothing', () => {
+    const combo = new Combo();
+    for (let i = 0; i < MAX_COMBO_MULTIPLIER + 5; i++) {
+        combo.add(10);
+    }
+    assert.equal(combo.multiplier, MAX_COMBO_MULTIPLIER);
+    
+    const result = combo.end(false);
+    assert.equal(result.total, 0);
+    assert.equal(result.banked, false);
+    assert.equal(combo.points, 0);
+});
+
+test('knockdowns and near misses chain up and are banked once the car stops scoring', () => {
+    const { simulation, ended } = createSimulation({
+        spawn: { x: 0, y: 0.5, z: -60, rotation: 0 },
+        props: [{ type: 'barrel', x: 0, z: -40 }, { type: 'crate', x: 0, z: -30 }, { type: 'barrel', x: 3, z: -10 }]
+    });
+    
+    driveFor(simulation, 2.5, 2.5);
+    assert.equal(simulation.score, 0, 'points wait in the chain');
+    assert.equal(simulation.combo.multiplier, 3);
+    
+    driveFor(simulation, 0, COMBO_WINDOW + 0.5);
+    assert.equal(ended.length, 1);
+    assert.equal(ended[0].banked, true);
+    
+    // Barrel (50 + 75), crate (50 + 60) and the barrel that was only just missed
+    assert.equal(ended[0].points, 125 + 110 + 25);
+    assert.equal(simulation.score, (125 + 110 + 25) * 3);
+});
+
+test('crashing into a wall loses the chain', () => {
+    const { simulation, ended } = createSimulation({
+        spawn: { x: 0, y: 0.5, z: 40, rotation: 0 },
+        props: [{ type: 'barrel', x: 0, z: 50 }]
+    });
+    
+    driveFor(simulation, 3, 3);
+    assert.equal(ended.length, 1);
+    assert.equal(ended[0].banked, false);
+    assert.equal(ended[0].points, 125);
+    assert.equal(simulation.score, 0);
+});
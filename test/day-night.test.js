@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DayNightCycle, formatTimeOfDay, getTimeOfDayState, wrapHour } from '../js/day-night.js';
+
+test('the clock runs through a full day and wraps round midnight', () => {
+    const cycle = new DayNightCycle({ time: 12, dayLength: 240 });
+    
+    cycle.update(60);
+    assert.equal(cycle.time, 18);
+    cycle.update(120);
+    assert.equal(cycle.time, 6);
+    
+    cycle.scrub(-7);
+    assert.equal(cycle.time, 23);
+    assert.equal(wrapHour(-1), 23);
+    assert.equal(formatTimeOfDay(23.5), '23:30');
+    assert.equal(formatTimeOfDay(6.25), '06:15');
+});
+
+test('a paused clock stands still but can still be scrubbed', () => {
+    const cycle = new DayNightCycle({ time: 9 });
+    cycle.togglePaused();
+    cycle.update(100);
+    assert.equal(cycle.time, 9);
+    
+    cycle.scrub(0.5);
+    assert.equal(cycle.time, 9.5);
+    
+    cycle.togglePaused();
+    cycle.update(cycle.dayLength / 24);
+    assert.equal(cycle.time, 10.5);
+});
+
+test('the sun climbs by day and the city lights up at night', () => {
+    const noon = getTimeOfDayState(12);
+    const evening = getTimeOfDayState(18);
+    const midnight = getTimeOfDayState(0);
+    
+    assert.equal(noon.night, 0);
+    assert.equal(midnight.night, 1);
+    assert.ok(noon.lightIntensity > evening.lightIntensity && evening.lightIntensity > midnight.lightIntensity);
+    assert.ok(noon.ambientIntensity > midnight.ambientIntensity);
+    assert.ok(midnight.fogDensity > noon.fogDensity);
+    
+    // Overhead at noon, never below the city at night
+    assert.ok(noon.sunPosition.y > evening.sunPosition.y);
+    assert.ok(midnight.sunPosition.y > 0);
+    
+    // 18:00 is the original sunset sky
+    assert.equal(evening.skyHorizon.getHex(), 0xff1e6d);
+});
+
+test('the look changes smoothly, including across midnight', () => {
+    for (let hour = 0; hour < 24; hour += 0.25) {
+        const a = getTimeOfDayState(hour);
+        const b = getTimeOfDayState(hour + 0.01);
+        assert.ok(Math.abs(a.lightIntensity - b.lightIntensity) < 0.01, `light at ${hour}`);
+        assert.ok(Math.abs(a.skyTop.r - b.skyTop.r) < 0.01, `sky at ${hour}`);
+        assert.ok(a.sunPosition.distanceTo(b.sunPosition) < 1, `sun at ${hour}`);
+    }
+});
+
+test('the day/night key jumps between midnight and midday', () => {
+    const cycle = new DayNightCycle({ time: 15 });
+    assert.equal(cycle.isNight(), false);
+    
+    cycle.toggleNight();
+    assert.equal(cycle.time, 0);
+    assert.equal(cycle.isNight(), true);
+    
+    cycle.toggleNight();
+    assert.equal(cycle.time, 12);
+});
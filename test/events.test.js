@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { City } from '../js/city.js';
+import { Simulation } from '../js/simulation.js';
+import { IDLE_CONTROLS } from '../js/input.js';
+import { EventBus } from '../js/events.js';
+
+function createSimulation(layout) {
+    const scene = new THREE.Scene();
+    const simulation = new Simulation(scene, City.fromLayout(scene, { version: 1, seed: 'test', ...layout }));
+    
+    // Record every event and its payload in the order they were emitted
+    const emitted = [];
+    for (const type of Object.keys(simulation.events.types)) {
+        simulation.events.on(type, (payload) => emitted.push({ type, payload }));
+    }
+    return { simulation, emitted };
+}
+
+test('listeners run in order until they are removed, and unknown events throw', () => {
+    const events = new EventBus();
+    const calls = [];
+    const removeFirst = events.on('boost:start', () => calls.push('first'));
+    events.on('boost:start', () => calls.push('second'));
+    
+    events.emit('boost:start');
+    removeFirst();
+    events.emit('boost:start');
+    
+    assert.deepEqual(calls, ['first', 'second', 'second']);
+    assert.throws(() => events.on('car:jumped', () => {}), /Unknown event: car:jumped/);
+    assert.throws(() => events.emit('boost:started'), /Unknown event/);
+});
+
+test('boost announces starting, running dry and being released once each', () => {
+    const { simulation, emitted } = createSimulation({ spawn: { x: 0, y: 0.5, z: 0, rotation: 0 } });
+    const holding = { getControls: () => ({ ...IDLE_CONTROLS, boost: true }) };
+    
+    // A full tank lasts a little over 3 seconds; keep holding on empty for another two
+    for (let i = 0; i < 5 * 120; i++) {
+        simulation.step(holding);
+    }
+    simulation.step({ getControls: () => IDLE_CONTROLS });
+    
+    const boostEvents = emitted.map(event => event.type).filter(type => type.startsWith('boost:'));
+    assert.deepEqual(boostEvents, ['boost:start', 'boost:empty', 'boost:end']);
+});
+
+test('a launchpad jump is announced on take-off and landing', () => {
+    const { simulation, emitted } = createSimulation({
+        spawn: { x: 0, y: 0.5, z: -60, rotation: 0 },
+        ramps: [{ type: 'launchpad', x: 0, z: -20 }]
+    });
+    const input = { getControls: () => ({ ...IDLE_CONTROLS, throttle: 1 }) };
+    
+    while (!emitted.some(event => event.type === 'car:landed') && simulation.stepCount < 1200) {
+        simulation.step(input);
+    }
+    
+    const launched = emitted.find(event => event.type === 'car:launched');
+    const landed = emitted.find(event => event.type === 'car:landed');
+    assert.equal(launched.payload.ramp.type, 'launchpad');
+    assert.equal(launched.payload.flightChain, 1);
+    assert.ok(landed, 'the car should come back down');
+    assert.ok(landed.payload.impactSpeed > 0);
+    assert.ok(emitted.indexOf(launched) < emitted.indexOf(landed));
+});
+
+test('knocking something over is scored by a listener before the effects hear about it', () => {
+    const { simulation, emitted } = createSimulation({
+        spawn: { x: 0, y: 0.5, z: -60, rotation: 0 },
+        props: [{ type: 'barrel', x: 0, z: -40 }]
+    });
+    let pointsWhenHeard = null;
+    simulation.events.on('object:knockedOver', () => { pointsWhenHeard = simulation.combo.points; });
+    const input = { getControls: () => ({ ...IDLE_CONTROLS, throttle: 1 }) };
+    
+    for (let i = 0; i < 240; i++) {
+        simulation.step(input);
+    }
+    
+    const knockdown = emitted.find(event => event.type === 'object:knockedOver');
+    assert.equal(knockdown.payload.object.type, 'barrel');
+    assert.equal(knockdown.payload.points, 125);
+    assert.equal(pointsWhenHeard, 125);
+    assert.deepEqual(simulation.stats.objectsDestroyed, { barrel: 1 });
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Ghost, GhostRecorder, GhostStore, GHOST_SAMPLE_INTERVAL } from '../js/ghost.js';
+import { createStorage } from './helpers/storage.js';
+
+// Record a lap driven in a straight line along +z at the given speed
+function recordStraightLap(speed, lapTime, frameTime = 1 / 60) {
+    const recorder = new GhostRecorder();
+    const quaternion = new THREE.Quaternion();
+    for (let time = 0; time < lapTime; time += frameTime) {
+        recorder.record(time, new THREE.Vector3(0, 0.5, speed * time), quaternion);
+    }
+    recorder.record(lapTime, new THREE.Vector3(0, 0.5, speed * lapTime), quaternion);
+    return recorder.finish(7, 'loop-13-13-cw', lapTime);
+}
+
+test('the recorder keeps one sample per interval whatever the frame rate', () => {
+    const ghost = recordStraightLap(10, 2, 1 / 144);
+    const slowFrames = recordStraightLap(10, 2, 1 / 20);
+    
+    assert.equal(ghost.sampleCount, Math.floor(2 / GHOST_SAMPLE_INTERVAL) + 1);
+    assert.equal(slowFrames.sampleCount, ghost.sampleCount);
+});
+
+test('the ghost interpolates between samples', () => {
+    const ghost = recordStraightLap(10, 2);
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    
+    ghost.getTransform(1.025, position, quaternion);
+    assert.ok(Math.abs(position.z - 10.25) < 0.2);
+    assert.equal(position.y, 0.5);
+    
+    // It waits at the end of its lap
+    ghost.getTransform(5, position, quaternion);
+    assert.ok(Math.abs(position.z - 20) < 0.2);
+});
+
+test('the delta readout is positive when behind the ghost and negative when ahead', () => {
+    const ghost = recordStraightLap(10, 2);
+    
+    // Halfway down the straight after 1.5 seconds - half a second slower than the ghost
+    assert.ok(Math.abs(ghost.getDelta(1.5, { x: 0, z: 10 }) - 0.5) < 0.06);
+    
+    ghost.resetProgress();
+    assert.ok(Math.abs(ghost.getDelta(0.5, { x: 0, z: 10 }) + 0.5) < 0.06);
+});
+
+test('ghosts survive a round trip through JSON and bad files are rejected', () => {
+    const ghost = recordStraightLap(10, 2);
+    const copy = new Ghost(JSON.parse(JSON.stringify(ghost)));
+    
+    assert.equal(copy.lapTime, 2);
+    assert.equal(copy.track, 'loop-13-13-cw');
+    assert.deepEqual(copy.toJSON(), ghost.toJSON());
+    
+    const data = ghost.toJSON();
+    assert.throws(() => new Ghost(null));
+    assert.throws(() => new Ghost({ ...data, version: 99 }));
+    assert.throws(() => new Ghost({ ...data, track: undefined }));
+    assert.throws(() => new Ghost({ ...data, lapTime: -1 }));
+    assert.throws(() => new Ghost({ ...data, samples: data.samples.slice(1) }));
+    assert.throws(() => new Ghost({ ...data, samples: data.samples.map(() => 'x') }));
+});
+
+test('the store only keeps the fastest ghost per seed and track', () => {
+    const storage = createStorage();
+    const store = new GhostStore(storage);
+    
+    assert.equal(store.submit(recordStraightLap(10, 2)), true);
+    assert.equal(store.submit(recordStraightLap(8, 2.5)), false);
+    assert.equal(store.submit(recordStraightLap(12, 1.8)), true);
+    
+    const restored = new GhostStore(storage).get(7, 'loop-13-13-cw');
+    assert.equal(restored.lapTime, 1.8);
+    assert.equal(new GhostStore(storage).get(8, 'loop-13-13-cw'), null);
+});
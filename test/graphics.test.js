@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { DynamicResolution, GRAPHICS_PRESETS, getParticleCount, selectStreetlights } from '../js/graphics.js';
+
+test('each preset costs at least as much as the one below it', () => {
+    const presets = [GRAPHICS_PRESETS.low, GRAPHICS_PRESETS.medium, GRAPHICS_PRESETS.high, GRAPHICS_PRESETS.ultra];
+    for (let i = 1; i < presets.length; i++) {
+        for (const key of ['pixelRatio', 'antialias', 'shadowMapSize', 'particles', 'streetlights']) {
+            assert.ok(presets[i][key] >= presets[i - 1][key], key);
+        }
+    }
+    assert.equal(GRAPHICS_PRESETS.low.shadows, false);
+    assert.equal(GRAPHICS_PRESETS.low.bloom, false);
+});
+
+test('particle counts scale with the preset but never drop to zero', () => {
+    assert.equal(getParticleCount(10, GRAPHICS_PRESETS.high), 10);
+    assert.equal(getParticleCount(10, GRAPHICS_PRESETS.ultra), 15);
+    assert.equal(getParticleCount(10, GRAPHICS_PRESETS.low), 3);
+    assert.equal(getParticleCount(2, GRAPHICS_PRESETS.low), 1);
+});
+
+test('the streetlight budget lights the nearest ones', () => {
+    const streetlights = [5, 40, 10, 80].map(x => ({ position: new THREE.Vector3(x, 3, 0) }));
+    const origin = new THREE.Vector3(0, 0, 0);
+    
+    assert.deepEqual([...selectStreetlights(streetlights, origin, 2)], [streetlights[0], streetlights[2]]);
+    assert.equal(selectStreetlights(streetlights, origin, 0).size, 0);
+    assert.equal(selectStreetlights(streetlights, origin, Infinity).size, 4);
+});
+
+test('dynamic resolution drops while frames run long and recovers with headroom', () => {
+    const resolution = new DynamicResolution({ targetFrameTime: 1 / 60, minScale: 0.5, step: 0.1, interval: 1 });
+    const run = (frameTime, seconds) => {
+        let changes = 0;
+        for (let t = 0; t < seconds; t += frameTime) {
+            if (resolution.update(frameTime)) changes++;
+        }
+        return changes;
+    };
+    
+    // Steady 60 FPS leaves it alone
+    assert.equal(run(1 / 60, 3), 0);
+    assert.equal(resolution.scale, 1);
+    
+    // 30 FPS steps down once a second until the floor
+    run(1 / 30, 2.01);
+    assert.equal(resolution.scale, 0.8);
+    run(1 / 30, 10);
+    assert.equal(resolution.scale, 0.5);
+    
+    // A single hitch (or a background tab) doesn't count as more than a quarter of a second
+    resolution.reset();
+    resolution.update(5);
+    assert.equal(resolution.scale, 1);
+    
+    // Back at full speed it climbs back to full resolution
+    run(1 / 30, 3.01);
+    run(1 / 60, 10);
+    assert.equal(resolution.scale, 1);
+});
@@ -0,0 +1,10 @@
+// An in-memory stand-in for localStorage, optionally holding some saved items to start with.
+// `items` is exposed so tests can look at (or tamper with) what was saved.
+export function createStorage(initial = {}) {
+    const items = { ...initial };
+    return {
+        items,
+        getItem: (key) => items[key] ?? null,
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
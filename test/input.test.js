@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InputHandler, IDLE_CONTROLS } from '../js/input.js';
+
+// InputHandler listens on window - Node's EventTarget is enough to drive it
+globalThis.window ??= new EventTarget();
+
+// A standard-mapping pad with the given stick, trigger and button readings
+function createGamepad({ steer = 0, throttle = 0, brake = 0, boost = false } = {}) {
+    const buttons = Array.from({ length: 16 }, () => ({ value: 0, pressed: false }));
+    buttons[0] = { value: boost ? 1 : 0, pressed: boost };
+    buttons[6] = { value: brake, pressed: brake > 0 };
+    buttons[7] = { value: throttle, pressed: throttle > 0 };
+    return { index: 0, id: 'Test pad', connected: true, axes: [steer, 0, 0, 0], buttons };
+}
+
+function connect(gamepad) {
+    Object.defineProperty(globalThis, 'navigator', {
+        value: { getGamepads: () => [gamepad] },
+        configurable: true
+    });
+}
+
+test('controls are idle with nothing pressed', () => {
+    connect(null);
+    const input = new InputHandler();
+    input.pollGamepad();
+    
+    assert.deepEqual(input.getControls(), IDLE_CONTROLS);
+});
+
+test('gamepad triggers and stick map to analog controls', () => {
+    connect(createGamepad({ steer: -0.575, throttle: 0.525, boost: true }));
+    const input = new InputHandler();
+    input.pollGamepad();
+    
+    const controls = input.getControls();
+    assert.equal(controls.steer, -0.5);
+    assert.equal(controls.throttle, 0.5);
+    assert.equal(controls.brake, 0);
+    assert.equal(controls.boost, true);
+});
+
+test('small stick and trigger movements fall inside the dead zone', () => {
+    connect(createGamepad({ steer: 0.1, throttle: 0.03, brake: 0.04 }));
+    const input = new InputHandler();
+    input.pollGamepad();
+    
+    assert.deepEqual(input.getControls(), IDLE_CONTROLS);
+});
+
+test('unplugging the pad releases its controls', () => {
+    const gamepad = createGamepad({ throttle: 1 });
+    connect(gamepad);
+    const input = new InputHandler();
+    input.pollGamepad();
+    assert.equal(input.getControls().throttle, 1);
+    
+    gamepad.connected = false;
+    input.pollGamepad();
+    assert.deepEqual(input.getControls(), IDLE_CONTROLS);
+});
+
+test('touch controls drive like a gamepad, with the pad taking priority for steering', () => {
+    connect(createGamepad({ steer: -0.575 }));
+    const input = new InputHandler();
+    input.touchControls = { throttle: 1, brake: 0, steer: 0.25, boost: true };
+    
+    assert.deepEqual(input.getControls(), { throttle: 1, brake: 0, steer: 0.25, boost: true });
+    
+    input.pollGamepad();
+    assert.equal(input.getControls().steer, -0.5);
+});
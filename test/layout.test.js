@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { City, LAYOUT_VERSION } from '../js/city.js';
+
+// A hand-authored layout using every kind of entry
+function createLayout() {
+    return {
+        version: LAYOUT_VERSION,
+        seed: 'layout',
+        grid: { citySize: 3, blockSize: 50, roadWidth: 10 },
+        spawn: { x: 10, y: 0.5, z: -20, rotation: 1.5 },
+        openSpaces: [{ x: 100, z: 100, radius: 30 }],
+        buildings: [
+            { type: 'building', x: -60, z: 40, width: 8, depth: 10, height: 20, rotation: 0.5, color: 0x223344 },
+            { type: 'skyscraper', x: 60, z: -60 }
+        ],
+        features: [{ type: 'park', x: 100, z: 100 }],
+        ramps: [
+            { type: 'ramp', x: 0, z: 30, rotation: 3.142 },
+            { type: 'launchpad', x: -30, z: -30 }
+        ],
+        props: [
+            { type: 'bench', x: 5, z: 5, rotation: 1 },
+            { type: 'crate', x: -5, z: 5, rotation: 0 },
+            { type: 'parkedCar', x: 20, z: -5, rotation: 0.25 }
+        ]
+    };
+}
+
+// Through JSON and back, as a saved layout file would be
+function roundTrip(layout) {
+    return City.fromLayout(new THREE.Scene(), JSON.parse(JSON.stringify(layout)));
+}
+
+test('a generated city exports a layout that rebuilds the same city', () => {
+    const city = new City(new THREE.Scene(), 'round-trip');
+    const layout = city.exportLayout();
+    const rebuilt = roundTrip(layout);
+    
+    assert.equal(rebuilt.seed, city.seed);
+    assert.equal(rebuilt.obstacles.length, city.obstacles.length);
+    assert.equal(rebuilt.ramps.length, city.ramps.length);
+    assert.equal(rebuilt.physicsObjects.length, city.physicsObjects.length);
+    assert.deepEqual(rebuilt.exportLayout(), layout);
+});
+
+test('a hand-authored layout survives an export and reload unchanged', () => {
+    const first = roundTrip(createLayout()).exportLayout();
+    
+    assert.equal(first.buildings.length, 2);
+    assert.equal(first.features.length, 1);
+    assert.equal(first.ramps.length, 2);
+    assert.deepEqual(first.spawn, createLayout().spawn);
+    assert.deepEqual(first.grid, createLayout().grid);
+    assert.deepEqual(first.buildings[0], createLayout().buildings[0]);
+    assert.deepEqual(roundTrip(first).exportLayout(), first);
+});
+
+test('validateLayout accepts a good layout', () => {
+    assert.doesNotThrow(() => City.validateLayout(createLayout()));
+    assert.doesNotThrow(() => City.validateLayout({ version: LAYOUT_VERSION }));
+});
+
+test('validateLayout rejects layouts that cannot be built', () => {
+    assert.throws(() => City.validateLayout(null), /must be a JSON object/);
+    assert.throws(() => City.validateLayout('layout'), /must be a JSON object/);
+    assert.throws(() => City.validateLayout({ ...createLayout(), version: LAYOUT_VERSION + 1 }), /Unsupported layout version/);
+    assert.throws(() => City.validateLayout({ ...createLayout(), version: undefined }), /Unsupported layout version/);
+    assert.throws(() => City.validateLayout({ ...createLayout(), ramps: { type: 'ramp', x: 0, z: 0 } }), /"ramps" must be an array/);
+    assert.throws(() => City.validateLayout({ ...createLayout(), props: [{ type: 'bench', x: '5', z: 5 }] }), /"props" needs numeric x and z/);
+    assert.throws(() => City.validateLayout({ ...createLayout(), buildings: [{ type: 'skyscraper', x: 0 }] }), /"buildings" needs numeric x and z/);
+});
+
+test('fromLayout throws before building anything from a bad layout', () => {
+    const scene = new THREE.Scene();
+    
+    assert.throws(() => City.fromLayout(scene, { ...createLayout(), version: 0 }), /Unsupported layout version/);
+    assert.equal(scene.children.length, 0);
+});
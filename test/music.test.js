@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MUSIC_PATCHES, STEPS_PER_BAR, getMusicIntensity, getStepNotes, midiToFrequency, MusicPlayer } from '../js/music.js';
+
+// Every step of one pass through a patch's chord progression
+function getLoop(patch, intensity) {
+    const steps = [];
+    for (let step = 0; step < STEPS_PER_BAR * patch.progression.length; step++) {
+        steps.push(getStepNotes(patch, step, intensity));
+    }
+    return steps;
+}
+
+test('the music builds with speed, boost and the combo chain', () => {
+    const cruising = { speed: 20, maxSpeed: 40, boosting: false, comboMultiplier: 0 };
+    
+    assert.equal(getMusicIntensity({ ...cruising, speed: 0 }), 0);
+    assert.ok(getMusicIntensity(cruising) < getMusicIntensity({ ...cruising, boosting: true }));
+    assert.ok(getMusicIntensity(cruising) < getMusicIntensity({ ...cruising, comboMultiplier: 3 }));
+    assert.equal(getMusicIntensity({ speed: 60, maxSpeed: 40, boosting: true, comboMultiplier: 10 }), 1);
+});
+
+test('layers join in as the intensity rises', () => {
+    const patch = MUSIC_PATCHES.day;
+    const count = (steps, part) => steps.filter(notes => notes[part] !== null && notes[part] !== false).length;
+    
+    const calm = getLoop(patch, 0);
+    assert.equal(count(calm, 'pad'), patch.progression.length, 'a chord every bar');
+    assert.ok(count(calm, 'bass') > 0);
+    assert.equal(count(calm, 'kick') + count(calm, 'hat') + count(calm, 'snare') + count(calm, 'arp'), 0);
+    
+    const driving = getLoop(patch, 0.3);
+    assert.ok(count(driving, 'kick') > 0 && count(driving, 'hat') > 0);
+    assert.ok(count(driving, 'bass') > count(calm, 'bass'));
+    assert.equal(count(driving, 'arp'), 0);
+    
+    const peak = getLoop(patch, 1);
+    assert.equal(count(peak, 'arp'), peak.length);
+    assert.ok(count(peak, 'snare') > 0);
+    assert.ok(count(peak, 'hat') > count(driving, 'hat'));
+});
+
+test('night mode plays a darker, slower patch', () => {
+    const day = MUSIC_PATCHES.day;
+    const night = MUSIC_PATCHES.night;
+    assert.ok(night.tempo < day.tempo);
+    assert.ok(night.filterFrequency < day.filterFrequency);
+    
+    // Both loops start on their root chord
+    assert.equal(getStepNotes(day, 0, 0).bass, day.root);
+    assert.equal(getStepNotes(night, 0, 0).bass, night.root);
+    assert.deepEqual(getStepNotes(night, 0, 0).pad, [52, 55, 59], 'E minor');
+    assert.deepEqual(getStepNotes(night, STEPS_PER_BAR, 0).pad, [53, 57, 60], 'then F major');
+});
+
+test('notes convert to frequencies and the player waits for audio to start', () => {
+    assert.equal(midiToFrequency(69), 440);
+    assert.equal(midiToFrequency(57), 220);
+    
+    const player = new MusicPlayer({ context: null, settings: { musicMuted: false }, getMusicOutput: () => null });
+    player.update(1 / 60, 1, false);
+    assert.equal(player.step, 0);
+    assert.equal(player.output, null);
+});
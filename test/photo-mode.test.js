@@ -0,0 +1,230 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CAPTURE_SCALES, PHOTO_DEFAULTS, PHOTO_FILTERS, PhotoMode, getCapturePixelRatio } from '../js/photo-mode.js';
+
+// Just enough of the DOM for the photo mode panel: elements are event targets that keep their
+// children, and clicking one fires its click listeners
+class FakeElement extends EventTarget {
+    constructor(tagName) {
+        super();
+        this.tagName = tagName;
+        this.style = {};
+        this.dataset = {};
+        this.children = [];
+        this.classList = new FakeClassList();
+    }
+    
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+    
+    click() {
+        this.dispatchEvent(new Event('click'));
+    }
+    
+    blur() {}
+}
+
+class FakeClassList {
+    constructor() {
+        this.names = new Set();
+    }
+    
+    contains(name) {
+        return this.names.has(name);
+    }
+    
+    toggle(name, force = !this.names.has(name)) {
+        if (force) this.names.add(name);
+        else this.names.delete(name);
+        return force;
+    }
+}
+
+globalThis.window ??= new EventTarget();
+globalThis.document ??= { body: new FakeElement('body'), createElement: (tagName) => new FakeElement(tagName) };
+
+const SETTINGS_FOV = 75;
+
+// The parts of the game photo mode works with, with the car 10 m in front of the camera
+function createPhotoMode() {
+    const camera = new THREE.PerspectiveCamera(SETTINGS_FOV, 16 / 9, 0.1, 1000);
+    camera.position.set(0, 3, 10);
+    camera.lookAt(0, 3, 0);
+    
+    const bloomPass = { enabled: true, strength: 1.5 };
+    const game = {
+        scene: new THREE.Scene(),
+        camera,
+        bloomPass,
+        composer: {
+            passes: [{}, bloomPass],
+            insertPass(pass, index) { this.passes.splice(index, 0, pass); },
+            addPass(pass) { this.passes.push(pass); }
+        },
+        renderer: {
+            domElement: new FakeElement('canvas'),
+            getDrawingBufferSize: (target) => target.set(1280, 720)
+        },
+        car: { mesh: { position: new THREE.Vector3(0, 3, 0) } },
+        settings: { get: (name) => (name === 'fieldOfView' ? SETTINGS_FOV : undefined) },
+        getGraphicsPreset: () => ({ bloom: true }),
+        editor: { active: false },
+        pauseMenu: { active: false }
+    };
+    return { game, photoMode: new PhotoMode(game) };
+}
+
+// Move a slider the way the player does
+function slide(photoMode, name, value) {
+    const { slider } = photoMode.sliders[name];
+    slider.value = String(value);
+    slider.dispatchEvent(new Event('input'));
+}
+
+function findButton(buttons, option) {
+    return buttons.find(button => button.dataset.option === option);
+}
+
+test('photos are captured at a multiple of the screen resolution', () => {
+    assert.deepEqual(CAPTURE_SCALES, [1, 2, 4]);
+    assert.equal(getCapturePixelRatio(1280, 720, 1, 1, 16384), 1);
+    assert.equal(getCapturePixelRatio(1280, 720, 2, 2, 16384), 4, 'high-DPI screens count their real pixels');
+});
+
+test('photos never outgrow the largest render target', () => {
+    const ratio = getCapturePixelRatio(1920, 1080, 2, 4, 8192);
+    assert.equal(1920 * ratio, 8192);
+    assert.ok(1080 * ratio < 8192);
+});
+
+test('photo mode starts without filters or blur', () => {
+    assert.equal(PHOTO_FILTERS[0], 'none');
+    assert.deepEqual(PHOTO_FILTERS.slice(1), ['vhs', 'crt', 'outrun']);
+    assert.equal(PHOTO_DEFAULTS.blur, 0);
+    assert.equal(PHOTO_DEFAULTS.exposure, 0);
+});
+
+test('photo mode puts its passes around the bloom and leaves them off until it opens', () => {
+    const { game, photoMode } = createPhotoMode();
+    const passes = game.composer.passes;
+    
+    assert.equal(passes.indexOf(photoMode.bokehPass), passes.indexOf(game.bloomPass) - 1, 'depth of field before the bloom');
+    assert.equal(passes.at(-1), photoMode.gradePass, 'colour grading last');
+    assert.equal(photoMode.bokehPass.enabled, false);
+    assert.equal(photoMode.gradePass.enabled, false);
+    assert.equal(photoMode.panel.style.display, 'none');
+});
+
+test('entering photo mode starts from the game camera, focused on the car', () => {
+    const { game, photoMode } = createPhotoMode();
+    const position = game.camera.position.clone();
+    const direction = game.camera.getWorldDirection(new THREE.Vector3());
+    
+    photoMode.toggle();
+    
+    assert.equal(photoMode.active, true);
+    assert.equal(photoMode.panel.style.display, 'block');
+    assert.ok(game.camera.position.equals(position));
+    assert.ok(game.camera.getWorldDirection(new THREE.Vector3()).distanceTo(direction) < 1e-9, 'still looking the same way');
+    assert.deepEqual(photoMode.values, { ...PHOTO_DEFAULTS, fieldOfView: SETTINGS_FOV, focus: 10 });
+    assert.equal(photoMode.gradePass.enabled, true);
+    assert.equal(photoMode.bokehPass.enabled, false, 'no blur until the slider asks for it');
+});
+
+test('leaving photo mode hands the camera and the effects back to the game', () => {
+    const { game, photoMode } = createPhotoMode();
+    const position = game.camera.position.clone();
+    const quaternion = game.camera.quaternion.clone();
+    
+    photoMode.toggle();
+    game.camera.position.set(50, 20, -30);
+    photoMode.yaw = 1;
+    photoMode.pitch = -0.5;
+    photoMode.applyCameraRotation();
+    slide(photoMode, 'fieldOfView', 30);
+    slide(photoMode, 'blur', 5);
+    slide(photoMode, 'bloom', 0);
+    photoMode.setHudHidden(true);
+    photoMode.toggle();
+    
+    assert.equal(photoMode.active, false);
+    assert.equal(photoMode.panel.style.display, 'none');
+    assert.ok(game.camera.position.equals(position));
+    assert.ok(game.camera.quaternion.equals(quaternion));
+    assert.equal(game.camera.fov, SETTINGS_FOV);
+    assert.equal(photoMode.bokehPass.enabled, false);
+    assert.equal(photoMode.gradePass.enabled, false);
+    assert.equal(game.bloomPass.enabled, true);
+    assert.equal(document.body.classList.contains('hide-hud'), false, 'the HUD comes back');
+});
+
+test('the lens sliders drive the camera, depth of field, exposure and bloom', () => {
+    const { game, photoMode } = createPhotoMode();
+    photoMode.toggle();
+    
+    slide(photoMode, 'fieldOfView', 40);
+    assert.equal(game.camera.fov, 40);
+    assert.equal(photoMode.sliders.fieldOfView.value.textContent, '40');
+    
+    slide(photoMode, 'focus', 25);
+    slide(photoMode, 'blur', 4);
+    assert.equal(photoMode.bokehPass.enabled, true);
+    assert.equal(photoMode.bokehPass.uniforms.focus.value, 25);
+    assert.ok(photoMode.bokehPass.uniforms.aperture.value > 0);
+    
+    slide(photoMode, 'exposure', -1.5);
+    assert.equal(photoMode.gradePass.uniforms.exposure.value, -1.5);
+    assert.equal(photoMode.sliders.exposure.value.textContent, '-1.5');
+    
+    slide(photoMode, 'bloom', 2);
+    assert.equal(game.bloomPass.strength, 2);
+    slide(photoMode, 'bloom', 0);
+    assert.equal(game.bloomPass.enabled, false);
+});
+
+test('the wheel zooms within the field of view slider', () => {
+    const { game, photoMode } = createPhotoMode();
+    photoMode.toggle();
+    
+    photoMode.onWheel({ deltaY: -100, preventDefault() {} });
+    assert.equal(game.camera.fov, SETTINGS_FOV - 2);
+    
+    slide(photoMode, 'fieldOfView', 21);
+    photoMode.onWheel({ deltaY: -100, preventDefault() {} });
+    photoMode.onWheel({ deltaY: -100, preventDefault() {} });
+    assert.equal(game.camera.fov, 20);
+});
+
+test('the filter buttons pick the colour grading and show which is on', () => {
+    const { photoMode } = createPhotoMode();
+    photoMode.toggle();
+    
+    for (const filter of PHOTO_FILTERS) {
+        findButton(photoMode.filterButtons, filter).click();
+        
+        assert.equal(photoMode.filter, filter);
+        assert.equal(photoMode.gradePass.uniforms.grade.value, PHOTO_FILTERS.indexOf(filter));
+        for (const button of photoMode.filterButtons) {
+            assert.equal(button.style.borderColor === '#555555', button.dataset.option !== filter);
+        }
+    }
+});
+
+test('photo mode does not open over the editor or the pause menu', () => {
+    const { game, photoMode } = createPhotoMode();
+    assert.equal(photoMode.canOpen(), true);
+    
+    game.editor.active = true;
+    assert.equal(photoMode.canOpen(), false);
+    
+    game.editor.active = false;
+    game.pauseMenu.active = true;
+    assert.equal(photoMode.canOpen(), false);
+    
+    game.pauseMenu.active = false;
+    photoMode.toggle();
+    assert.equal(photoMode.canOpen(), false, 'already open');
+});
@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { City } from '../js/city.js';
+import { Simulation } from '../js/simulation.js';
+import { IDLE_CONTROLS } from '../js/input.js';
+import { Race, PersonalBests, RACE_COUNTDOWN, generateTracks } from '../js/race.js';
+import { EventBus } from '../js/events.js';
+import { createStorage } from './helpers/storage.js';
+
+
+function createCity(seed = 'race-test') {
+    return new City(new THREE.Scene(), seed);
+}
+
+// A stand-in car that can be teleported from gate to gate
+function createCar(x = 0, z = 0) {
+    return { position: { x, z }, rotation: { y: 0 }, speed: 0 };
+}
+
+function runCountdown(race, car) {
+    race.update(car, RACE_COUNTDOWN + 0.01, new EventBus());
+}
+
+// Visit the gates in order, spending `seconds` getting to each
+function driveLap(race, car, seconds = 1, events = new EventBus()) {
+    const checkpoints = race.track.checkpoints;
+    for (let i = 1; i <= checkpoints.length; i++) {
+        const checkpoint = checkpoints[i % checkpoints.length];
+        car.position.x = checkpoint.x;
+        car.position.z = checkpoint.z;
+        race.update(car, seconds, events);
+    }
+}
+
+test('tracks follow drivable roads and are the same for the same seed', () => {
+    const city = createCity();
+    const tracks = generateTracks(city);
+    const limit = city.getBoundaryLimit();
+    
+    assert.ok(tracks.length > 0);
+    assert.deepEqual(generateTracks(createCity()), tracks);
+    
+    const ids = new Set(tracks.map(track => track.id));
+    assert.equal(ids.size, tracks.length, 'track ids should be unique');
+    
+    for (const track of tracks) {
+        assert.equal(track.checkpoints.length, 8);
+        for (const checkpoint of track.checkpoints) {
+            assert.ok(Math.abs(checkpoint.x) + track.gateWidth / 2 <= limit);
+            assert.ok(Math.abs(checkpoint.z) + track.gateWidth / 2 <= limit);
+        }
+    }
+});
+
+test('gates only count in order and the finish line ends the lap', () => {
+    const track = generateTracks(createCity())[0];
+    const race = new Race(track, 2);
+    const car = createCar();
+    const checkpoints = [];
+    const events = new EventBus();
+    events.on('race:checkpoint', ({ index }) => checkpoints.push(index));
+    
+    assert.ok(race.isFrozen());
+    runCountdown(race, car);
+    assert.equal(race.state, 'racing');
+    
+    // Skipping ahead to gate 3 doesn't count
+    car.position.x = track.checkpoints[3].x;
+    car.position.z = track.checkpoints[3].z;
+    race.update(car, 1, events);
+    assert.deepEqual(checkpoints, []);
+    
+    driveLap(race, car, 1, events);
+    assert.deepEqual(checkpoints, [1, 2, 3, 4, 5, 6, 7, 0]);
+    assert.equal(race.lap, 2);
+    assert.equal(race.lapTimes.length, 1);
+    assert.equal(race.lapTimes[0], 9);
+    assert.deepEqual(race.lapSplits[0], [2, 3, 4, 5, 6, 7, 8, 9]);
+});
+
+test('the race finishes after the last lap', () => {
+    const track = generateTracks(createCity())[0];
+    const race = new Race(track, 2);
+    const car = createCar();
+    let finished = null;
+    const events = new EventBus();
+    events.on('race:finished', (event) => { finished = event.race; });
+    
+    runCountdown(race, car);
+    driveLap(race, car, 1, events);
+    driveLap(race, car, 0.5, events);
+    
+    assert.equal(finished, race);
+    assert.equal(race.state, 'finished');
+    assert.deepEqual(race.lapTimes, [8, 4]);
+    assert.equal(race.getBestLap(), 4);
+    assert.equal(race.getTotalTime(), 12);
+});
+
+test('driving away from the next gate shows the wrong-way warning', () => {
+    const track = generateTracks(createCity())[0];
+    const race = new Race(track, 1);
+    const start = track.checkpoints[0];
+    const car = createCar(start.x, start.z);
+    runCountdown(race, car);
+    
+    // Face back the way the track came from and drive
+    car.rotation.y = start.heading + Math.PI;
+    car.speed = 20;
+    race.update(car, 0.5, new EventBus());
+    assert.equal(race.wrongWay, false, 'a brief turn is not enough');
+    race.update(car, 1, new EventBus());
+    assert.equal(race.wrongWay, true);
+    
+    // Reversing towards the gate is fine
+    car.speed = -10;
+    race.update(car, 0.1, new EventBus());
+    assert.equal(race.wrongWay, false);
+});
+
+test('the car waits on the start line during the countdown', () => {
+    const scene = new THREE.Scene();
+    const simulation = new Simulation(scene, new City(scene, 'race-test'));
+    const track = generateTracks(simulation.city)[0];
+    const fullThrottle = { getControls: () => ({ ...IDLE_CONTROLS, throttle: 1 }) };
+    
+    simulation.startRace(track, 1);
+    const start = simulation.car.position.clone();
+    assert.equal(simulation.car.rotation.y, track.checkpoints[0].heading);
+    
+    const countdownSteps = Math.ceil(RACE_COUNTDOWN * 120) - 1;
+    for (let i = 0; i < countdownSteps; i++) {
+        simulation.step(fullThrottle);
+    }
+    assert.equal(simulation.race.state, 'countdown');
+    assert.ok(simulation.car.position.distanceTo(start) < 0.01, 'car should not move before the start');
+    
+    for (let i = 0; i < 120; i++) {
+        simulation.step(fullThrottle);
+    }
+    assert.equal(simulation.race.state, 'racing');
+    assert.ok(simulation.car.position.distanceTo(start) > 1);
+});
+
+test('personal bests keep the fastest lap and race per seed and track', () => {
+    const storage = createStorage();
+    const track = generateTracks(createCity())[0];
+    const bests = new PersonalBests(storage);
+    
+    const slow = new Race(track, 2);
+    runCountdown(slow, createCar());
+    driveLap(slow, createCar(), 2);
+    driveLap(slow, createCar(), 1.5);
+    assert.deepEqual(bests.submit('race-test', track.id, slow), { bestLap: true, bestRace: true });
+    
+    const fast = new Race(track, 2);
+    runCountdown(fast, createCar());
+    driveLap(fast, createCar(), 1);
+    driveLap(fast, createCar(), 3);
+    assert.deepEqual(bests.submit('race-test', track.id, fast), { bestLap: true, bestRace: false });
+    
+    const restored = new PersonalBests(storage).get('race-test', track.id);
+    assert.equal(restored.lap.time, 8);
+    assert.equal(restored.lap.splits.length, track.checkpoints.length);
+    assert.equal(restored.races[2], 28);
+    assert.equal(new PersonalBests(storage).get('other-seed', track.id), null);
+});
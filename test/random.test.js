@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { SeededRandom } from '../js/random.js';
+import { City } from '../js/city.js';
+
+function take(random, count) {
+    return Array.from({ length: count }, () => random.next());
+}
+
+function createCity(seed) {
+    return new City(new THREE.Scene(), seed);
+}
+
+test('SeededRandom repeats the same sequence for the same seed', () => {
+    assert.deepEqual(take(new SeededRandom(42), 20), take(new SeededRandom(42), 20));
+    assert.deepEqual(take(new SeededRandom('monday-jumps'), 20), take(new SeededRandom('monday-jumps'), 20));
+    assert.notDeepEqual(take(new SeededRandom(42), 20), take(new SeededRandom(43), 20));
+});
+
+test('SeededRandom returns floats in [0, 1)', () => {
+    for (const value of take(new SeededRandom(7), 1000)) {
+        assert.ok(value >= 0 && value < 1, `${value} is out of range`);
+    }
+});
+
+test('normalizeSeed turns numbers and strings into unsigned 32-bit seeds', () => {
+    assert.equal(SeededRandom.normalizeSeed(12345), 12345);
+    assert.equal(SeededRandom.normalizeSeed(12.9), 12);
+    assert.equal(SeededRandom.normalizeSeed(-1), 0xffffffff);
+    
+    // Numeric strings (as they come from ?seed=) match the number itself
+    assert.equal(SeededRandom.normalizeSeed('12345'), 12345);
+    assert.equal(SeededRandom.normalizeSeed(' 12345 '), 12345);
+    
+    // Any other string is hashed, the same way every time
+    const hashed = SeededRandom.normalizeSeed('monday-jumps');
+    assert.ok(Number.isInteger(hashed) && hashed >= 0 && hashed <= 0xffffffff);
+    assert.equal(SeededRandom.normalizeSeed('monday-jumps'), hashed);
+    assert.notEqual(SeededRandom.normalizeSeed('tuesday-jumps'), hashed);
+});
+
+test('the same numeric seed builds an identical city', () => {
+    const first = createCity(12345);
+    const second = createCity(12345);
+    
+    assert.equal(first.seed, 12345);
+    assert.deepEqual(second.exportLayout(), first.exportLayout());
+    assert.deepEqual(second.getSpawnPosition(), first.getSpawnPosition());
+});
+
+test('the same string seed builds an identical city, and a numeric string matches its number', () => {
+    assert.deepEqual(createCity('monday-jumps').exportLayout(), createCity('monday-jumps').exportLayout());
+    assert.deepEqual(createCity('12345').exportLayout(), createCity(12345).exportLayout());
+});
+
+test('different seeds build different cities', () => {
+    assert.notDeepEqual(createCity('monday-jumps').exportLayout(), createCity('tuesday-jumps').exportLayout());
+});
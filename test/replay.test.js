@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { City } from '../js/city.js';
+import { Simulation } from '../js/simulation.js';
+import { InputHandler } from '../js/input.js';
+import { ReplayInput, ReplayPlayer, REPLAY_VERSION, STEP_RATE } from '../js/replay.js';
+
+// InputHandler listens on window - Node's EventTarget is enough to drive it
+globalThis.window ??= new EventTarget();
+
+function press(key, down) {
+    window.dispatchEvent(Object.assign(new Event(down ? 'keydown' : 'keyup'), { key }));
+}
+
+function createSimulation(seed) {
+    const scene = new THREE.Scene();
+    return new Simulation(scene, new City(scene, seed));
+}
+
+// Drive a short session with the keyboard, changing keys at the given steps
+function recordSession(seed, script) {
+    const simulation = createSimulation(seed);
+    const input = new InputHandler();
+    input.startRecording({ version: REPLAY_VERSION, seed: simulation.seed, layout: null, stepRate: STEP_RATE });
+    
+    for (let step = 0; step < 900; step++) {
+        for (const [key, down] of script[step] ?? []) {
+            press(key, down);
+        }
+        input.recordStep(simulation.stepCount);
+        simulation.step(input);
+    }
+    
+    // Leave the shared window with no keys held
+    for (const key of Object.keys(input.keys)) {
+        press(key, false);
+    }
+    
+    return { simulation, recording: input.getRecording() };
+}
+
+test('recording stores only control changes, stamped with their step', () => {
+    const { recording } = recordSession(7, {
+        0: [['w', true]],
+        200: [['a', true]],
+        260: [['a', false]]
+    });
+    
+    assert.equal(recording.steps, 900);
+    assert.deepEqual(recording.events, [
+        { step: 0, control: 'throttle', value: 1 },
+        { step: 200, control: 'steer', value: -1 },
+        { step: 260, control: 'steer', value: 0 }
+    ]);
+});
+
+test('replaying a recording reproduces the run', () => {
+    const { simulation, recording } = recordSession('replay-test', {
+        0: [['w', true]],
+        150: [[' ', true], ['d', true]],
+        300: [['d', false]],
+        450: [[' ', false], ['a', true]],
+        700: [['w', false], ['s', true]]
+    });
+    
+    ReplayPlayer.validateRecording(recording);
+    
+    const replay = createSimulation(recording.seed);
+    const input = new ReplayInput(recording.events);
+    while (replay.stepCount < recording.steps) {
+        input.advance(replay.stepCount);
+        replay.step(input);
+    }
+    
+    assert.deepEqual(replay.car.position.toArray(), simulation.car.position.toArray());
+    assert.equal(replay.car.speed, simulation.car.speed);
+    assert.equal(replay.score, simulation.score);
+});
+
+test('validateRecording rejects malformed replays', () => {
+    const valid = { version: REPLAY_VERSION, seed: 1, layout: null, stepRate: STEP_RATE, steps: 10, events: [] };
+    
+    assert.doesNotThrow(() => ReplayPlayer.validateRecording(valid));
+    assert.throws(() => ReplayPlayer.validateRecording(null));
+    assert.throws(() => ReplayPlayer.validateRecording({ ...valid, version: 99 }));
+    assert.throws(() => ReplayPlayer.validateRecording({ ...valid, stepRate: 60 }));
+    assert.throws(() => ReplayPlayer.validateRecording({ ...valid, events: [{ step: 'soon', control: 'throttle', value: 1 }] }));
+    assert.throws(() => ReplayPlayer.validateRecording({ ...valid, events: [{ step: 0, control: 'jump', value: 1 }] }));
+    assert.throws(() => ReplayPlayer.validateRecording({ ...valid, events: [{ step: 0, control: 'boost', value: 1 }] }));
+    assert.doesNotThrow(() => ReplayPlayer.validateRecording({ ...valid, race: { track: 'loop-13-13-cw', laps: 3 } }));
+    assert.throws(() => ReplayPlayer.validateRecording({ ...valid, race: { track: 'loop-13-13-cw', laps: 0 } }));
+    assert.doesNotThrow(() => ReplayPlayer.validateRecording({ ...valid, weather: 'storm' }));
+    assert.throws(() => ReplayPlayer.validateRecording({ ...valid, weather: 'snow' }));
+});
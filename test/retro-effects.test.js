@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SETTINGS } from '../js/settings.js';
+import { ABERRATION, PIXEL_ART_PALETTE, RETRO_EFFECTS, TrackingGlitch, getAberration } from '../js/retro-effects.js';
+
+test('every retro effect is a setting, off until turned on', () => {
+    for (const effect of RETRO_EFFECTS) {
+        assert.deepEqual(SETTINGS[effect].options, ['off', 'on'], effect);
+        assert.equal(SETTINGS[effect].default, 'off', effect);
+    }
+});
+
+test('chromatic aberration grows with speed and boost', () => {
+    assert.equal(getAberration(0, 0), ABERRATION.base);
+    assert.ok(getAberration(0.5, 0) > getAberration(0, 0));
+    assert.ok(getAberration(1, 1) > getAberration(1, 0));
+    assert.equal(getAberration(3, 2), getAberration(1, 1), 'capped');
+    assert.equal(getAberration(-1, -1), ABERRATION.base);
+});
+
+test('only big impacts roll the tape, and it settles again', () => {
+    const tracking = new TrackingGlitch();
+    tracking.hit(5);
+    assert.equal(tracking.level, 0, 'a bump');
+    
+    tracking.hit(-50);
+    assert.equal(tracking.level, 1, 'a crash at full speed, whichever way');
+    tracking.hit(20);
+    assert.equal(tracking.level, 1, 'a smaller knock does not calm it');
+    
+    tracking.update(0.75);
+    assert.ok(tracking.level > 0 && tracking.level < 1);
+    tracking.update(1);
+    assert.equal(tracking.level, 0);
+});
+
+test('the pixel art palette has sixteen colours', () => {
+    assert.equal(PIXEL_ART_PALETTE.length, 16);
+    assert.equal(new Set(PIXEL_ART_PALETTE).size, 16);
+});
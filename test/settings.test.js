@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SETTINGS, Settings } from '../js/settings.js';
+import { convertSpeed, formatDistance, formatLength, formatSpeed, getSpeedUnit } from '../js/units.js';
+import { createStorage } from './helpers/storage.js';
+
+test('settings start at their defaults and survive a reload', () => {
+    const storage = createStorage();
+    const settings = new Settings(storage);
+    for (const [name, definition] of Object.entries(SETTINGS)) {
+        assert.equal(settings.get(name), definition.default);
+    }
+    
+    settings.set('quality', 'low');
+    settings.set('units', 'metric');
+    settings.set('fieldOfView', 90);
+    
+    const restored = new Settings(storage);
+    assert.equal(restored.get('quality'), 'low');
+    assert.equal(restored.get('units'), 'metric');
+    assert.equal(restored.get('fieldOfView'), 90);
+    
+    restored.resetToDefaults();
+    assert.equal(new Settings(storage).get('quality'), SETTINGS.quality.default);
+});
+
+test('invalid settings are rejected and numbers are clamped to their steps', () => {
+    const settings = new Settings(createStorage());
+    
+    assert.throws(() => settings.set('quality', 'extreme'), /Invalid value for quality/);
+    assert.throws(() => settings.set('gamma', 1), /Unknown setting/);
+    assert.throws(() => settings.get('gamma'), /Unknown setting/);
+    assert.throws(() => settings.set('fieldOfView', 'wide'), /Invalid value for fieldOfView/);
+    
+    settings.set('fieldOfView', 200);
+    assert.equal(settings.get('fieldOfView'), SETTINGS.fieldOfView.max);
+    settings.set('fieldOfView', 82);
+    assert.equal(settings.get('fieldOfView'), 80);
+});
+
+test('broken or outdated saves fall back to the defaults', () => {
+    const storage = createStorage();
+    storage.setItem('vibecity-settings', JSON.stringify({ quality: 'extreme', units: 'metric', fieldOfView: 500 }));
+    
+    const settings = new Settings(storage);
+    assert.equal(settings.get('quality'), SETTINGS.quality.default);
+    assert.equal(settings.get('units'), 'metric');
+    assert.equal(settings.get('fieldOfView'), SETTINGS.fieldOfView.default);
+    
+    storage.setItem('vibecity-settings', '{not json');
+    assert.equal(new Settings(storage).get('units'), SETTINGS.units.default);
+});
+
+test('speeds and distances read in the chosen units', () => {
+    assert.equal(getSpeedUnit('imperial'), 'MPH');
+    assert.equal(getSpeedUnit('metric'), 'KM/H');
+    assert.equal(convertSpeed(50, 'imperial'), 50);
+    assert.ok(Math.abs(convertSpeed(50, 'metric') - 80.4672) < 1e-9);
+    
+    assert.equal(formatSpeed(30, 'imperial'), '30.0 MPH');
+    assert.equal(formatDistance(1609.344, 'imperial'), '1.00 mi');
+    assert.equal(formatDistance(2500, 'metric'), '2.50 km');
+    assert.equal(formatLength(10, 'metric'), '10.0 m');
+    assert.equal(formatLength(10, 'imperial', 0), '33 ft');
+});
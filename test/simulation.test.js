@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { City } from '../js/city.js';
+import { Simulation } from '../js/simulation.js';
+import { IDLE_CONTROLS } from '../js/input.js';
+
+// Scripted input - holds the given controls for every step
+function hold(controls = {}) {
+    return { getControls: () => ({ ...IDLE_CONTROLS, ...controls }) };
+}
+
+function createSimulation(layout) {
+    const scene = new THREE.Scene();
+    return new Simulation(scene, City.fromLayout(scene, { version: 1, seed: 'test', ...layout }));
+}
+
+// The car is kept this far inside the city edge (matches Simulation.enforceBoundary)
+function boundaryLimit(simulation) {
+    const { citySize, blockSize, roadWidth } = simulation.city;
+    return (citySize * blockSize + (citySize + 1) * roadWidth) / 2 - 10;
+}
+
+test('driving over a launchpad launches the car', () => {
+    const simulation = createSimulation({
+        spawn: { x: 0, y: 0.5, z: -60, rotation: 0 },
+        ramps: [{ type: 'launchpad', x: 0, z: -20 }]
+    });
+    const launchpad = simulation.ramps[0];
+    
+    let launched = false;
+    let maxHeight = 0;
+    for (let i = 0; i < 600; i++) {
+        simulation.step(hold({ throttle: 1 }));
+        if (simulation.car.isAirborne && !launched) {
+            launched = true;
+            assert.ok(simulation.car.verticalVelocity > 0, 'launch should push the car upward');
+        }
+        maxHeight = Math.max(maxHeight, simulation.car.position.y);
+    }
+    
+    assert.ok(launched, 'car should become airborne');
+    assert.ok(maxHeight > 0.5 + launchpad.height + 1, `car should clear the launchpad (max height ${maxHeight})`);
+});
+
+test('a slow car rolls onto a launchpad without launching', () => {
+    const simulation = createSimulation({
+        spawn: { x: 0, y: 0.5, z: 0, rotation: 0 },
+        ramps: [{ type: 'launchpad', x: 0, z: 0 }]
+    });
+    const launchpad = simulation.ramps[0];
+    
+    for (let i = 0; i < 30; i++) {
+        simulation.step(hold());
+    }
+    
+    assert.equal(simulation.car.isAirborne, false);
+    assert.equal(simulation.car.onRamp, true);
+    assert.equal(simulation.car.position.y, 0.5 + launchpad.height);
+});
+
+test('hitting the city boundary bounces the car back', () => {
+    const simulation = createSimulation({ spawn: { x: 0, y: 0.5, z: 0, rotation: 0 } });
+    const car = simulation.car;
+    const limit = boundaryLimit(simulation);
+    
+    // Put the car just past the northern limit, heading further out
+    car.position.set(0, 0.5, limit + 2);
+    car.direction.set(0, 0, 1);
+    car.speed = 20;
+    car.velocity.set(0, 0, 20);
+    
+    simulation.enforceBoundary();
+    
+    assert.equal(car.position.z, limit);
+    assert.ok(car.direction.z < 0, 'car should now be heading back into the city');
+    assert.equal(car.speed, 8);
+    assert.ok(Math.abs(car.rotation.y - Math.PI) < 1e-9);
+});
+
+test('the car never leaves the city while driving into the edge', () => {
+    const simulation = createSimulation({ spawn: { x: 0, y: 0.5, z: 40, rotation: 0 } });
+    const limit = boundaryLimit(simulation);
+    
+    for (let i = 0; i < 600; i++) {
+        simulation.step(hold({ throttle: 1, boost: true }));
+        assert.ok(Math.abs(simulation.car.position.z) <= limit, `car escaped to z=${simulation.car.position.z}`);
+    }
+});
+
+test('identical inputs give identical results', () => {
+    const layout = {
+        spawn: { x: -5, y: 0.5, z: -35, rotation: Math.PI / 2 },
+        ramps: [{ type: 'ramp', x: 30, z: -35, rotation: Math.PI / 2 }],
+        props: [{ type: 'barrel', x: 60, z: -34 }, { type: 'crate', x: 70, z: -36 }]
+    };
+    const script = [hold({ throttle: 1 }), hold({ throttle: 1, boost: true }), hold({ throttle: 1, steer: -1 }), hold({ brake: 1, steer: 1 })];
+    
+    const run = () => {
+        const simulation = createSimulation(layout);
+        for (let i = 0; i < 1200; i++) {
+            simulation.step(script[Math.floor(i / 300)]);
+        }
+        return {
+            position: simulation.car.position.toArray(),
+            speed: simulation.car.speed,
+            score: simulation.score,
+            props: simulation.physicsObjects.map(obj => obj.position.toArray())
+        };
+    };
+    
+    assert.deepEqual(run(), run());
+});
+
+test('partial throttle tops out at a lower speed than full throttle', () => {
+    const layout = { spawn: { x: 0, y: 0.5, z: -60, rotation: 0 } };
+    const half = createSimulation(layout);
+    const full = createSimulation(layout);
+    
+    for (let i = 0; i < 240; i++) {
+        half.step(hold({ throttle: 0.5 }));
+        full.step(hold({ throttle: 1 }));
+    }
+    
+    assert.ok(half.car.speed > 0, 'half throttle should still drive forward');
+    assert.ok(half.car.speed <= half.car.maxSpeed * 0.5 + 1e-9);
+    assert.ok(full.car.speed > half.car.speed);
+});
+
+test('a short boost wears off back to top speed while the throttle is held', () => {
+    const simulation = createSimulation({ spawn: { x: 0, y: 0.5, z: 0, rotation: 0 } });
+    simulation.car.position.z = -boundaryLimit(simulation) + 5;
+    const stepsPerSecond = 120;
+    
+    let peak = 0;
+    for (let i = 0; i < 4.5 * stepsPerSecond; i++) {
+        const boosting = i >= 2 * stepsPerSecond && i < 2.5 * stepsPerSecond;
+        simulation.step(hold({ throttle: 1, boost: boosting }));
+        peak = Math.max(peak, simulation.car.speed);
+    }
+    
+    assert.ok(peak > simulation.car.maxSpeed, 'the boost should lift the car over top speed');
+    assert.ok(Math.abs(simulation.car.speed - simulation.car.maxSpeed) < 1e-9, `still going ${simulation.car.speed}`);
+});
@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { City } from '../js/city.js';
+import { Simulation } from '../js/simulation.js';
+import { IDLE_CONTROLS } from '../js/input.js';
+import { DriveStats, SessionStats, HighScores, MAX_HIGH_SCORES, finishDrive } from '../js/stats.js';
+import { createStorage } from './helpers/storage.js';
+
+test('the simulation records distance, speed, boost and destroyed objects', () => {
+    const scene = new THREE.Scene();
+    const simulation = new Simulation(scene, City.fromLayout(scene, {
+        version: 1,
+        seed: 'test',
+        spawn: { x: 0, y: 0.5, z: -60, rotation: 0 },
+        props: [{ type: 'barrel', x: 0, z: -40 }, { type: 'crate', x: 0, z: -30 }]
+    }));
+    const start = simulation.car.position.clone();
+    const input = { getControls: () => ({ ...IDLE_CONTROLS, throttle: 1, boost: simulation.stepCount < 60 }) };
+    
+    for (let i = 0; i < 240; i++) {
+        simulation.step(input);
+    }
+    
+    const stats = simulation.stats;
+    assert.ok(Math.abs(stats.distance - simulation.car.position.distanceTo(start)) < 1);
+    assert.ok(stats.topSpeed > 0 && stats.topSpeed <= simulation.car.maxSpeed * simulation.boost.speedMultiplier);
+    assert.ok(Math.abs(stats.boostTime - 0.5) < 0.01);
+    assert.deepEqual(stats.objectsDestroyed, { barrel: 1, crate: 1 });
+});
+
+test('jumps count towards airtime and the longest jump', () => {
+    const stats = new DriveStats();
+    const car = { position: new THREE.Vector3(), isAirborne: false, getSpeed: () => 20 };
+    
+    car.isAirborne = true;
+    for (let i = 0; i < 60; i++) {
+        car.position.z += 20 / 60;
+        stats.update(car, 1 / 60, false);
+    }
+    car.isAirborne = false;
+    stats.update(car, 1 / 60, false);
+    
+    assert.ok(Math.abs(stats.airtime - 1) < 1e-9);
+    assert.ok(Math.abs(stats.longestJump - 20) < 0.5);
+});
+
+test('boost raises the top speed but not the distance', () => {
+    const stats = new DriveStats();
+    const car = { position: new THREE.Vector3(), isAirborne: false, getSpeed: () => 80 };
+    
+    // The speedometer reads 80 under boost while the car covers 40 in the second
+    stats.update(car, 1 / 120, true);
+    for (let i = 0; i < 120; i++) {
+        car.position.z += 40 / 120;
+        stats.update(car, 1 / 120, true);
+    }
+    
+    assert.equal(stats.topSpeed, 80);
+    assert.ok(Math.abs(stats.distance - 40) < 1e-9);
+});
+
+test('session stats add up every drive', () => {
+    const session = new SessionStats(1000);
+    const first = new DriveStats();
+    first.distance = 500;
+    first.topSpeed = 40;
+    first.recordKnockdown('barrel');
+    session.addDrive(first);
+    
+    const current = new DriveStats();
+    current.distance = 250;
+    current.topSpeed = 60;
+    current.recordKnockdown('barrel');
+    current.recordKnockdown('bench');
+    current.recordPedestrianHit();
+    
+    const summary = session.getSummary(current, 91000);
+    assert.equal(summary.duration, 90);
+    assert.equal(summary.drives, 2);
+    assert.equal(summary.distance, 750);
+    assert.equal(summary.topSpeed, 60);
+    assert.equal(summary.pedestriansHit, 1);
+    assert.deepEqual(summary.objectsDestroyed, { barrel: 2, bench: 1 });
+    
+    // The drive in progress isn't folded in until it ends
+    assert.equal(session.getSummary(null, 91000).distance, 500);
+});
+
+test('the high-score table keeps the best scores in order and survives a reload', () => {
+    const storage = createStorage();
+    const table = new HighScores(storage);
+    
+    assert.equal(table.qualifies(0), false);
+    assert.equal(table.submit('ada', 500, 'seed-a', new Date(1)), 0);
+    assert.equal(table.submit('  grace hopper the great ', 900, 'seed-b', new Date(2)), 0);
+    assert.equal(table.submit('linus', 500, 'seed-a', new Date(3)), 2, 'ties go below earlier scores');
+    
+    const restored = new HighScores(storage);
+    assert.deepEqual(restored.entries.map(entry => [entry.name, entry.score]), [
+        ['GRACE HOPPER', 900],
+        ['ADA', 500],
+        ['LINUS', 500]
+    ]);
+    assert.equal(restored.getLastName(), 'LINUS');
+});
+
+test('a full table only takes scores that beat its lowest entry', () => {
+    const table = new HighScores(createStorage());
+    for (let i = 1; i <= MAX_HIGH_SCORES; i++) {
+        table.submit(`p${i}`, i * 100, 'seed');
+    }
+    
+    assert.equal(table.qualifies(100), false);
+    assert.equal(table.submit('late', 100, 'seed'), -1);
+    assert.equal(table.submit('better', 150, 'seed'), MAX_HIGH_SCORES - 1);
+    assert.equal(table.entries.length, MAX_HIGH_SCORES);
+    assert.equal(table.entries[MAX_HIGH_SCORES - 1].name, 'BETTER');
+});
+
+test('restarting a drive keeps a qualifying score, with its combo in progress', () => {
+    const scene = new THREE.Scene();
+    const simulation = new Simulation(scene, City.fromLayout(scene, { version: 1, seed: 'restart' }));
+    const highScores = new HighScores(createStorage());
+    highScores.submit('ace', 1000, 'other');
+    
+    // Two tricks chained and not yet banked
+    simulation.addScore(100);
+    simulation.addScore(50);
+    assert.equal(simulation.score, 0);
+    
+    assert.equal(finishDrive(simulation, highScores), 1);
+    assert.equal(simulation.score, 300);
+    assert.deepEqual(highScores.entries.map(({ name, score, seed }) => ({ name, score, seed })), [
+        { name: 'ACE', score: 1000, seed: 'other' },
+        { name: 'ACE', score: 300, seed: simulation.city.seed }
+    ]);
+    
+    // A drive entered on the high-score screen isn't entered again, but its entry goes up with
+    // whatever it scores after that - including the combo banked as it ends
+    const entered = highScores.entries[1];
+    assert.equal(finishDrive(simulation, highScores, entered), -1, 'nothing scored since');
+    simulation.addScore(400);
+    assert.equal(finishDrive(simulation, highScores, entered), 1);
+    assert.deepEqual(highScores.entries.map(({ name, score }) => [name, score]), [['ACE', 1000], ['ACE', 700]]);
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { City } from '../js/city.js';
+import { Simulation, FIXED_TIME_STEP } from '../js/simulation.js';
+import { IDLE_CONTROLS } from '../js/input.js';
+import { StuntTracker, STUNT_POINTS } from '../js/stunts.js';
+
+// A stand-in car whose flight and drifting can be set directly
+function createCar() {
+    return { isAirborne: false, isDrifting: false, rotation: { x: 0, y: 0, z: 0 } };
+}
+
+function createTracker() {
+    const stunts = [];
+    return { stunts, tracker: new StuntTracker((stunt) => stunts.push(stunt)) };
+}
+
+// Keep the car in the air for `seconds`, turning it by `roll` and `pitch` radians, then land
+function fly(tracker, car, seconds, roll = 0, pitch = 0) {
+    const steps = Math.round(seconds / FIXED_TIME_STEP);
+    car.isAirborne = true;
+    for (let i = 1; i <= steps; i++) {
+        car.rotation.z = roll * i / steps;
+        car.rotation.x = pitch * i / steps;
+        tracker.update(car, FIXED_TIME_STEP);
+    }
+    car.isAirborne = false;
+    car.rotation.x = 0;
+    car.rotation.z = 0;
+    tracker.update(car, FIXED_TIME_STEP);
+}
+
+// Launch off a launchpad at full boost, holding `airControls` until the car lands again
+function jumpLaunchpad(airControls) {
+    const scene = new THREE.Scene();
+    const simulation = new Simulation(scene, City.fromLayout(scene, {
+        version: 1,
+        seed: 'test',
+        spawn: { x: 0, y: 0.5, z: -60, rotation: 0 },
+        ramps: [{ type: 'launchpad', x: 0, z: -20 }]
+    }));
+    const stunts = [];
+    simulation.events.on('stunt:completed', (stunt) => stunts.push(stunt));
+    
+    const driving = { ...IDLE_CONTROLS, throttle: 1, boost: true };
+    const flying = { ...IDLE_CONTROLS, ...airControls };
+    const input = { getControls: () => (simulation.car.isAirborne ? flying : driving) };
+    for (let i = 0; i < 480 && stunts.length === 0; i++) {
+        simulation.step(input);
+    }
+    return { simulation, stunt: stunts[0] };
+}
+
+test('a level jump scores its airtime and a clean landing', () => {
+    const { stunts, tracker } = createTracker();
+    fly(tracker, createCar(), 1.5);
+    
+    assert.equal(stunts.length, 1);
+    assert.equal(stunts[0].type, 'jump');
+    assert.equal(stunts[0].clean, true);
+    assert.equal(stunts[0].points, 1.5 * STUNT_POINTS.airtime + STUNT_POINTS.cleanLanding);
+    assert.deepEqual(stunts[0].tricks, ['BIG AIR 1.5s', 'CLEAN LANDING']);
+});
+
+test('full rolls and flips count, and short hops are ignored', () => {
+    const { stunts, tracker } = createTracker();
+    const car = createCar();
+    
+    fly(tracker, car, 0.3);
+    assert.equal(stunts.length, 0);
+    
+    // Landing a little short of level still counts as the full turn
+    fly(tracker, car, 1, Math.PI * 4 - 0.3, -Math.PI * 2 - 0.2);
+    assert.equal(stunts[0].rolls, 2);
+    assert.equal(stunts[0].flips, 1);
+    assert.deepEqual(stunts[0].tricks, ['BIG AIR 1.0s', 'DOUBLE BARREL ROLL', 'BACKFLIP', 'CLEAN LANDING']);
+    assert.equal(stunts[0].points, STUNT_POINTS.airtime + 2 * STUNT_POINTS.barrelRoll +
+        STUNT_POINTS.flip + STUNT_POINTS.cleanLanding);
+});
+
+test('landing on the roof scores nothing', () => {
+    const { stunts, tracker } = createTracker();
+    fly(tracker, createCar(), 1.2, Math.PI * 3);
+    
+    assert.equal(stunts[0].clean, false);
+    assert.equal(stunts[0].points, 0);
+    assert.ok(stunts[0].tricks.includes('CRASH LANDING'));
+});
+
+test('drifts score by duration and angle once the car grips again', () => {
+    const { stunts, tracker } = createTracker();
+    const car = createCar();
+    
+    // Two seconds turning at 45 degrees a second, with a moment of grip in the middle
+    car.isDrifting = true;
+    for (let i = 0; i < 240; i++) {
+        car.isDrifting = i < 110 || i > 125;
+        car.rotation.y += Math.PI / 4 * FIXED_TIME_STEP;
+        tracker.update(car, FIXED_TIME_STEP);
+    }
+    assert.equal(stunts.length, 0, 'the drift is still going');
+    
+    car.isDrifting = false;
+    for (let i = 0; i < 60; i++) {
+        tracker.update(car, FIXED_TIME_STEP);
+    }
+    assert.equal(stunts.length, 1);
+    assert.equal(stunts[0].type, 'drift');
+    assert.ok(Math.abs(stunts[0].duration - 224 / 120) < 1e-9);
+    assert.ok(Math.abs(stunts[0].angle - Math.PI / 2) < 0.01, 'turning during the brief grip counts');
+});
+
+test('barrel rolls and backflips can be pulled off a launchpad', () => {
+    const level = jumpLaunchpad({});
+    assert.equal(level.stunt.clean, true);
+    assert.equal(level.simulation.combo.points, level.stunt.points);
+    
+    const roll = jumpLaunchpad({ steer: 1 });
+    assert.equal(roll.stunt.rolls, 1);
+    assert.equal(roll.stunt.clean, true);
+    
+    const backflip = jumpLaunchpad({ brake: 1 });
+    assert.equal(backflip.stunt.flips, 1);
+    assert.equal(backflip.stunt.clean, true);
+    assert.ok(backflip.simulation.combo.points > level.simulation.combo.points);
+    
+    // The car comes down level after a full turn instead of unwinding it
+    assert.ok(Math.abs(backflip.simulation.car.rotation.x) < 0.5);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { City } from '../js/city.js';
+import { Simulation } from '../js/simulation.js';
+import { IDLE_CONTROLS } from '../js/input.js';
+import { Weather, WEATHER_TYPES, WET_GRIP, getGrip } from '../js/weather.js';
+
+const STEP = 1 / 120;
+
+function run(weather, seconds) {
+    for (let i = 0; i < Math.round(seconds / STEP); i++) {
+        weather.step(STEP);
+    }
+}
+
+test('clear weather stays dry with full grip', () => {
+    const weather = new Weather('clear', 7);
+    run(weather, 200);
+    assert.equal(weather.type, 'clear');
+    assert.equal(weather.rain, 0);
+    assert.equal(weather.wetness, 0);
+    assert.equal(weather.getGrip(), 1);
+    assert.equal(weather.lightning, 0);
+    assert.throws(() => new Weather('snow'), /Unknown weather/);
+});
+
+test('rain soaks the roads and costs grip', () => {
+    const weather = new Weather('rain', 7);
+    assert.equal(weather.wetness, 1, 'a drive that starts in the rain starts on wet roads');
+    assert.equal(weather.getGrip(), WET_GRIP);
+    assert.ok(getGrip(0.5) > WET_GRIP && getGrip(0.5) < 1);
+});
+
+test('changing weather moves on every 90 seconds, the same way for the same seed', () => {
+    const a = new Weather('cycle', 'monday');
+    const b = new Weather('cycle', 'monday');
+    run(a, 1);
+    run(b, 1);
+    const types = [a.type];
+    for (let i = 0; i < 4; i++) {
+        run(a, 90);
+        run(b, 90);
+        types.push(a.type);
+        assert.equal(b.type, a.type);
+        assert.equal(b.wetness, a.wetness);
+    }
+    for (let i = 1; i < types.length; i++) {
+        assert.ok(types[i] in WEATHER_TYPES);
+        assert.notEqual(types[i], types[i - 1]);
+    }
+    
+    // The change blends in over a few seconds
+    const weather = new Weather('cycle', 'monday');
+    run(weather, 91);
+    assert.ok(weather.blend > 0 && weather.blend < 1);
+});
+
+test('roads dry out slowly once the rain stops', () => {
+    // Find a seed whose weather goes from rain to something dry
+    for (let seed = 0; seed < 50; seed++) {
+        const weather = new Weather('cycle', seed);
+        if (WEATHER_TYPES[weather.type].rain === 0) continue;
+        run(weather, 90);
+        if (WEATHER_TYPES[weather.type].rain > 0) continue;
+        
+        run(weather, 15);
+        assert.ok(weather.wetness < 1 && weather.wetness > 0.5);
+        run(weather, 60);
+        assert.equal(weather.wetness, 0);
+        return;
+    }
+    assert.fail('no seed went from rain to dry');
+});
+
+test('only storms bring lightning', () => {
+    const storm = new Weather('storm', 3);
+    let flashes = 0;
+    for (let i = 0; i < 60 / STEP; i++) {
+        storm.step(STEP);
+        if (storm.lightning === 1) flashes++;
+    }
+    assert.ok(flashes >= 4 && flashes <= 15, `${flashes} flashes in a minute`);
+    
+    const fog = new Weather('fog', 3);
+    run(fog, 60);
+    assert.equal(fog.lightning, 0);
+});
+
+test('the car accelerates and brakes harder on a dry road', () => {
+    const drive = (weather, controls, seconds, startSpeed = 0) => {
+        const scene = new THREE.Scene();
+        const simulation = new Simulation(scene, City.fromLayout(scene, {
+            version: 1,
+            seed: 'wet',
+            spawn: { x: 0, y: 0.5, z: -60, rotation: 0 }
+        }), weather);
+        simulation.car.speed = startSpeed;
+        const input = { getControls: () => ({ ...IDLE_CONTROLS, ...controls }) };
+        for (let i = 0; i < Math.round(seconds / STEP); i++) {
+            simulation.step(input);
+        }
+        return simulation.car.speed;
+    };
+    
+    assert.ok(drive('rain', { throttle: 1 }, 0.5) < drive('clear', { throttle: 1 }, 0.5));
+    assert.ok(drive('rain', { brake: 1 }, 0.3, 30) > drive('clear', { brake: 1 }, 0.3, 30));
+});